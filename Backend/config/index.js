@@ -23,6 +23,8 @@ const config = {
         user: process.env.PG_USER || 'postgres',
         password: process.env.PG_PASSWORD || 'postgres',
         ssl: process.env.PG_SSL === 'true' || true, // Neon DB requires SSL
+        poolMax: parseInt(process.env.PG_POOL_MAX, 10) || 20,
+        migrateOnStart: process.env.DB_MIGRATE_ON_START !== 'false', // run pending migrations at startup
     },
 
     // Account Aggregator
@@ -31,6 +33,23 @@ const config = {
         clientId: process.env.AA_CLIENT_ID || 'fiu-client-001',
         clientApiKey: process.env.AA_CLIENT_API_KEY || 'test-api-key',
         privateKeyPath: process.env.AA_PRIVATE_KEY_PATH || './keys/fiu_private_key.pem',
+        publicKeyPath: process.env.AA_PUBLIC_KEY_PATH || './keys/aa_public_key.pem', // verifies AA notifications
+        fiuPublicKeyPath: process.env.FIU_PUBLIC_KEY_PATH || './keys/fiu_public_key.pem', // verifies our signed consent artefacts
+        // Mock responses when the AA is unreachable. Development only: startup refuses it otherwise
+        devFallback: process.env.AA_DEV_FALLBACK
+            ? process.env.AA_DEV_FALLBACK === 'true'
+            : process.env.NODE_ENV === 'development',
+        // Dev only: accept HMAC signatures keyed on JWT_SECRET when a public key file is missing
+        allowHmacSignatures: process.env.AA_ALLOW_HMAC_SIGNATURES === 'true',
+    },
+
+    // Local AA / FIP simulator (simulator/aaSimulator.js)
+    simulator: {
+        port: parseInt(process.env.AA_SIMULATOR_PORT, 10) || 4100,
+        fiuPublicKeyPath: process.env.AA_SIMULATOR_FIU_PUBLIC_KEY_PATH || './keys/fiu_public_key.pem',
+        aaPrivateKeyPath: process.env.AA_SIMULATOR_PRIVATE_KEY_PATH || './keys/aa_private_key.pem',
+        notificationUrl: process.env.AA_SIMULATOR_NOTIFICATION_URL || '', // FIU base URL for /Consent and /FI notifications
+        fiFormat: process.env.AA_SIMULATOR_FI_FORMAT || 'json', // ReBIT Account documents as json | xml
     },
 
     // BBPS Aggregator (Setu / Decentro)
@@ -103,6 +122,56 @@ const config = {
     jwt: {
         secret: process.env.JWT_SECRET || 'default_jwt_secret_change_me',
         expiry: process.env.JWT_EXPIRY || '30m',
+        refreshExpiryDays: parseInt(process.env.JWT_REFRESH_EXPIRY_DAYS, 10) || 7,
+    },
+
+    // Field encryption at rest (consent artefacts, FI session payloads)
+    encryption: {
+        masterKeyId: process.env.DATA_MASTER_KEY_ID || 'default',
+        masterKey: process.env.DATA_MASTER_KEY || '', // base64, 32 bytes
+        // Retired master keys, still needed to unwrap until `npm run rotate-keys` has run: "id:base64,id:base64"
+        previousMasterKeys: process.env.DATA_PREVIOUS_MASTER_KEYS || '',
+    },
+
+    // Bank statement upload (alternative FI source)
+    statement: {
+        maxUploadBytes: parseInt(process.env.STATEMENT_MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024, // 10 MB
+    },
+
+    // Transaction categorisation ruleset (utils/categoryEngine.js)
+    categories: {
+        rulesPath: process.env.CATEGORY_RULES_PATH || path.resolve(__dirname, '..', 'data', 'categoryRules.json'),
+    },
+
+    // Lender (bank / NBFC) accounts
+    lender: {
+        registrationKey: process.env.LENDER_REGISTRATION_KEY || '',
+        // Without a registration key, registration is refused unless NODE_ENV=development
+        openRegistration: process.env.NODE_ENV === 'development',
+        tokenExpiry: process.env.LENDER_JWT_EXPIRY || '8h',
+    },
+
+    // NovaScore composite scoring
+    scoring: {
+        weights: {
+            gst: parseFloat(process.env.SCORE_WEIGHT_GST) || 0.25,
+            fi: parseFloat(process.env.SCORE_WEIGHT_FI) || 0.25,
+            upi: parseFloat(process.env.SCORE_WEIGHT_UPI) || 0.15,
+            bbps: parseFloat(process.env.SCORE_WEIGHT_BBPS) || 0.15,
+            behaviour: parseFloat(process.env.SCORE_WEIGHT_BEHAVIOUR) || 0.1,
+            social: parseFloat(process.env.SCORE_WEIGHT_SOCIAL) || 0.1,
+        },
+        minScore: 300,
+        maxScore: 900,
+    },
+
+    // Auth state store (OTP sessions, lockouts, refresh tokens, denylist)
+    store: {
+        driver: process.env.STORE_DRIVER || 'postgres', // memory | postgres | redis
+        redisUrl: process.env.REDIS_URL || 'redis://localhost:6379',
+        keyPrefix: process.env.STORE_KEY_PREFIX || 'crednova:',
+        sessionTtlMs: parseInt(process.env.OTP_SESSION_TTL_MS, 10) || 10 * 60 * 1000, // 10 minutes
+        sweepIntervalMs: 60 * 1000,
     },
 
     // Server
@@ -0,0 +1,94 @@
+/**
+ * AA Notification Controller
+ *
+ * Express route handlers for inbound Account Aggregator notifications
+ * (ReBIT AA API v2.0). Responses use the ReBIT envelope rather than
+ * { success, message } because the caller is the AA, not our clients.
+ */
+const aaNotificationService = require('../services/aaNotificationService');
+const { buildAaError } = require('../middleware/aaSignatureMiddleware');
+
+const ERROR_STATUS = {
+    InvalidRequest: 400,
+    InvalidConsentId: 404,
+    InvalidSessionId: 404,
+};
+
+/**
+ * Sends the ReBIT acknowledgement or error for a notification result.
+ */
+function respond(req, res, result) {
+    if (!result.success) {
+        return res
+            .status(ERROR_STATUS[result.errorCode] || 400)
+            .json(buildAaError(req.body, result.errorCode, result.message));
+    }
+
+    return res.status(200).json({
+        ver: '2.0.0',
+        timestamp: new Date().toISOString(),
+        txnid: req.body.txnid,
+        response: 'OK',
+    });
+}
+
+/**
+ * POST /Consent/Notification
+ *
+ * Body:
+ * {
+ *   "ver": "2.0.0",
+ *   "timestamp": "2026-01-01T10:00:00.000Z",
+ *   "txnid": "uuid",
+ *   "Notifier": { "type": "AA", "id": "AA-001" },
+ *   "ConsentStatusNotification": {
+ *     "consentId": "uuid",
+ *     "consentHandle": "...",
+ *     "consentStatus": "ACTIVE" | "PAUSED" | "REVOKED" | "EXPIRED"
+ *   }
+ * }
+ */
+async function handleConsentNotification(req, res) {
+    try {
+        const result = await aaNotificationService.handleConsentNotification(req.body);
+        return respond(req, res, result);
+    } catch (err) {
+        console.error('[AANotificationController] handleConsentNotification error:', err);
+        return res.status(500).json(buildAaError(req.body, 'InternalError', 'Internal server error.'));
+    }
+}
+
+/**
+ * POST /FI/Notification
+ *
+ * Body:
+ * {
+ *   "ver": "2.0.0",
+ *   "timestamp": "2026-01-01T10:00:00.000Z",
+ *   "txnid": "uuid",
+ *   "Notifier": { "type": "AA", "id": "AA-001" },
+ *   "FIStatusNotification": {
+ *     "sessionId": "...",
+ *     "sessionStatus": "ACTIVE" | "COMPLETED" | "EXPIRED" | "FAILED",
+ *     "FIStatusResponse": [
+ *       { "fipID": "FIP-001", "Accounts": [{ "linkRefNumber": "...", "FIStatus": "READY" }] }
+ *     ]
+ *   }
+ * }
+ *
+ * A session that becomes READY is fetched automatically in the background.
+ */
+async function handleFiNotification(req, res) {
+    try {
+        const result = await aaNotificationService.handleFiNotification(req.body);
+        return respond(req, res, result);
+    } catch (err) {
+        console.error('[AANotificationController] handleFiNotification error:', err);
+        return res.status(500).json(buildAaError(req.body, 'InternalError', 'Internal server error.'));
+    }
+}
+
+module.exports = {
+    handleConsentNotification,
+    handleFiNotification,
+};
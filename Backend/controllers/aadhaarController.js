@@ -4,6 +4,7 @@
  * Express route handlers for OTP initiation and verification.
  */
 const aadhaarService = require('../services/aadhaarService');
+const tokenService = require('../services/tokenService');
 
 /**
  * POST /auth/aadhaar/initiate
@@ -43,13 +44,13 @@ async function handleInitiate(req, res) {
 /**
  * POST /auth/aadhaar/verify
  *
- * Verifies the OTP entered by the user and returns a JWT on success.
+ * Verifies the OTP entered by the user and returns a JWT and refresh token on success.
  *
  * Request body:
  *   { "aadhaarNumber": "123456789012", "otp": "123456", "txnId": "uuid" }
  *
  * Response (success):
- *   { "success": true, "token": "jwt...", "message": "..." }
+ *   { "success": true, "token": "jwt...", "refreshToken": "opaque...", "message": "..." }
  *
  * Response (failure):
  *   { "success": false, "message": "Invalid OTP. 2 attempt(s) remaining..." }
@@ -78,7 +79,68 @@ async function handleVerify(req, res) {
     }
 }
 
+/**
+ * POST /auth/refresh
+ *
+ * Rotates a refresh token. The presented token is consumed; reusing it
+ * revokes every token issued from the same login.
+ *
+ * Request body:
+ *   { "refreshToken": "opaque..." }
+ *
+ * Response (success):
+ *   { "success": true, "token": "jwt...", "refreshToken": "opaque...", "message": "..." }
+ */
+async function handleRefresh(req, res) {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required in the request body.',
+            });
+        }
+
+        const result = await tokenService.rotateRefreshToken(refreshToken);
+
+        const statusCode = result.success ? 200 : 401;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[AadhaarController] handleRefresh error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+        });
+    }
+}
+
+/**
+ * POST /auth/logout
+ *
+ * Revokes the presented access token and its refresh-token family.
+ * Requires a Bearer token.
+ */
+async function handleLogout(req, res) {
+    try {
+        await tokenService.revokeSession(req.user);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Logged out. Session revoked.',
+        });
+    } catch (err) {
+        console.error('[AadhaarController] handleLogout error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error. Please try again later.',
+        });
+    }
+}
+
 module.exports = {
     handleInitiate,
     handleVerify,
+    handleRefresh,
+    handleLogout,
 };
@@ -0,0 +1,151 @@
+/**
+ * Audit Controller
+ *
+ * Express route handlers for reading the hash-chained audit trail.
+ */
+const auditService = require('../services/auditService');
+const { sendForbidden } = require('../middleware/authMiddleware');
+
+const EVENT_TYPE_NAMES = Object.values(auditService.EVENT_TYPES);
+
+/**
+ * Parses and validates the shared listing query (eventType, limit, offset).
+ *
+ * @param {Object} query - req.query
+ * @returns {{ filters: Object, errors: string[] }}
+ */
+function parseListQuery(query) {
+    const { eventType } = query;
+    const limit = query.limit === undefined ? 20 : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+    const errors = [];
+    if (eventType && !EVENT_TYPE_NAMES.includes(eventType)) {
+        errors.push(`eventType must be one of: [${EVENT_TYPE_NAMES.join(', ')}]`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        errors.push('limit must be an integer between 1 and 100.');
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('offset must be a non-negative integer.');
+    }
+
+    return { filters: { eventType, limit, offset }, errors };
+}
+
+/**
+ * Sends a page of audit entries.
+ */
+function sendPage(res, { entries, total }, filters) {
+    return res.status(200).json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        total,
+        limit: filters.limit,
+        offset: filters.offset,
+    });
+}
+
+/**
+ * GET /audit/user/:userReferenceId
+ *
+ * Who did what with the authenticated user's consents and data — including
+ * every lender view — newest first. Users may only read their own trail.
+ *
+ * Query:
+ *   eventType — one of auditService.EVENT_TYPES
+ *   limit     — page size (1–100, default 20)
+ *   offset    — rows to skip (default 0)
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": [{
+ *     "seq": 42, "eventId": "...", "eventType": "SCORE_VIEWED",
+ *     "actorType": "lender", "actorId": "...", "orgId": "...",
+ *     "userReferenceId": "...", "resourceType": "score", "resourceId": "...",
+ *     "details": {}, "createdAt": "...", "prevHash": "...", "hash": "..."
+ *   }],
+ *   "count": 1, "total": 1, "limit": 20, "offset": 0
+ * }
+ */
+async function handleGetUserTrail(req, res) {
+    try {
+        const { userReferenceId } = req.params;
+        if (userReferenceId !== req.user.sub) {
+            return sendForbidden(res, 'You can only view your own audit trail.');
+        }
+
+        const { filters, errors } = parseListQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        }
+
+        const page = await auditService.getUserTrail(userReferenceId, filters);
+        return sendPage(res, page, filters);
+    } catch (err) {
+        console.error('[AuditController] handleGetUserTrail error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /lender/audit
+ *
+ * Audit trail of the lender organisation: consents naming it, FI requests
+ * and fetches under those consents, and its staff's applicant views.
+ *
+ * Query: eventType, userReferenceId, limit, offset (as for /audit/user).
+ */
+async function handleGetOrgTrail(req, res) {
+    try {
+        const { filters, errors } = parseListQuery(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        }
+
+        const page = await auditService.getOrgTrail(req.user.orgId, {
+            ...filters,
+            userReferenceId: req.query.userReferenceId,
+        });
+        return sendPage(res, page, filters);
+    } catch (err) {
+        console.error('[AuditController] handleGetOrgTrail error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /audit/verify
+ *
+ * Recomputes the whole hash chain and reports the first broken entry.
+ *
+ * Response:
+ * { "success": true, "data": { "valid": true, "checked": 120, "headHash": "..." } }
+ * { "success": true, "data": { "valid": false, "checked": 41, "headHash": "...", "brokenAt": 42, "reason": "..." } }
+ */
+async function handleVerifyChain(req, res) {
+    try {
+        const report = await auditService.verifyChain();
+        return res.status(200).json({ success: true, data: report });
+    } catch (err) {
+        console.error('[AuditController] handleVerifyChain error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+module.exports = {
+    handleGetUserTrail,
+    handleGetOrgTrail,
+    handleVerifyChain,
+};
@@ -39,6 +39,7 @@ function handleGetQuestions(req, res) {
  * POST /behaviour/quiz
  *
  * Submits quiz responses and returns the behavioural risk score.
+ * An optional Bearer token links the stored result to the user.
  *
  * Body:
  * {
@@ -71,7 +72,7 @@ async function handleSubmitQuiz(req, res) {
             });
         }
 
-        const result = await behaviourService.submitQuiz(responses);
+        const result = await behaviourService.submitQuiz(responses, req.user?.sub || null);
         const statusCode = result.success ? 200 : 400;
         return res.status(statusCode).json(result);
     } catch (err) {
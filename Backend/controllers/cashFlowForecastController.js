@@ -0,0 +1,63 @@
+/**
+ * Cash-Flow Forecast Controller
+ *
+ * Express handler for projecting an FI session's cash flow forward.
+ */
+const cashFlowForecastService = require('../services/cashFlowForecastService');
+const auditService = require('../services/auditService');
+const { MIN_HORIZON, MAX_HORIZON } = require('../utils/cashFlowForecast');
+
+/**
+ * POST /analytics/cashflow/forecast
+ *
+ * Fetches FI data by sessionId and forecasts monthly inflow, outflow and
+ * closing balance, flagging months at risk of a shortfall.
+ *
+ * Body: { "sessionId": "...", "horizon": 3 }   // horizon: 3–6 months, default 3
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "sessionId": "...",
+ *     "method": { "model": "linear-trend", "seasonal": false, "confidenceLevel": 0.8, "historyMonths": 8, ... },
+ *     "history": [{ "month": "2025-10", "inflow": ..., "outflow": ..., "netFlow": ... }],
+ *     "openingBalance": 489681,
+ *     "forecast": [{
+ *       "month": "2025-12",
+ *       "inflow": { "expected": ..., "lower": ..., "upper": ... },
+ *       "outflow": { ... }, "netFlow": { ... }, "closingBalance": { ... },
+ *       "shortfallRisk": "LOW"            // LOW | ELEVATED | HIGH
+ *     }],
+ *     "shortfallMonths": []
+ *   }
+ * }
+ */
+async function handleForecastBySession(req, res) {
+    try {
+        const { sessionId, horizon } = req.body;
+
+        const errors = [];
+        if (!sessionId) errors.push('sessionId is required in the request body.');
+        if (horizon !== undefined && (!Number.isInteger(horizon) || horizon < MIN_HORIZON || horizon > MAX_HORIZON)) {
+            errors.push(`horizon must be an integer from ${MIN_HORIZON} to ${MAX_HORIZON}.`);
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        }
+
+        const result = await cashFlowForecastService.forecastFromSession(sessionId, {
+            horizon,
+            actor: auditService.actorFromUser(req.user),
+        });
+        const statusCode = result.success ? 200 : 400;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[CashFlowForecastController] handleForecastBySession error:', err);
+        return res.status(500).json({ success: false, message: 'Internal server error.' });
+    }
+}
+
+module.exports = {
+    handleForecastBySession,
+};
@@ -0,0 +1,63 @@
+/**
+ * Category Controller
+ *
+ * Express handler for testing narrations against the categorisation ruleset.
+ */
+const categoryService = require('../services/categoryService');
+
+const TYPES = ['CREDIT', 'DEBIT'];
+
+/**
+ * POST /analytics/categories/test
+ *
+ * Categorises a narration with the active ruleset. Lender staff get their
+ * organisation's overrides.
+ *
+ * Body: { "narration": "NACH/HDFC BANK/TERM LOAN EMI", "amount": 18500, "type": "DEBIT", "mode": "NACH" }
+ *       // amount, type and mode are optional; rules that test them won't match without them
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "ruleset": { "version": "2026.1", "tenantId": null, "tenantOverrides": false },
+ *     "input": { "narration": "...", "amount": 18500, "type": "DEBIT", "mode": "NACH" },
+ *     "category": "EMI",
+ *     "mcc": "6010",
+ *     "ruleId": "emi",               // null when the default applied
+ *     "ruleSource": "base"           // base | tenant | null
+ *   }
+ * }
+ */
+function handleTest(req, res) {
+    try {
+        const { narration, amount, type, mode } = req.body;
+
+        const errors = [];
+        if (typeof narration !== 'string' || narration.trim() === '') {
+            errors.push('narration is required in the request body.');
+        }
+        if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+            errors.push('amount must be a non-negative number.');
+        }
+        if (type !== undefined && (typeof type !== 'string' || !TYPES.includes(type.toUpperCase()))) {
+            errors.push(`type must be ${TYPES.join(' or ')}.`);
+        }
+        if (mode !== undefined && (typeof mode !== 'string' || mode.trim() === '')) {
+            errors.push('mode must be a non-empty string.');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        }
+
+        const result = categoryService.testNarration({ narration, amount, type, mode }, { tenantId: req.user.orgId });
+        return res.status(200).json(result);
+    } catch (err) {
+        console.error('[CategoryController] handleTest error:', err);
+        return res.status(500).json({ success: false, message: 'Internal server error.' });
+    }
+}
+
+module.exports = {
+    handleTest,
+};
@@ -4,15 +4,20 @@
  * Express route handlers for Account Aggregator consent artefact management.
  */
 const consentService = require('../services/consentService');
+const consentUsageService = require('../services/consentUsageService');
+const auditService = require('../services/auditService');
+const { sendForbidden } = require('../middleware/authMiddleware');
 
 /**
  * POST /consent/create
  *
- * Creates a new consent artefact.
+ * Creates a new consent artefact for the authenticated user.
+ * userReferenceId defaults to the token subject and may not name another user.
  *
  * Body:
  * {
- *   "userReferenceId": "user-123",
+ *   "userReferenceId": "<hashed Aadhaar>",      // optional
+ *   "dataConsumerId": "<lender orgId>",          // lender that may view the resulting score
  *   "fiTypes": ["DEPOSIT", "UPI"],
  *   "dataRange": { "from": "2025-01-01T00:00:00Z", "to": "2026-01-01T00:00:00Z" },
  *   "dataLife": { "unit": "MONTH", "value": 6 }
@@ -20,7 +25,15 @@ const consentService = require('../services/consentService');
  */
 async function handleCreate(req, res) {
     try {
-        const result = await consentService.createConsent(req.body);
+        const { userReferenceId } = req.body;
+        if (userReferenceId && userReferenceId !== req.user.sub) {
+            return sendForbidden(res, 'Consents can only be created for the authenticated user.');
+        }
+
+        const result = await consentService.createConsent({
+            ...req.body,
+            userReferenceId: req.user.sub,
+        });
         const statusCode = result.success ? 201 : 400;
         return res.status(statusCode).json(result);
     } catch (err) {
@@ -36,13 +49,11 @@ async function handleCreate(req, res) {
  * GET /consent/:consentId
  *
  * Retrieves a consent artefact by its ID.
+ * Ownership is checked by requireConsentOwner, which loads req.consent.
  */
 async function handleGet(req, res) {
     try {
-        const { consentId } = req.params;
-        const result = await consentService.getConsent(consentId);
-        const statusCode = result.success ? 200 : 404;
-        return res.status(statusCode).json(result);
+        return res.status(200).json({ success: true, data: req.consent });
     } catch (err) {
         console.error('[ConsentController] handleGet error:', err);
         return res.status(500).json({
@@ -56,10 +67,15 @@ async function handleGet(req, res) {
  * GET /consent/user/:userReferenceId
  *
  * Retrieves all consent artefacts for a given user.
+ * Users may only list their own consents.
  */
 async function handleGetByUser(req, res) {
     try {
         const { userReferenceId } = req.params;
+        if (userReferenceId !== req.user.sub) {
+            return sendForbidden(res, 'You can only view your own consents.');
+        }
+
         const result = await consentService.getUserConsents(userReferenceId);
         return res.status(200).json(result);
     } catch (err) {
@@ -71,19 +87,112 @@ async function handleGetByUser(req, res) {
     }
 }
 
+/**
+ * Builds a handler that applies a consent status change.
+ * Ownership is checked by requireConsentOwner, so a failure here means the
+ * consent is in a status the change cannot apply to (409).
+ *
+ * @param {Function} action - consentService.revokeConsent | pauseConsent | resumeConsent
+ * @param {string} name - Handler name for logging.
+ */
+function buildStatusHandler(action, name) {
+    return async (req, res) => {
+        try {
+            const result = await action(req.params.consentId, auditService.actorFromUser(req.user));
+            const statusCode = result.success ? 200 : 409;
+            return res.status(statusCode).json(result);
+        } catch (err) {
+            console.error(`[ConsentController] ${name} error:`, err);
+            return res.status(500).json({
+                success: false,
+                message: 'Internal server error.',
+            });
+        }
+    };
+}
+
 /**
  * POST /consent/:consentId/revoke
  *
- * Revokes an active consent artefact.
+ * Revokes an ACTIVE or PAUSED consent artefact.
+ */
+const handleRevoke = buildStatusHandler(consentService.revokeConsent, 'handleRevoke');
+
+/**
+ * POST /consent/:consentId/pause
+ *
+ * Pauses an ACTIVE consent; FI requests are refused while paused.
+ */
+const handlePause = buildStatusHandler(consentService.pauseConsent, 'handlePause');
+
+/**
+ * POST /consent/:consentId/resume
+ *
+ * Resumes a PAUSED consent that has not expired.
+ */
+const handleResume = buildStatusHandler(consentService.resumeConsent, 'handleResume');
+
+/**
+ * GET /consent/:consentId/verify
+ *
+ * Re-verifies the consent's signedConsent JWS and reports any artefact
+ * fields that no longer match the signed terms.
+ * Access is checked by requireConsentViewer, which loads req.consent.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "consentId": "...",
+ *     "verified": false,
+ *     "signatureValid": true,
+ *     "artefactMatches": false,
+ *     "tamperedFields": ["DataLife"],
+ *     "keyId": "fiu-client-001",
+ *     "algorithm": "RS256",
+ *     "message": "Artefact differs from the signed terms: DataLife."
+ *   }
+ * }
  */
-async function handleRevoke(req, res) {
+async function handleVerify(req, res) {
     try {
-        const { consentId } = req.params;
-        const result = await consentService.revokeConsent(consentId);
-        const statusCode = result.success ? 200 : 404;
-        return res.status(statusCode).json(result);
+        const report = consentService.verifyConsentSignature(req.consent);
+        return res.status(200).json({ success: true, data: report });
+    } catch (err) {
+        console.error('[ConsentController] handleVerify error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /consent/:consentId/usage
+ *
+ * Returns when the consent was used for FI requests and how much of its
+ * Frequency allowance remains in the current window.
+ * Ownership is checked by requireConsentOwner, which loads req.consent.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "consentId": "...",
+ *     "frequency": { "unit": "MONTH", "value": 1 },
+ *     "count": 3,
+ *     "lastUseDateTime": "...",
+ *     "window": { "unit": "MONTH", "limit": 1, "used": 1, "remaining": 0, "windowStart": "...", "nextAllowedAt": "..." },
+ *     "history": [{ "txnid": "...", "sessionId": "...", "fiType": "DEPOSIT", "dataRange": {...}, "usedAt": "..." }]
+ *   }
+ * }
+ */
+async function handleUsage(req, res) {
+    try {
+        const report = await consentUsageService.getUsageReport(req.consent);
+        return res.status(200).json({ success: true, data: report });
     } catch (err) {
-        console.error('[ConsentController] handleRevoke error:', err);
+        console.error('[ConsentController] handleUsage error:', err);
         return res.status(500).json({
             success: false,
             message: 'Internal server error.',
@@ -96,4 +205,8 @@ module.exports = {
     handleGet,
     handleGetByUser,
     handleRevoke,
+    handlePause,
+    handleResume,
+    handleVerify,
+    handleUsage,
 };
@@ -0,0 +1,86 @@
+/**
+ * Data Rights Controller
+ *
+ * Express route handlers for DPDP data-principal rights: data export and
+ * erasure for the authenticated MSME user.
+ */
+const dataRightsService = require('../services/dataRightsService');
+const tokenService = require('../services/tokenService');
+
+/**
+ * GET /me/data-export
+ *
+ * Returns everything held about the authenticated user as one JSON bundle.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "formatVersion": "1.0",
+ *     "exportedAt": "...",
+ *     "userReferenceId": "...",
+ *     "consents": [...],
+ *     "consentUsage": { "<consentId>": [...] },
+ *     "fiSessions": [...],
+ *     "scores": [{ ...score, "proof": {...} }],
+ *     "behaviourResults": [...],
+ *     "socialScores": [...],
+ *     "auditTrail": [...]
+ *   }
+ * }
+ */
+async function handleExport(req, res) {
+    try {
+        const bundle = await dataRightsService.exportUserData(req.user.sub);
+
+        res.set('Content-Disposition', `attachment; filename="data-export-${bundle.exportedAt.slice(0, 10)}.json"`);
+        return res.status(200).json({ success: true, data: bundle });
+    } catch (err) {
+        console.error('[DataRightsController] handleExport error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * DELETE /me
+ *
+ * Erases the authenticated user's data across all stores, keeping only the
+ * audit trail, and revokes the current session.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "message": "Your data has been erased. Audit entries required for accountability are retained.",
+ *   "data": {
+ *     "consentsRevoked": 1, "consentsDeleted": 2, "consentUsageDeleted": 3,
+ *     "fiSessionsDeleted": 3, "scoresDeleted": 1, "behaviourResultsDeleted": 1,
+ *     "socialScoresDeleted": 0, "auditEntriesRetained": 14
+ *   }
+ * }
+ */
+async function handleErase(req, res) {
+    try {
+        const summary = await dataRightsService.eraseUserData(req.user.sub);
+        await tokenService.revokeSession(req.user);
+
+        return res.status(200).json({
+            success: true,
+            message: 'Your data has been erased. Audit entries required for accountability are retained.',
+            data: summary,
+        });
+    } catch (err) {
+        console.error('[DataRightsController] handleErase error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+module.exports = {
+    handleExport,
+    handleErase,
+};
@@ -5,6 +5,7 @@
  * financial data from Account Aggregator.
  */
 const fiFetchService = require('../services/fiFetchService');
+const auditService = require('../services/auditService');
 
 /**
  * POST /fi/fetch
@@ -23,6 +24,9 @@ const fiFetchService = require('../services/fiFetchService');
  *   "data": {
  *     "txnid": "...",
  *     "sessionId": "...",
+ *     "accounts": [
+ *       { "maskedAccNumber": "...", "profile": { "holders": [...] }, "summary": { "currentBalance": ..., "type": "CURRENT", ... } }
+ *     ],
  *     "analysis": {
  *       "totalInflow": 57000,
  *       "totalOutflow": 21100,
@@ -49,6 +53,7 @@ async function handleFiFetch(req, res) {
         const result = await fiFetchService.fetchFiData(sessionId, {
             fipId,
             linkRefNumbers,
+            actor: auditService.actorFromUser(req.user),
         });
 
         const statusCode = result.success ? 200 : 400;
@@ -4,11 +4,17 @@
  * Express route handlers for Account Aggregator FI data requests.
  */
 const fiRequestService = require('../services/fiRequestService');
+const { isValidUuid } = require('../utils/uuidGenerator');
+
+const ERROR_STATUS = {
+    UsageLogUnavailable: 503,
+};
 
 /**
  * POST /fi/request
  *
  * Initiates an FI data request to the Account Aggregator.
+ * The consent must belong to the authenticated user (requireConsentOwner).
  *
  * Body:
  * {
@@ -21,8 +27,18 @@ const fiRequestService = require('../services/fiRequestService');
  */
 async function handleFiRequest(req, res) {
     try {
-        const result = await fiRequestService.initiateFiRequest(req.body);
-        const statusCode = result.success ? 200 : 400;
+        const result = await fiRequestService.initiateFiRequest({
+            ...req.body,
+            userReferenceId: req.user.sub,
+        });
+
+        if (result.retryAfter) {
+            // Consent Frequency exhausted for the current window
+            res.set('Retry-After', new Date(result.retryAfter).toUTCString());
+            return res.status(429).json(result);
+        }
+
+        const statusCode = result.success ? 200 : ERROR_STATUS[result.errorCode] || 400;
         return res.status(statusCode).json(result);
     } catch (err) {
         console.error('[FIController] handleFiRequest error:', err);
@@ -37,20 +53,11 @@ async function handleFiRequest(req, res) {
  * GET /fi/session/:txnid
  *
  * Retrieves an FI request session by transaction ID.
+ * Ownership is checked by requireFiSessionOwner, which loads req.fiSession.
  */
 function handleGetSession(req, res) {
     try {
-        const { txnid } = req.params;
-        const session = fiRequestService.getFiSession(txnid);
-
-        if (!session) {
-            return res.status(404).json({
-                success: false,
-                message: 'FI session not found.',
-            });
-        }
-
-        return res.status(200).json({ success: true, data: session });
+        return res.status(200).json({ success: true, data: fiRequestService.toPublicSession(req.fiSession) });
     } catch (err) {
         console.error('[FIController] handleGetSession error:', err);
         return res.status(500).json({
@@ -63,15 +70,54 @@ function handleGetSession(req, res) {
 /**
  * GET /fi/sessions
  *
- * Lists all FI request sessions.
+ * Lists the authenticated user's FI request sessions, newest first.
+ *
+ * Query:
+ *   status    — PENDING | READY | DELIVERED | FAILED | EXPIRED
+ *   consentId — only sessions for this consent
+ *   fiType    — e.g. DEPOSIT
+ *   limit     — page size (1–100, default 20)
+ *   offset    — rows to skip (default 0)
  */
-function handleListSessions(req, res) {
+async function handleListSessions(req, res) {
     try {
-        const sessions = fiRequestService.listFiSessions();
+        const { status, consentId, fiType } = req.query;
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+        const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+        const errors = [];
+        if (status && !fiRequestService.FI_SESSION_STATUSES.includes(status)) {
+            errors.push(`status must be one of: [${fiRequestService.FI_SESSION_STATUSES.join(', ')}]`);
+        }
+        if (consentId && !isValidUuid(consentId)) {
+            errors.push('consentId must be a valid UUID.');
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            errors.push('limit must be an integer between 1 and 100.');
+        }
+        if (!Number.isInteger(offset) || offset < 0) {
+            errors.push('offset must be a non-negative integer.');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: 'Validation failed.', errors });
+        }
+
+        const { sessions, total } = await fiRequestService.listFiSessions({
+            userReferenceId: req.user.sub,
+            status,
+            consentId,
+            fiType,
+            limit,
+            offset,
+        });
+
         return res.status(200).json({
             success: true,
-            data: sessions,
+            data: sessions.map(fiRequestService.toPublicSession),
             count: sessions.length,
+            total,
+            limit,
+            offset,
         });
     } catch (err) {
         console.error('[FIController] handleListSessions error:', err);
@@ -0,0 +1,197 @@
+/**
+ * Lender Controller
+ *
+ * Express route handlers for lender organisations, staff accounts and
+ * consent-scoped applicant access.
+ */
+const lenderService = require('../services/lenderService');
+const consentService = require('../services/consentService');
+const scoringService = require('../services/scoringService');
+const auditService = require('../services/auditService');
+const { canViewApplicant } = require('../services/accessControlService');
+const { sendForbidden } = require('../middleware/authMiddleware');
+
+const ERROR_STATUS = {
+    RegistrationDisabled: 403,
+    InvalidRegistrationKey: 403,
+    LoginLocked: 429,
+};
+
+/**
+ * POST /lender/register
+ *
+ * Registers a lender organisation and its first admin user.
+ *
+ * Body:
+ * {
+ *   "name": "Acme Finance Ltd",
+ *   "adminEmail": "admin@acme.example",
+ *   "adminPassword": "at-least-10-chars",
+ *   "registrationKey": "..."          // must match LENDER_REGISTRATION_KEY
+ * }
+ *
+ * Response includes the admin's TOTP secret and otpauth:// URI (shown once).
+ */
+async function handleRegister(req, res) {
+    try {
+        const result = await lenderService.registerOrganisation(req.body || {});
+        const statusCode = result.success ? 201 : ERROR_STATUS[result.errorCode] || 400;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[LenderController] handleRegister error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * POST /auth/lender/login
+ *
+ * Body: { "email": "...", "password": "...", "totp": "123456" }
+ */
+async function handleLogin(req, res) {
+    try {
+        const { email, password, totp } = req.body || {};
+
+        if (![email, password, totp].every((value) => typeof value === 'string' && value !== '')) {
+            return res.status(400).json({
+                success: false,
+                message: 'email, password and totp are required and must be strings.',
+            });
+        }
+
+        const result = await lenderService.login({ email, password, totp });
+        const statusCode = result.success ? 200 : ERROR_STATUS[result.errorCode] || 401;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[LenderController] handleLogin error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * POST /lender/users
+ *
+ * Creates a staff user in the admin's organisation.
+ *
+ * Body: { "email": "...", "password": "...", "role": "analyst" | "credit-officer" | "admin" }
+ */
+async function handleCreateUser(req, res) {
+    try {
+        const result = await lenderService.createUser(req.user.orgId, req.body || {});
+        const statusCode = result.success ? 201 : 400;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[LenderController] handleCreateUser error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /lender/users
+ *
+ * Lists the staff users of the admin's organisation.
+ */
+async function handleListUsers(req, res) {
+    try {
+        const users = await lenderService.listUsers(req.user.orgId);
+        return res.status(200).json({ success: true, count: users.length, data: users });
+    } catch (err) {
+        console.error('[LenderController] handleListUsers error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /lender/msme
+ *
+ * Lists applicants holding an ACTIVE consent that names the lender
+ * organisation as DataConsumer. Each listed applicant gets an audit entry.
+ */
+async function handleListApplicants(req, res) {
+    try {
+        const consents = await consentService.getActiveConsentsForConsumer(req.user.orgId);
+
+        const applicants = new Map();
+        for (const consent of consents) {
+            const userReferenceId = consentService.getConsentOwner(consent);
+            const entry = applicants.get(userReferenceId) || { userReferenceId, consentIds: [] };
+            entry.consentIds.push(consent.consentId || consent.consent_id);
+            applicants.set(userReferenceId, entry);
+        }
+
+        const data = Array.from(applicants.values());
+        const actor = auditService.actorFromUser(req.user);
+        for (const applicant of data) {
+            await auditService.record({
+                eventType: auditService.EVENT_TYPES.APPLICANT_LISTED,
+                actor,
+                userReferenceId: applicant.userReferenceId,
+                resourceType: 'applicant',
+                resourceId: applicant.userReferenceId,
+                details: { consentIds: applicant.consentIds },
+            });
+        }
+
+        return res.status(200).json({ success: true, count: data.length, data });
+    } catch (err) {
+        console.error('[LenderController] handleListApplicants error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /lender/msme/:userReferenceId/scores
+ *
+ * Lists NovaScores of a consenting applicant, newest first. The view is audited.
+ */
+async function handleGetApplicantScores(req, res) {
+    try {
+        const { userReferenceId } = req.params;
+
+        if (!(await canViewApplicant(req.user, userReferenceId))) {
+            return sendForbidden(res, 'This applicant has not granted an active consent to your organisation.');
+        }
+
+        const scores = await scoringService.listScoresByUser(userReferenceId);
+        await auditService.record({
+            eventType: auditService.EVENT_TYPES.SCORE_VIEWED,
+            actor: auditService.actorFromUser(req.user),
+            userReferenceId,
+            resourceType: 'applicant',
+            resourceId: userReferenceId,
+            details: { scoreIds: scores.map((s) => s.scoreId) },
+        });
+
+        return res.status(200).json({ success: true, count: scores.length, data: scores });
+    } catch (err) {
+        console.error('[LenderController] handleGetApplicantScores error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+module.exports = {
+    handleRegister,
+    handleLogin,
+    handleCreateUser,
+    handleListUsers,
+    handleListApplicants,
+    handleGetApplicantScores,
+};
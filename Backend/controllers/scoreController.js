@@ -0,0 +1,182 @@
+/**
+ * NovaScore Controller
+ *
+ * Express route handlers for composite NovaScore computation.
+ */
+const scoringService = require('../services/scoringService');
+const auditService = require('../services/auditService');
+const { canViewApplicant } = require('../services/accessControlService');
+const { sendForbidden } = require('../middleware/authMiddleware');
+const { isLenderRole } = require('../utils/permissions');
+
+/**
+ * POST /score/compute
+ *
+ * Combines module outputs into a 300–900 NovaScore with a risk band.
+ * Any signal may be omitted; the remaining weights are re-scaled.
+ *
+ * Body:
+ * {
+ *   "userReferenceId": "<hashed Aadhaar>",         // optional, defaults to token subject
+ *   "signals": {
+ *     "gst": { ...calculateCompliance output or /gst/fetch data },
+ *     "fi": { ...analyzeTransactions output or /fi/fetch data.analysis },
+ *     "upi": { ...analyzeUpi output or /analytics/upi data },
+ *     "bbps": { ...calculateReliability output or /utility/bbps/fetch data },
+ *     "behaviour": { ...POST /behaviour/quiz data },
+ *     "social": { ...POST /social/connect data }
+ *   }
+ * }
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "scoreId": "uuid",
+ *     "novaScore": 712,
+ *     "normalizedScore": 0.6867,
+ *     "riskBand": { "band": "GOOD", "label": "Reliable" },
+ *     "signals": { "gst": { "available": true, "score": 0.7083, "baseWeight": 0.25, "effectiveWeight": 0.3333, "factors": [...] }, ... },
+ *     "missingSignals": ["behaviour", "social"],
+ *     "coverage": 0.8,
+ *     "explanation": {
+ *       "baselineScore": 668.5,
+ *       "rawScore": 712.02,
+ *       "contributions": [
+ *         { "factor": "savingsRate", "label": "Savings rate", "signal": "fi", "contribution": 31.2, "direction": "positive", ... },
+ *         { "factor": "utilityDelays", "label": "Utility payment delays", "signal": "bbps", "contribution": -9.4, "direction": "negative", ... }
+ *       ],
+ *       "reasonCodes": [
+ *         { "code": "B01", "factor": "utilityDelays", "text": "Utility bills were paid late or remain unpaid." }
+ *       ]
+ *     }
+ *   }
+ * }
+ */
+async function handleCompute(req, res) {
+    try {
+        const { userReferenceId } = req.body;
+        if (userReferenceId && userReferenceId !== req.user.sub) {
+            return sendForbidden(res, 'Scores can only be computed for the authenticated user.');
+        }
+
+        const result = await scoringService.computeScore({
+            ...req.body,
+            userReferenceId: req.user.sub,
+        });
+        const statusCode = result.success ? 200 : 400;
+        return res.status(statusCode).json(result);
+    } catch (err) {
+        console.error('[ScoreController] handleCompute error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /score/:scoreId
+ *
+ * Retrieves a previously computed NovaScore. MSME users may read their own
+ * scores; lender staff may read scores of applicants with an ACTIVE consent
+ * naming their organisation, and each lender view is audited.
+ */
+async function handleGetScore(req, res) {
+    try {
+        const { scoreId } = req.params;
+        const score = await scoringService.getScore(scoreId);
+
+        if (!score) {
+            return res.status(404).json({
+                success: false,
+                message: 'Score not found.',
+            });
+        }
+
+        if (!(await canViewApplicant(req.user, score.userReferenceId))) {
+            return sendForbidden(res, 'You do not have access to this score.');
+        }
+
+        await recordLenderView(req, score);
+        return res.status(200).json({ success: true, data: score });
+    } catch (err) {
+        console.error('[ScoreController] handleGetScore error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * GET /score/:scoreId/proof
+ *
+ * Returns the score's cryptographic proof together with everything needed
+ * to verify it offline with `node utils/scoreProof.js <file>`: the stored
+ * result, its input signals, the scoring model and the previous proof in
+ * the chain. Access rules are those of GET /score/:scoreId.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "score": { ...GET /score/:scoreId data },
+ *     "signals": { "gst": {...}, "fi": {...} },
+ *     "model": { "weights": {...}, "minScore": 300, "maxScore": 900 },
+ *     "proof": {
+ *       "version": 1, "algorithm": "SHA-256", "seq": 12, "scoreId": "...", "computedAt": "...",
+ *       "inputHashes": { "gst": "9f2c…", "fi": "41ab…", "upi": null, ... },
+ *       "modelHash": "...", "resultHash": "...", "prevProofHash": "...", "proofHash": "..."
+ *     },
+ *     "previousProof": { "seq": 11, "proofHash": "..." } | null,
+ *     "chain": { "valid": true, "checked": 40, "headHash": "..." }
+ *   }
+ * }
+ */
+async function handleGetProof(req, res) {
+    try {
+        const bundle = await scoringService.getScoreProof(req.params.scoreId);
+
+        if (!bundle) {
+            return res.status(404).json({
+                success: false,
+                message: 'Score not found.',
+            });
+        }
+
+        if (!(await canViewApplicant(req.user, bundle.score.userReferenceId))) {
+            return sendForbidden(res, 'You do not have access to this score.');
+        }
+
+        await recordLenderView(req, bundle.score);
+        return res.status(200).json({ success: true, data: bundle });
+    } catch (err) {
+        console.error('[ScoreController] handleGetProof error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+/**
+ * Audits a lender's view of a score (MSME users reading their own are not logged).
+ */
+async function recordLenderView(req, score) {
+    if (!isLenderRole(req.user.role)) return;
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.SCORE_VIEWED,
+        actor: auditService.actorFromUser(req.user),
+        userReferenceId: score.userReferenceId,
+        resourceType: 'score',
+        resourceId: score.scoreId,
+    });
+}
+
+module.exports = {
+    handleCompute,
+    handleGetScore,
+    handleGetProof,
+};
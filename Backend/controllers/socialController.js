@@ -64,7 +64,7 @@ async function handleConnect(req, res) {
             });
         }
 
-        const result = await socialService.connectAndScore(profileUrls);
+        const result = await socialService.connectAndScore(profileUrls, req.user?.sub || null);
 
         const statusCode = result.success ? 200 : 400;
         return res.status(statusCode).json(result);
@@ -0,0 +1,76 @@
+/**
+ * Statement Controller
+ *
+ * Express route handler for uploading a bank statement as an
+ * alternative to fetching FI data through the Account Aggregator.
+ */
+const statementService = require('../services/statementService');
+const auditService = require('../services/auditService');
+
+const ERROR_STATUS = {
+    EmptyStatement: 400,
+    UnknownBank: 422,
+    UnreadableStatement: 422,
+    UnrecognisedLayout: 422,
+    NoTransactions: 422,
+};
+
+/**
+ * POST /fi/statement/upload?bank=HDFC
+ *
+ * Body: the raw statement file, sent as `text/csv` or `application/pdf`.
+ * `bank` (SBI, HDFC, ICICI, AXIS) is optional when the statement names
+ * the bank or its IFSC.
+ *
+ * Response:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "bank": "HDFC",
+ *     "format": "csv",
+ *     "transactionCount": 214,
+ *     "skippedRows": 3,
+ *     "period": { "from": "2025-10-01", "to": "2025-12-31" },
+ *     "analysis": { "totalInflow": ..., "credits": [...], ... },
+ *     "upi": { "totalVolume": ..., ... }
+ *   }
+ * }
+ */
+async function handleStatementUpload(req, res) {
+    try {
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(415).json({
+                success: false,
+                message: 'Upload the statement file as the request body with Content-Type text/csv or application/pdf.',
+            });
+        }
+
+        const { bank } = req.query;
+        const format = req.is('application/pdf') ? 'pdf' : req.is(['text/csv', 'text/plain']) ? 'csv' : undefined;
+
+        const result = await statementService.analyzeStatement(req.body, {
+            bank,
+            format,
+            userReferenceId: req.user.sub,
+            actor: auditService.actorFromUser(req.user),
+        });
+
+        if (!result.success) {
+            return res.status(ERROR_STATUS[result.errorCode] || 400).json({
+                success: false,
+                message: result.message,
+            });
+        }
+        return res.status(200).json(result);
+    } catch (err) {
+        console.error('[StatementController] handleStatementUpload error:', err);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+}
+
+module.exports = {
+    handleStatementUpload,
+};
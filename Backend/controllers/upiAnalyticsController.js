@@ -4,6 +4,7 @@
  * Express handlers for UPI-based transaction analytics.
  */
 const upiAnalyticsService = require('../services/upiAnalyticsService');
+const auditService = require('../services/auditService');
 
 /**
  * POST /analytics/upi
@@ -56,7 +57,7 @@ async function handleAnalyzeBySession(req, res) {
             });
         }
 
-        const result = await upiAnalyticsService.analyzeFromSession(sessionId);
+        const result = await upiAnalyticsService.analyzeFromSession(sessionId, auditService.actorFromUser(req.user));
         const statusCode = result.success ? 200 : 400;
         return res.status(statusCode).json(result);
     } catch (err) {
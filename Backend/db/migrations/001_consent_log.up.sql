@@ -0,0 +1,35 @@
+-- Consent artefacts (ReBIT AA API v2.0). Written to adopt databases created
+-- before migrations existed, hence IF NOT EXISTS throughout.
+
+CREATE TABLE IF NOT EXISTS consent_log (
+  id                SERIAL PRIMARY KEY,
+  consent_id        UUID NOT NULL UNIQUE,
+  user_reference_id VARCHAR(255) NOT NULL,
+  status            VARCHAR(20) NOT NULL DEFAULT 'ACTIVE',
+  fi_types          JSONB NOT NULL,
+  data_range        JSONB NOT NULL,
+  data_life         JSONB NOT NULL,
+  purpose           JSONB NOT NULL DEFAULT '{"code": "101", "text": "Wealth management service"}',
+  consent_artefact  JSONB NOT NULL,
+  data_consumer_id  VARCHAR(255),
+  signed_consent    TEXT,
+  expires_at        TIMESTAMP WITH TIME ZONE,
+  created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  revoked_at        TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT valid_status CHECK (status IN ('ACTIVE', 'REVOKED', 'PAUSED', 'EXPIRED'))
+);
+
+ALTER TABLE consent_log ADD COLUMN IF NOT EXISTS signed_consent TEXT;
+ALTER TABLE consent_log ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE consent_log ADD COLUMN IF NOT EXISTS data_consumer_id VARCHAR(255);
+
+-- Backfill from artefacts written before encryption (encrypted ones have no DataConsumer key)
+UPDATE consent_log SET data_consumer_id = consent_artefact->'DataConsumer'->>'id'
+WHERE data_consumer_id IS NULL AND consent_artefact ? 'DataConsumer';
+
+CREATE INDEX IF NOT EXISTS idx_consent_user_ref ON consent_log(user_reference_id);
+CREATE INDEX IF NOT EXISTS idx_consent_status ON consent_log(status);
+CREATE INDEX IF NOT EXISTS idx_consent_created ON consent_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_consent_expires ON consent_log(expires_at);
+CREATE INDEX IF NOT EXISTS idx_consent_data_consumer ON consent_log(data_consumer_id);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS fi_sessions;
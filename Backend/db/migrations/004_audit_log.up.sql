@@ -0,0 +1,37 @@
+-- Append-only, hash-chained audit log. The triggers reject UPDATE, DELETE
+-- and TRUNCATE so entries cannot be edited in place.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  seq                BIGINT PRIMARY KEY,
+  event_id           UUID NOT NULL UNIQUE,
+  event_type         VARCHAR(40) NOT NULL,
+  actor_type         VARCHAR(20) NOT NULL,
+  actor_id           VARCHAR(255) NOT NULL,
+  org_id             VARCHAR(255),
+  user_reference_id  VARCHAR(255),
+  resource_type      VARCHAR(40),
+  resource_id        VARCHAR(255),
+  details            JSONB NOT NULL DEFAULT '{}',
+  created_at         TIMESTAMP WITH TIME ZONE NOT NULL,
+  prev_hash          CHAR(64) NOT NULL,
+  hash               CHAR(64) NOT NULL UNIQUE
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_user_ref ON audit_log(user_reference_id, seq);
+CREATE INDEX IF NOT EXISTS idx_audit_org ON audit_log(org_id, seq);
+
+CREATE OR REPLACE FUNCTION audit_log_reject_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_immutable ON audit_log;
+CREATE TRIGGER audit_log_immutable
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_reject_change();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+  BEFORE TRUNCATE ON audit_log
+  FOR EACH STATEMENT EXECUTE FUNCTION audit_log_reject_change();
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS auth_denylist;
+DROP TABLE IF EXISTS auth_refresh_tokens;
+DROP TABLE IF EXISTS auth_failed_attempts;
+DROP TABLE IF EXISTS auth_otp_sessions;
@@ -0,0 +1,32 @@
+-- Auth state for STORE_DRIVER=postgres: OTP sessions, lockouts, refresh
+-- tokens and the revocation denylist.
+
+CREATE TABLE IF NOT EXISTS auth_otp_sessions (
+  hashed_aadhaar  VARCHAR(64) PRIMARY KEY,
+  txn_id          VARCHAR(64) NOT NULL,
+  created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  expires_at      TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS auth_failed_attempts (
+  hashed_aadhaar  VARCHAR(64) PRIMARY KEY,
+  count           INTEGER NOT NULL DEFAULT 0,
+  locked_until    TIMESTAMP WITH TIME ZONE,
+  expires_at      TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS auth_refresh_tokens (
+  token_hash  VARCHAR(64) PRIMARY KEY,
+  family_id   UUID NOT NULL,
+  sub         VARCHAR(255) NOT NULL,
+  txn_id      VARCHAR(64),
+  expires_at  TIMESTAMP WITH TIME ZONE NOT NULL,
+  used_at     TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS auth_denylist (
+  id          VARCHAR(64) PRIMARY KEY,
+  expires_at  TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON auth_refresh_tokens(family_id);
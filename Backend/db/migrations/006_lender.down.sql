@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS lender_users;
+DROP TABLE IF EXISTS lender_orgs;
@@ -0,0 +1,22 @@
+-- Bank / NBFC organisations and their staff accounts.
+
+CREATE TABLE IF NOT EXISTS lender_orgs (
+  id          UUID PRIMARY KEY,
+  name        VARCHAR(255) NOT NULL,
+  created_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS lender_users (
+  id             UUID PRIMARY KEY,
+  org_id         UUID NOT NULL REFERENCES lender_orgs(id),
+  email          VARCHAR(255) NOT NULL UNIQUE,
+  password_hash  VARCHAR(255) NOT NULL,
+  totp_secret    VARCHAR(64) NOT NULL,
+  role           VARCHAR(20) NOT NULL,
+  active         BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at     TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_login_at  TIMESTAMP WITH TIME ZONE,
+  CONSTRAINT valid_role CHECK (role IN ('analyst', 'credit-officer', 'admin'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lender_users_org ON lender_users(org_id);
@@ -0,0 +1,16 @@
+-- Anonymised social trust scores (no handles or content).
+
+CREATE TABLE IF NOT EXISTS social_scores (
+  id              SERIAL PRIMARY KEY,
+  session_id      UUID NOT NULL UNIQUE,
+  social_score    DECIMAL(5,4) NOT NULL,
+  platforms_used  JSONB NOT NULL DEFAULT '[]',
+  user_reference_id VARCHAR(255),
+  created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE social_scores ADD COLUMN IF NOT EXISTS user_reference_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_social_user_ref ON social_scores(user_reference_id);
+CREATE INDEX IF NOT EXISTS idx_social_session ON social_scores(session_id);
+CREATE INDEX IF NOT EXISTS idx_social_created ON social_scores(created_at);
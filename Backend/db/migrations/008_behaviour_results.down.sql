@@ -0,0 +1 @@
+DROP TABLE IF EXISTS behaviour_results;
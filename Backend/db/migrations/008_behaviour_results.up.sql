@@ -0,0 +1,14 @@
+-- Behavioural quiz results (scores only, never the answers).
+
+CREATE TABLE IF NOT EXISTS behaviour_results (
+  id                 SERIAL PRIMARY KEY,
+  session_id         UUID NOT NULL UNIQUE,
+  user_reference_id  VARCHAR(255),
+  normalized_score   DECIMAL(5,4) NOT NULL,
+  total_score        INTEGER NOT NULL,
+  created_at         TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+ALTER TABLE behaviour_results ADD COLUMN IF NOT EXISTS user_reference_id VARCHAR(255);
+
+CREATE INDEX IF NOT EXISTS idx_behaviour_user_ref ON behaviour_results(user_reference_id);
@@ -0,0 +1 @@
+ALTER TABLE lender_users DROP COLUMN IF EXISTS last_totp_step;
@@ -0,0 +1,4 @@
+-- Last TOTP time step accepted per lender user, so a code can't be replayed
+-- within its validity window.
+
+ALTER TABLE lender_users ADD COLUMN IF NOT EXISTS last_totp_step BIGINT;
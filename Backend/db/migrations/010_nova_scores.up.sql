@@ -0,0 +1,11 @@
+-- Computed NovaScores. record holds the score as returned by
+-- GET /score/:scoreId (factor contributions, reason codes, explanation).
+
+CREATE TABLE IF NOT EXISTS nova_scores (
+  score_id           UUID PRIMARY KEY,
+  user_reference_id  VARCHAR(255),
+  record             JSONB NOT NULL,
+  computed_at        TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_nova_scores_user_ref ON nova_scores(user_reference_id, computed_at);
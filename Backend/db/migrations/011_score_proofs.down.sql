@@ -0,0 +1,4 @@
+-- Destroys the proof chain. DROP TABLE is not blocked by the row/truncate triggers.
+DROP TABLE IF EXISTS score_inputs;
+DROP TABLE IF EXISTS score_proofs;
+DROP FUNCTION IF EXISTS score_proofs_reject_change();
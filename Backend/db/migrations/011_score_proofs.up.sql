@@ -0,0 +1,34 @@
+-- Hash chain of NovaScore proofs (utils/scoreProof) and the inputs each
+-- score was computed from. score_proofs is append-only: the triggers reject
+-- UPDATE, DELETE and TRUNCATE. score_inputs rows are deleted with their
+-- score on erasure; the proof, which holds only hashes, stays in the chain.
+
+CREATE TABLE IF NOT EXISTS score_proofs (
+  seq         BIGINT PRIMARY KEY,
+  score_id    UUID NOT NULL UNIQUE,
+  proof       JSONB NOT NULL,
+  proof_hash  CHAR(64) NOT NULL UNIQUE,
+  created_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS score_inputs (
+  score_id  UUID PRIMARY KEY,
+  signals   JSONB NOT NULL,
+  model     JSONB NOT NULL
+);
+
+CREATE OR REPLACE FUNCTION score_proofs_reject_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'score_proofs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS score_proofs_immutable ON score_proofs;
+CREATE TRIGGER score_proofs_immutable
+  BEFORE UPDATE OR DELETE ON score_proofs
+  FOR EACH ROW EXECUTE FUNCTION score_proofs_reject_change();
+
+DROP TRIGGER IF EXISTS score_proofs_no_truncate ON score_proofs;
+CREATE TRIGGER score_proofs_no_truncate
+  BEFORE TRUNCATE ON score_proofs
+  FOR EACH STATEMENT EXECUTE FUNCTION score_proofs_reject_change();
@@ -0,0 +1,288 @@
+/**
+ * Database Migration Runner
+ *
+ * Applies the versioned SQL migrations in db/migrations and records them in
+ * schema_migrations. Each migration is a pair of files:
+ *
+ *   NNN_name.up.sql    — applies the change
+ *   NNN_name.down.sql  — reverts it
+ *
+ * Migrations run in version order, each in its own transaction, under an
+ * advisory lock so concurrent instances don't apply the same migration
+ * twice. The SHA-256 of each applied up file is stored; editing a migration
+ * after it has run is reported as a checksum mismatch.
+ *
+ * CLI (from Backend/):
+ *   npm run migrate                  — apply all pending migrations
+ *   npm run rollback [-- <steps>]    — revert the last <steps> migrations (default 1)
+ *   npm run migrate:status           — list migrations and whether they are applied
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { getPool, closePool } = require('./pool');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Any constant works; it only serialises migration runs across instances.
+const MIGRATION_LOCK_KEY = 7310018;
+
+const CREATE_MIGRATIONS_TABLE_SQL = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version     VARCHAR(32) PRIMARY KEY,
+  name        VARCHAR(255) NOT NULL,
+  checksum    CHAR(64) NOT NULL,
+  applied_at  TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+`;
+
+// ─── Loading ──────────────────────────────────────────────────────
+
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Reads the migration files, paired by version and sorted ascending.
+ *
+ * @param {string} [dir]
+ * @returns {{ version: string, name: string, up: string, down: string, checksum: string }[]}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const byVersion = new Map();
+
+    for (const file of fs.readdirSync(dir)) {
+        const match = MIGRATION_FILE_REGEX.exec(file);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const migration = byVersion.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has files with different names (${migration.name}, ${name}).`);
+        }
+        if (migration[direction] !== undefined) {
+            throw new Error(`Duplicate ${direction} file for migration ${version}.`);
+        }
+        migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, migration);
+    }
+
+    const migrations = Array.from(byVersion.values())
+        .sort((a, b) => Number(a.version) - Number(b.version));
+
+    for (const migration of migrations) {
+        if (migration.up === undefined || migration.down === undefined) {
+            throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file.`);
+        }
+        migration.checksum = checksum(migration.up);
+    }
+    return migrations;
+}
+
+// ─── Locking ──────────────────────────────────────────────────────
+
+/**
+ * Runs `fn(client)` on a dedicated client holding the migration lock, with
+ * schema_migrations created.
+ */
+async function withMigrationLock(fn) {
+    const client = await getPool().connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await client.query(CREATE_MIGRATIONS_TABLE_SQL);
+        return await fn(client);
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        client.release();
+    }
+}
+
+async function getApplied(client) {
+    const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+    return new Map(rows.map((row) => [row.version, row]));
+}
+
+async function runInTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+        await fn();
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+}
+
+// ─── Commands ─────────────────────────────────────────────────────
+
+/**
+ * Applies every pending migration in version order.
+ *
+ * @returns {Promise<{ applied: string[] }>} Versions applied by this run.
+ */
+async function migrate() {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const applied = await getApplied(client);
+        const newlyApplied = [];
+
+        for (const migration of migrations) {
+            const existing = applied.get(migration.version);
+            if (existing) {
+                if (existing.checksum !== migration.checksum) {
+                    console.warn(`[Migrator] ${migration.version}_${migration.name} was edited after it was applied (checksum mismatch).`);
+                }
+                continue;
+            }
+
+            await runInTransaction(client, async () => {
+                await client.query(migration.up);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum],
+                );
+            });
+            console.log(`[Migrator] Applied ${migration.version}_${migration.name}`);
+            newlyApplied.push(migration.version);
+        }
+
+        if (newlyApplied.length === 0) console.log('[Migrator] Schema is up to date.');
+        return { applied: newlyApplied };
+    });
+}
+
+/**
+ * Reverts the most recently applied migrations.
+ *
+ * @param {number} [steps] - How many migrations to revert.
+ * @returns {Promise<{ rolledBack: string[] }>} Versions reverted, newest first.
+ */
+async function rollback(steps = 1) {
+    const migrations = new Map(loadMigrations().map((m) => [m.version, m]));
+
+    return withMigrationLock(async (client) => {
+        const { rows } = await client.query(
+            'SELECT version, name FROM schema_migrations ORDER BY version::int DESC LIMIT $1',
+            [steps],
+        );
+        const rolledBack = [];
+
+        for (const { version, name } of rows) {
+            const migration = migrations.get(version);
+            if (!migration) {
+                throw new Error(`No down file for applied migration ${version}_${name}.`);
+            }
+
+            await runInTransaction(client, async () => {
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+            });
+            console.log(`[Migrator] Rolled back ${version}_${name}`);
+            rolledBack.push(version);
+        }
+
+        if (rolledBack.length === 0) console.log('[Migrator] Nothing to roll back.');
+        return { rolledBack };
+    });
+}
+
+/**
+ * Lists every migration on disk or in schema_migrations.
+ *
+ * @returns {Promise<{ version: string, name: string, applied: boolean, appliedAt: Date|null, checksumMatches: boolean|null }[]>}
+ */
+async function status() {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(async (client) => {
+        const applied = await getApplied(client);
+        const rows = migrations.map((migration) => {
+            const existing = applied.get(migration.version);
+            return {
+                version: migration.version,
+                name: migration.name,
+                applied: Boolean(existing),
+                appliedAt: existing ? existing.applied_at : null,
+                checksumMatches: existing ? existing.checksum === migration.checksum : null,
+            };
+        });
+
+        // Applied migrations whose files have since been removed
+        for (const [version, existing] of applied) {
+            if (!migrations.some((m) => m.version === version)) {
+                rows.push({ version, name: existing.name, applied: true, appliedAt: existing.applied_at, checksumMatches: null });
+            }
+        }
+        return rows.sort((a, b) => Number(a.version) - Number(b.version));
+    });
+}
+
+/**
+ * Applies pending migrations at server startup (unless DB_MIGRATE_ON_START
+ * is false). Never throws: with PostgreSQL offline the services fall back
+ * to memory as before.
+ *
+ * @returns {Promise<boolean>} Whether the schema is known to be current.
+ */
+async function migrateOnStart() {
+    if (!config.postgres.migrateOnStart) return false;
+    try {
+        await migrate();
+        return true;
+    } catch (err) {
+        console.warn('[Migrator] Could not run migrations (DB may be offline):', err.message);
+        return false;
+    }
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────
+
+async function runCli([command, arg]) {
+    switch (command) {
+        case 'migrate':
+            await migrate();
+            return 0;
+        case 'rollback': {
+            const steps = arg === undefined ? 1 : Number(arg);
+            if (!Number.isInteger(steps) || steps < 1) {
+                console.error('Usage: node db/migrator.js rollback [steps]   (steps: positive integer)');
+                return 2;
+            }
+            await rollback(steps);
+            return 0;
+        }
+        case 'status':
+            for (const row of await status()) {
+                const state = row.applied ? `applied ${new Date(row.appliedAt).toISOString()}` : 'pending';
+                const warning = row.checksumMatches === false ? '  (edited since applied)' : '';
+                console.log(`  ${row.version}_${row.name}  ${state}${warning}`);
+            }
+            return 0;
+        default:
+            console.error('Usage: node db/migrator.js <migrate|rollback [steps]|status>');
+            return 2;
+    }
+}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2))
+        .catch((err) => {
+            console.error('[Migrator] Failed:', err.message);
+            return 1;
+        })
+        .then(async (code) => {
+            await closePool().catch(() => {});
+            process.exit(code);
+        });
+}
+
+module.exports = {
+    loadMigrations,
+    migrate,
+    rollback,
+    status,
+    migrateOnStart,
+};
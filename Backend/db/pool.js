@@ -0,0 +1,103 @@
+/**
+ * Shared PostgreSQL Connection Pool
+ *
+ * One pool for every model, store and service that talks to PostgreSQL.
+ * Schema is owned by the migrations in db/migrations (see db/migrator.js);
+ * modules only check at startup that their tables exist and fall back to
+ * memory when they don't.
+ */
+const { Pool } = require('pg');
+const config = require('../config');
+
+let pool = null;
+
+/**
+ * Returns the shared pool, creating it on first use.
+ *
+ * @returns {Pool}
+ */
+function getPool() {
+    if (!pool) {
+        pool = new Pool({
+            host: config.postgres.host,
+            port: config.postgres.port,
+            database: config.postgres.database,
+            user: config.postgres.user,
+            password: config.postgres.password,
+            ssl: config.postgres.ssl ? { rejectUnauthorized: false } : false,
+            max: config.postgres.poolMax,
+            idleTimeoutMillis: 30000,
+            connectionTimeoutMillis: 5000,
+        });
+
+        pool.on('error', (err) => {
+            console.error('[DB] PostgreSQL pool error:', err.message);
+        });
+    }
+    return pool;
+}
+
+/**
+ * Runs `fn(client)` in a transaction on a dedicated client.
+ *
+ * @param {(client: Object) => Promise<*>} fn
+ * @returns {Promise<*>} Whatever `fn` returns.
+ */
+async function withTransaction(fn) {
+    const client = await getPool().connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Checks that the given tables exist (i.e. their migrations have run).
+ * Logs the outcome under the caller's name.
+ *
+ * @param {string} owner    - Log prefix, e.g. "ConsentModel".
+ * @param {string[]} tables
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or a table is missing.
+ */
+async function checkTables(owner, tables) {
+    try {
+        const { rows } = await getPool().query(
+            'SELECT name FROM unnest($1::text[]) AS name WHERE to_regclass(name) IS NULL',
+            [tables],
+        );
+        if (rows.length > 0) {
+            const missing = rows.map((row) => row.name).join(', ');
+            console.warn(`[${owner}] Missing table(s) ${missing} — run \`npm run migrate\`.`);
+            return false;
+        }
+        console.log(`[${owner}] ${tables.join(' / ')} ${tables.length > 1 ? 'tables' : 'table'} ready.`);
+        return true;
+    } catch (err) {
+        console.warn(`[${owner}] Could not check tables (DB may be offline):`, err.message);
+        return false;
+    }
+}
+
+/**
+ * Closes the shared pool (CLI scripts and shutdown).
+ */
+async function closePool() {
+    if (pool) {
+        await pool.end();
+        pool = null;
+    }
+}
+
+module.exports = {
+    getPool,
+    withTransaction,
+    checkTables,
+    closePool,
+};
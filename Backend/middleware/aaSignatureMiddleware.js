@@ -0,0 +1,49 @@
+/**
+ * AA Signature Middleware
+ *
+ * Verifies the detached JWS (x-jws-signature header) that the Account
+ * Aggregator attaches to inbound notifications, per ReBIT AA API v2.0.
+ */
+const config = require('../config');
+const { verifyDetachedJws } = require('../utils/jwsSigner');
+
+/**
+ * Builds a ReBIT error response body.
+ *
+ * @param {Object} body - Inbound request body (for txnid echo).
+ * @param {string} errorCode
+ * @param {string} errorMsg
+ */
+function buildAaError(body, errorCode, errorMsg) {
+    return {
+        ver: '2.0.0',
+        timestamp: new Date().toISOString(),
+        txnid: body?.txnid || null,
+        errorCode,
+        errorMsg,
+    };
+}
+
+/**
+ * Rejects inbound AA requests whose detached JWS does not match the raw body (401).
+ */
+function verifyAaSignature(req, res, next) {
+    const detachedJws = req.headers['x-jws-signature'];
+
+    if (!detachedJws) {
+        return res.status(401).json(buildAaError(req.body, 'SignatureDoesNotMatch', 'x-jws-signature header is required.'));
+    }
+
+    const payload = req.rawBody !== undefined ? req.rawBody : req.body;
+    if (!verifyDetachedJws(detachedJws, payload, config.aa.publicKeyPath)) {
+        console.warn(`[AASignature] Rejected ${req.originalUrl}: signature does not match.`);
+        return res.status(401).json(buildAaError(req.body, 'SignatureDoesNotMatch', 'Detached JWS verification failed.'));
+    }
+
+    return next();
+}
+
+module.exports = {
+    verifyAaSignature,
+    buildAaError,
+};
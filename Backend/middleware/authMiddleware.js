@@ -0,0 +1,121 @@
+/**
+ * Authentication Middleware
+ *
+ * Validates the Bearer JWT issued by POST /auth/aadhaar/verify or
+ * POST /auth/lender/login and attaches the authenticated subject to the request.
+ */
+const { verifyToken } = require('../utils/jwtGenerator');
+const tokenService = require('../services/tokenService');
+
+/**
+ * Extracts the token from an `Authorization: Bearer <token>` header.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function extractBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+    return token.trim();
+}
+
+/**
+ * Rejects requests without a valid, unrevoked Bearer token (401).
+ *
+ * On success sets:
+ *   req.user = { sub, txn, role, orgId, jti, fam, exp }
+ *     MSME:   sub = hashed Aadhaar, role = 'msme', orgId = null, fam = token family
+ *     Lender: sub = lender user ID, role = analyst | credit-officer | admin
+ */
+async function requireAuth(req, res, next) {
+    const token = extractBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({
+            success: false,
+            message: 'Authentication required. Provide a Bearer token in the Authorization header.',
+        });
+    }
+
+    const { valid, decoded, error } = verifyToken(token);
+
+    if (!valid || !decoded?.sub) {
+        const expired = error && error.includes('expired');
+        return res.status(401).json({
+            success: false,
+            message: expired
+                ? 'Session token has expired. Please authenticate again.'
+                : 'Invalid session token.',
+        });
+    }
+
+    try {
+        if (await tokenService.isRevoked(decoded)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please authenticate again.',
+            });
+        }
+    } catch (err) {
+        console.error('[AuthMiddleware] Revocation check failed:', err.message);
+        return res.status(500).json({
+            success: false,
+            message: 'Internal server error.',
+        });
+    }
+
+    req.user = {
+        sub: decoded.sub,
+        txn: decoded.txn,
+        role: decoded.role || 'msme',
+        orgId: decoded.org || null,
+        jti: decoded.jti,
+        fam: decoded.fam,
+        exp: decoded.exp,
+    };
+
+    return next();
+}
+
+/**
+ * Authenticates the request when it carries a Bearer token and lets it
+ * through anonymously when it does not. A token that is present but
+ * invalid or revoked is still rejected (401).
+ */
+async function optionalAuth(req, res, next) {
+    if (!extractBearerToken(req)) return next();
+    return requireAuth(req, res, next);
+}
+
+/**
+ * Whether the authenticated user owns a resource.
+ *
+ * @param {import('express').Request} req
+ * @param {string|null|undefined} ownerId - The resource's user reference (hashed Aadhaar).
+ * @returns {boolean}
+ */
+function isOwner(req, ownerId) {
+    return Boolean(req.user?.sub) && ownerId === req.user.sub;
+}
+
+/**
+ * Sends the standard 403 response for resources owned by another user.
+ *
+ * @param {import('express').Response} res
+ * @param {string} [message]
+ */
+function sendForbidden(res, message = 'You do not have access to this resource.') {
+    return res.status(403).json({
+        success: false,
+        message,
+    });
+}
+
+module.exports = {
+    requireAuth,
+    optionalAuth,
+    isOwner,
+    sendForbidden,
+    extractBearerToken,
+};
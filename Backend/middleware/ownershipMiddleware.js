@@ -0,0 +1,118 @@
+/**
+ * Ownership Middleware
+ *
+ * Route guards that load a consent or FI session and ensure it belongs
+ * to the authenticated user. Must run after requireAuth.
+ */
+const consentService = require('../services/consentService');
+const fiRequestService = require('../services/fiRequestService');
+const { isOwner, sendForbidden } = require('./authMiddleware');
+const { isLenderRole } = require('../utils/permissions');
+
+/**
+ * Ensures the consent referenced by `req[location].consentId` belongs to
+ * the authenticated user. Sets req.consent on success.
+ *
+ * When the consentId is absent from the body, the request is passed on
+ * so the controller's own validation can report it.
+ *
+ * @param {'params'|'body'} [location='params']
+ */
+function requireConsentOwner(location = 'params') {
+    return async (req, res, next) => {
+        try {
+            const consentId = req[location]?.consentId;
+            if (!consentId && location === 'body') return next();
+
+            const result = await consentService.getConsent(consentId);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            if (!isOwner(req, consentService.getConsentOwner(result.data))) {
+                return sendForbidden(res, 'This consent belongs to another user.');
+            }
+
+            req.consent = result.data;
+            return next();
+        } catch (err) {
+            console.error('[OwnershipMiddleware] requireConsentOwner error:', err);
+            return res.status(500).json({ success: false, message: 'Internal server error.' });
+        }
+    };
+}
+
+/**
+ * Ensures the FI session referenced by `req[location][key]` belongs to
+ * the authenticated user. Sets req.fiSession on success.
+ *
+ * @param {Object} options
+ * @param {'params'|'body'} options.location - Where to read the identifier.
+ * @param {'sessionId'|'txnid'} options.key  - Which identifier is supplied.
+ */
+function requireFiSessionOwner({ location, key }) {
+    return async (req, res, next) => {
+        try {
+            const id = req[location]?.[key];
+            if (!id) return next();
+
+            const session = key === 'txnid'
+                ? await fiRequestService.getFiSession(id)
+                : await fiRequestService.getFiSessionBySessionId(id);
+
+            if (!session) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'FI session not found.',
+                });
+            }
+
+            if (!isOwner(req, session.userReferenceId)) {
+                return sendForbidden(res, 'This FI session belongs to another user.');
+            }
+
+            req.fiSession = session;
+            return next();
+        } catch (err) {
+            console.error('[OwnershipMiddleware] requireFiSessionOwner error:', err);
+            return res.status(500).json({ success: false, message: 'Internal server error.' });
+        }
+    };
+}
+
+/**
+ * Like requireConsentOwner, but also admits lender staff whose
+ * organisation is the consent's DataConsumer — whatever the consent's
+ * status, so revoked or expired consents can still be audited.
+ * Sets req.consent on success.
+ */
+function requireConsentViewer() {
+    return async (req, res, next) => {
+        try {
+            const result = await consentService.getConsent(req.params.consentId);
+            if (!result.success) {
+                return res.status(404).json(result);
+            }
+
+            const dataConsumerId = consentService.getConsentArtefact(result.data).DataConsumer?.id;
+            const isDataConsumer = isLenderRole(req.user?.role)
+                && Boolean(req.user.orgId) && req.user.orgId === dataConsumerId;
+
+            if (!isOwner(req, consentService.getConsentOwner(result.data)) && !isDataConsumer) {
+                return sendForbidden(res, 'You do not have access to this consent.');
+            }
+
+            req.consent = result.data;
+            return next();
+        } catch (err) {
+            console.error('[OwnershipMiddleware] requireConsentViewer error:', err);
+            return res.status(500).json({ success: false, message: 'Internal server error.' });
+        }
+    };
+}
+
+module.exports = {
+    requireConsentOwner,
+    requireConsentViewer,
+    requireFiSessionOwner,
+};
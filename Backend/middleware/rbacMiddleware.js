@@ -0,0 +1,26 @@
+/**
+ * Role-Based Access Control Middleware
+ *
+ * Route guards that check the authenticated user's role. Must run after
+ * requireAuth.
+ */
+const { hasPermission } = require('../utils/permissions');
+const { sendForbidden } = require('./authMiddleware');
+
+/**
+ * Allows the request only if the user holds the given permission.
+ *
+ * @param {string} permission - Key of PERMISSIONS in utils/permissions.
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user?.role, permission)) {
+            return sendForbidden(res, `Your role does not permit this action (${permission}).`);
+        }
+        return next();
+    };
+}
+
+module.exports = {
+    requirePermission,
+};
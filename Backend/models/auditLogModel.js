@@ -0,0 +1,152 @@
+/**
+ * Audit Log Model — PostgreSQL Queries
+ *
+ * Queries for the audit_log table: an append-only, hash-chained record of
+ * consent lifecycle events and every access to a user's financial data.
+ * Each row stores the hash of the previous row, and a trigger rejects
+ * UPDATE, DELETE and TRUNCATE so entries cannot be edited in place.
+ */
+const { getPool, checkTables } = require('../db/pool');
+
+// Any constant works; it only serialises appends so seq/prev_hash stay linear.
+const APPEND_LOCK_KEY = 7310014;
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the audit_log table exists (created by db/migrations, with
+ * its immutability triggers).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function checkTable() {
+    return checkTables('AuditLogModel', ['audit_log']);
+}
+
+// ─── Row Mapping ───────────────────────────────────────────────────
+
+function toEntry(row) {
+    return {
+        seq: Number(row.seq),
+        eventId: row.event_id,
+        eventType: row.event_type,
+        actorType: row.actor_type,
+        actorId: row.actor_id,
+        orgId: row.org_id,
+        userReferenceId: row.user_reference_id,
+        resourceType: row.resource_type,
+        resourceId: row.resource_id,
+        details: row.details,
+        createdAt: row.created_at.toISOString(),
+        prevHash: row.prev_hash,
+        hash: row.hash,
+    };
+}
+
+// ─── APPEND ────────────────────────────────────────────────────────
+
+/**
+ * Appends an entry to the chain. `buildEntry` receives the current tail
+ * ({ seq, hash } or null when the log is empty) and returns the complete
+ * entry, including its seq, prevHash and hash. The tail read and insert run
+ * under a transaction-scoped advisory lock so concurrent appends cannot fork
+ * the chain.
+ *
+ * @param {(tail: { seq: number, hash: string }|null) => Object} buildEntry
+ * @returns {Promise<Object>} The stored entry.
+ */
+async function appendEntry(buildEntry) {
+    const client = await getPool().connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [APPEND_LOCK_KEY]);
+
+        const tailResult = await client.query('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+        const tail = tailResult.rows[0]
+            ? { seq: Number(tailResult.rows[0].seq), hash: tailResult.rows[0].hash }
+            : null;
+        const entry = buildEntry(tail);
+
+        const result = await client.query(
+            `INSERT INTO audit_log (seq, event_id, event_type, actor_type, actor_id, org_id, user_reference_id,
+                             resource_type, resource_id, details, created_at, prev_hash, hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+       RETURNING *`,
+            [
+                entry.seq,
+                entry.eventId,
+                entry.eventType,
+                entry.actorType,
+                entry.actorId,
+                entry.orgId,
+                entry.userReferenceId,
+                entry.resourceType,
+                entry.resourceId,
+                JSON.stringify(entry.details),
+                entry.createdAt,
+                entry.prevHash,
+                entry.hash,
+            ],
+        );
+
+        await client.query('COMMIT');
+        return toEntry(result.rows[0]);
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// ─── SELECT ────────────────────────────────────────────────────────
+
+/**
+ * Lists entries, newest first, filtered by user reference and/or
+ * organisation and optionally by event type.
+ *
+ * @param {Object} filters - { userReferenceId, orgId, eventType, limit, offset }
+ * @returns {Promise<{ rows: Object[], total: number }>}
+ */
+async function listEntries(filters) {
+    const db = getPool();
+    const conditions = [];
+    const values = [];
+
+    for (const [column, value] of [
+        ['user_reference_id', filters.userReferenceId],
+        ['org_id', filters.orgId],
+        ['event_type', filters.eventType],
+    ]) {
+        if (value) {
+            values.push(value);
+            conditions.push(`${column} = $${values.length}`);
+        }
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, values);
+    const result = await db.query(
+        `SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, filters.limit, filters.offset],
+    );
+
+    return { rows: result.rows.map(toEntry), total: Number(countResult.rows[0].total) };
+}
+
+/**
+ * Every entry in chain order, for verification.
+ */
+async function getAllEntries() {
+    const db = getPool();
+    const result = await db.query('SELECT * FROM audit_log ORDER BY seq ASC');
+    return result.rows.map(toEntry);
+}
+
+module.exports = {
+    checkTable,
+    appendEntry,
+    listEntries,
+    getAllEntries,
+};
@@ -1,73 +1,94 @@
 /**
- * Consent Model Schema & PostgreSQL Queries
+ * Consent Model — PostgreSQL Queries
  *
- * Defines the consent_log table structure and query functions
- * for RBI Account Aggregator (AA) consent artefacts per ReBIT AA API v2.0.
+ * Query functions for the consent_log table (schema in db/migrations)
+ * holding RBI Account Aggregator (AA) consent artefacts per ReBIT AA API v2.0.
+ *
+ * signed_consent keeps the FIU-signed JWS of the consent terms outside the
+ * artefact JSON, so edits to consent_artefact can be detected.
+ *
+ * consent_artefact and signed_consent are envelope-encrypted at rest
+ * (utils/fieldEncryption); the JWS payload carries the same terms as the
+ * artefact. Rows are decrypted before they leave this module, and artefact
+ * edits are done as read-modify-write under a row lock. data_consumer_id is
+ * kept in plaintext so lender lookups don't need to read the artefact.
  */
-const { Pool } = require('pg');
-const config = require('../config');
-
-// ─── PostgreSQL Connection Pool ────────────────────────────────────
-let pool = null;
-
-function getPool() {
-    if (!pool) {
-        pool = new Pool({
-            host: config.postgres.host,
-            port: config.postgres.port,
-            database: config.postgres.database,
-            user: config.postgres.user,
-            password: config.postgres.password,
-            ssl: config.postgres.ssl ? { rejectUnauthorized: false } : false,
-            max: 10,
-            idleTimeoutMillis: 30000,
-            connectionTimeoutMillis: 5000,
-        });
-
-        pool.on('error', (err) => {
-            console.error('[ConsentModel] PostgreSQL pool error:', err.message);
-        });
-    }
-    return pool;
+const { getPool, withTransaction, checkTables } = require('../db/pool');
+const {
+    encryptField, decryptField, encryptText, decryptText, rewrapField,
+} = require('../utils/fieldEncryption');
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the consent_log table exists (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function checkTable() {
+    return checkTables('ConsentModel', ['consent_log']);
 }
 
-// ─── Table Creation ────────────────────────────────────────────────
-
-const CREATE_TABLE_SQL = `
-CREATE TABLE IF NOT EXISTS consent_log (
-  id                SERIAL PRIMARY KEY,
-  consent_id        UUID NOT NULL UNIQUE,
-  user_reference_id VARCHAR(255) NOT NULL,
-  status            VARCHAR(20) NOT NULL DEFAULT 'ACTIVE',
-  fi_types          JSONB NOT NULL,
-  data_range        JSONB NOT NULL,
-  data_life         JSONB NOT NULL,
-  purpose           JSONB NOT NULL DEFAULT '{"code": "101", "text": "Wealth management service"}',
-  consent_artefact  JSONB NOT NULL,
-  created_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
-  updated_at        TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
-  revoked_at        TIMESTAMP WITH TIME ZONE,
-  CONSTRAINT valid_status CHECK (status IN ('ACTIVE', 'REVOKED', 'PAUSED', 'EXPIRED'))
-);
-
-CREATE INDEX IF NOT EXISTS idx_consent_user_ref ON consent_log(user_reference_id);
-CREATE INDEX IF NOT EXISTS idx_consent_status ON consent_log(status);
-CREATE INDEX IF NOT EXISTS idx_consent_created ON consent_log(created_at);
-`;
+// ─── Artefact Encryption ───────────────────────────────────────────
+
+function fieldContext(column, consentId) {
+    return `consent_log.${column}:${consentId}`;
+}
+
+function artefactContext(consentId) {
+    return fieldContext('consent_artefact', consentId);
+}
+
+function encryptArtefact(consentId, artefact) {
+    return JSON.stringify(encryptField(artefact, artefactContext(consentId)));
+}
 
 /**
- * Creates the consent_log table if it doesn't exist.
+ * Returns the row with consent_artefact and signed_consent decrypted.
  */
-async function initTable() {
-    try {
-        const db = getPool();
-        await db.query(CREATE_TABLE_SQL);
-        console.log('[ConsentModel] consent_log table ready.');
-        return true;
-    } catch (err) {
-        console.warn('[ConsentModel] Could not init table (DB may be offline):', err.message);
-        return false;
-    }
+function decryptRow(row) {
+    if (!row) return null;
+    return {
+        ...row,
+        consent_artefact: decryptField(row.consent_artefact, artefactContext(row.consent_id)),
+        signed_consent: decryptText(row.signed_consent, fieldContext('signed_consent', row.consent_id)),
+    };
+}
+
+/**
+ * Locks a consent row (optionally only if its status is in `fromStatuses`),
+ * applies `edit` to the decrypted artefact and writes it back re-encrypted
+ * along with `columns`.
+ *
+ * @param {Object} client
+ * @param {string} consentId
+ * @param {string[]|null} fromStatuses
+ * @param {(artefact: Object) => Object} edit
+ * @param {{ status?: string }} [columns]
+ * @returns {Promise<Object|null>} The updated (decrypted) row, or null if no row matched.
+ */
+async function updateArtefact(client, consentId, fromStatuses, edit, columns = {}) {
+    const locked = await client.query(
+        `SELECT * FROM consent_log
+     WHERE consent_id = $1 AND ($2::text[] IS NULL OR status = ANY($2))
+     FOR UPDATE`,
+        [consentId, fromStatuses],
+    );
+    const row = decryptRow(locked.rows[0]);
+    if (!row) return null;
+
+    const status = columns.status || row.status;
+    const result = await client.query(
+        `UPDATE consent_log
+     SET status = $2,
+         consent_artefact = $3,
+         revoked_at = CASE WHEN $2 = 'REVOKED' THEN NOW() ELSE revoked_at END,
+         updated_at = NOW()
+     WHERE consent_id = $1
+     RETURNING *`,
+        [consentId, status, encryptArtefact(consentId, edit(row.consent_artefact))],
+    );
+    return decryptRow(result.rows[0]);
 }
 
 // ─── INSERT ────────────────────────────────────────────────────────
@@ -75,9 +96,9 @@ async function initTable() {
 const INSERT_SQL = `
 INSERT INTO consent_log (
   consent_id, user_reference_id, status,
-  fi_types, data_range, data_life, purpose, consent_artefact,
-  created_at, updated_at
-) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $9)
+  fi_types, data_range, data_life, purpose, consent_artefact, data_consumer_id, signed_consent,
+  expires_at, created_at, updated_at
+) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $12)
 RETURNING *;
 `;
 
@@ -97,12 +118,15 @@ async function insertConsent(consent) {
         JSON.stringify(consent.dataRange),
         JSON.stringify(consent.dataLife),
         JSON.stringify(consent.purpose),
-        JSON.stringify(consent.consentArtefact),
+        encryptArtefact(consent.consentId, consent.consentArtefact),
+        consent.consentArtefact?.DataConsumer?.id || null,
+        encryptText(consent.signedConsent || null, fieldContext('signed_consent', consent.consentId)),
+        consent.expiresAt || null,
         consent.createdAt || new Date().toISOString(),
     ];
 
     const result = await db.query(INSERT_SQL, values);
-    return result.rows[0];
+    return decryptRow(result.rows[0]);
 }
 
 // ─── SELECT ────────────────────────────────────────────────────────
@@ -116,7 +140,7 @@ async function getConsentById(consentId) {
         'SELECT * FROM consent_log WHERE consent_id = $1',
         [consentId],
     );
-    return result.rows[0] || null;
+    return decryptRow(result.rows[0]);
 }
 
 /**
@@ -128,40 +152,151 @@ async function getConsentsByUser(userReferenceId) {
         'SELECT * FROM consent_log WHERE user_reference_id = $1 ORDER BY created_at DESC',
         [userReferenceId],
     );
-    return result.rows;
+    return result.rows.map(decryptRow);
 }
 
-// ─── REVOKE ────────────────────────────────────────────────────────
-
 /**
- * Revokes a consent artefact by setting status to REVOKED.
+ * Retrieves ACTIVE consents naming a given DataConsumer (e.g. a lender organisation).
  */
-async function revokeConsent(consentId) {
+async function getActiveConsentsByDataConsumer(dataConsumerId) {
     const db = getPool();
     const result = await db.query(
-        `UPDATE consent_log
-     SET status = 'REVOKED', revoked_at = NOW(), updated_at = NOW()
-     WHERE consent_id = $1 AND status = 'ACTIVE'
-     RETURNING *`,
-        [consentId],
+        `SELECT * FROM consent_log
+     WHERE data_consumer_id = $1 AND status = 'ACTIVE'
+     ORDER BY created_at DESC`,
+        [dataConsumerId],
     );
-    return result.rows[0] || null;
+    return result.rows.map(decryptRow);
 }
 
-// ─── CLOSE POOL ────────────────────────────────────────────────────
+// ─── STATUS TRANSITIONS ────────────────────────────────────────────
+
+/**
+ * Moves a consent to a new status if it is currently in one of `fromStatuses`
+ * (e.g. ACTIVE → PAUSED). Keeps consent_artefact.status in sync and stamps
+ * revoked_at on REVOKED.
+ *
+ * @returns {Promise<Object|null>} The updated row, or null if the transition did not apply.
+ */
+async function transitionConsentStatus(consentId, status, fromStatuses) {
+    return withTransaction((client) => updateArtefact(
+        client, consentId, fromStatuses,
+        (artefact) => ({ ...artefact, status }),
+        { status },
+    ));
+}
 
-async function closePool() {
-    if (pool) {
-        await pool.end();
-        pool = null;
+/**
+ * Marks every ACTIVE or PAUSED consent past its expires_at as EXPIRED.
+ *
+ * @returns {Promise<Object[]>} The consents expired.
+ */
+async function expireConsents() {
+    const db = getPool();
+    const due = await db.query(
+        `SELECT consent_id FROM consent_log
+     WHERE expires_at IS NOT NULL AND expires_at <= NOW()
+       AND status IN ('ACTIVE', 'PAUSED')`,
+    );
+
+    const expired = [];
+    for (const { consent_id: consentId } of due.rows) {
+        const row = await withTransaction((client) => updateArtefact(
+            client, consentId, ['ACTIVE', 'PAUSED'],
+            (artefact) => ({ ...artefact, status: 'EXPIRED' }),
+            { status: 'EXPIRED' },
+        ));
+        if (row) expired.push(row);
+    }
+    return expired;
+}
+
+// ─── USAGE ─────────────────────────────────────────────────────────
+
+/**
+ * Replaces consent_artefact.ConsentUse ({ logUri, count, lastUseDateTime }).
+ */
+async function updateConsentUse(consentId, consentUse) {
+    return withTransaction((client) => updateArtefact(
+        client, consentId, null,
+        (artefact) => ({ ...artefact, ConsentUse: consentUse }),
+    ));
+}
+
+// ─── KEY ROTATION ──────────────────────────────────────────────────
+
+/**
+ * Re-wraps the data keys of every artefact and signed consent under the
+ * active master key, and encrypts values still stored in plaintext. Rows
+ * are processed in id order, each under its own row lock.
+ *
+ * @param {number} [batchSize]
+ * @returns {Promise<{ scanned: number, rewrapped: number, encrypted: number }>}
+ */
+async function rewrapArtefactKeys(batchSize = 100) {
+    const db = getPool();
+    const counts = { scanned: 0, rewrapped: 0, encrypted: 0 };
+
+    for (let lastId = 0; ;) {
+        const batch = await db.query(
+            'SELECT id FROM consent_log WHERE id > $1 ORDER BY id LIMIT $2',
+            [lastId, batchSize],
+        );
+        if (batch.rows.length === 0) return counts;
+
+        for (const { id } of batch.rows) {
+            await withTransaction(async (client) => {
+                const locked = await client.query(
+                    'SELECT consent_id, consent_artefact, signed_consent FROM consent_log WHERE id = $1 FOR UPDATE',
+                    [id],
+                );
+                const row = locked.rows[0];
+                if (!row) return;
+
+                const artefact = rewrapField(row.consent_artefact, artefactContext(row.consent_id));
+                const signedConsent = rewrapField(row.signed_consent, fieldContext('signed_consent', row.consent_id), { text: true });
+
+                for (const { action } of [artefact, signedConsent]) {
+                    counts.scanned += 1;
+                    if (action !== 'current') counts[action] += 1;
+                }
+                if (artefact.action === 'current' && signedConsent.action === 'current') return;
+
+                await client.query(
+                    'UPDATE consent_log SET consent_artefact = $2, signed_consent = $3 WHERE id = $1',
+                    [id, JSON.stringify(artefact.value), signedConsent.value],
+                );
+            });
+            lastId = id;
+        }
     }
 }
 
+// ─── DELETE ────────────────────────────────────────────────────────
+
+/**
+ * Deletes every consent of a user.
+ *
+ * @returns {Promise<string[]>} IDs of the consents deleted.
+ */
+async function deleteConsentsByUser(userReferenceId) {
+    const db = getPool();
+    const result = await db.query(
+        'DELETE FROM consent_log WHERE user_reference_id = $1 RETURNING consent_id',
+        [userReferenceId],
+    );
+    return result.rows.map((row) => row.consent_id);
+}
+
 module.exports = {
-    initTable,
+    checkTable,
     insertConsent,
     getConsentById,
     getConsentsByUser,
-    revokeConsent,
-    closePool,
+    getActiveConsentsByDataConsumer,
+    transitionConsentStatus,
+    expireConsents,
+    deleteConsentsByUser,
+    updateConsentUse,
+    rewrapArtefactKeys,
 };
@@ -0,0 +1,130 @@
+/**
+ * Consent Usage Model — PostgreSQL Queries
+ *
+ * Queries for the consent_usage table: one row per FI request made under a
+ * consent, so the customer can see exactly when their data was pulled
+ * and Frequency limits can be enforced. A row is reserved before the FI
+ * request goes to the AA and deleted if the request fails.
+ */
+const { getPool, withTransaction, checkTables } = require('../db/pool');
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the consent_usage table exists (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function checkTable() {
+    return checkTables('ConsentUsageModel', ['consent_usage']);
+}
+
+// ─── Row Mapping ───────────────────────────────────────────────────
+
+function toUsage(row) {
+    return {
+        id: row.id,
+        consentId: row.consent_id,
+        txnid: row.txnid,
+        sessionId: row.session_id,
+        fiType: row.fi_type,
+        dataRange: { from: row.data_from, to: row.data_to },
+        usedAt: row.used_at,
+    };
+}
+
+// ─── INSERT ────────────────────────────────────────────────────────
+
+/**
+ * Records one use of a consent if fewer than `limit` uses fall after
+ * `windowStart` (a null limit means unlimited). Reservations for the same
+ * consent are serialised by a transaction-scoped advisory lock, so
+ * concurrent requests can't both take the last slot.
+ *
+ * @param {Object} usage - { consentId, txnid, sessionId, fiType, dataRange: { from, to }, usedAt }
+ * @param {{ windowStart: string|null, limit: number|null }} window
+ * @returns {Promise<Object|null>} The usage recorded, or null if the window is full.
+ */
+async function reserveUsage(usage, { windowStart, limit }) {
+    return withTransaction(async (client) => {
+        await client.query("SELECT pg_advisory_xact_lock(hashtext('consent_usage:' || $1))", [usage.consentId]);
+        if (limit !== null) {
+            const used = await client.query(
+                'SELECT COUNT(*)::int AS count FROM consent_usage WHERE consent_id = $1 AND used_at > $2',
+                [usage.consentId, windowStart],
+            );
+            if (used.rows[0].count >= limit) return null;
+        }
+
+        const result = await client.query(
+            `INSERT INTO consent_usage (consent_id, txnid, session_id, fi_type, data_from, data_to, used_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+            [
+                usage.consentId,
+                usage.txnid,
+                usage.sessionId || null,
+                usage.fiType,
+                usage.dataRange.from,
+                usage.dataRange.to,
+                usage.usedAt,
+            ],
+        );
+        return toUsage(result.rows[0]);
+    });
+}
+
+// ─── UPDATE ────────────────────────────────────────────────────────
+
+/**
+ * Sets the AA session id of a recorded use.
+ */
+async function setUsageSession(id, sessionId) {
+    const db = getPool();
+    await db.query('UPDATE consent_usage SET session_id = $2 WHERE id = $1', [id, sessionId]);
+}
+
+// ─── SELECT ────────────────────────────────────────────────────────
+
+/**
+ * Usage history for a consent, newest first.
+ */
+async function getUsageByConsent(consentId) {
+    const db = getPool();
+    const result = await db.query(
+        'SELECT * FROM consent_usage WHERE consent_id = $1 ORDER BY used_at DESC',
+        [consentId],
+    );
+    return result.rows.map(toUsage);
+}
+
+// ─── DELETE ────────────────────────────────────────────────────────
+
+/**
+ * Deletes one recorded use (a reservation whose FI request failed).
+ */
+async function deleteUsage(id) {
+    const db = getPool();
+    await db.query('DELETE FROM consent_usage WHERE id = $1', [id]);
+}
+
+/**
+ * Deletes the usage history of the given consents.
+ *
+ * @param {string[]} consentIds
+ * @returns {Promise<number>} Number of rows deleted.
+ */
+async function deleteUsageByConsents(consentIds) {
+    const db = getPool();
+    const result = await db.query('DELETE FROM consent_usage WHERE consent_id = ANY($1::uuid[])', [consentIds]);
+    return result.rowCount;
+}
+
+module.exports = {
+    checkTable,
+    reserveUsage,
+    setUsageSession,
+    getUsageByConsent,
+    deleteUsage,
+    deleteUsageByConsents,
+};
@@ -0,0 +1,258 @@
+/**
+ * FI Session Model — PostgreSQL Queries
+ *
+ * Queries for the fi_sessions table, which tracks AA FI data requests
+ * (one row per FI/request txnid) alongside consent_log.
+ *
+ * Status lifecycle: PENDING → READY → DELIVERED, with FAILED / EXPIRED
+ * reachable from any non-terminal state.
+ *
+ * dh_private_key holds the FIU's ephemeral X25519 private key for the
+ * request; the public half is in payload.KeyMaterial.
+ *
+ * payload and dh_private_key are envelope-encrypted at rest
+ * (utils/fieldEncryption) and decrypted in toSession.
+ */
+const { getPool, withTransaction, checkTables } = require('../db/pool');
+const {
+    encryptField, decryptField, encryptText, decryptText, rewrapField,
+} = require('../utils/fieldEncryption');
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the fi_sessions table exists (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function checkTable() {
+    return checkTables('FiSessionModel', ['fi_sessions']);
+}
+
+// ─── Row Mapping ───────────────────────────────────────────────────
+
+function fieldContext(column, txnid) {
+    return `fi_sessions.${column}:${txnid}`;
+}
+
+function toSession(row) {
+    if (!row) return null;
+    return {
+        txnid: row.txnid,
+        sessionId: row.session_id,
+        consentId: row.consent_id,
+        userReferenceId: row.user_reference_id,
+        fiType: row.fi_type,
+        maskedAccNumber: row.masked_acc_number,
+        status: row.status,
+        statusReason: row.status_reason,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        expiresAt: row.expires_at,
+        payload: decryptField(row.payload, fieldContext('payload', row.txnid)),
+        jwsSignature: row.jws_signature,
+        dhPrivateKey: decryptText(row.dh_private_key, fieldContext('dh_private_key', row.txnid)),
+    };
+}
+
+// ─── INSERT ────────────────────────────────────────────────────────
+
+/**
+ * Inserts a new FI session.
+ *
+ * @param {Object} session
+ * @returns {Promise<Object>}
+ */
+async function insertSession(session) {
+    const db = getPool();
+    const result = await db.query(
+        `INSERT INTO fi_sessions (
+       txnid, session_id, consent_id, user_reference_id, fi_type, masked_acc_number,
+       status, payload, jws_signature, dh_private_key, created_at, updated_at, expires_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $11, $12)
+     RETURNING *`,
+        [
+            session.txnid,
+            session.sessionId,
+            session.consentId,
+            session.userReferenceId,
+            session.fiType,
+            session.maskedAccNumber,
+            session.status,
+            JSON.stringify(encryptField(session.payload, fieldContext('payload', session.txnid))),
+            session.jwsSignature,
+            encryptText(session.dhPrivateKey, fieldContext('dh_private_key', session.txnid)),
+            session.createdAt,
+            session.expiresAt,
+        ],
+    );
+    return toSession(result.rows[0]);
+}
+
+// ─── SELECT ────────────────────────────────────────────────────────
+
+async function getSessionByTxnId(txnid) {
+    const db = getPool();
+    const result = await db.query('SELECT * FROM fi_sessions WHERE txnid = $1', [txnid]);
+    return toSession(result.rows[0]);
+}
+
+async function getSessionBySessionId(sessionId) {
+    const db = getPool();
+    const result = await db.query('SELECT * FROM fi_sessions WHERE session_id = $1', [sessionId]);
+    return toSession(result.rows[0]);
+}
+
+/**
+ * Lists FI sessions, newest first, with optional filters and pagination.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.userReferenceId]
+ * @param {string} [filters.status]
+ * @param {string} [filters.consentId]
+ * @param {string} [filters.fiType]
+ * @param {number} filters.limit
+ * @param {number} filters.offset
+ * @returns {Promise<{ rows: Object[], total: number }>}
+ */
+async function listSessions({ userReferenceId, status, consentId, fiType, limit, offset }) {
+    const db = getPool();
+    const conditions = [];
+    const values = [];
+
+    const addCondition = (column, value) => {
+        if (value === undefined || value === null) return;
+        values.push(value);
+        conditions.push(`${column} = $${values.length}`);
+    };
+
+    addCondition('user_reference_id', userReferenceId);
+    addCondition('status', status);
+    addCondition('consent_id', consentId);
+    addCondition('fi_type', fiType);
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await db.query(`SELECT COUNT(*)::int AS total FROM fi_sessions ${where}`, values);
+    const result = await db.query(
+        `SELECT * FROM fi_sessions ${where}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset],
+    );
+
+    return { rows: result.rows.map(toSession), total: countResult.rows[0].total };
+}
+
+// ─── UPDATE ────────────────────────────────────────────────────────
+
+/**
+ * Moves a session to a new status if it is currently in one of `fromStatuses`.
+ *
+ * @param {string} txnid
+ * @param {string} status
+ * @param {string[]} fromStatuses
+ * @param {string|null} [reason]
+ * @returns {Promise<Object|null>} The updated session, or null if the transition did not apply.
+ */
+async function updateStatus(txnid, status, fromStatuses, reason = null) {
+    const db = getPool();
+    const result = await db.query(
+        `UPDATE fi_sessions
+     SET status = $2, status_reason = $4, updated_at = NOW()
+     WHERE txnid = $1 AND status = ANY($3)
+     RETURNING *`,
+        [txnid, status, fromStatuses, reason],
+    );
+    return toSession(result.rows[0]);
+}
+
+/**
+ * Marks every non-terminal session past its expires_at as EXPIRED.
+ *
+ * @returns {Promise<number>} Number of sessions expired.
+ */
+async function expireSessions() {
+    const db = getPool();
+    const result = await db.query(
+        `UPDATE fi_sessions
+     SET status = 'EXPIRED', status_reason = 'Consent DataLife elapsed.', updated_at = NOW()
+     WHERE expires_at IS NOT NULL AND expires_at <= NOW()
+       AND status IN ('PENDING', 'READY', 'DELIVERED')`,
+    );
+    return result.rowCount;
+}
+
+// ─── KEY ROTATION ──────────────────────────────────────────────────
+
+/**
+ * Re-wraps the data keys of every session's payload and ECDH private key
+ * under the active master key, encrypting values still stored in plaintext.
+ *
+ * @param {number} [batchSize]
+ * @returns {Promise<{ scanned: number, rewrapped: number, encrypted: number }>}
+ *   Counts are per field.
+ */
+async function rewrapSessionKeys(batchSize = 100) {
+    const db = getPool();
+    const counts = { scanned: 0, rewrapped: 0, encrypted: 0 };
+
+    for (let lastId = 0; ;) {
+        const batch = await db.query(
+            'SELECT id FROM fi_sessions WHERE id > $1 ORDER BY id LIMIT $2',
+            [lastId, batchSize],
+        );
+        if (batch.rows.length === 0) return counts;
+
+        for (const { id } of batch.rows) {
+            await withTransaction(async (client) => {
+                const locked = await client.query(
+                    'SELECT txnid, payload, dh_private_key FROM fi_sessions WHERE id = $1 FOR UPDATE',
+                    [id],
+                );
+                const row = locked.rows[0];
+                if (!row) return;
+
+                const payload = rewrapField(row.payload, fieldContext('payload', row.txnid));
+                const dhPrivateKey = rewrapField(row.dh_private_key, fieldContext('dh_private_key', row.txnid), { text: true });
+
+                for (const { action } of [payload, dhPrivateKey]) {
+                    counts.scanned += 1;
+                    if (action !== 'current') counts[action] += 1;
+                }
+                if (payload.action === 'current' && dhPrivateKey.action === 'current') return;
+
+                await client.query(
+                    'UPDATE fi_sessions SET payload = $2, dh_private_key = $3 WHERE id = $1',
+                    [id, JSON.stringify(payload.value), dhPrivateKey.value],
+                );
+            });
+            lastId = id;
+        }
+    }
+}
+
+// ─── DELETE ────────────────────────────────────────────────────────
+
+/**
+ * Deletes every FI session (including its ECDH private key) of a user.
+ *
+ * @returns {Promise<number>} Number of sessions deleted.
+ */
+async function deleteSessionsByUser(userReferenceId) {
+    const db = getPool();
+    const result = await db.query('DELETE FROM fi_sessions WHERE user_reference_id = $1', [userReferenceId]);
+    return result.rowCount;
+}
+
+module.exports = {
+    checkTable,
+    insertSession,
+    getSessionByTxnId,
+    getSessionBySessionId,
+    listSessions,
+    updateStatus,
+    expireSessions,
+    deleteSessionsByUser,
+    rewrapSessionKeys,
+};
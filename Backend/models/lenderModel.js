@@ -0,0 +1,128 @@
+/**
+ * Lender Model — PostgreSQL Queries
+ *
+ * Queries for the lender_orgs and lender_users tables: bank / NBFC
+ * organisations and their staff accounts (password hash + TOTP secret).
+ */
+const { getPool, checkTables } = require('../db/pool');
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the lender tables exist (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function checkTable() {
+    return checkTables('LenderModel', ['lender_orgs', 'lender_users']);
+}
+
+// ─── Row Mapping ───────────────────────────────────────────────────
+
+function toUser(row) {
+    if (!row) return null;
+    return {
+        userId: row.id,
+        orgId: row.org_id,
+        email: row.email,
+        passwordHash: row.password_hash,
+        totpSecret: row.totp_secret,
+        role: row.role,
+        active: row.active,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at,
+    };
+}
+
+function toOrg(row) {
+    if (!row) return null;
+    return { orgId: row.id, name: row.name, createdAt: row.created_at };
+}
+
+// ─── INSERT ────────────────────────────────────────────────────────
+
+/**
+ * Inserts a lender organisation.
+ *
+ * @param {{ orgId: string, name: string }} org
+ * @returns {Promise<Object>}
+ */
+async function insertOrg(org) {
+    const db = getPool();
+    const result = await db.query(
+        'INSERT INTO lender_orgs (id, name) VALUES ($1, $2) RETURNING *',
+        [org.orgId, org.name],
+    );
+    return toOrg(result.rows[0]);
+}
+
+/**
+ * Inserts a lender user.
+ *
+ * @param {Object} user
+ * @returns {Promise<Object>}
+ */
+async function insertUser(user) {
+    const db = getPool();
+    const result = await db.query(
+        `INSERT INTO lender_users (id, org_id, email, password_hash, totp_secret, role)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+        [user.userId, user.orgId, user.email, user.passwordHash, user.totpSecret, user.role],
+    );
+    return toUser(result.rows[0]);
+}
+
+// ─── SELECT ────────────────────────────────────────────────────────
+
+async function getOrgById(orgId) {
+    const db = getPool();
+    const result = await db.query('SELECT * FROM lender_orgs WHERE id = $1', [orgId]);
+    return toOrg(result.rows[0]);
+}
+
+async function getUserByEmail(email) {
+    const db = getPool();
+    const result = await db.query('SELECT * FROM lender_users WHERE email = $1', [email]);
+    return toUser(result.rows[0]);
+}
+
+async function getUsersByOrg(orgId) {
+    const db = getPool();
+    const result = await db.query(
+        'SELECT * FROM lender_users WHERE org_id = $1 ORDER BY created_at',
+        [orgId],
+    );
+    return result.rows.map(toUser);
+}
+
+// ─── UPDATE ────────────────────────────────────────────────────────
+
+/**
+ * Records a login with the TOTP time step it used. The update only applies
+ * if the step is later than the last accepted one, so a code can't be
+ * replayed, even by two concurrent logins.
+ *
+ * @param {string} userId
+ * @param {number} totpStep
+ * @returns {Promise<boolean>} false if the step was already used.
+ */
+async function recordLogin(userId, totpStep) {
+    const db = getPool();
+    const result = await db.query(
+        `UPDATE lender_users SET last_login_at = NOW(), last_totp_step = $2
+     WHERE id = $1 AND (last_totp_step IS NULL OR last_totp_step < $2)`,
+        [userId, totpStep],
+    );
+    return result.rowCount === 1;
+}
+
+module.exports = {
+    checkTable,
+    insertOrg,
+    insertUser,
+    getOrgById,
+    getUserByEmail,
+    getUsersByOrg,
+    recordLogin,
+};
@@ -0,0 +1,186 @@
+/**
+ * Score Model — PostgreSQL Queries
+ *
+ * Query functions for computed NovaScores (nova_scores), their input
+ * signals and model snapshot (score_inputs) and the append-only hash chain
+ * of their proofs (score_proofs).
+ *
+ * Each nova_scores row keeps the full score record as JSONB, exactly as it
+ * was returned when the score was computed, so its proof still matches.
+ */
+const { getPool, withTransaction, checkTables } = require('../db/pool');
+
+// Key of the advisory lock serialising appends to the proof chain
+const APPEND_LOCK_KEY = 7310015;
+
+// ─── Schema Check ──────────────────────────────────────────────────
+
+/**
+ * Checks that the score tables exist (created by db/migrations, with the
+ * immutability triggers on score_proofs).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migrations have not run.
+ */
+async function checkTable() {
+    return checkTables('ScoreModel', ['nova_scores', 'score_inputs', 'score_proofs']);
+}
+
+// ─── APPEND ────────────────────────────────────────────────────────
+
+/**
+ * Stores a computed score, its inputs and its proof. `buildProof` receives
+ * the current head of the proof chain (null when the chain is empty) and
+ * returns the new proof. The head read and inserts run under a
+ * transaction-scoped advisory lock so concurrent scores cannot fork the
+ * chain.
+ *
+ * @param {Object} record - Score record from scoringService.computeScore.
+ * @param {{ signals: Object, model: Object }} inputs
+ * @param {(head: Object|null) => Object} buildProof
+ * @returns {Promise<Object>} The appended proof.
+ */
+async function appendScore(record, inputs, buildProof) {
+    const client = await getPool().connect();
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock($1)', [APPEND_LOCK_KEY]);
+
+        const headResult = await client.query('SELECT proof FROM score_proofs ORDER BY seq DESC LIMIT 1');
+        const proof = buildProof(headResult.rows[0] ? headResult.rows[0].proof : null);
+
+        await client.query(
+            'INSERT INTO score_proofs (seq, score_id, proof, proof_hash) VALUES ($1, $2, $3, $4)',
+            [proof.seq, record.scoreId, JSON.stringify(proof), proof.proofHash],
+        );
+        await client.query(
+            'INSERT INTO score_inputs (score_id, signals, model) VALUES ($1, $2, $3)',
+            [record.scoreId, JSON.stringify(inputs.signals), JSON.stringify(inputs.model)],
+        );
+        await client.query(
+            `INSERT INTO nova_scores (score_id, user_reference_id, record, computed_at)
+       VALUES ($1, $2, $3, $4)`,
+            [record.scoreId, record.userReferenceId, JSON.stringify(record), record.computedAt],
+        );
+
+        await client.query('COMMIT');
+        return proof;
+    } catch (err) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+// ─── SELECT ────────────────────────────────────────────────────────
+
+/**
+ * Retrieves a score by ID.
+ *
+ * @param {string} scoreId
+ * @returns {Promise<Object|null>} The score record.
+ */
+async function getScoreById(scoreId) {
+    const db = getPool();
+    const result = await db.query('SELECT record FROM nova_scores WHERE score_id = $1', [scoreId]);
+    return result.rows[0] ? result.rows[0].record : null;
+}
+
+/**
+ * Scores computed for a user, newest first.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object[]>} Score records.
+ */
+async function getScoresByUser(userReferenceId) {
+    const db = getPool();
+    const result = await db.query(
+        'SELECT record FROM nova_scores WHERE user_reference_id = $1 ORDER BY computed_at DESC',
+        [userReferenceId],
+    );
+    return result.rows.map((row) => row.record);
+}
+
+/**
+ * The input signals, model snapshot and proof of a score.
+ *
+ * @param {string} scoreId
+ * @returns {Promise<{ signals: Object, model: Object, proof: Object }|null>}
+ *   null if the inputs have been erased.
+ */
+async function getInputs(scoreId) {
+    const db = getPool();
+    const result = await db.query(
+        `SELECT i.signals, i.model, p.proof FROM score_inputs i
+     JOIN score_proofs p ON p.score_id = i.score_id
+     WHERE i.score_id = $1`,
+        [scoreId],
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Retrieves a proof by its position in the chain.
+ *
+ * @param {number} seq
+ * @returns {Promise<Object|null>}
+ */
+async function getProofBySeq(seq) {
+    const db = getPool();
+    const result = await db.query('SELECT proof FROM score_proofs WHERE seq = $1', [seq]);
+    return result.rows[0] ? result.rows[0].proof : null;
+}
+
+/**
+ * The last proof in the chain.
+ *
+ * @returns {Promise<Object|null>} null when the chain is empty.
+ */
+async function getChainHead() {
+    const db = getPool();
+    const result = await db.query('SELECT proof FROM score_proofs ORDER BY seq DESC LIMIT 1');
+    return result.rows[0] ? result.rows[0].proof : null;
+}
+
+/**
+ * Every proof, in seq order (for chain verification).
+ *
+ * @returns {Promise<Object[]>}
+ */
+async function getAllProofs() {
+    const db = getPool();
+    const result = await db.query('SELECT proof FROM score_proofs ORDER BY seq');
+    return result.rows.map((row) => row.proof);
+}
+
+// ─── DELETE ────────────────────────────────────────────────────────
+
+/**
+ * Deletes every score linked to a user, with its inputs. The proofs stay.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of scores deleted.
+ */
+async function deleteScoresByUser(userReferenceId) {
+    return withTransaction(async (client) => {
+        await client.query(
+            `DELETE FROM score_inputs WHERE score_id IN
+       (SELECT score_id FROM nova_scores WHERE user_reference_id = $1)`,
+            [userReferenceId],
+        );
+        const result = await client.query('DELETE FROM nova_scores WHERE user_reference_id = $1', [userReferenceId]);
+        return result.rowCount;
+    });
+}
+
+module.exports = {
+    checkTable,
+    appendScore,
+    getScoreById,
+    getScoresByUser,
+    getInputs,
+    getProofBySeq,
+    getChainHead,
+    getAllProofs,
+    deleteScoresByUser,
+};
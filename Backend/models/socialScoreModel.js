@@ -1,89 +1,46 @@
 /**
  * Social Score Model — PostgreSQL Queries
  *
- * Defines the social_scores table structure and query functions
- * for storing anonymized social trust scores.
+ * Query functions for the social_scores table,
+ * storing anonymized social trust scores.
  *
- * Privacy: Stores ONLY sessionId (UUID), socialScore, platforms used, and timestamp.
+ * Privacy: Stores ONLY sessionId (UUID), socialScore, platforms used, timestamp
+ * and, for authenticated requests, the user reference (hashed Aadhaar).
  * No personal content, usernames, handles, or post content is ever persisted.
  */
-const { Pool } = require('pg');
-const config = require('../config');
+const { getPool, checkTables } = require('../db/pool');
 
-// ─── PostgreSQL Connection Pool ────────────────────────────────────
-let pool = null;
-
-function getPool() {
-    if (!pool) {
-        pool = new Pool({
-            host: config.postgres.host,
-            port: config.postgres.port,
-            database: config.postgres.database,
-            user: config.postgres.user,
-            password: config.postgres.password,
-            ssl: config.postgres.ssl ? { rejectUnauthorized: false } : false,
-            max: 10,
-            idleTimeoutMillis: 30000,
-            connectionTimeoutMillis: 5000,
-        });
-
-        pool.on('error', (err) => {
-            console.error('[SocialScoreModel] PostgreSQL pool error:', err.message);
-        });
-    }
-    return pool;
-}
-
-// ─── Table Creation ────────────────────────────────────────────────
-
-const CREATE_TABLE_SQL = `
-CREATE TABLE IF NOT EXISTS social_scores (
-  id              SERIAL PRIMARY KEY,
-  session_id      UUID NOT NULL UNIQUE,
-  social_score    DECIMAL(5,4) NOT NULL,
-  platforms_used  JSONB NOT NULL DEFAULT '[]',
-  created_at      TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
-);
-
-CREATE INDEX IF NOT EXISTS idx_social_session ON social_scores(session_id);
-CREATE INDEX IF NOT EXISTS idx_social_created ON social_scores(created_at);
-`;
+// ─── Schema Check ──────────────────────────────────────────────────
 
 /**
- * Creates the social_scores table if it doesn't exist.
- * @returns {Promise<boolean>}
+ * Checks that the social_scores table exists (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
  */
-async function initTable() {
-    try {
-        const db = getPool();
-        await db.query(CREATE_TABLE_SQL);
-        console.log('[SocialScoreModel] social_scores table ready.');
-        return true;
-    } catch (err) {
-        console.warn('[SocialScoreModel] Could not init table (DB may be offline):', err.message);
-        return false;
-    }
+async function checkTable() {
+    return checkTables('SocialScoreModel', ['social_scores']);
 }
 
 // ─── INSERT ────────────────────────────────────────────────────────
 
 const INSERT_SQL = `
-INSERT INTO social_scores (session_id, social_score, platforms_used, created_at)
-VALUES ($1, $2, $3, NOW())
+INSERT INTO social_scores (session_id, social_score, platforms_used, user_reference_id, created_at)
+VALUES ($1, $2, $3, $4, NOW())
 RETURNING session_id, social_score, created_at;
 `;
 
 /**
- * Inserts an anonymized social score record.
+ * Inserts a social score record.
  *
  * @param {string} sessionId  - UUID v4 session identifier.
  * @param {number} score      - Computed social score (0.0000–1.0000).
  * @param {string[]} platforms - List of platform names used (e.g. ['linkedin','youtube']).
+ * @param {string|null} [userReferenceId] - Owner, for authenticated requests.
  * @returns {Promise<Object>} The inserted row.
  */
-async function insertScore(sessionId, score, platforms) {
+async function insertScore(sessionId, score, platforms, userReferenceId = null) {
     const db = getPool();
-    const values = [sessionId, score, JSON.stringify(platforms)];
+    const values = [sessionId, score, JSON.stringify(platforms), userReferenceId];
     const result = await db.query(INSERT_SQL, values);
     return result.rows[0];
 }
@@ -105,18 +62,40 @@ async function getScoreBySession(sessionId) {
     return result.rows[0] || null;
 }
 
-// ─── CLOSE POOL ────────────────────────────────────────────────────
+/**
+ * Social scores linked to a user, oldest first.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object[]>}
+ */
+async function getScoresByUser(userReferenceId) {
+    const db = getPool();
+    const result = await db.query(
+        `SELECT session_id, social_score, platforms_used, created_at FROM social_scores
+     WHERE user_reference_id = $1 ORDER BY created_at`,
+        [userReferenceId],
+    );
+    return result.rows;
+}
+
+// ─── DELETE ────────────────────────────────────────────────────────
 
-async function closePool() {
-    if (pool) {
-        await pool.end();
-        pool = null;
-    }
+/**
+ * Deletes every social score linked to a user.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of rows deleted.
+ */
+async function deleteScoresByUser(userReferenceId) {
+    const db = getPool();
+    const result = await db.query('DELETE FROM social_scores WHERE user_reference_id = $1', [userReferenceId]);
+    return result.rowCount;
 }
 
 module.exports = {
-    initTable,
+    checkTable,
     insertScore,
     getScoreBySession,
-    closePool,
+    getScoresByUser,
+    deleteScoresByUser,
 };
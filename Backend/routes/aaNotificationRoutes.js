@@ -0,0 +1,28 @@
+/**
+ * AA Notification Routes
+ *
+ * Inbound webhooks called by the Account Aggregator. Authenticated by the
+ * AA's detached JWS signature rather than a user Bearer token.
+ */
+const { Router } = require('express');
+const {
+    handleConsentNotification,
+    handleFiNotification,
+} = require('../controllers/aaNotificationController');
+const { verifyAaSignature } = require('../middleware/aaSignatureMiddleware');
+
+const router = Router();
+
+/**
+ * POST /Consent/Notification
+ * Consent status change (ACTIVE / PAUSED / REVOKED / EXPIRED).
+ */
+router.post('/Consent/Notification', verifyAaSignature, handleConsentNotification);
+
+/**
+ * POST /FI/Notification
+ * FI session status change; READY sessions are fetched automatically.
+ */
+router.post('/FI/Notification', verifyAaSignature, handleFiNotification);
+
+module.exports = router;
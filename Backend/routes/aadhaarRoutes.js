@@ -4,7 +4,13 @@
  * Defines Express route mappings for the Aadhaar OTP auth flow.
  */
 const { Router } = require('express');
-const { handleInitiate, handleVerify } = require('../controllers/aadhaarController');
+const {
+    handleInitiate,
+    handleVerify,
+    handleRefresh,
+    handleLogout,
+} = require('../controllers/aadhaarController');
+const { requireAuth } = require('../middleware/authMiddleware');
 
 const router = Router();
 
@@ -17,9 +23,22 @@ router.post('/auth/aadhaar/initiate', handleInitiate);
 
 /**
  * POST /auth/aadhaar/verify
- * Verifies the OTP and returns a JWT session token.
+ * Verifies the OTP and returns a JWT session token and refresh token.
  * Body: { "aadhaarNumber": "123456789012", "otp": "123456", "txnId": "..." }
  */
 router.post('/auth/aadhaar/verify', handleVerify);
 
+/**
+ * POST /auth/refresh
+ * Rotates a refresh token and returns a new token pair.
+ * Body: { "refreshToken": "..." }
+ */
+router.post('/auth/refresh', handleRefresh);
+
+/**
+ * POST /auth/logout
+ * Revokes the current session (access token + refresh-token family).
+ */
+router.post('/auth/logout', requireAuth, handleLogout);
+
 module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Audit Routes
+ *
+ * Read access to the hash-chained audit trail: MSME users see their own
+ * trail; lender admins see their organisation's trail and can verify the
+ * chain.
+ */
+const { Router } = require('express');
+const {
+    handleGetUserTrail,
+    handleGetOrgTrail,
+    handleVerifyChain,
+} = require('../controllers/auditController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+const router = Router();
+
+/**
+ * GET /audit/user/:userReferenceId
+ * Audit trail of the authenticated user's consents and data.
+ */
+router.get('/audit/user/:userReferenceId', requireAuth, requirePermission('own-data:manage'), handleGetUserTrail);
+
+/**
+ * GET /audit/verify
+ * Verifies the integrity of the whole audit chain.
+ */
+router.get('/audit/verify', requireAuth, requirePermission('audit:read'), handleVerifyChain);
+
+/**
+ * GET /lender/audit
+ * Audit trail of the lender organisation.
+ */
+router.get('/lender/audit', requireAuth, requirePermission('audit:read'), handleGetOrgTrail);
+
+module.exports = router;
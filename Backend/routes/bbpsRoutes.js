@@ -3,6 +3,8 @@
  */
 const { Router } = require('express');
 const { handleFetchBills } = require('../controllers/bbpsController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
 
 const router = Router();
 
@@ -10,6 +12,6 @@ const router = Router();
  * POST /utility/bbps/fetch
  * Fetch utility bill payment history and compute reliability score.
  */
-router.post('/utility/bbps/fetch', handleFetchBills);
+router.post('/utility/bbps/fetch', requireAuth, requirePermission('own-data:manage'), handleFetchBills);
 
 module.exports = router;
@@ -3,6 +3,7 @@
  */
 const { Router } = require('express');
 const { handleGetQuestions, handleSubmitQuiz } = require('../controllers/behaviourController');
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 const router = Router();
 
@@ -15,7 +16,8 @@ router.get('/behaviour/questions', handleGetQuestions);
 /**
  * POST /behaviour/quiz
  * Submit quiz responses and get behavioural risk score.
+ * With a Bearer token the stored result is linked to the user.
  */
-router.post('/behaviour/quiz', handleSubmitQuiz);
+router.post('/behaviour/quiz', optionalAuth, handleSubmitQuiz);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * Cash-Flow Analytics Routes
+ */
+const { Router } = require('express');
+const { handleForecastBySession } = require('../controllers/cashFlowForecastController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+const { requireFiSessionOwner } = require('../middleware/ownershipMiddleware');
+
+const router = Router();
+
+/**
+ * POST /analytics/cashflow/forecast
+ * Fetch FI data by sessionId and forecast the next 3–6 months of cash flow.
+ */
+router.post('/analytics/cashflow/forecast', requireAuth, requirePermission('own-data:manage'), requireFiSessionOwner({ location: 'body', key: 'sessionId' }), handleForecastBySession);
+
+module.exports = router;
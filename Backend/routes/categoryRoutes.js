@@ -0,0 +1,17 @@
+/**
+ * Transaction Category Routes
+ */
+const { Router } = require('express');
+const { handleTest } = require('../controllers/categoryController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+const router = Router();
+
+/**
+ * POST /analytics/categories/test
+ * Categorise a narration with the active ruleset (and the caller's organisation overrides).
+ */
+router.post('/analytics/categories/test', requireAuth, requirePermission('category-rules:read'), handleTest);
+
+module.exports = router;
@@ -2,6 +2,8 @@
  * Consent Routes
  *
  * Defines Express route mappings for Account Aggregator consent management.
+ * All routes require an MSME Bearer token; users may only access their own consents.
+ * Signature verification is also open to lender staff of the consent's DataConsumer.
  */
 const { Router } = require('express');
 const {
@@ -9,33 +11,64 @@ const {
     handleGet,
     handleGetByUser,
     handleRevoke,
+    handlePause,
+    handleResume,
+    handleVerify,
+    handleUsage,
 } = require('../controllers/consentController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+const { requireConsentOwner, requireConsentViewer } = require('../middleware/ownershipMiddleware');
 
 const router = Router();
 
 /**
  * POST /consent/create
- * Creates a new consent artefact.
+ * Creates a new consent artefact for the authenticated user.
  */
-router.post('/consent/create', handleCreate);
+router.post('/consent/create', requireAuth, requirePermission('own-data:manage'), handleCreate);
 
 /**
  * GET /consent/user/:userReferenceId
  * Retrieves all consents for a user.
  * NOTE: This route must be defined BEFORE /consent/:consentId to avoid conflicts.
  */
-router.get('/consent/user/:userReferenceId', handleGetByUser);
+router.get('/consent/user/:userReferenceId', requireAuth, requirePermission('own-data:manage'), handleGetByUser);
 
 /**
  * GET /consent/:consentId
  * Retrieves a single consent artefact by ID.
  */
-router.get('/consent/:consentId', handleGet);
+router.get('/consent/:consentId', requireAuth, requirePermission('own-data:manage'), requireConsentOwner(), handleGet);
+
+/**
+ * GET /consent/:consentId/verify
+ * Re-verifies the signed consent artefact and reports tampering.
+ */
+router.get('/consent/:consentId/verify', requireAuth, requirePermission('consents:verify'), requireConsentViewer(), handleVerify);
+
+/**
+ * GET /consent/:consentId/usage
+ * Usage history and Frequency window of a consent.
+ */
+router.get('/consent/:consentId/usage', requireAuth, requirePermission('own-data:manage'), requireConsentOwner(), handleUsage);
 
 /**
  * POST /consent/:consentId/revoke
- * Revokes an active consent artefact.
+ * Revokes an active or paused consent artefact.
+ */
+router.post('/consent/:consentId/revoke', requireAuth, requirePermission('own-data:manage'), requireConsentOwner(), handleRevoke);
+
+/**
+ * POST /consent/:consentId/pause
+ * Pauses an active consent.
+ */
+router.post('/consent/:consentId/pause', requireAuth, requirePermission('own-data:manage'), requireConsentOwner(), handlePause);
+
+/**
+ * POST /consent/:consentId/resume
+ * Resumes a paused consent.
  */
-router.post('/consent/:consentId/revoke', handleRevoke);
+router.post('/consent/:consentId/resume', requireAuth, requirePermission('own-data:manage'), requireConsentOwner(), handleResume);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Data Rights Routes
+ *
+ * DPDP data-principal rights for the authenticated MSME user.
+ */
+const { Router } = require('express');
+const { handleExport, handleErase } = require('../controllers/dataRightsController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+const router = Router();
+
+/**
+ * GET /me/data-export
+ * Machine-readable export of everything held about the user.
+ */
+router.get('/me/data-export', requireAuth, requirePermission('own-data:manage'), handleExport);
+
+/**
+ * DELETE /me
+ * Erase the user's data (audit trail retained) and end the session.
+ */
+router.delete('/me', requireAuth, requirePermission('own-data:manage'), handleErase);
+
+module.exports = router;
@@ -2,9 +2,13 @@
  * FI Routes
  *
  * Defines Express route mappings for Account Aggregator FI data
- * requests (initiate) and fetch (decrypt + parse).
+ * requests (initiate) and fetch (decrypt + parse), and for bank
+ * statement uploads as an alternative FI source.
+ * All routes require an MSME Bearer token; users may only access their own sessions.
  */
-const { Router } = require('express');
+const express = require('express');
+const { Router } = express;
+const config = require('../config');
 const {
     handleFiRequest,
     handleGetSession,
@@ -12,6 +16,10 @@ const {
     handleFetchData,
 } = require('../controllers/fiRequestController');
 const { handleFiFetch } = require('../controllers/fiFetchController');
+const { handleStatementUpload } = require('../controllers/statementController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+const { requireConsentOwner, requireFiSessionOwner } = require('../middleware/ownershipMiddleware');
 
 const router = Router();
 
@@ -19,32 +27,49 @@ const router = Router();
  * POST /fi/request
  * Initiates an FI data request to the Account Aggregator.
  */
-router.post('/fi/request', handleFiRequest);
+router.post('/fi/request', requireAuth, requirePermission('own-data:manage'), requireConsentOwner('body'), handleFiRequest);
 
 /**
  * POST /fi/fetch
  * Fetches encrypted FI data, decrypts, and returns parsed transactions.
  * Body: { "sessionId": "..." }
  */
-router.post('/fi/fetch', handleFiFetch);
+router.post('/fi/fetch', requireAuth, requirePermission('own-data:manage'), requireFiSessionOwner({ location: 'body', key: 'sessionId' }), handleFiFetch);
 
 /**
  * GET /fi/sessions
- * Lists all FI request sessions.
+ * Lists the authenticated user's FI request sessions.
  */
-router.get('/fi/sessions', handleListSessions);
+router.get('/fi/sessions', requireAuth, requirePermission('own-data:manage'), handleListSessions);
 
 /**
  * GET /fi/session/:txnid
  * Retrieves a specific FI session by transaction ID.
  */
-router.get('/fi/session/:txnid', handleGetSession);
+router.get('/fi/session/:txnid', requireAuth, requirePermission('own-data:manage'), requireFiSessionOwner({ location: 'params', key: 'txnid' }), handleGetSession);
 
 /**
  * GET /fi/fetch/:sessionId
  * Quick fetch using GET (legacy/convenience).
  */
-router.get('/fi/fetch/:sessionId', handleFetchData);
+router.get('/fi/fetch/:sessionId', requireAuth, requirePermission('own-data:manage'), requireFiSessionOwner({ location: 'params', key: 'sessionId' }), handleFetchData);
+
+/**
+ * POST /fi/statement/upload?bank=SBI|HDFC|ICICI|AXIS
+ * Parses an uploaded CSV or text-based PDF bank statement and returns the
+ * same cash-flow and UPI analytics as an AA fetch.
+ * Body: the raw file (Content-Type: text/csv or application/pdf).
+ */
+router.post(
+    '/fi/statement/upload',
+    requireAuth,
+    requirePermission('own-data:manage'),
+    express.raw({
+        type: ['text/csv', 'text/plain', 'application/pdf', 'application/octet-stream'],
+        limit: config.statement.maxUploadBytes,
+    }),
+    handleStatementUpload,
+);
 
 module.exports = router;
 
@@ -3,6 +3,8 @@
  */
 const { Router } = require('express');
 const { handleFetchGst } = require('../controllers/gstController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
 
 const router = Router();
 
@@ -10,6 +12,6 @@ const router = Router();
  * POST /gst/fetch
  * Fetch GST filing history and compute compliance score.
  */
-router.post('/gst/fetch', handleFetchGst);
+router.post('/gst/fetch', requireAuth, requirePermission('own-data:manage'), handleFetchGst);
 
 module.exports = router;
@@ -0,0 +1,54 @@
+/**
+ * Lender Routes
+ */
+const { Router } = require('express');
+const {
+    handleRegister,
+    handleLogin,
+    handleCreateUser,
+    handleListUsers,
+    handleListApplicants,
+    handleGetApplicantScores,
+} = require('../controllers/lenderController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+const router = Router();
+
+/**
+ * POST /lender/register
+ * Register a lender organisation and its admin user.
+ */
+router.post('/lender/register', handleRegister);
+
+/**
+ * POST /auth/lender/login
+ * Email + password + TOTP login for lender staff.
+ */
+router.post('/auth/lender/login', handleLogin);
+
+/**
+ * POST /lender/users
+ * Create a staff user (admin only).
+ */
+router.post('/lender/users', requireAuth, requirePermission('lender-users:manage'), handleCreateUser);
+
+/**
+ * GET /lender/users
+ * List staff users of the organisation (admin only).
+ */
+router.get('/lender/users', requireAuth, requirePermission('lender-users:manage'), handleListUsers);
+
+/**
+ * GET /lender/msme
+ * List applicants who granted consent to the organisation.
+ */
+router.get('/lender/msme', requireAuth, requirePermission('applicants:read'), handleListApplicants);
+
+/**
+ * GET /lender/msme/:userReferenceId/scores
+ * List NovaScores of a consenting applicant.
+ */
+router.get('/lender/msme/:userReferenceId/scores', requireAuth, requirePermission('scores:read'), handleGetApplicantScores);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+/**
+ * NovaScore Routes
+ */
+const { Router } = require('express');
+const { handleCompute, handleGetScore, handleGetProof } = require('../controllers/scoreController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+
+const router = Router();
+
+/**
+ * POST /score/compute
+ * Combine module outputs into a 300–900 NovaScore.
+ */
+router.post('/score/compute', requireAuth, requirePermission('own-data:manage'), handleCompute);
+
+/**
+ * GET /score/:scoreId
+ * Retrieve a previously computed NovaScore.
+ */
+router.get('/score/:scoreId', requireAuth, requirePermission('scores:read'), handleGetScore);
+
+/**
+ * GET /score/:scoreId/proof
+ * Cryptographic proof of a NovaScore, with the inputs needed to verify it offline.
+ */
+router.get('/score/:scoreId/proof', requireAuth, requirePermission('scores:read'), handleGetProof);
+
+module.exports = router;
@@ -6,6 +6,7 @@
  */
 const { Router } = require('express');
 const { handleConnect, handleOAuthCallback } = require('../controllers/socialController');
+const { optionalAuth } = require('../middleware/authMiddleware');
 
 const router = Router();
 
@@ -13,8 +14,9 @@ const router = Router();
  * POST /social/connect
  * Submit profile URLs for LinkedIn, X, Instagram, YouTube
  * and receive an anonymized social trust score.
+ * With a Bearer token the stored score is linked to the user.
  */
-router.post('/social/connect', handleConnect);
+router.post('/social/connect', optionalAuth, handleConnect);
 
 /**
  * GET /social/oauth/:platform/callback
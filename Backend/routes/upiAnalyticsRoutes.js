@@ -6,6 +6,9 @@ const {
     handleAnalyze,
     handleAnalyzeBySession,
 } = require('../controllers/upiAnalyticsController');
+const { requireAuth } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+const { requireFiSessionOwner } = require('../middleware/ownershipMiddleware');
 
 const router = Router();
 
@@ -13,12 +16,12 @@ const router = Router();
  * POST /analytics/upi
  * Analyze UPI transactions from direct input.
  */
-router.post('/analytics/upi', handleAnalyze);
+router.post('/analytics/upi', requireAuth, requirePermission('own-data:manage'), handleAnalyze);
 
 /**
  * POST /analytics/upi/session
  * Fetch FI data by sessionId and run UPI analytics.
  */
-router.post('/analytics/upi/session', handleAnalyzeBySession);
+router.post('/analytics/upi/session', requireAuth, requirePermission('own-data:manage'), requireFiSessionOwner({ location: 'body', key: 'sessionId' }), handleAnalyzeBySession);
 
 module.exports = router;
@@ -12,21 +12,43 @@ const aadhaarRoutes = require('./routes/aadhaarRoutes');
 const consentRoutes = require('./routes/consentRoutes');
 const fiRequestRoutes = require('./routes/fiRequestRoutes');
 const upiAnalyticsRoutes = require('./routes/upiAnalyticsRoutes');
+const cashFlowRoutes = require('./routes/cashFlowRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
 const bbpsRoutes = require('./routes/bbpsRoutes');
 const gstRoutes = require('./routes/gstRoutes');
 const behaviourRoutes = require('./routes/behaviourRoutes');
 const socialRoutes = require('./routes/socialRoutes');
 const footprintRoutes = require('./routes/footprintRoutes');
+const scoreRoutes = require('./routes/scoreRoutes');
+const lenderRoutes = require('./routes/lenderRoutes');
+const aaNotificationRoutes = require('./routes/aaNotificationRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const dataRightsRoutes = require('./routes/dataRightsRoutes');
+const auditService = require('./services/auditService');
 const consentService = require('./services/consentService');
+const consentUsageService = require('./services/consentUsageService');
+const fiRequestService = require('./services/fiRequestService');
 const behaviourService = require('./services/behaviourService');
 const socialService = require('./services/socialService');
+const scoringService = require('./services/scoringService');
+const lenderService = require('./services/lenderService');
+const categoryEngine = require('./utils/categoryEngine');
+const store = require('./store');
+const { assertDevFallbackAllowed } = require('./utils/aaError');
+const { getKeyring } = require('./utils/fieldEncryption');
+const migrator = require('./db/migrator');
 
 const app = express();
 
 // ─── Security Middleware ───────────────────────────────────────────
 app.use(helmet());                       // Sets security-related HTTP headers
 app.use(cors());                         // Enable CORS for all origins (tighten in production)
-app.use(express.json({ limit: '1mb' })); // Parse JSON request bodies
+app.use(express.json({                   // Parse JSON request bodies
+    limit: '1mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8'); // Kept for detached-JWS verification of AA notifications
+    },
+}));
 
 // ─── Health Check ──────────────────────────────────────────────────
 app.get('/health', (req, res) => {
@@ -43,11 +65,18 @@ app.use('/', aadhaarRoutes);
 app.use('/', consentRoutes);
 app.use('/', fiRequestRoutes);
 app.use('/', upiAnalyticsRoutes);
+app.use('/', cashFlowRoutes);
+app.use('/', categoryRoutes);
 app.use('/', bbpsRoutes);
 app.use('/', gstRoutes);
 app.use('/', behaviourRoutes);
 app.use('/', socialRoutes);
 app.use('/', footprintRoutes);
+app.use('/', scoreRoutes);
+app.use('/', lenderRoutes);
+app.use('/', aaNotificationRoutes);
+app.use('/', auditRoutes);
+app.use('/', dataRightsRoutes);
 
 // ─── 404 Handler ───────────────────────────────────────────────────
 app.use((req, res) => {
@@ -59,6 +88,13 @@ app.use((req, res) => {
 
 // ─── Global Error Handler ──────────────────────────────────────────
 app.use((err, req, res, next) => {
+    if (err.expose && err.status >= 400 && err.status < 500) {
+        // Body parser rejections (malformed JSON, body over the size limit)
+        return res.status(err.status).json({
+            success: false,
+            message: err.type === 'entity.too.large' ? `Request body exceeds the ${err.limit}-byte limit.` : err.message,
+        });
+    }
     console.error('[Server] Unhandled error:', err);
     res.status(500).json({
         success: false,
@@ -68,10 +104,25 @@ app.use((err, req, res, next) => {
 
 // ─── Start Server ──────────────────────────────────────────────────
 async function start() {
-    // Initialize consent service (connects to PostgreSQL or falls back to memory)
+    // Mock AA responses are for development only
+    assertDevFallbackAllowed();
+    // Load the master keys now, so a missing or malformed key stops startup
+    getKeyring();
+
+    // Bring the schema up to date, then initialize the auth store and services
+    // (connect to PostgreSQL / Redis or fall back to memory)
+    await migrator.migrateOnStart();
+    await store.init();
+    await auditService.init();
     await consentService.init();
+    await consentUsageService.init();
+    await fiRequestService.init();
     await behaviourService.init();
     await socialService.init();
+    await scoringService.init();
+    await lenderService.init();
+    // Load the categorisation ruleset now, so an invalid one stops startup
+    categoryEngine.loadRuleset();
 
     app.listen(config.port, () => {
         console.log(`
@@ -83,18 +134,27 @@ async function start() {
     `);
         console.log('Available endpoints:');
         console.log('  POST /auth/aadhaar/initiate      — Start OTP flow');
-        console.log('  POST /auth/aadhaar/verify        — Verify OTP & get JWT');
+        console.log('  POST /auth/aadhaar/verify        — Verify OTP & get JWT + refresh token');
+        console.log('  POST /auth/refresh               — Rotate refresh token');
+        console.log('  POST /auth/logout                — Revoke session');
         console.log('  POST /consent/create             — Create consent artefact');
         console.log('  GET  /consent/:consentId         — Get consent by ID');
         console.log('  GET  /consent/user/:userId       — Get user consents');
         console.log('  POST /consent/:consentId/revoke  — Revoke consent');
+        console.log('  POST /consent/:consentId/pause   — Pause consent');
+        console.log('  POST /consent/:consentId/resume  — Resume paused consent');
+        console.log('  GET  /consent/:consentId/verify  — Verify signed consent artefact');
+        console.log('  GET  /consent/:consentId/usage   — Consent usage history & Frequency window');
         console.log('  POST /fi/request                 — Initiate FI data request');
         console.log('  POST /fi/fetch                   — Fetch + decrypt + parse FI data');
         console.log('  GET  /fi/session/:txnid          — Get FI session');
-        console.log('  GET  /fi/sessions                — List all FI sessions');
+        console.log('  GET  /fi/sessions                — List FI sessions (filters + pagination)');
         console.log('  GET  /fi/fetch/:sessionId        — Fetch FI data (GET)');
+        console.log('  POST /fi/statement/upload        — Parse + analyze a CSV/PDF bank statement');
         console.log('  POST /analytics/upi              — UPI analytics from transactions');
         console.log('  POST /analytics/upi/session      — UPI analytics from session');
+        console.log('  POST /analytics/cashflow/forecast — 3–6 month cash-flow forecast from session');
+        console.log('  POST /analytics/categories/test  — Categorise a narration with the active ruleset');
         console.log('  POST /utility/bbps/fetch          — Fetch bills + reliability score');
         console.log('  POST /gst/fetch                   — GST filings + compliance score');
         console.log('  GET  /behaviour/questions          — Get 5 random quiz questions');
@@ -102,6 +162,22 @@ async function start() {
         console.log('  POST /social/connect               — Social trust score from OAuth');
         console.log('  GET  /social/oauth/:platform/cb    — OAuth callback handler');
         console.log('  POST /social/footprint             — Scrape public social metadata');
+        console.log('  POST /score/compute                — Composite NovaScore (300–900)');
+        console.log('  GET  /score/:scoreId               — Get computed NovaScore');
+        console.log('  GET  /score/:scoreId/proof         — Score proof (hash chain) for offline verification');
+        console.log('  POST /lender/register              — Register lender organisation');
+        console.log('  POST /auth/lender/login            — Lender login (password + TOTP)');
+        console.log('  POST /lender/users                 — Create lender staff user (admin)');
+        console.log('  GET  /lender/users                 — List lender staff users (admin)');
+        console.log('  GET  /lender/msme                  — List consenting applicants');
+        console.log('  GET  /lender/msme/:id/scores       — Applicant NovaScores (consent-scoped)');
+        console.log('  POST /Consent/Notification        — AA consent status webhook (JWS)');
+        console.log('  POST /FI/Notification             — AA FI status webhook (JWS)');
+        console.log('  GET  /audit/user/:userId          — Own audit trail (consents + data access)');
+        console.log('  GET  /lender/audit                — Organisation audit trail (admin)');
+        console.log('  GET  /audit/verify                — Verify audit hash chain (admin)');
+        console.log('  GET  /me/data-export              — Export all data held about you (DPDP)');
+        console.log('  DELETE /me                        — Erase your data (audit trail retained)');
         console.log('  GET  /health                     — Health check');
         console.log('');
     });
@@ -0,0 +1,184 @@
+/**
+ * AA Notification Service
+ *
+ * Handles inbound ReBIT AA API v2.0 notifications:
+ *  - Consent/Notification → updates consent status in consent_log.
+ *  - FI/Notification      → updates FI session status in fi_sessions and
+ *                            triggers the FI fetch once data is READY.
+ */
+const consentService = require('./consentService');
+const fiRequestService = require('./fiRequestService');
+const fiFetchService = require('./fiFetchService');
+
+// ─── Constants ─────────────────────────────────────────────────────
+
+const CONSENT_NOTIFICATION_STATUSES = ['ACTIVE', 'PAUSED', 'REVOKED', 'EXPIRED'];
+
+// Delay before each auto-fetch retry; once they are used up the session is FAILED
+const AUTO_FETCH_RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+// ─── Validation ───────────────────────────────────────────────────
+
+/**
+ * Validates the common notification envelope.
+ *
+ * @param {Object} body
+ * @param {string} statusKey - ConsentStatusNotification | FIStatusNotification
+ * @returns {string[]} Validation errors.
+ */
+function validateEnvelope(body, statusKey) {
+    const errors = [];
+    if (!body || typeof body !== 'object') return ['Request body must be a JSON object.'];
+    if (!body.txnid) errors.push('txnid is required.');
+    if (!body.timestamp) errors.push('timestamp is required.');
+    if (body.Notifier?.type !== 'AA') errors.push('Notifier.type must be "AA".');
+    if (!body[statusKey] || typeof body[statusKey] !== 'object') errors.push(`${statusKey} is required.`);
+    return errors;
+}
+
+// ─── Consent Notification ─────────────────────────────────────────
+
+/**
+ * Applies a Consent status notification.
+ *
+ * @param {Object} body - ReBIT Consent/Notification request.
+ * @returns {Promise<{ success: boolean, errorCode?: string, message: string }>}
+ */
+async function handleConsentNotification(body) {
+    const errors = validateEnvelope(body, 'ConsentStatusNotification');
+    const { consentId, consentStatus } = body?.ConsentStatusNotification || {};
+
+    if (!consentId) errors.push('ConsentStatusNotification.consentId is required.');
+    if (!CONSENT_NOTIFICATION_STATUSES.includes(consentStatus)) {
+        errors.push(`ConsentStatusNotification.consentStatus must be one of: [${CONSENT_NOTIFICATION_STATUSES.join(', ')}]`);
+    }
+    if (errors.length > 0) {
+        return { success: false, errorCode: 'InvalidRequest', message: errors.join(' ') };
+    }
+
+    const result = await consentService.updateConsentStatus(consentId, consentStatus);
+    if (!result.success && result.errorCode === 'IllegalTransition') {
+        // Stale or out-of-order notification — acknowledge without changing state.
+        console.warn(`[AANotification] Ignored consent notification for ${consentId} (txn ${body.txnid}): ${result.message}`);
+        return { success: true, message: result.message };
+    }
+    if (!result.success) {
+        return { success: false, errorCode: 'InvalidConsentId', message: result.message };
+    }
+
+    console.log(`[AANotification] Consent ${consentId} → ${consentStatus} (txn ${body.txnid}).`);
+    return { success: true, message: result.message };
+}
+
+// ─── FI Notification ──────────────────────────────────────────────
+
+/**
+ * Derives the FI session status from an FIStatusNotification.
+ *
+ *   sessionStatus EXPIRED / FAILED       → EXPIRED / FAILED
+ *   every account DELIVERED              → DELIVERED
+ *   COMPLETED, or any account READY      → READY
+ *   otherwise                            → null (still pending)
+ *
+ * @param {Object} notification - FIStatusNotification block.
+ * @returns {string|null}
+ */
+function deriveSessionStatus(notification) {
+    const { sessionStatus } = notification;
+    if (sessionStatus === 'EXPIRED' || sessionStatus === 'FAILED') return sessionStatus;
+
+    const accounts = (notification.FIStatusResponse || [])
+        .flatMap((fip) => fip.Accounts || []);
+    const statuses = accounts.map((a) => a.FIStatus);
+
+    if (statuses.length > 0 && statuses.every((s) => s === 'DELIVERED')) return 'DELIVERED';
+    if (sessionStatus === 'COMPLETED' || statuses.includes('READY')) return 'READY';
+    return null;
+}
+
+/**
+ * Fetches FI data for a session in the background. A failed fetch (e.g.
+ * the AA is unreachable) is retried after each of AUTO_FETCH_RETRY_DELAYS_MS,
+ * unless the fetch itself already ended the session. When the retries are
+ * used up, or the fetch throws, the session is marked FAILED so it is not
+ * left READY indefinitely.
+ *
+ * @param {Object} session
+ * @param {number} [attempt] - Retries made so far.
+ */
+function triggerFetch(session, attempt = 0) {
+    const markFailed = (reason) => fiRequestService
+        .transitionStatus(session.txnid, 'FAILED', `Auto-fetch failed: ${reason}`)
+        .catch(() => {});
+
+    fiFetchService.fetchFiData(session.sessionId)
+        .then(async (result) => {
+            if (result.success) return;
+            console.warn(`[AANotification] Auto-fetch for ${session.sessionId} failed (attempt ${attempt + 1}): ${result.message}`);
+
+            const current = await fiRequestService.getFiSessionBySessionId(session.sessionId);
+            if (!current || ['DELIVERED', 'FAILED', 'EXPIRED'].includes(current.status)) return;
+
+            if (attempt < AUTO_FETCH_RETRY_DELAYS_MS.length) {
+                setTimeout(() => triggerFetch(session, attempt + 1), AUTO_FETCH_RETRY_DELAYS_MS[attempt]).unref();
+                return;
+            }
+            await markFailed(result.message);
+        })
+        .catch(async (err) => {
+            console.error(`[AANotification] Auto-fetch for ${session.sessionId} errored:`, err.message);
+            await markFailed(err.message);
+        });
+}
+
+/**
+ * Applies an FI status notification.
+ *
+ * @param {Object} body - ReBIT FI/Notification request.
+ * @returns {Promise<{ success: boolean, errorCode?: string, message: string }>}
+ */
+async function handleFiNotification(body) {
+    const errors = validateEnvelope(body, 'FIStatusNotification');
+    const notification = body?.FIStatusNotification || {};
+
+    if (!notification.sessionId) errors.push('FIStatusNotification.sessionId is required.');
+    if (!notification.sessionStatus) errors.push('FIStatusNotification.sessionStatus is required.');
+    if (errors.length > 0) {
+        return { success: false, errorCode: 'InvalidRequest', message: errors.join(' ') };
+    }
+
+    const session = await fiRequestService.getFiSessionBySessionId(notification.sessionId);
+    if (!session) {
+        return { success: false, errorCode: 'InvalidSessionId', message: 'FI session not found.' };
+    }
+
+    const nextStatus = deriveSessionStatus(notification);
+    if (!nextStatus || nextStatus === session.status) {
+        return { success: true, message: `FI session remains ${session.status}.` };
+    }
+
+    const reason = nextStatus === 'FAILED' || nextStatus === 'EXPIRED'
+        ? `AA reported sessionStatus ${notification.sessionStatus}.`
+        : null;
+    const result = await fiRequestService.transitionStatus(session.txnid, nextStatus, reason);
+
+    if (!result.success) {
+        // Out-of-order or stale notification — acknowledge without changing state.
+        console.warn(`[AANotification] Ignored FI notification: ${result.message}`);
+        return { success: true, message: result.message };
+    }
+
+    console.log(`[AANotification] FI session ${session.sessionId} → ${nextStatus} (txn ${body.txnid}).`);
+
+    if (nextStatus === 'READY') {
+        triggerFetch(result.data);
+    }
+
+    return { success: true, message: result.message };
+}
+
+module.exports = {
+    handleConsentNotification,
+    handleFiNotification,
+    deriveSessionStatus,
+};
@@ -15,8 +15,8 @@ const {
     generateHmac,
     hashAadhaar,
 } = require('../utils/encryption');
-const { generateToken } = require('../utils/jwtGenerator');
-const store = require('../store/memoryStore');
+const tokenService = require('./tokenService');
+const store = require('../store');
 
 /**
  * Helper to send SMS via Fast2SMS or Twilio for Demo.
@@ -110,7 +110,7 @@ function isValidAadhaar(aadhaarNumber) {
  *  5. Generate AES session key, encrypt PID, encrypt session key.
  *  6. Build full Auth XML envelope.
  *  7. Send POST to UIDAI Auth API over HTTPS.
- *  8. Store session in memory.
+ *  8. Store session in the auth store.
  *
  * @param {string} aadhaarNumber - 12-digit Aadhaar.
  * @param {string} [demoPhone]   - Optional phone for hackathon demo.
@@ -129,8 +129,8 @@ async function initiateOtp(aadhaarNumber, demoPhone) {
     const hashed = hashAadhaar(aadhaarNumber);
 
     // 3. Rate-limit check
-    if (store.isLocked(hashed)) {
-        const remaining = store.getLockoutRemaining(hashed);
+    if (await store.isLocked(hashed)) {
+        const remaining = await store.getLockoutRemaining(hashed);
         return {
             success: false,
             message: `Account is temporarily locked. Please try again in ${remaining} seconds.`,
@@ -180,7 +180,7 @@ async function initiateOtp(aadhaarNumber, demoPhone) {
         });
 
         // Store session regardless — UIDAI response parsing can be enhanced
-        store.createSession(hashed, txnId);
+        await store.createSession(hashed, txnId);
 
         console.log(`[AadhaarService] OTP initiated for txn: ${txnId}`);
 
@@ -199,7 +199,7 @@ async function initiateOtp(aadhaarNumber, demoPhone) {
         // Keep the "network realism" delay
         await new Promise(resolve => setTimeout(resolve, 2000));
 
-        store.createSession(hashed, txnId);
+        await store.createSession(hashed, txnId);
 
         return {
             success: true,
@@ -221,13 +221,13 @@ async function initiateOtp(aadhaarNumber, demoPhone) {
  *  4. Retrieve session.
  *  5. Build PID XML with OTP.
  *  6. Encrypt and send to UIDAI.
- *  7. On success → generate JWT, clear attempts.
+ *  7. On success → generate JWT + refresh token, clear attempts.
  *  8. On failure → increment attempts, check lockout.
  *
  * @param {string} aadhaarNumber - 12-digit Aadhaar.
  * @param {string} otp           - 6-digit OTP.
  * @param {string} txnId         - Transaction ID from initiate step.
- * @returns {Promise<{ success: boolean, token?: string, message: string }>}
+ * @returns {Promise<{ success: boolean, token?: string, refreshToken?: string, message: string }>}
  */
 async function verifyOtp(aadhaarNumber, otp, txnId) {
     // 1. Validate
@@ -253,8 +253,8 @@ async function verifyOtp(aadhaarNumber, otp, txnId) {
     const hashed = hashAadhaar(aadhaarNumber);
 
     // 3. Rate-limit check
-    if (store.isLocked(hashed)) {
-        const remaining = store.getLockoutRemaining(hashed);
+    if (await store.isLocked(hashed)) {
+        const remaining = await store.getLockoutRemaining(hashed);
         return {
             success: false,
             message: `Account is temporarily locked due to multiple failed attempts. Try again in ${remaining} seconds.`,
@@ -262,7 +262,7 @@ async function verifyOtp(aadhaarNumber, otp, txnId) {
     }
 
     // 4. Check session
-    const session = store.getSession(hashed);
+    const session = await store.getSession(hashed);
     if (!session) {
         return {
             success: false,
@@ -341,19 +341,20 @@ async function verifyOtp(aadhaarNumber, otp, txnId) {
 /**
  * Handles a successful OTP verification.
  */
-function handleSuccess(hashedAadhaar, txnId) {
-    // Generate JWT
-    const token = generateToken({ hashedAadhaar, txnId });
+async function handleSuccess(hashedAadhaar, txnId) {
+    // Generate JWT + refresh token (starts a new token family)
+    const { token, refreshToken } = await tokenService.issueSession(hashedAadhaar, txnId);
 
     // Clear session and reset attempts
-    store.clearSession(hashedAadhaar);
-    store.resetAttempts(hashedAadhaar);
+    await store.clearSession(hashedAadhaar);
+    await store.resetAttempts(hashedAadhaar);
 
     console.log(`[AadhaarService] OTP verified successfully for txn: ${txnId}`);
 
     return {
         success: true,
         token,
+        refreshToken,
         message: 'Aadhaar authentication successful.',
     };
 }
@@ -361,11 +362,11 @@ function handleSuccess(hashedAadhaar, txnId) {
 /**
  * Handles a failed OTP verification.
  */
-function handleFailure(hashedAadhaar) {
-    const { locked, attemptsLeft } = store.incrementFailed(hashedAadhaar);
+async function handleFailure(hashedAadhaar) {
+    const { locked, attemptsLeft } = await store.incrementFailed(hashedAadhaar);
 
     if (locked) {
-        const remaining = store.getLockoutRemaining(hashedAadhaar);
+        const remaining = await store.getLockoutRemaining(hashedAadhaar);
         return {
             success: false,
             message: `Too many failed attempts. Account locked for ${remaining} seconds.`,
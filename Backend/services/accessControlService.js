@@ -0,0 +1,35 @@
+/**
+ * Access Control Service
+ *
+ * Decides whether an authenticated user may view an applicant's data:
+ *  - MSME users may only see their own data.
+ *  - Lender staff may see an applicant only while that applicant holds an
+ *    ACTIVE consent naming the lender organisation as DataConsumer.
+ */
+const consentService = require('./consentService');
+const { ROLES, isLenderRole } = require('../utils/permissions');
+
+/**
+ * Whether the user may view the given applicant's data.
+ *
+ * @param {{ sub: string, role: string, orgId: string|null }} user - req.user
+ * @param {string} userReferenceId - Applicant (hashed Aadhaar).
+ * @returns {Promise<boolean>}
+ */
+async function canViewApplicant(user, userReferenceId) {
+    if (!user || !userReferenceId) return false;
+
+    if (user.role === ROLES.MSME) {
+        return user.sub === userReferenceId;
+    }
+
+    if (isLenderRole(user.role) && user.orgId) {
+        return consentService.hasActiveConsentFor(userReferenceId, user.orgId);
+    }
+
+    return false;
+}
+
+module.exports = {
+    canViewApplicant,
+};
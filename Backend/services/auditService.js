@@ -0,0 +1,306 @@
+/**
+ * Audit Service
+ *
+ * Append-only audit trail of consent lifecycle events and data access
+ * (FI requests and fetches, score computations, lender views), kept for
+ * DPDP Act accountability. Every entry carries the SHA-256 hash of the
+ * previous entry, so editing, removing or reordering any entry breaks
+ * the chain and is reported by verifyChain().
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const auditLogModel = require('../models/auditLogModel');
+const { canonicalJson } = require('../utils/canonicalJson');
+const { isLenderRole } = require('../utils/permissions');
+
+// ─── Constants ─────────────────────────────────────────────────────
+
+const EVENT_TYPES = {
+    CONSENT_CREATED: 'CONSENT_CREATED',
+    CONSENT_PAUSED: 'CONSENT_PAUSED',
+    CONSENT_RESUMED: 'CONSENT_RESUMED',
+    CONSENT_REVOKED: 'CONSENT_REVOKED',
+    CONSENT_EXPIRED: 'CONSENT_EXPIRED',
+    FI_REQUESTED: 'FI_REQUESTED',
+    FI_FETCHED: 'FI_FETCHED',
+    STATEMENT_UPLOADED: 'STATEMENT_UPLOADED',
+    SCORE_COMPUTED: 'SCORE_COMPUTED',
+    APPLICANT_LISTED: 'APPLICANT_LISTED',
+    SCORE_VIEWED: 'SCORE_VIEWED',
+    DATA_EXPORTED: 'DATA_EXPORTED',
+    DATA_ERASED: 'DATA_ERASED',
+    AUDIT_GAP: 'AUDIT_GAP',
+};
+
+/** Actors that are not an authenticated user. */
+const SYSTEM_ACTOR = { type: 'system', id: 'system' };
+const AA_ACTOR = { type: 'aa', id: 'account-aggregator' };
+
+/** prevHash of the first entry. */
+const GENESIS_HASH = '0'.repeat(64);
+
+/** Events held back while PostgreSQL appends fail; beyond this the oldest are dropped. */
+const MAX_HELD_EVENTS = 1000;
+
+// ─── In-Memory Fallback (when PostgreSQL is unavailable) ───────────
+
+const memoryLog = [];
+let useMemory = false;
+
+// ─── Held Events (while PostgreSQL appends fail) ───────────────────
+
+const heldEvents = [];
+let outage = null; // { since, error, dropped } until the held events are written
+let appendQueue = Promise.resolve();
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes audit storage (tries PostgreSQL, falls back to memory).
+ */
+async function init() {
+    const dbReady = await auditLogModel.checkTable();
+    if (!dbReady) {
+        useMemory = true;
+        console.warn('[AuditService] PostgreSQL unavailable — using in-memory audit log (dev mode).');
+    }
+}
+
+// ─── Actors ───────────────────────────────────────────────────────
+
+/**
+ * Builds the audit actor for an authenticated request user (req.user).
+ *
+ * @param {Object} [user]
+ * @returns {{ type: string, id: string, orgId?: string }}
+ */
+function actorFromUser(user) {
+    if (!user) return SYSTEM_ACTOR;
+    if (isLenderRole(user.role)) {
+        return { type: 'lender', id: user.sub, orgId: user.orgId };
+    }
+    return { type: 'msme', id: user.sub };
+}
+
+// ─── Hashing ──────────────────────────────────────────────────────
+
+/**
+ * Hash of an entry: SHA-256 over the canonical JSON of every other
+ * field, prevHash included.
+ *
+ * @param {Object} entry
+ * @returns {string} Hex digest.
+ */
+function hashEntry(entry) {
+    const { hash, ...fields } = entry;
+    return crypto.createHash('sha256')
+        .update(canonicalJson(fields))
+        .digest('hex');
+}
+
+/**
+ * Builds the next entry of the chain on top of `tail`.
+ */
+function chainEntry(event, tail) {
+    const entry = {
+        seq: tail ? tail.seq + 1 : 1,
+        eventId: uuidv4(),
+        eventType: event.eventType,
+        actorType: event.actor.type,
+        actorId: event.actor.id,
+        orgId: event.orgId || event.actor.orgId || null,
+        userReferenceId: event.userReferenceId || null,
+        resourceType: event.resourceType || null,
+        resourceId: event.resourceId || null,
+        details: event.details || {},
+        createdAt: event.occurredAt || new Date().toISOString(),
+        prevHash: tail ? tail.hash : GENESIS_HASH,
+    };
+    return { ...entry, hash: hashEntry(entry) };
+}
+
+function appendToMemory(event) {
+    const tail = memoryLog[memoryLog.length - 1] || null;
+    const entry = chainEntry(event, tail);
+    memoryLog.push(entry);
+    return entry;
+}
+
+// ─── Record ───────────────────────────────────────────────────────
+
+function holdEvent(event, err) {
+    if (!outage) {
+        outage = { since: new Date().toISOString(), error: err.message, dropped: 0 };
+        console.error('[AuditService] DB append failed, holding events until it recovers:', err.message);
+    }
+    heldEvents.push({ ...event, occurredAt: event.occurredAt || new Date().toISOString() });
+    if (heldEvents.length > MAX_HELD_EVENTS) {
+        heldEvents.shift();
+        outage.dropped += 1;
+    }
+}
+
+/**
+ * Writes the held events, oldest first, preceded by an AUDIT_GAP entry
+ * describing the outage. Stops at the first failure.
+ */
+async function writeHeldEvents() {
+    if (outage) {
+        await auditLogModel.appendEntry((tail) => chainEntry({
+            eventType: EVENT_TYPES.AUDIT_GAP,
+            actor: SYSTEM_ACTOR,
+            details: {
+                since: outage.since,
+                until: new Date().toISOString(),
+                heldEvents: heldEvents.length,
+                droppedEvents: outage.dropped,
+                error: outage.error,
+            },
+        }, tail));
+        console.warn(`[AuditService] DB append recovered; writing ${heldEvents.length} held event(s), ${outage.dropped} dropped.`);
+        outage = null;
+    }
+    while (heldEvents.length > 0) {
+        await auditLogModel.appendEntry((tail) => chainEntry(heldEvents[0], tail));
+        heldEvents.shift();
+    }
+}
+
+/**
+ * Appends to PostgreSQL after any held events. Appends run one at a time,
+ * so held events are written once and in order.
+ */
+function appendToDb(event) {
+    const append = appendQueue.then(async () => {
+        try {
+            await writeHeldEvents();
+            return await auditLogModel.appendEntry((tail) => chainEntry(event, tail));
+        } catch (err) {
+            holdEvent(event, err);
+            return null;
+        }
+    });
+    appendQueue = append;
+    return append;
+}
+
+/**
+ * Appends an event to the audit trail. Never throws: a failed audit write
+ * is logged rather than failing the operation being audited. When
+ * PostgreSQL appends fail, events are held in memory and written on a
+ * later call, after an AUDIT_GAP entry recording the outage.
+ *
+ * @param {Object} event
+ * @param {string} event.eventType            - One of EVENT_TYPES.
+ * @param {Object} event.actor                - { type, id, orgId? } (see actorFromUser).
+ * @param {string} [event.userReferenceId]    - Data principal the event concerns.
+ * @param {string} [event.orgId]              - Lender organisation involved (defaults to actor.orgId).
+ * @param {string} [event.resourceType]       - e.g. consent, fi_session, score.
+ * @param {string} [event.resourceId]
+ * @param {Object} [event.details]
+ * @returns {Promise<Object|null>} The stored entry, or null if it was not written (yet).
+ */
+async function record(event) {
+    try {
+        if (!event?.eventType || !event.actor) throw new Error('eventType and actor are required.');
+        if (useMemory) return appendToMemory(event);
+        return await appendToDb(event);
+    } catch (err) {
+        console.error(`[AuditService] Could not record ${event?.eventType}:`, err.message);
+        return null;
+    }
+}
+
+// ─── Query ────────────────────────────────────────────────────────
+
+/**
+ * Lists audit entries, newest first.
+ *
+ * @param {Object} filters
+ * @param {string} [filters.userReferenceId]
+ * @param {string} [filters.orgId]
+ * @param {string} [filters.eventType]
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{ entries: Object[], total: number }>}
+ */
+async function listEntries(filters = {}) {
+    const query = { limit: 20, offset: 0, ...filters };
+
+    if (!useMemory) {
+        const { rows, total } = await auditLogModel.listEntries(query);
+        return { entries: rows, total };
+    }
+
+    const matches = memoryLog
+        .filter((e) => !query.userReferenceId || e.userReferenceId === query.userReferenceId)
+        .filter((e) => !query.orgId || e.orgId === query.orgId)
+        .filter((e) => !query.eventType || e.eventType === query.eventType)
+        .reverse();
+
+    return {
+        entries: matches.slice(query.offset, query.offset + query.limit),
+        total: matches.length,
+    };
+}
+
+/**
+ * Audit trail of one data principal.
+ */
+function getUserTrail(userReferenceId, filters = {}) {
+    return listEntries({ ...filters, userReferenceId });
+}
+
+/**
+ * Audit trail of everything involving one lender organisation.
+ */
+function getOrgTrail(orgId, filters = {}) {
+    return listEntries({ ...filters, orgId });
+}
+
+// ─── Verification ─────────────────────────────────────────────────
+
+/**
+ * Walks the whole chain and recomputes every hash.
+ *
+ * @returns {Promise<{ valid: boolean, checked: number, headHash: string|null,
+ *                     brokenAt?: number, reason?: string }>}
+ */
+async function verifyChain() {
+    const entries = useMemory ? memoryLog : await auditLogModel.getAllEntries();
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        let reason = null;
+
+        if (entry.seq !== i + 1) reason = `expected seq ${i + 1}, found ${entry.seq}`;
+        else if (entry.prevHash !== prevHash) reason = 'prevHash does not match the previous entry';
+        else if (entry.hash !== hashEntry(entry)) reason = 'entry contents do not match its hash';
+
+        if (reason) {
+            console.warn(`[AuditService] Chain broken at seq ${entry.seq}: ${reason}`);
+            return { valid: false, checked: i, headHash: prevHash, brokenAt: entry.seq, reason };
+        }
+        prevHash = entry.hash;
+    }
+
+    return {
+        valid: true,
+        checked: entries.length,
+        headHash: entries.length > 0 ? prevHash : null,
+    };
+}
+
+module.exports = {
+    init,
+    record,
+    actorFromUser,
+    listEntries,
+    getUserTrail,
+    getOrgTrail,
+    verifyChain,
+    EVENT_TYPES,
+    SYSTEM_ACTOR,
+    AA_ACTOR,
+};
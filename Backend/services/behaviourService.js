@@ -1,18 +1,68 @@
+/**
+ * Behavioural Quiz Service
+ *
+ * Serves randomised behavioural risk questions, scores submitted answers
+ * and stores the result (scores only — never the individual answers).
+ * Results submitted with a Bearer token are linked to the user so they
+ * can be exported or erased on request; anonymous results carry no
+ * user reference.
+ */
 const { v4: uuidv4 } = require('uuid');
-const { Pool } = require('pg');
-const config = require('../config');
+const { getPool, checkTables } = require('../db/pool');
 const { selectQuestions, validateResponses, calculateScore } = require('../utils/quizEngine');
 const { analyzeBehaviour } = require('../utils/behaviourAnalyzer');
 
-// ... (rest of the file as before, updated below)
+// ─── Storage ───────────────────────────────────────────────────────
+
+const INSERT_SQL = `
+INSERT INTO behaviour_results (session_id, user_reference_id, normalized_score, total_score, created_at)
+VALUES ($1, $2, $3, $4, $5)
+`;
+
+let useDb = false;
+
+// In-memory fallback (when PostgreSQL is unavailable): sessionId → result
+const memoryStore = new Map();
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes result storage (uses PostgreSQL when behaviour_results has
+ * been migrated, otherwise memory).
+ */
+async function init() {
+    useDb = await checkTables('BehaviourService', ['behaviour_results']);
+    if (!useDb) {
+        console.warn('[BehaviourService] Using in-memory results (dev mode).');
+    }
+}
+
+// ─── Questions ────────────────────────────────────────────────────
 
 /**
- * Validates responses, calculates score, and stores anonymized result.
+ * Returns a fresh random selection of quiz questions.
  *
- * @param {Object[]} responses - [{ questionId, answer }]
+ * @returns {{ success: boolean, message: string, data: { questions: Object[] } }}
+ */
+function getQuizQuestions() {
+    const { sessionQuestions } = selectQuestions();
+    return {
+        success: true,
+        message: `${sessionQuestions.length} questions selected.`,
+        data: { questions: sessionQuestions },
+    };
+}
+
+// ─── Submit ───────────────────────────────────────────────────────
+
+/**
+ * Validates responses, calculates score, and stores the result.
+ *
+ * @param {Object[]} responses - [{ id, choice }]
+ * @param {string|null} [userReferenceId] - Set when the quiz was submitted with a Bearer token.
  * @returns {Promise<Object>}
  */
-async function submitQuiz(responses) {
+async function submitQuiz(responses, userReferenceId = null) {
     // 1. Validate
     const validation = validateResponses(responses);
     if (!validation.valid) {
@@ -25,20 +75,21 @@ async function submitQuiz(responses) {
     // 3. Perform detailed behavioural analysis
     const detailedAnalysis = analyzeBehaviour(responses);
 
-    // 4. Store anonymized result
+    // 4. Store result
     const sessionId = uuidv4();
     const timestamp = new Date().toISOString();
+    const result = { sessionId, userReferenceId, normalizedScore, totalScore, createdAt: timestamp };
 
     if (useDb) {
         try {
-            await pool.query(INSERT_SQL, [sessionId, normalizedScore, totalScore]);
+            await getPool().query(INSERT_SQL, [sessionId, userReferenceId, normalizedScore, totalScore, timestamp]);
             console.log(`[BehaviourService] Result stored in DB: ${sessionId}`);
         } catch (err) {
             console.warn(`[BehaviourService] DB insert failed, using memory: ${err.message}`);
-            memoryStore.set(sessionId, { normalizedScore, totalScore, createdAt: timestamp });
+            memoryStore.set(sessionId, result);
         }
     } else {
-        memoryStore.set(sessionId, { normalizedScore, totalScore, createdAt: timestamp });
+        memoryStore.set(sessionId, result);
     }
 
     // 5. Return enriched scores
@@ -60,8 +111,62 @@ async function submitQuiz(responses) {
     };
 }
 
+// ─── Data Principal Rights ────────────────────────────────────────
+
+/**
+ * Stored quiz results linked to a user, oldest first.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object[]>}
+ */
+async function listUserResults(userReferenceId) {
+    const inMemory = Array.from(memoryStore.values())
+        .filter((r) => r.userReferenceId === userReferenceId);
+    if (!useDb) return inMemory;
+
+    const result = await getPool().query(
+        `SELECT session_id, user_reference_id, normalized_score, total_score, created_at
+     FROM behaviour_results WHERE user_reference_id = $1 ORDER BY created_at`,
+        [userReferenceId],
+    );
+    return [
+        ...result.rows.map((row) => ({
+            sessionId: row.session_id,
+            userReferenceId: row.user_reference_id,
+            normalizedScore: Number(row.normalized_score),
+            totalScore: row.total_score,
+            createdAt: row.created_at,
+        })),
+        ...inMemory,
+    ];
+}
+
+/**
+ * Deletes every quiz result linked to a user.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of results deleted.
+ */
+async function deleteUserResults(userReferenceId) {
+    let deleted = 0;
+    for (const [sessionId, r] of memoryStore) {
+        if (r.userReferenceId === userReferenceId) {
+            memoryStore.delete(sessionId);
+            deleted += 1;
+        }
+    }
+
+    if (useDb) {
+        const result = await getPool().query('DELETE FROM behaviour_results WHERE user_reference_id = $1', [userReferenceId]);
+        deleted += result.rowCount;
+    }
+    return deleted;
+}
+
 module.exports = {
     init,
     getQuizQuestions,
     submitQuiz,
+    listUserResults,
+    deleteUserResults,
 };
@@ -0,0 +1,45 @@
+/**
+ * Cash-Flow Forecast Service
+ *
+ * Bridges the FI fetch pipeline and the cash-flow forecasting engine:
+ * fetches an FI session's transactions, then projects them forward.
+ */
+const { forecastCashFlow } = require('../utils/cashFlowForecast');
+const fiFetchService = require('./fiFetchService');
+
+/**
+ * Fetches FI data by sessionId, then forecasts monthly cash flow.
+ *
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.horizon] - Months to forecast (3–6, default 3).
+ * @param {Object} [options.actor]   - Audit actor for the FI fetch.
+ * @returns {Promise<Object>}
+ */
+async function forecastFromSession(sessionId, options = {}) {
+    if (!sessionId) {
+        return { success: false, message: 'sessionId is required.' };
+    }
+
+    const fetchResult = await fiFetchService.fetchFiData(sessionId, {
+        actor: options.actor,
+        includeTransactions: true,
+    });
+    if (!fetchResult.success) return fetchResult;
+
+    const result = forecastCashFlow(fetchResult.data.transactions || [], { horizon: options.horizon });
+    if (!result.success) return result;
+
+    const { forecast, shortfallMonths } = result.data;
+    console.log(`[CashFlowForecastService] Forecast ${forecast.length} month(s) for session ${sessionId} | shortfall risk: ${shortfallMonths.join(', ') || 'none'}`);
+
+    return {
+        success: true,
+        message: `Cash-flow forecast for session ${sessionId}: ${forecast.length} months, ${shortfallMonths.length} at risk of shortfall.`,
+        data: { sessionId, mocked: fetchResult.data.mocked, ...result.data },
+    };
+}
+
+module.exports = {
+    forecastFromSession,
+};
@@ -0,0 +1,50 @@
+/**
+ * Category Service
+ *
+ * Runs a narration through the active categorisation ruleset
+ * (utils/categoryEngine.js), so rule changes and tenant overrides can be
+ * checked before they reach an analysis.
+ */
+const { categorise, describeRuleset } = require('../utils/categoryEngine');
+
+/**
+ * Categorises a single narration.
+ *
+ * @param {Object} transaction
+ * @param {string} transaction.narration
+ * @param {number} [transaction.amount]
+ * @param {string} [transaction.type] - 'CREDIT' or 'DEBIT'.
+ * @param {string} [transaction.mode] - UPI, NEFT, IMPS, etc.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose overrides apply.
+ * @returns {Object}
+ */
+function testNarration(transaction, options = {}) {
+    const input = {
+        narration: transaction.narration,
+        amount: transaction.amount === undefined ? null : transaction.amount,
+        type: transaction.type ? transaction.type.toUpperCase() : null,
+        mode: transaction.mode ? transaction.mode.toUpperCase() : null,
+    };
+    const { category, mcc, ruleId, ruleSource } = categorise(input, options);
+    const ruleset = describeRuleset(options.tenantId);
+
+    return {
+        success: true,
+        message: ruleId
+            ? `Matched rule "${ruleId}" in ruleset ${ruleset.version}.`
+            : `No rule matched in ruleset ${ruleset.version}; the default category applies.`,
+        data: {
+            ruleset,
+            input,
+            category,
+            mcc,
+            ruleId,
+            ruleSource,
+        },
+    };
+}
+
+module.exports = {
+    testNarration,
+};
@@ -4,31 +4,70 @@
  * Business logic for creating, retrieving, and revoking
  * Account Aggregator consent artefacts per ReBIT AA API v2.0.
  */
+const config = require('../config');
 const { generateConsentId, isValidUuid } = require('../utils/uuidGenerator');
+const { createDetachedJws, verifyJws } = require('../utils/jwsSigner');
+const { computeDataLifeExpiry } = require('../utils/dataLife');
+const { canonicalJson } = require('../utils/canonicalJson');
 const consentModel = require('../models/consentModel');
+const auditService = require('./auditService');
 
 // ─── Constants ─────────────────────────────────────────────────────
 
 const VALID_FI_TYPES = ['DEPOSIT', 'UPI', 'GST', 'UTILITY', 'SOCIAL'];
 const VALID_DATA_LIFE_UNITS = ['MONTH', 'YEAR', 'DAY', 'INF'];
+const VALID_FREQUENCY_UNITS = ['HOUR', 'DAY', 'MONTH', 'YEAR', 'INF'];
 const VALID_STATUSES = ['ACTIVE', 'REVOKED', 'PAUSED', 'EXPIRED'];
 
+/** Allowed status transitions. REVOKED and EXPIRED are terminal. */
+const CONSENT_TRANSITIONS = {
+    ACTIVE: ['PAUSED', 'REVOKED', 'EXPIRED'],
+    PAUSED: ['ACTIVE', 'REVOKED', 'EXPIRED'],
+    REVOKED: [],
+    EXPIRED: [],
+};
+
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/** Audit event recorded when a consent enters each status. */
+const STATUS_AUDIT_EVENTS = {
+    ACTIVE: auditService.EVENT_TYPES.CONSENT_RESUMED,
+    PAUSED: auditService.EVENT_TYPES.CONSENT_PAUSED,
+    REVOKED: auditService.EVENT_TYPES.CONSENT_REVOKED,
+    EXPIRED: auditService.EVENT_TYPES.CONSENT_EXPIRED,
+};
+
+/** Artefact fields covered by signedConsent — the terms the customer agreed to. */
+const SIGNED_CONSENT_FIELDS = [
+    'consentId', 'createTimestamp', 'Purpose', 'FIDataRange', 'DataConsumer',
+    'DataProvider', 'Customer', 'Accounts', 'DataLife', 'Frequency', 'DataFilter',
+];
+
 // ─── In-Memory Fallback (when PostgreSQL is unavailable) ───────────
 
 let memoryStore = [];
 let useMemory = false;
+let sweepTimer = null;
 
 // ─── Initialization ───────────────────────────────────────────────
 
 /**
- * Initializes the consent storage (tries PostgreSQL, falls back to memory).
+ * Initializes the consent storage (tries PostgreSQL, falls back to memory)
+ * and starts the periodic consent expiry sweep.
  */
 async function init() {
-    const dbReady = await consentModel.initTable();
+    const dbReady = await consentModel.checkTable();
     if (!dbReady) {
         useMemory = true;
         console.warn('[ConsentService] PostgreSQL unavailable — using in-memory store (dev mode).');
     }
+
+    if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+            expireConsents().catch((err) => console.error('[ConsentService] Expiry sweep failed:', err.message));
+        }, EXPIRY_SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
 }
 
 // ─── Validation ───────────────────────────────────────────────────
@@ -84,6 +123,20 @@ function validateConsentPayload(payload) {
         }
     }
 
+    // Frequency (optional; defaults to 1 per MONTH)
+    if (payload.frequency !== undefined) {
+        if (!payload.frequency || typeof payload.frequency !== 'object') {
+            errors.push('frequency must be an object with { unit, value }.');
+        } else {
+            if (!VALID_FREQUENCY_UNITS.includes(payload.frequency.unit)) {
+                errors.push(`frequency.unit must be one of: [${VALID_FREQUENCY_UNITS.join(', ')}]`);
+            }
+            if (!Number.isInteger(payload.frequency.value) || payload.frequency.value < 1) {
+                errors.push('frequency.value must be a positive integer.');
+            }
+        }
+    }
+
     return { valid: errors.length === 0, errors };
 }
 
@@ -116,11 +169,11 @@ async function createConsent(payload) {
         consentId,
         status: 'ACTIVE',
         createTimestamp: now,
-        signedConsent: '', // Would be digitally signed in production
+        signedConsent: '', // Set below, once the terms are final
         ConsentUse: {
             logUri: '',
-            count: 1,
-            lastUseDateTime: now,
+            count: 0,
+            lastUseDateTime: null,
         },
         Purpose: payload.purpose || {
             code: '101',
@@ -154,13 +207,15 @@ async function createConsent(payload) {
             unit: payload.dataLife.unit,
             value: payload.dataLife.value,
         },
-        Frequency: payload.frequency || {
-            unit: 'MONTH',
-            value: 1,
-        },
+        Frequency: payload.frequency
+            ? { unit: payload.frequency.unit, value: payload.frequency.value }
+            : { unit: 'MONTH', value: 1 },
         DataFilter: payload.dataFilter || [],
     };
 
+    // Sign the consent terms with the FIU key
+    consentArtefact.signedConsent = signConsentArtefact(consentArtefact);
+
     // Prepare record
     const record = {
         consentId,
@@ -171,6 +226,8 @@ async function createConsent(payload) {
         dataLife: payload.dataLife,
         purpose: consentArtefact.Purpose,
         consentArtefact,
+        signedConsent: consentArtefact.signedConsent,
+        expiresAt: computeConsentExpiry(now, payload.dataRange, payload.dataLife),
         createdAt: now,
     };
 
@@ -189,6 +246,14 @@ async function createConsent(payload) {
         }
     }
 
+    await recordConsentEvent(auditService.EVENT_TYPES.CONSENT_CREATED, record,
+        { type: 'msme', id: payload.userReferenceId }, {
+            fiTypes: payload.fiTypes,
+            dataRange: payload.dataRange,
+            dataLife: payload.dataLife,
+            purposeCode: consentArtefact.Purpose.code,
+        });
+
     return {
         success: true,
         message: 'Consent artefact created successfully.',
@@ -196,11 +261,175 @@ async function createConsent(payload) {
             consentId,
             status: 'ACTIVE',
             createdAt: now,
+            expiresAt: record.expiresAt,
             consentArtefact,
         },
     };
 }
 
+// ─── Expiry ───────────────────────────────────────────────────────
+
+/**
+ * Computes when a consent lapses: its DataLife counted from creation, or
+ * the end of its FIDataRange if that range extends into the future
+ * (a purely historical range does not bound the consent).
+ *
+ * @param {string} createdAt
+ * @param {{ from: string, to: string }} dataRange
+ * @param {{ unit: string, value: number }} dataLife
+ * @returns {string|null} ISO timestamp, or null if the consent never lapses.
+ */
+function computeConsentExpiry(createdAt, dataRange, dataLife) {
+    const candidates = [computeDataLifeExpiry(createdAt, dataLife)];
+
+    const rangeEnd = new Date(dataRange.to);
+    if (rangeEnd > new Date(createdAt)) candidates.push(rangeEnd.toISOString());
+
+    const expiries = candidates.filter(Boolean).sort();
+    return expiries[0] || null;
+}
+
+function getConsentExpiry(record) {
+    const expiresAt = record?.expiresAt || record?.expires_at;
+    return expiresAt ? new Date(expiresAt) : null;
+}
+
+function isPastExpiry(record) {
+    const expiresAt = getConsentExpiry(record);
+    return Boolean(expiresAt) && expiresAt.getTime() <= Date.now();
+}
+
+/**
+ * Marks every ACTIVE or PAUSED consent whose expiry has passed as EXPIRED.
+ *
+ * @returns {Promise<number>} Number of consents expired.
+ */
+async function expireConsents() {
+    let expired = [];
+
+    if (useMemory) {
+        for (const record of memoryStore) {
+            if (isPastExpiry(record) && CONSENT_TRANSITIONS[record.status].includes('EXPIRED')) {
+                setMemoryStatus(record, 'EXPIRED');
+                expired.push(record);
+            }
+        }
+    } else {
+        expired = await consentModel.expireConsents();
+    }
+
+    for (const record of expired) {
+        await recordConsentEvent(STATUS_AUDIT_EVENTS.EXPIRED, record, auditService.SYSTEM_ACTOR);
+    }
+
+    if (expired.length > 0) {
+        const ids = expired.map((record) => record.consentId || record.consent_id);
+        console.log(`[ConsentService] Expired ${expired.length} consent(s): ${ids.join(', ')}`);
+    }
+    return expired.length;
+}
+
+/**
+ * Expires a consent on read if it has lapsed but the sweep has not caught it yet.
+ */
+async function applyLazyExpiry(record) {
+    if (!record || !isPastExpiry(record) || !CONSENT_TRANSITIONS[record.status]?.includes('EXPIRED')) {
+        return record;
+    }
+    const result = await transitionConsent(record.consentId || record.consent_id, 'EXPIRED');
+    return result.success ? result.data : record;
+}
+
+/**
+ * applyLazyExpiry over a list of records, one at a time.
+ */
+async function applyLazyExpiryAll(records) {
+    const current = [];
+    for (const record of records) current.push(await applyLazyExpiry(record));
+    return current;
+}
+
+// ─── Signing & Verification ───────────────────────────────────────
+
+/**
+ * Picks the signed terms (SIGNED_CONSENT_FIELDS) out of an artefact.
+ */
+function buildConsentDetail(artefact) {
+    const detail = {};
+    for (const field of SIGNED_CONSENT_FIELDS) {
+        if (artefact[field] !== undefined) detail[field] = artefact[field];
+    }
+    return detail;
+}
+
+/**
+ * Signs the consent terms as a compact JWS with the FIU key.
+ *
+ * @param {Object} artefact - ReBIT consent artefact.
+ * @returns {string} header.payload.signature
+ */
+function signConsentArtefact(artefact) {
+    return createDetachedJws(buildConsentDetail(artefact)).fullJws;
+}
+
+/**
+ * Re-verifies a consent record's signedConsent and compares the signed
+ * terms against the stored artefact.
+ *
+ * @param {Object} record - Consent record (memory or PostgreSQL row).
+ * @returns {{ consentId: string, verified: boolean, signatureValid: boolean, artefactMatches: boolean,
+ *             tamperedFields: string[], keyId: string|null, algorithm: string|null, message: string }}
+ */
+function verifyConsentSignature(record) {
+    const artefact = getConsentArtefact(record);
+    const consentId = record.consentId || record.consent_id;
+    const signedConsent = record.signedConsent || record.signed_consent || artefact.signedConsent;
+
+    const report = {
+        consentId,
+        verified: false,
+        signatureValid: false,
+        artefactMatches: false,
+        tamperedFields: [],
+        keyId: null,
+        algorithm: null,
+    };
+
+    if (!signedConsent) {
+        return { ...report, message: 'Consent artefact is not signed.' };
+    }
+
+    const { valid, header, payload, error } = verifyJws(signedConsent, config.aa.fiuPublicKeyPath);
+    if (error) {
+        return { ...report, message: error };
+    }
+
+    report.signatureValid = valid;
+    report.keyId = header.kid || null;
+    report.algorithm = header.alg || null;
+
+    const current = buildConsentDetail(artefact);
+    report.tamperedFields = SIGNED_CONSENT_FIELDS
+        .filter((field) => canonicalJson(payload[field]) !== canonicalJson(current[field]));
+    if (artefact.signedConsent !== signedConsent) {
+        report.tamperedFields.push('signedConsent');
+    }
+    report.artefactMatches = report.tamperedFields.length === 0;
+    report.verified = report.signatureValid && report.artefactMatches;
+
+    let message = 'Signature valid; artefact matches the signed terms.';
+    if (!report.signatureValid) {
+        message = 'Signature does not verify against the FIU key.';
+    } else if (!report.artefactMatches) {
+        message = `Artefact differs from the signed terms: ${report.tamperedFields.join(', ')}.`;
+    }
+
+    if (!report.verified) {
+        console.warn(`[ConsentService] Consent ${consentId} failed verification: ${message}`);
+    }
+    return { ...report, message };
+}
+
 // ─── Get Consent ──────────────────────────────────────────────────
 
 /**
@@ -228,13 +457,13 @@ async function getConsent(consentId) {
         return { success: false, message: 'Consent artefact not found.' };
     }
 
-    return { success: true, data: record };
+    return { success: true, data: await applyLazyExpiry(record) };
 }
 
 // ─── Get User Consents ────────────────────────────────────────────
 
 /**
- * Retrieves all consent artefacts for a user.
+ * Retrieves all consent artefacts for a user, expiring lapsed ones on read.
  */
 async function getUserConsents(userReferenceId) {
     if (!userReferenceId) {
@@ -254,51 +483,279 @@ async function getUserConsents(userReferenceId) {
         }
     }
 
+    records = await applyLazyExpiryAll(records);
     return { success: true, data: records, count: records.length };
 }
 
-// ─── Revoke Consent ───────────────────────────────────────────────
+/**
+ * Deletes every consent of a user, from PostgreSQL and the memory fallback.
+ * Callers revoke live consents first so the audit trail records it.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<string[]>} IDs of the consents deleted.
+ */
+async function deleteUserConsents(userReferenceId) {
+    const deleted = memoryStore
+        .filter((c) => c.userReferenceId === userReferenceId)
+        .map((c) => c.consentId);
+    memoryStore = memoryStore.filter((c) => c.userReferenceId !== userReferenceId);
+
+    if (!useMemory) {
+        deleted.push(...await consentModel.deleteConsentsByUser(userReferenceId));
+    }
+
+    console.log(`[ConsentService] Deleted ${deleted.length} consent(s) of an erased user.`);
+    return deleted;
+}
+
+// ─── Ownership ────────────────────────────────────────────────────
 
 /**
- * Revokes a consent artefact.
+ * Returns the user reference that owns a consent record.
+ * Handles both in-memory (camelCase) and PostgreSQL (snake_case) rows.
+ *
+ * @param {Object} record
+ * @returns {string|null}
  */
-async function revokeConsent(consentId) {
+function getConsentOwner(record) {
+    if (!record) return null;
+    return record.userReferenceId || record.user_reference_id || null;
+}
+
+/**
+ * Returns the consent artefact of a record (memory or PostgreSQL row).
+ *
+ * @param {Object} record
+ * @returns {Object}
+ */
+function getConsentArtefact(record) {
+    return record?.consentArtefact || record?.consent_artefact || {};
+}
+
+// ─── Data Consumer Access ─────────────────────────────────────────
+
+/**
+ * Retrieves ACTIVE consents that name a DataConsumer (lender organisation).
+ * Consents past their expiry are expired on the way and left out.
+ *
+ * @param {string} dataConsumerId
+ * @returns {Promise<Object[]>}
+ */
+async function getActiveConsentsForConsumer(dataConsumerId) {
+    const matches = (c) => c.status === 'ACTIVE'
+        && getConsentArtefact(c).DataConsumer?.id === dataConsumerId;
+
+    let records;
+    if (useMemory) {
+        records = memoryStore.filter(matches);
+    } else {
+        try {
+            records = await consentModel.getActiveConsentsByDataConsumer(dataConsumerId);
+        } catch (err) {
+            console.error('[ConsentService] DB query failed:', err.message);
+            records = memoryStore.filter(matches);
+        }
+    }
+
+    return (await applyLazyExpiryAll(records)).filter((c) => c.status === 'ACTIVE');
+}
+
+/**
+ * Whether a user holds an ACTIVE, unexpired consent naming the given DataConsumer.
+ *
+ * @param {string} userReferenceId
+ * @param {string} dataConsumerId
+ * @returns {Promise<boolean>}
+ */
+async function hasActiveConsentFor(userReferenceId, dataConsumerId) {
+    if (!userReferenceId || !dataConsumerId) return false;
+
+    const { data } = await getUserConsents(userReferenceId);
+    return (data || []).some((c) => c.status === 'ACTIVE'
+        && getConsentArtefact(c).DataConsumer?.id === dataConsumerId);
+}
+
+// ─── Audit ────────────────────────────────────────────────────────
+
+/**
+ * Records a consent event in the audit trail against the consent's owner
+ * and its DataConsumer organisation.
+ *
+ * @param {string} eventType
+ * @param {Object} record - Consent record (memory or PostgreSQL row).
+ * @param {Object} actor  - Audit actor (see auditService.actorFromUser).
+ * @param {Object} [details]
+ */
+function recordConsentEvent(eventType, record, actor, details = {}) {
+    const artefact = getConsentArtefact(record);
+    return auditService.record({
+        eventType,
+        actor,
+        userReferenceId: getConsentOwner(record),
+        orgId: artefact.DataConsumer?.id || null,
+        resourceType: 'consent',
+        resourceId: record.consentId || record.consent_id,
+        details: { status: record.status, ...details },
+    });
+}
+
+// ─── Status Transitions ───────────────────────────────────────────
+
+function setMemoryStatus(record, status) {
+    record.status = status;
+    record.consentArtefact.status = status;
+    record.updatedAt = new Date().toISOString();
+    if (status === 'REVOKED') record.revokedAt = record.updatedAt;
+}
+
+/**
+ * Moves a consent to a new status, enforcing CONSENT_TRANSITIONS.
+ *
+ * @param {string} consentId
+ * @param {string} nextStatus - One of VALID_STATUSES.
+ * @param {Object} [actor] - Audit actor making the change (default: system).
+ * @returns {Promise<{ success: boolean, data?: Object, message: string }>}
+ */
+async function transitionConsent(consentId, nextStatus, actor = auditService.SYSTEM_ACTOR) {
     if (!isValidUuid(consentId)) {
         return { success: false, message: 'Invalid consentId format.' };
     }
 
+    const fromStatuses = Object.keys(CONSENT_TRANSITIONS)
+        .filter((status) => CONSENT_TRANSITIONS[status].includes(nextStatus));
+
+    const transitionInMemory = () => {
+        const record = memoryStore.find((c) => c.consentId === consentId && fromStatuses.includes(c.status));
+        if (!record) return null;
+        setMemoryStatus(record, nextStatus);
+        return record;
+    };
+
+    let updated = null;
+
     if (useMemory) {
-        const idx = memoryStore.findIndex(
-            (c) => c.consentId === consentId && c.status === 'ACTIVE',
-        );
-        if (idx === -1) {
-            return { success: false, message: 'Active consent artefact not found.' };
+        updated = transitionInMemory();
+    } else {
+        try {
+            updated = await consentModel.transitionConsentStatus(consentId, nextStatus, fromStatuses);
+        } catch (err) {
+            console.error('[ConsentService] DB status transition failed:', err.message);
+            return { success: false, message: `Failed to move consent to ${nextStatus}.` };
         }
-        memoryStore[idx].status = 'REVOKED';
-        memoryStore[idx].revokedAt = new Date().toISOString();
-        console.log(`[ConsentService] Consent ${consentId} revoked (memory).`);
+    }
+
+    if (!updated) {
         return {
-            success: true,
-            message: 'Consent revoked successfully.',
-            data: memoryStore[idx],
+            success: false,
+            message: `Consent must be ${fromStatuses.join(' or ')} to move to ${nextStatus}.`,
         };
     }
 
+    await recordConsentEvent(STATUS_AUDIT_EVENTS[nextStatus], updated, actor);
+
+    console.log(`[ConsentService] Consent ${consentId} → ${nextStatus}.`);
+    return { success: true, message: `Consent moved to ${nextStatus}.`, data: updated };
+}
+
+/**
+ * Revokes an ACTIVE or PAUSED consent artefact.
+ */
+async function revokeConsent(consentId, actor) {
+    const result = await transitionConsent(consentId, 'REVOKED', actor);
+    return result.success ? { ...result, message: 'Consent revoked successfully.' } : result;
+}
+
+/**
+ * Pauses an ACTIVE consent; FI requests are refused until it is resumed.
+ */
+async function pauseConsent(consentId, actor) {
+    const result = await transitionConsent(consentId, 'PAUSED', actor);
+    return result.success ? { ...result, message: 'Consent paused successfully.' } : result;
+}
+
+/**
+ * Resumes a PAUSED consent, unless it has lapsed in the meantime.
+ */
+async function resumeConsent(consentId, actor) {
+    const current = await getConsent(consentId);
+    if (current.success && current.data.status === 'EXPIRED') {
+        return { success: false, message: 'Consent has expired and cannot be resumed.' };
+    }
+
+    const result = await transitionConsent(consentId, 'ACTIVE', actor);
+    return result.success ? { ...result, message: 'Consent resumed successfully.' } : result;
+}
+
+// ─── Consent Use ──────────────────────────────────────────────────
+
+/**
+ * Replaces the artefact's ConsentUse block ({ logUri, count, lastUseDateTime }).
+ *
+ * @param {string} consentId
+ * @param {Object} consentUse
+ * @returns {Promise<Object|null>} The updated record.
+ */
+async function updateConsentUse(consentId, consentUse) {
+    const updateInMemory = () => {
+        const record = memoryStore.find((c) => c.consentId === consentId);
+        if (!record) return null;
+        record.consentArtefact.ConsentUse = consentUse;
+        record.updatedAt = new Date().toISOString();
+        return record;
+    };
+
+    if (useMemory) return updateInMemory();
+
     try {
-        const revoked = await consentModel.revokeConsent(consentId);
-        if (!revoked) {
-            return { success: false, message: 'Active consent artefact not found.' };
-        }
-        console.log(`[ConsentService] Consent ${consentId} revoked (PostgreSQL).`);
+        return await consentModel.updateConsentUse(consentId, consentUse);
+    } catch (err) {
+        console.error('[ConsentService] DB ConsentUse update failed:', err.message);
+        return updateInMemory();
+    }
+}
+
+// ─── Update Consent Status ────────────────────────────────────────
+
+/**
+ * Applies a status change the AA notified. The change goes through
+ * transitionConsent, so CONSENT_TRANSITIONS holds here too: a REVOKED or
+ * EXPIRED consent can't be made ACTIVE again by a notification.
+ *
+ * @param {string} consentId
+ * @param {string} status - One of VALID_STATUSES.
+ * @returns {Promise<{ success: boolean, errorCode?: string, data?: Object, message: string }>}
+ *   errorCode is 'NotFound' for an unknown consent and 'IllegalTransition'
+ *   when the consent can't move to the status.
+ */
+async function updateConsentStatus(consentId, status) {
+    if (!isValidUuid(consentId)) {
+        return { success: false, errorCode: 'NotFound', message: 'Invalid consentId format.' };
+    }
+    if (!VALID_STATUSES.includes(status)) {
+        return { success: false, message: `status must be one of: [${VALID_STATUSES.join(', ')}]` };
+    }
+
+    const current = await getConsent(consentId);
+    if (!current.success) {
+        return { success: false, errorCode: 'NotFound', message: current.message };
+    }
+    if (current.data.status === status) {
+        return { success: true, message: `Consent remains ${status}.`, data: current.data };
+    }
+    if (!CONSENT_TRANSITIONS[current.data.status].includes(status)) {
         return {
-            success: true,
-            message: 'Consent revoked successfully.',
-            data: revoked,
+            success: false,
+            errorCode: 'IllegalTransition',
+            message: `Consent is ${current.data.status} and cannot move to ${status}.`,
         };
-    } catch (err) {
-        console.error('[ConsentService] DB revoke failed:', err.message);
-        return { success: false, message: 'Failed to revoke consent.' };
     }
+
+    const result = await transitionConsent(consentId, status, auditService.AA_ACTOR);
+    if (!result.success) {
+        // The consent changed status since it was read
+        return { success: false, errorCode: 'IllegalTransition', message: result.message };
+    }
+    return { ...result, message: `Consent status set to ${status}.` };
 }
 
 module.exports = {
@@ -306,6 +763,19 @@ module.exports = {
     createConsent,
     getConsent,
     getUserConsents,
+    deleteUserConsents,
     revokeConsent,
+    pauseConsent,
+    resumeConsent,
+    transitionConsent,
+    expireConsents,
+    updateConsentStatus,
+    updateConsentUse,
+    getConsentOwner,
+    getConsentArtefact,
+    getActiveConsentsForConsumer,
+    hasActiveConsentFor,
     validateConsentPayload,
+    verifyConsentSignature,
+    VALID_STATUSES,
 };
@@ -0,0 +1,247 @@
+/**
+ * Consent Usage Service
+ *
+ * Records every FI request made under a consent, keeps the artefact's
+ * ConsentUse block (count, lastUseDateTime) current, and enforces the
+ * consent's Frequency — at most `value` FI requests per rolling `unit`
+ * (HOUR / DAY / MONTH / YEAR; INF means unlimited).
+ */
+const consentUsageModel = require('../models/consentUsageModel');
+const consentService = require('./consentService');
+const { addDuration } = require('../utils/dataLife');
+
+// ─── In-Memory Fallback (when PostgreSQL is unavailable) ───────────
+
+const memoryUsage = [];
+let useMemory = false;
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes usage storage (tries PostgreSQL, falls back to memory).
+ */
+async function init() {
+    const dbReady = await consentUsageModel.checkTable();
+    if (!dbReady) {
+        useMemory = true;
+        console.warn('[ConsentUsageService] PostgreSQL unavailable — using in-memory usage log (dev mode).');
+    }
+}
+
+// ─── Usage History ────────────────────────────────────────────────
+
+/**
+ * Usage history for a consent, newest first.
+ *
+ * @param {string} consentId
+ * @returns {Promise<Object[]>}
+ */
+async function getUsageHistory(consentId) {
+    if (useMemory) return memoryHistory(consentId);
+    return consentUsageModel.getUsageByConsent(consentId);
+}
+
+function memoryHistory(consentId) {
+    return memoryUsage
+        .filter((u) => u.consentId === consentId)
+        .sort((a, b) => b.usedAt.localeCompare(a.usedAt));
+}
+
+// ─── Frequency ────────────────────────────────────────────────────
+
+/**
+ * Works out how much of the consent's Frequency allowance is used in the
+ * current rolling window.
+ *
+ * @param {Object} frequency - { unit, value } from the consent artefact.
+ * @param {Object[]} history - Usage history, newest first.
+ * @param {Date} [now]
+ * @returns {{ unit: string, limit: number|null, used: number, remaining: number|null,
+ *             windowStart: string|null, nextAllowedAt: string|null }}
+ */
+function summariseWindow(frequency, history, now = new Date()) {
+    const unit = frequency?.unit || 'MONTH';
+    const limit = unit === 'INF' ? null : Number(frequency?.value) || 1;
+
+    if (limit === null) {
+        return { unit, limit, used: history.length, remaining: null, windowStart: null, nextAllowedAt: null };
+    }
+
+    const windowStart = addDuration(now, unit, -1);
+    const inWindow = history.filter((u) => new Date(u.usedAt) > windowStart);
+    const remaining = Math.max(limit - inWindow.length, 0);
+
+    // Once the allowance is spent, the oldest counted use must age out first.
+    const oldestCounted = inWindow[limit - 1];
+    const nextAllowedAt = remaining === 0 && oldestCounted
+        ? addDuration(oldestCounted.usedAt, unit, 1).toISOString()
+        : null;
+
+    return {
+        unit,
+        limit,
+        used: inWindow.length,
+        remaining,
+        windowStart: windowStart.toISOString(),
+        nextAllowedAt,
+    };
+}
+
+function refusal(window) {
+    return {
+        allowed: false,
+        message: `Consent allows ${window.limit} FI request(s) per ${window.unit}; `
+            + `next request allowed after ${window.nextAllowedAt}.`,
+        retryAfter: window.nextAllowedAt,
+    };
+}
+
+/**
+ * Reserves one use of the consent for an FI request, if it fits within the
+ * consent's Frequency. Checking the window and recording the use happen
+ * atomically, so concurrent requests can't exceed the limit. Release the
+ * reservation if the request fails (releaseUse) and confirm it once the AA
+ * has accepted it (confirmUse). If the usage log can't be read or written,
+ * the request is refused: the limit is never checked against a partial
+ * history.
+ *
+ * @param {Object} usage
+ * @param {string} usage.consentId
+ * @param {string} usage.txnid
+ * @param {string} usage.fiType
+ * @param {{ from: string, to: string }} usage.dataRange
+ * @param {Object} artefact - Consent artefact (for Frequency).
+ * @returns {Promise<{ allowed: boolean, reservation?: Object, errorCode?: string,
+ *   message?: string, retryAfter?: string }>}
+ */
+async function reserveUse(usage, artefact) {
+    const now = new Date();
+    const entry = { ...usage, sessionId: null, usedAt: now.toISOString() };
+
+    if (!useMemory) {
+        const window = summariseWindow(artefact.Frequency, [], now);
+        try {
+            const reservation = await consentUsageModel.reserveUsage(entry, window);
+            if (reservation) return { allowed: true, reservation };
+            return refusal(summariseWindow(artefact.Frequency, await getUsageHistory(usage.consentId), now));
+        } catch (err) {
+            console.error(`[ConsentUsageService] Could not reserve a use of consent ${usage.consentId}:`, err.message);
+            return {
+                allowed: false,
+                errorCode: 'UsageLogUnavailable',
+                message: 'Consent usage could not be checked against its Frequency. Try again later.',
+            };
+        }
+    }
+
+    // Synchronous from the window check to the push, so atomic in memory
+    const window = summariseWindow(artefact.Frequency, memoryHistory(usage.consentId), now);
+    if (window.limit !== null && window.remaining === 0) return refusal(window);
+
+    memoryUsage.push(entry);
+    return { allowed: true, reservation: entry };
+}
+
+/**
+ * Gives back a reservation whose FI request failed.
+ *
+ * @param {Object} reservation - From reserveUse.
+ * @returns {Promise<void>}
+ */
+async function releaseUse(reservation) {
+    const index = memoryUsage.indexOf(reservation);
+    if (index !== -1) {
+        memoryUsage.splice(index, 1);
+    } else {
+        await consentUsageModel.deleteUsage(reservation.id);
+    }
+    console.log(`[ConsentUsageService] Released use of consent ${reservation.consentId} (txnid ${reservation.txnid}).`);
+}
+
+// ─── Record Use ───────────────────────────────────────────────────
+
+/**
+ * Confirms a reservation once the AA has accepted the FI request: stores
+ * the AA session id and updates the artefact's ConsentUse.
+ *
+ * @param {Object} reservation - From reserveUse.
+ * @param {string} sessionId
+ * @param {Object} artefact - Consent artefact (for ConsentUse.logUri).
+ * @returns {Promise<Object>} The updated ConsentUse block.
+ */
+async function confirmUse(reservation, sessionId, artefact) {
+    if (memoryUsage.includes(reservation)) {
+        reservation.sessionId = sessionId;
+    } else {
+        await consentUsageModel.setUsageSession(reservation.id, sessionId);
+    }
+
+    const history = await getUsageHistory(reservation.consentId);
+    const consentUse = {
+        logUri: artefact.ConsentUse?.logUri || '',
+        count: history.length,
+        lastUseDateTime: new Date(reservation.usedAt).toISOString(),
+    };
+    await consentService.updateConsentUse(reservation.consentId, consentUse);
+
+    console.log(`[ConsentUsageService] Consent ${reservation.consentId} used (count ${consentUse.count}).`);
+    return consentUse;
+}
+
+// ─── Usage Report ─────────────────────────────────────────────────
+
+/**
+ * Builds the usage report for a consent record: ConsentUse, Frequency
+ * window and the full history.
+ *
+ * @param {Object} record - Consent record (memory or PostgreSQL row).
+ * @returns {Promise<Object>}
+ */
+async function getUsageReport(record) {
+    const artefact = consentService.getConsentArtefact(record);
+    const consentId = record.consentId || record.consent_id;
+    const history = await getUsageHistory(consentId);
+
+    return {
+        consentId,
+        frequency: artefact.Frequency || null,
+        count: history.length,
+        lastUseDateTime: history[0]?.usedAt || null,
+        window: summariseWindow(artefact.Frequency, history),
+        history,
+    };
+}
+
+// ─── Erasure ──────────────────────────────────────────────────────
+
+/**
+ * Deletes the usage history of the given consents.
+ *
+ * @param {string[]} consentIds
+ * @returns {Promise<number>} Number of usage entries deleted.
+ */
+async function deleteUsage(consentIds) {
+    let deleted = 0;
+    for (let i = memoryUsage.length - 1; i >= 0; i--) {
+        if (consentIds.includes(memoryUsage[i].consentId)) {
+            memoryUsage.splice(i, 1);
+            deleted += 1;
+        }
+    }
+
+    if (!useMemory && consentIds.length > 0) {
+        deleted += await consentUsageModel.deleteUsageByConsents(consentIds);
+    }
+    return deleted;
+}
+
+module.exports = {
+    init,
+    reserveUse,
+    releaseUse,
+    confirmUse,
+    getUsageHistory,
+    getUsageReport,
+    deleteUsage,
+    summariseWindow,
+};
@@ -0,0 +1,155 @@
+/**
+ * Data Rights Service
+ *
+ * DPDP Act data-principal rights for MSME users: a machine-readable export
+ * of everything held about a user, and erasure of it across every store
+ * (consents and their usage, FI sessions, NovaScores, behaviour and social
+ * results).
+ *
+ * The audit trail is retained on erasure: it is the accountability record
+ * the Act requires, holds only the pseudonymous user reference and event
+ * metadata, and is append-only by design. Score proofs are likewise kept,
+ * since they hold only hashes and the chain must stay intact.
+ */
+const consentService = require('./consentService');
+const consentUsageService = require('./consentUsageService');
+const fiRequestService = require('./fiRequestService');
+const scoringService = require('./scoringService');
+const behaviourService = require('./behaviourService');
+const socialService = require('./socialService');
+const auditService = require('./auditService');
+
+const EXPORT_FORMAT_VERSION = '1.0';
+const PAGE_SIZE = 100;
+
+/**
+ * Reads every page of a paginated listing.
+ *
+ * @param {(page: { limit: number, offset: number }) => Promise<Object[]>} fetchPage
+ * @returns {Promise<Object[]>}
+ */
+async function readAllPages(fetchPage) {
+    const items = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await fetchPage({ limit: PAGE_SIZE, offset });
+        items.push(...page);
+        if (page.length < PAGE_SIZE) return items;
+    }
+}
+
+// ─── Export ───────────────────────────────────────────────────────
+
+/**
+ * Builds the export bundle for a user. ECDH private keys of FI sessions
+ * are left out; they are server secrets, not data about the user.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object>}
+ */
+async function exportUserData(userReferenceId) {
+    const consents = (await consentService.getUserConsents(userReferenceId)).data;
+
+    const consentUsage = {};
+    for (const consent of consents) {
+        const consentId = consent.consentId || consent.consent_id;
+        consentUsage[consentId] = await consentUsageService.getUsageHistory(consentId);
+    }
+
+    const fiSessions = await readAllPages(async (page) => (
+        (await fiRequestService.listFiSessions({ userReferenceId, ...page })).sessions
+    ));
+
+    const scores = [];
+    for (const score of await scoringService.listScoresByUser(userReferenceId)) {
+        const bundle = await scoringService.getScoreProof(score.scoreId);
+        scores.push({ ...score, proof: bundle ? bundle.proof : null });
+    }
+
+    const auditTrail = await readAllPages(async (page) => (
+        (await auditService.getUserTrail(userReferenceId, page)).entries
+    ));
+
+    const bundle = {
+        formatVersion: EXPORT_FORMAT_VERSION,
+        exportedAt: new Date().toISOString(),
+        userReferenceId,
+        consents,
+        consentUsage,
+        fiSessions: fiSessions.map(fiRequestService.toPublicSession),
+        scores,
+        behaviourResults: await behaviourService.listUserResults(userReferenceId),
+        socialScores: await socialService.listUserScores(userReferenceId),
+        auditTrail,
+    };
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.DATA_EXPORTED,
+        actor: { type: 'msme', id: userReferenceId },
+        userReferenceId,
+        resourceType: 'user',
+        resourceId: userReferenceId,
+        details: {
+            consents: consents.length,
+            fiSessions: fiSessions.length,
+            scores: scores.length,
+            behaviourResults: bundle.behaviourResults.length,
+            socialScores: bundle.socialScores.length,
+        },
+    });
+
+    return bundle;
+}
+
+// ─── Erasure ──────────────────────────────────────────────────────
+
+/**
+ * Erases a user's data from every store. Live consents are revoked first
+ * so lenders lose access and the revocation is audited; then consents,
+ * their usage history, FI sessions, scores and quiz/social results are
+ * deleted. The audit trail is kept (see module comment).
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object>} Counts of what was revoked and deleted.
+ */
+async function eraseUserData(userReferenceId) {
+    const actor = { type: 'msme', id: userReferenceId };
+    const consents = (await consentService.getUserConsents(userReferenceId)).data;
+
+    let consentsRevoked = 0;
+    for (const consent of consents) {
+        if (['ACTIVE', 'PAUSED'].includes(consent.status)) {
+            const result = await consentService.revokeConsent(consent.consentId || consent.consent_id, actor);
+            if (result.success) consentsRevoked += 1;
+        }
+    }
+
+    const consentIds = await consentService.deleteUserConsents(userReferenceId);
+
+    const summary = {
+        consentsRevoked,
+        consentsDeleted: consentIds.length,
+        consentUsageDeleted: await consentUsageService.deleteUsage(consentIds),
+        fiSessionsDeleted: await fiRequestService.deleteUserSessions(userReferenceId),
+        scoresDeleted: await scoringService.deleteScoresByUser(userReferenceId),
+        behaviourResultsDeleted: await behaviourService.deleteUserResults(userReferenceId),
+        socialScoresDeleted: await socialService.deleteUserScores(userReferenceId),
+        auditEntriesRetained: (await auditService.getUserTrail(userReferenceId, { limit: 1 })).total + 1,
+    };
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.DATA_ERASED,
+        actor,
+        userReferenceId,
+        resourceType: 'user',
+        resourceId: userReferenceId,
+        details: summary,
+    });
+
+    console.log(`[DataRightsService] Erased user data: ${JSON.stringify(summary)}`);
+    return summary;
+}
+
+module.exports = {
+    exportUserData,
+    eraseUserData,
+};
@@ -5,13 +5,18 @@
  * Account Aggregator via POST /FI/fetch, decrypting it, and
  * parsing the transaction data.
  */
-const crypto = require('crypto');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const { createDetachedJws } = require('../utils/jwsSigner');
-const { decryptFiData, encryptTestData } = require('../utils/fiDecryption');
-const { analyzeTransactions } = require('../utils/transactionParser');
+const { shouldUseDevFallback, describeAaError } = require('../utils/aaError');
+const { deriveSessionKey } = require('../utils/ecdhKeyExchange');
+const { decryptFiData } = require('../utils/fiDecryption');
+const { buildEncryptedFiResponse } = require('../utils/fipHarness');
+const { analyzeTransactions, parseTransactions } = require('../utils/transactionParser');
+const fiRequestService = require('./fiRequestService');
+const consentService = require('./consentService');
+const auditService = require('./auditService');
 
 // ─── Sample Data for Dev Mode ──────────────────────────────────────
 
@@ -38,13 +43,23 @@ const SAMPLE_TRANSACTIONS = [
  *  2. Build FI/fetch request payload.
  *  3. Sign payload with Detached JWS.
  *  4. POST to AA /FI/fetch endpoint.
- *  5. Decrypt AES-256-GCM encrypted response.
+ *  5. Derive the session key from our stored private key and each FIP's
+ *     KeyMaterial, then decrypt the AES-256-GCM encrypted FI data.
  *  6. Parse and analyze transactions.
+ *  7. Advance the FI session: PENDING → READY → DELIVERED, and record the
+ *     access in the audit trail.
+ *
+ * With the dev fallback (AA_DEV_FALLBACK, development only) an unreachable
+ * AA is answered with sample data from the FIP harness; the result and its
+ * audit entry are marked `mocked: true`.
  *
  * @param {string} sessionId - Session ID from FI/request.
  * @param {Object} [options]
  * @param {string} [options.fipId] - FIP ID filter.
  * @param {string[]} [options.linkRefNumbers] - Specific link ref numbers.
+ * @param {Object} [options.actor] - Audit actor (default: system, e.g. auto-fetch on notification).
+ * @param {boolean} [options.includeTransactions] - Also return every normalized transaction
+ *   (data.transactions); the analysis only samples 50 credits and 50 debits.
  * @returns {Promise<Object>}
  */
 async function fetchFiData(sessionId, options = {}) {
@@ -53,6 +68,17 @@ async function fetchFiData(sessionId, options = {}) {
         return { success: false, message: 'sessionId is required.' };
     }
 
+    const session = await fiRequestService.getFiSessionBySessionId(sessionId);
+    if (!session || !session.dhPrivateKey) {
+        return { success: false, message: 'FI session not found or has no key material.' };
+    }
+    if (['FAILED', 'EXPIRED'].includes(session.status)) {
+        return {
+            success: false,
+            message: `FI session is ${session.status}. Initiate a new FI request.`,
+        };
+    }
+
     // 2. Build payload
     const txnid = uuidv4();
     const timestamp = new Date().toISOString();
@@ -89,73 +115,149 @@ async function fetchFiData(sessionId, options = {}) {
         aaResponse = response.data;
         console.log(`[FIFetchService] AA responded with FI data.`);
     } catch (err) {
-        console.warn(`[FIFetchService] AA endpoint unreachable (dev mode): ${err.message}`);
+        if (!shouldUseDevFallback(err)) {
+            const reason = describeAaError(err);
+            console.error(`[FIFetchService] FI fetch failed | session: ${sessionId} | ${reason}`);
+            if (err.response && err.response.status < 500) {
+                // The AA rejected the session outright (e.g. consent revoked); retries cannot succeed.
+                await fiRequestService.transitionStatus(session.txnid, 'FAILED', reason);
+            }
+            return { success: false, message: `FI data fetch failed. ${reason}` };
+        }
+
+        console.warn(`[FIFetchService] AA endpoint unreachable (dev mode) — analyzing MOCK sample data: ${err.message}`);
 
-        // Dev mode: create encrypted sample data to demonstrate full pipeline
-        aaResponse = createDevModeResponse(sessionId, txnid);
+        // Dev mode: the local FIP harness encrypts sample data against our KeyMaterial
+        aaResponse = {
+            ...buildEncryptedFiResponse({
+                fiuKeyMaterial: session.payload.KeyMaterial,
+                transactions: SAMPLE_TRANSACTIONS,
+                sessionId,
+                maskedAccNumber: session.maskedAccNumber,
+            }),
+            _devMode: true,
+        };
     }
 
-    // 5. Decrypt encrypted FI data
-    let decryptedData = null;
-
-    if (aaResponse?.encryptedFI) {
-        // Use session key to decrypt (in production, derived from ECDH)
-        const sessionKey = aaResponse._devSessionKey
-            ? Buffer.from(aaResponse._devSessionKey, 'hex')
-            : null;
-
-        if (sessionKey) {
-            const result = decryptFiData(aaResponse.encryptedFI, sessionKey);
-            if (result.success) {
-                decryptedData = result.data;
-                console.log(`[FIFetchService] Decrypted FI data successfully.`);
-            } else {
-                console.warn(`[FIFetchService] Decryption failed: ${result.error}`);
-            }
-        }
+    if (session.status === 'PENDING') {
+        await fiRequestService.transitionStatus(session.txnid, 'READY');
     }
 
-    // If decryption failed or no encrypted data, use plaintext (dev mode)
-    if (!decryptedData && aaResponse?.FI) {
-        decryptedData = aaResponse.FI;
+    // The lender the data is shared with; its category overrides apply
+    const consent = await consentService.getConsent(session.consentId);
+    const tenantId = consent.success ? consentService.getConsentArtefact(consent.data).DataConsumer?.id || null : null;
+
+    // 5. Decrypt encrypted FI data
+    const decrypted = decryptFiResponse(aaResponse, session, { tenantId });
+    if (!decrypted.success) {
+        await fiRequestService.transitionStatus(session.txnid, 'FAILED', decrypted.message);
+        return { success: false, message: decrypted.message };
     }
 
     // 6. Parse and analyze transactions
-    const analysis = analyzeTransactions(decryptedData || []);
+    const mocked = Boolean(aaResponse._devMode);
+    const analysis = analyzeTransactions(decrypted.transactions, { tenantId });
+
+    if (session.status !== 'DELIVERED') {
+        await fiRequestService.transitionStatus(session.txnid, 'DELIVERED');
+    }
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.FI_FETCHED,
+        actor: options.actor || auditService.SYSTEM_ACTOR,
+        userReferenceId: session.userReferenceId,
+        orgId: tenantId,
+        resourceType: 'fi_session',
+        resourceId: session.txnid,
+        details: {
+            consentId: session.consentId,
+            sessionId,
+            fiType: session.fiType,
+            transactionCount: decrypted.transactions.length,
+            mocked,
+        },
+    });
 
     return {
         success: true,
-        message: 'FI data fetched and analyzed successfully.',
+        message: mocked
+            ? 'AA unreachable: MOCK sample data analyzed (dev fallback). Not the customer\'s data.'
+            : 'FI data fetched and analyzed successfully.',
         data: {
+            mocked,
             txnid,
             sessionId,
             timestamp,
             jwsSignature: detachedJws,
+            accounts: decrypted.accounts,
             analysis,
+            transactions: options.includeTransactions ? decrypted.transactions : undefined,
             rawResponse: aaResponse?._devMode ? { _devMode: true } : undefined,
         },
     };
 }
 
 /**
- * Creates a dev-mode AA response with encrypted sample transactions.
+ * Decrypts every encryptedFI block in an FI/fetch response.
+ *
+ * Each FIP entry carries its own KeyMaterial; the session key and IV are
+ * derived from it, our stored private key and our request nonce.
+ *
+ * @param {Object} aaResponse - FI/fetch response ({ FI: [{ data, KeyMaterial }] }).
+ * @param {Object} session    - FI session with dhPrivateKey and payload.KeyMaterial.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
+ * A ReBIT Account document that fails schema validation fails the whole
+ * fetch with the validation errors.
+ *
+ * @returns {{ success: boolean, transactions?: Object[], accounts?: Object[], message?: string }}
  */
-function createDevModeResponse(sessionId, txnid) {
-    const sessionKey = crypto.randomBytes(32);
-    const plaintext = JSON.stringify({ transactions: SAMPLE_TRANSACTIONS });
-    const encryptedFI = encryptTestData(plaintext, sessionKey);
+function decryptFiResponse(aaResponse, session, options = {}) {
+    const fiEntries = Array.isArray(aaResponse?.FI) ? aaResponse.FI : [];
+    const transactions = [];
+    const accounts = [];
 
-    return {
-        ver: '2.0.0',
-        timestamp: new Date().toISOString(),
-        txnid,
-        sessionId,
-        encryptedFI,
-        FI: { transactions: SAMPLE_TRANSACTIONS }, // plaintext fallback
-        _devMode: true,
-        _devSessionKey: sessionKey.toString('hex'),
-        _note: 'Dev mode — sample encrypted FI data for testing.',
-    };
+    for (const entry of fiEntries) {
+        let sessionKey;
+        try {
+            sessionKey = deriveSessionKey({
+                privateKey: session.dhPrivateKey,
+                ourNonce: session.payload.KeyMaterial.Nonce,
+                peerKeyMaterial: entry.KeyMaterial,
+            });
+        } catch (err) {
+            return { success: false, message: `Key derivation failed for ${entry.fipID || 'FIP'}: ${err.message}` };
+        }
+
+        for (const account of entry.data || []) {
+            const result = decryptFiData(account.encryptedFI, sessionKey.key, sessionKey.iv);
+            if (!result.success) {
+                return { success: false, message: `Could not decrypt FI for ${account.maskedAccNumber}: ${result.error}` };
+            }
+
+            const parsed = parseTransactions(result.data, {
+                ...options,
+                account: account.linkRefNumber || account.maskedAccNumber,
+            });
+            if (!parsed.success) {
+                return { success: false, message: `Could not parse FI for ${account.maskedAccNumber}: ${parsed.error}` };
+            }
+            transactions.push(...parsed.transactions);
+            if (parsed.account) {
+                accounts.push({
+                    fipId: entry.fipID,
+                    linkRefNumber: account.linkRefNumber,
+                    maskedAccNumber: parsed.account.maskedAccNumber || account.maskedAccNumber,
+                    profile: parsed.account.profile,
+                    summary: parsed.account.summary,
+                    transactionRange: parsed.account.transactionRange,
+                });
+            }
+        }
+    }
+
+    console.log(`[FIFetchService] Decrypted ${transactions.length} transaction(s) from ${fiEntries.length} FIP(s).`);
+    return { success: true, transactions, accounts };
 }
 
 module.exports = {
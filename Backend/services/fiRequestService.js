@@ -8,10 +8,56 @@ const axios = require('axios');
 const config = require('../config');
 const { buildFiRequestPayload, validateFiRequestInput } = require('../utils/fiRequestBuilder');
 const { createDetachedJws } = require('../utils/jwsSigner');
+const { shouldUseDevFallback, describeAaError } = require('../utils/aaError');
+const { generateKeyMaterial } = require('../utils/ecdhKeyExchange');
+const { computeDataLifeExpiry } = require('../utils/dataLife');
+const { isValidUuid } = require('../utils/uuidGenerator');
+const fiSessionModel = require('../models/fiSessionModel');
+const consentService = require('./consentService');
+const consentUsageService = require('./consentUsageService');
+const auditService = require('./auditService');
 
-// ─── In-Memory Session Store ───────────────────────────────────────
+// ─── Constants ─────────────────────────────────────────────────────
+
+const FI_SESSION_STATUSES = ['PENDING', 'READY', 'DELIVERED', 'FAILED', 'EXPIRED'];
+
+/** Allowed status transitions: PENDING → READY → DELIVERED, then FAILED / EXPIRED. */
+const STATUS_TRANSITIONS = {
+    PENDING: ['READY', 'FAILED', 'EXPIRED'],
+    READY: ['DELIVERED', 'FAILED', 'EXPIRED'],
+    DELIVERED: ['FAILED', 'EXPIRED'],
+    FAILED: [],
+    EXPIRED: [],
+};
+
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// ─── In-Memory Fallback (when PostgreSQL is unavailable) ───────────
 
 const fiSessions = new Map();
+let useMemory = false;
+let sweepTimer = null;
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes FI session storage (tries PostgreSQL, falls back to memory)
+ * and starts the periodic DataLife expiry sweep.
+ */
+async function init() {
+    const dbReady = await fiSessionModel.checkTable();
+    if (!dbReady) {
+        useMemory = true;
+        console.warn('[FIService] PostgreSQL unavailable — using in-memory FI session store (dev mode).');
+    }
+
+    if (!sweepTimer) {
+        sweepTimer = setInterval(() => {
+            expireSessions().catch((err) => console.error('[FIService] Expiry sweep failed:', err.message));
+        }, EXPIRY_SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
+}
 
 // ─── Initiate FI Request ───────────────────────────────────────────
 
@@ -20,10 +66,16 @@ const fiSessions = new Map();
  *
  * Steps:
  *  1. Validate inputs.
- *  2. Build FI request payload (ver, timestamp, txnid, Consent, FI array).
- *  3. Create Detached JWS signature of the payload.
- *  4. Send HTTPS POST to AA /FI/request with X-JWS-Signature header.
- *  5. Extract sessionId from response and store it.
+ *  2. Require an ACTIVE consent and a date range within its FIDataRange.
+ *  3. Generate an ephemeral X25519 key pair and build the FI request
+ *     payload (ver, timestamp, txnid, Consent, FIDataRange, KeyMaterial, FI),
+ *     then reserve an FI request in the consent's Frequency window.
+ *  4. Create Detached JWS signature of the payload.
+ *  5. Send HTTPS POST to AA /FI/request with X-JWS-Signature header; the
+ *     reservation is released if the AA refuses or fails.
+ *  6. Extract sessionId from response and persist the session (PENDING)
+ *     together with the private key needed to decrypt the FI data, confirm
+ *     the use against the consent and add it to the audit trail.
  *
  * @param {Object} params
  * @param {string} params.consentId      - Consent artefact ID.
@@ -31,8 +83,9 @@ const fiSessions = new Map();
  * @param {string} [params.fiType]       - FI type (default: DEPOSIT).
  * @param {string} [params.fipId]        - FIP ID.
  * @param {string} [params.linkRefNumber] - Link reference number.
- * @param {string} [params.from]         - Data range start.
- * @param {string} [params.to]           - Data range end.
+ * @param {string} [params.from]         - Data range start (default: consent FIDataRange.from).
+ * @param {string} [params.to]           - Data range end (default: consent FIDataRange.to).
+ * @param {string} params.userReferenceId - Owner of the consent (hashed Aadhaar).
  * @returns {Promise<Object>}
  */
 async function initiateFiRequest(params) {
@@ -46,17 +99,49 @@ async function initiateFiRequest(params) {
         };
     }
 
-    // 2. Build payload
-    const { payload, txnid } = buildFiRequestPayload(params);
+    // 2. Check the consent allows this request
+    const consent = await consentService.getConsent(params.consentId);
+    if (!consent.success) {
+        return { success: false, message: consent.message };
+    }
+    const artefact = consentService.getConsentArtefact(consent.data);
+
+    const rangeCheck = checkConsentScope(consent.data.status, artefact.FIDataRange, params);
+    if (!rangeCheck.allowed) {
+        console.warn(`[FIService] FI request refused for consent ${params.consentId}: ${rangeCheck.message}`);
+        return { success: false, message: rangeCheck.message };
+    }
+
+    // 3. Build payload
+    const { privateKey, keyMaterial } = generateKeyMaterial();
+    const { payload, txnid } = buildFiRequestPayload({ ...params, ...rangeCheck.range, keyMaterial });
 
     console.log(`[FIService] Built FI request payload | txnid: ${txnid}`);
 
-    // 3. Create Detached JWS signature
+    // Reserve a use within the consent's Frequency; released if the AA call fails
+    const fiType = params.fiType || 'DEPOSIT';
+    const frequencyCheck = await consentUsageService.reserveUse({
+        txnid,
+        consentId: params.consentId,
+        fiType,
+        dataRange: payload.FIDataRange,
+    }, artefact);
+    if (!frequencyCheck.allowed) {
+        console.warn(`[FIService] FI request refused for consent ${params.consentId}: ${frequencyCheck.message}`);
+        return {
+            success: false,
+            errorCode: frequencyCheck.errorCode,
+            message: frequencyCheck.message,
+            retryAfter: frequencyCheck.retryAfter,
+        };
+    }
+
+    // 4. Create Detached JWS signature
     const { detachedJws } = createDetachedJws(payload);
 
     console.log(`[FIService] Created Detached JWS | header..signature`);
 
-    // 4. Send HTTPS POST to AA endpoint
+    // 5. Send HTTPS POST to AA endpoint
     const aaEndpoint = `${config.aa.baseUrl}/FI/request`;
     let responseData = null;
     let sessionId = null;
@@ -78,6 +163,13 @@ async function initiateFiRequest(params) {
 
         console.log(`[FIService] AA responded | sessionId: ${sessionId}`);
     } catch (err) {
+        if (!shouldUseDevFallback(err)) {
+            const reason = describeAaError(err);
+            console.error(`[FIService] FI request failed | txnid: ${txnid} | ${reason}`);
+            await consentUsageService.releaseUse(frequencyCheck.reservation);
+            return { success: false, message: `FI request failed. ${reason}` };
+        }
+
         console.warn(`[FIService] AA endpoint unreachable (expected in dev): ${err.message}`);
 
         // Dev mode fallback: generate a mock sessionId
@@ -93,26 +185,59 @@ async function initiateFiRequest(params) {
         };
     }
 
-    // 5. Store session
-    fiSessions.set(txnid, {
+    const mocked = Boolean(responseData?._devMode);
+
+    // 6. Store session (expires when the consent's DataLife elapses)
+    const createdAt = new Date().toISOString();
+    const dataLife = artefact.DataLife || null;
+
+    const session = await saveSession({
         txnid,
         sessionId,
         consentId: params.consentId,
-        fiType: params.fiType || 'DEPOSIT',
+        userReferenceId: params.userReferenceId || null,
+        fiType,
         maskedAccNumber: params.maskedAccNumber || 'XXXX-XXXX-1234',
         status: 'PENDING',
-        createdAt: new Date().toISOString(),
+        statusReason: null,
+        createdAt,
+        updatedAt: createdAt,
+        expiresAt: computeDataLifeExpiry(createdAt, dataLife),
         payload,
         jwsSignature: detachedJws,
+        dhPrivateKey: privateKey,
+    });
+
+    await consentUsageService.confirmUse(frequencyCheck.reservation, sessionId, artefact);
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.FI_REQUESTED,
+        actor: { type: 'msme', id: params.userReferenceId },
+        userReferenceId: params.userReferenceId,
+        orgId: artefact.DataConsumer?.id || null,
+        resourceType: 'fi_session',
+        resourceId: txnid,
+        details: {
+            consentId: params.consentId,
+            sessionId,
+            fiType: session.fiType,
+            dataRange: payload.FIDataRange,
+            mocked,
+        },
     });
 
     return {
         success: true,
-        message: 'FI data request initiated successfully.',
+        message: mocked
+            ? 'AA unreachable: MOCK FI session created (dev fallback).'
+            : 'FI data request initiated successfully.',
         data: {
+            mocked,
             txnid,
             sessionId,
             consentId: params.consentId,
+            status: session.status,
+            expiresAt: session.expiresAt,
             timestamp: payload.timestamp,
             jwsSignature: detachedJws,
             aaResponse: responseData,
@@ -120,25 +245,250 @@ async function initiateFiRequest(params) {
     };
 }
 
+// ─── Consent Scope ────────────────────────────────────────────────
+
+/**
+ * Checks that a consent is ACTIVE and that the requested date range lies
+ * within its FIDataRange. Missing bounds default to the consented range.
+ *
+ * @param {string} status - Consent status.
+ * @param {{ from: string, to: string }} consentedRange - Artefact FIDataRange.
+ * @param {{ from?: string, to?: string }} requested
+ * @returns {{ allowed: boolean, range?: { from: string, to: string }, message?: string }}
+ */
+function checkConsentScope(status, consentedRange, requested) {
+    if (status !== 'ACTIVE') {
+        return { allowed: false, message: `Consent is ${status}; FI requests need an ACTIVE consent.` };
+    }
+    if (!consentedRange?.from || !consentedRange?.to) {
+        return { allowed: false, message: 'Consent artefact has no FIDataRange.' };
+    }
+
+    const range = {
+        from: new Date(requested.from || consentedRange.from).toISOString(),
+        to: new Date(requested.to || consentedRange.to).toISOString(),
+    };
+
+    if (new Date(range.from) < new Date(consentedRange.from) || new Date(range.to) > new Date(consentedRange.to)) {
+        return {
+            allowed: false,
+            message: `Requested range ${range.from} – ${range.to} is outside the consented FIDataRange `
+                + `${consentedRange.from} – ${consentedRange.to}.`,
+        };
+    }
+    if (new Date(range.from) >= new Date(range.to)) {
+        return { allowed: false, message: 'from must be before to.' };
+    }
+
+    return { allowed: true, range };
+}
+
+// ─── Storage Helpers ──────────────────────────────────────────────
+
+/**
+ * Returns a copy of a session that is safe to send to clients
+ * (without the ECDH private key).
+ *
+ * @param {Object|null} session
+ * @returns {Object|null}
+ */
+function toPublicSession(session) {
+    if (!session) return null;
+    const { dhPrivateKey, ...publicSession } = session;
+    return publicSession;
+}
+
+async function saveSession(session) {
+    if (useMemory) {
+        fiSessions.set(session.txnid, session);
+        return session;
+    }
+
+    try {
+        return await fiSessionModel.insertSession(session);
+    } catch (err) {
+        console.error('[FIService] DB insert failed, falling back to memory:', err.message);
+        fiSessions.set(session.txnid, session);
+        useMemory = true;
+        return session;
+    }
+}
+
+function isPastExpiry(session) {
+    return Boolean(session.expiresAt) && new Date(session.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Expires a session on read if its DataLife has elapsed but the sweep
+ * has not caught it yet.
+ */
+async function applyLazyExpiry(session) {
+    if (!session || !isPastExpiry(session) || STATUS_TRANSITIONS[session.status].length === 0) {
+        return session;
+    }
+    const result = await transitionStatus(session.txnid, 'EXPIRED', 'Consent DataLife elapsed.');
+    return result.success ? result.data : session;
+}
+
 // ─── Get FI Session ────────────────────────────────────────────────
 
 /**
  * Retrieves an FI request session by transaction ID.
  *
  * @param {string} txnid
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
+ */
+async function getFiSession(txnid) {
+    if (!isValidUuid(txnid)) return null;
+
+    const session = useMemory
+        ? fiSessions.get(txnid) || null
+        : await fiSessionModel.getSessionByTxnId(txnid);
+    return applyLazyExpiry(session);
+}
+
+/**
+ * Retrieves an FI request session by the AA-issued session ID.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function getFiSessionBySessionId(sessionId) {
+    let session = null;
+
+    if (useMemory) {
+        for (const candidate of fiSessions.values()) {
+            if (candidate.sessionId === sessionId) {
+                session = candidate;
+                break;
+            }
+        }
+    } else {
+        session = await fiSessionModel.getSessionBySessionId(sessionId);
+    }
+
+    return applyLazyExpiry(session);
+}
+
+/**
+ * Lists FI sessions, newest first, with optional filters and pagination.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.userReferenceId]
+ * @param {string} [filters.status]    - One of FI_SESSION_STATUSES.
+ * @param {string} [filters.consentId]
+ * @param {string} [filters.fiType]
+ * @param {number} [filters.limit=20]
+ * @param {number} [filters.offset=0]
+ * @returns {Promise<{ sessions: Object[], total: number }>}
+ */
+async function listFiSessions(filters = {}) {
+    const query = { limit: 20, offset: 0, ...filters };
+
+    if (!useMemory) {
+        const { rows, total } = await fiSessionModel.listSessions(query);
+        return { sessions: rows, total };
+    }
+
+    const matches = Array.from(fiSessions.values())
+        .filter((s) => !query.userReferenceId || s.userReferenceId === query.userReferenceId)
+        .filter((s) => !query.status || s.status === query.status)
+        .filter((s) => !query.consentId || s.consentId === query.consentId)
+        .filter((s) => !query.fiType || s.fiType === query.fiType)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+        sessions: matches.slice(query.offset, query.offset + query.limit),
+        total: matches.length,
+    };
+}
+
+/**
+ * Deletes every FI session of a user, with its ECDH private key.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of sessions deleted.
+ */
+async function deleteUserSessions(userReferenceId) {
+    let deleted = 0;
+    for (const [txnid, session] of fiSessions) {
+        if (session.userReferenceId === userReferenceId) {
+            fiSessions.delete(txnid);
+            deleted += 1;
+        }
+    }
+
+    if (!useMemory) {
+        deleted += await fiSessionModel.deleteSessionsByUser(userReferenceId);
+    }
+    return deleted;
+}
+
+// ─── Status Transitions ───────────────────────────────────────────
+
+/**
+ * Moves an FI session to a new status, enforcing STATUS_TRANSITIONS.
+ *
+ * @param {string} txnid
+ * @param {string} nextStatus
+ * @param {string|null} [reason]
+ * @returns {Promise<{ success: boolean, data?: Object, message: string }>}
  */
-function getFiSession(txnid) {
-    return fiSessions.get(txnid) || null;
+async function transitionStatus(txnid, nextStatus, reason = null) {
+    if (!FI_SESSION_STATUSES.includes(nextStatus)) {
+        return { success: false, message: `Invalid FI session status: ${nextStatus}` };
+    }
+
+    const fromStatuses = Object.keys(STATUS_TRANSITIONS)
+        .filter((status) => STATUS_TRANSITIONS[status].includes(nextStatus));
+
+    let updated = null;
+
+    if (useMemory) {
+        const session = fiSessions.get(txnid);
+        if (session && fromStatuses.includes(session.status)) {
+            session.status = nextStatus;
+            session.statusReason = reason;
+            session.updatedAt = new Date().toISOString();
+            updated = session;
+        }
+    } else {
+        updated = await fiSessionModel.updateStatus(txnid, nextStatus, fromStatuses, reason);
+    }
+
+    if (!updated) {
+        return { success: false, message: `FI session ${txnid} cannot move to ${nextStatus}.` };
+    }
+
+    console.log(`[FIService] Session ${txnid} → ${nextStatus}`);
+    return { success: true, data: updated, message: `FI session moved to ${nextStatus}.` };
 }
 
 /**
- * Lists all FI sessions.
+ * Marks every non-terminal session whose DataLife has elapsed as EXPIRED.
  *
- * @returns {Object[]}
+ * @returns {Promise<number>} Number of sessions expired.
  */
-function listFiSessions() {
-    return Array.from(fiSessions.values());
+async function expireSessions() {
+    let expired = 0;
+
+    if (useMemory) {
+        for (const session of fiSessions.values()) {
+            if (isPastExpiry(session) && STATUS_TRANSITIONS[session.status].includes('EXPIRED')) {
+                session.status = 'EXPIRED';
+                session.statusReason = 'Consent DataLife elapsed.';
+                session.updatedAt = new Date().toISOString();
+                expired += 1;
+            }
+        }
+    } else {
+        expired = await fiSessionModel.expireSessions();
+    }
+
+    if (expired > 0) {
+        console.log(`[FIService] Expired ${expired} FI session(s) past consent DataLife.`);
+    }
+    return expired;
 }
 
 // ─── Fetch FI Data (using sessionId) ───────────────────────────────
@@ -168,18 +518,30 @@ async function fetchFiData(sessionId) {
             timeout: 30000,
         });
 
+        if (response.data?.status === 'READY') {
+            const session = await getFiSessionBySessionId(sessionId);
+            if (session?.status === 'PENDING') await transitionStatus(session.txnid, 'READY');
+        }
+
         return {
             success: true,
             message: 'FI data fetched successfully.',
             data: response.data,
         };
     } catch (err) {
+        if (!shouldUseDevFallback(err)) {
+            const reason = describeAaError(err);
+            console.error(`[FIService] FI fetch failed | session: ${sessionId} | ${reason}`);
+            return { success: false, message: `FI data fetch failed. ${reason}` };
+        }
+
         console.warn(`[FIService] FI fetch failed (expected in dev): ${err.message}`);
 
         return {
             success: true,
             message: 'FI data fetch processed (dev mode — mock response).',
             data: {
+                mocked: true,
                 ver: '2.0.0',
                 timestamp: new Date().toISOString(),
                 sessionId,
@@ -203,8 +565,15 @@ async function fetchFiData(sessionId) {
 }
 
 module.exports = {
+    init,
     initiateFiRequest,
     getFiSession,
+    getFiSessionBySessionId,
     listFiSessions,
+    deleteUserSessions,
+    transitionStatus,
+    expireSessions,
     fetchFiData,
+    toPublicSession,
+    FI_SESSION_STATUSES,
 };
@@ -0,0 +1,56 @@
+/**
+ * Key Rotation Service
+ *
+ * Re-wraps the per-record data keys of encrypted columns (consent
+ * artefacts, FI session payloads and ECDH private keys) under the active
+ * master key. The encrypted data itself is untouched.
+ *
+ * To rotate:
+ *  1. Set DATA_MASTER_KEY / DATA_MASTER_KEY_ID to the new key and move the
+ *     old one into DATA_PREVIOUS_MASTER_KEYS ("oldId:base64").
+ *  2. Restart the server (new writes use the new key; old rows still read).
+ *  3. Run `npm run rotate-keys`.
+ *  4. Remove the old key from DATA_PREVIOUS_MASTER_KEYS.
+ *
+ * Rows stored before encryption was enabled are encrypted by the same run.
+ */
+const consentModel = require('../models/consentModel');
+const fiSessionModel = require('../models/fiSessionModel');
+const { closePool } = require('../db/pool');
+const { getKeyring } = require('../utils/fieldEncryption');
+
+/**
+ * Re-wraps every encrypted column under the active master key.
+ *
+ * @returns {Promise<{ masterKeyId: string, consentArtefacts: Object, fiSessionFields: Object }>}
+ *   Per-table { scanned, rewrapped, encrypted } counts.
+ */
+async function rotateDataKeys() {
+    const { activeKeyId } = getKeyring();
+    console.log(`[KeyRotation] Re-wrapping data keys under master key "${activeKeyId}"...`);
+
+    const report = {
+        masterKeyId: activeKeyId,
+        consentArtefacts: await consentModel.rewrapArtefactKeys(),
+        fiSessionFields: await fiSessionModel.rewrapSessionKeys(),
+    };
+
+    console.log(`[KeyRotation] Done: ${JSON.stringify(report)}`);
+    return report;
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+    rotateDataKeys()
+        .then(() => closePool())
+        .then(() => process.exit(0))
+        .catch((err) => {
+            console.error('[KeyRotation] Rotation failed:', err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    rotateDataKeys,
+};
@@ -0,0 +1,328 @@
+/**
+ * Lender Service
+ *
+ * Business logic for lender (bank / NBFC) organisations and staff:
+ * registration, user management and email + password + TOTP login.
+ *
+ * Failed logins count towards a lockout per email (auth store), and each
+ * TOTP time step is accepted once per user.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const lenderModel = require('../models/lenderModel');
+const store = require('../store');
+const { hashPassword, verifyPassword } = require('../utils/passwordHasher');
+const { generateSecret, findTotpStep, buildOtpAuthUri } = require('../utils/totp');
+const { generateLenderToken } = require('../utils/jwtGenerator');
+const { ROLES, LENDER_ROLES } = require('../utils/permissions');
+
+// ─── Constants ─────────────────────────────────────────────────────
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 10;
+
+// ─── In-Memory Fallback (when PostgreSQL is unavailable) ───────────
+
+const memoryOrgs = [];
+const memoryUsers = [];
+let useMemory = false;
+
+/** Checked against for unknown or inactive users, so login timing doesn't reveal which emails exist. */
+let dummyPasswordHash = null;
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes lender storage (tries PostgreSQL, falls back to memory).
+ */
+async function init() {
+    const dbReady = await lenderModel.checkTable();
+    if (!dbReady) {
+        useMemory = true;
+        console.warn('[LenderService] PostgreSQL unavailable — using in-memory store (dev mode).');
+    }
+    await getDummyPasswordHash();
+}
+
+function getDummyPasswordHash() {
+    if (!dummyPasswordHash) dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    return dummyPasswordHash;
+}
+
+// ─── Storage Helpers ──────────────────────────────────────────────
+
+async function findUserByEmail(email) {
+    if (useMemory) return memoryUsers.find((u) => u.email === email) || null;
+    return lenderModel.getUserByEmail(email);
+}
+
+async function saveOrg(org) {
+    if (useMemory) {
+        const record = { ...org, createdAt: new Date().toISOString() };
+        memoryOrgs.push(record);
+        return record;
+    }
+    return lenderModel.insertOrg(org);
+}
+
+async function saveUser(user) {
+    if (useMemory) {
+        const record = { ...user, active: true, createdAt: new Date().toISOString(), lastLoginAt: null };
+        memoryUsers.push(record);
+        return record;
+    }
+    return lenderModel.insertUser(user);
+}
+
+/**
+ * Records a successful login, unless its TOTP step was already used.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function recordLogin(user, totpStep) {
+    if (!useMemory) return lenderModel.recordLogin(user.userId, totpStep);
+
+    if (user.lastTotpStep !== undefined && totpStep <= user.lastTotpStep) return false;
+    user.lastTotpStep = totpStep;
+    user.lastLoginAt = new Date().toISOString();
+    return true;
+}
+
+/**
+ * The auth-store key for an email's failed login attempts.
+ */
+function loginAttemptsKey(email) {
+    return crypto.createHash('sha256').update(`lender-login:${email}`).digest('hex');
+}
+
+/**
+ * Strips credentials from a user record before returning it to clients.
+ */
+function toPublicUser(user) {
+    return {
+        userId: user.userId,
+        orgId: user.orgId,
+        email: user.email,
+        role: user.role,
+        active: user.active,
+        createdAt: user.createdAt,
+        lastLoginAt: user.lastLoginAt || null,
+    };
+}
+
+// ─── Validation ───────────────────────────────────────────────────
+
+/**
+ * Validates a new lender user payload.
+ *
+ * @param {Object} payload
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateUserPayload(payload) {
+    const errors = [];
+
+    if (!payload.email || typeof payload.email !== 'string' || !EMAIL_REGEX.test(payload.email)) {
+        errors.push('email is required and must be a valid email address.');
+    }
+
+    if (!payload.password || typeof payload.password !== 'string' || payload.password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`password is required and must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    }
+
+    if (!LENDER_ROLES.includes(payload.role)) {
+        errors.push(`role must be one of: [${LENDER_ROLES.join(', ')}]`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Creates a user with a fresh TOTP secret. Returns the enrolment details,
+ * which are only ever shown once.
+ */
+async function createUserRecord(orgId, payload) {
+    const email = payload.email.trim().toLowerCase();
+
+    if (await findUserByEmail(email)) {
+        return { success: false, message: 'A lender user with this email already exists.' };
+    }
+
+    const totpSecret = generateSecret();
+    const user = await saveUser({
+        userId: uuidv4(),
+        orgId,
+        email,
+        passwordHash: await hashPassword(payload.password),
+        totpSecret,
+        role: payload.role,
+    });
+
+    return {
+        success: true,
+        user: toPublicUser(user),
+        totp: {
+            secret: totpSecret,
+            otpauthUri: buildOtpAuthUri(totpSecret, email),
+        },
+    };
+}
+
+// ─── Register Organisation ────────────────────────────────────────
+
+/**
+ * Registers a lender organisation together with its first admin user.
+ *
+ * @param {Object} payload
+ * @param {string} payload.name             - Organisation name.
+ * @param {string} payload.adminEmail       - Admin login email.
+ * @param {string} payload.adminPassword    - Admin password.
+ * @param {string} [payload.registrationKey] - Must match LENDER_REGISTRATION_KEY. Without
+ *   one, registration is refused unless NODE_ENV is development.
+ * @returns {Promise<Object>}
+ */
+async function registerOrganisation(payload) {
+    if (!config.lender.registrationKey) {
+        if (!config.lender.openRegistration) {
+            console.warn('[LenderService] Registration refused: LENDER_REGISTRATION_KEY is not set.');
+            return { success: false, errorCode: 'RegistrationDisabled', message: 'Lender registration is disabled.' };
+        }
+    } else if (payload.registrationKey !== config.lender.registrationKey) {
+        return { success: false, errorCode: 'InvalidRegistrationKey', message: 'Invalid registration key.' };
+    }
+
+    const errors = [];
+    if (!payload.name || typeof payload.name !== 'string') {
+        errors.push('name is required and must be a string.');
+    }
+    const userValidation = validateUserPayload({
+        email: payload.adminEmail,
+        password: payload.adminPassword,
+        role: ROLES.ADMIN,
+    });
+    errors.push(...userValidation.errors.map((e) => e.replace(/^email/, 'adminEmail').replace(/^password/, 'adminPassword')));
+
+    if (errors.length > 0) {
+        return { success: false, message: 'Validation failed.', errors };
+    }
+
+    const org = await saveOrg({ orgId: uuidv4(), name: payload.name.trim() });
+    const admin = await createUserRecord(org.orgId, {
+        email: payload.adminEmail,
+        password: payload.adminPassword,
+        role: ROLES.ADMIN,
+    });
+    if (!admin.success) return admin;
+
+    console.log(`[LenderService] Organisation ${org.orgId} registered.`);
+
+    return {
+        success: true,
+        message: 'Lender organisation registered. Enrol the TOTP secret in an authenticator app.',
+        data: {
+            organisation: { orgId: org.orgId, name: org.name },
+            admin: admin.user,
+            totp: admin.totp,
+        },
+    };
+}
+
+// ─── User Management ──────────────────────────────────────────────
+
+/**
+ * Creates a staff user within an organisation.
+ *
+ * @param {string} orgId
+ * @param {{ email: string, password: string, role: string }} payload
+ * @returns {Promise<Object>}
+ */
+async function createUser(orgId, payload) {
+    const validation = validateUserPayload(payload || {});
+    if (!validation.valid) {
+        return { success: false, message: 'Validation failed.', errors: validation.errors };
+    }
+
+    const result = await createUserRecord(orgId, payload);
+    if (!result.success) return result;
+
+    console.log(`[LenderService] User ${result.user.userId} (${result.user.role}) created in org ${orgId}.`);
+
+    return {
+        success: true,
+        message: 'Lender user created. Share the TOTP secret with the user over a secure channel.',
+        data: { user: result.user, totp: result.totp },
+    };
+}
+
+/**
+ * Lists the staff users of an organisation.
+ *
+ * @param {string} orgId
+ * @returns {Promise<Object[]>}
+ */
+async function listUsers(orgId) {
+    const users = useMemory
+        ? memoryUsers.filter((u) => u.orgId === orgId)
+        : await lenderModel.getUsersByOrg(orgId);
+    return users.map(toPublicUser);
+}
+
+// ─── Login ────────────────────────────────────────────────────────
+
+/**
+ * Authenticates a lender user with email, password and TOTP code.
+ *
+ * After config.rateLimit.maxAttempts failures the email is locked out for
+ * lockoutDurationMs. A TOTP code already used to log in is refused.
+ *
+ * @param {{ email: string, password: string, totp: string }} credentials
+ * @returns {Promise<{ success: boolean, token?: string, errorCode?: string, message: string }>}
+ */
+async function login({ email, password, totp }) {
+    const invalid = { success: false, message: 'Invalid email, password or authentication code.' };
+    if (typeof email !== 'string' || typeof password !== 'string' || typeof totp !== 'string') return invalid;
+
+    const normalisedEmail = email.trim().toLowerCase();
+    const attemptsKey = loginAttemptsKey(normalisedEmail);
+    if (await store.isLocked(attemptsKey)) {
+        const remaining = await store.getLockoutRemaining(attemptsKey);
+        return {
+            success: false,
+            errorCode: 'LoginLocked',
+            message: `Too many failed login attempts. Please try again in ${remaining} seconds.`,
+        };
+    }
+
+    const found = await findUserByEmail(normalisedEmail);
+    const user = found && found.active ? found : null;
+
+    // Always run scrypt, so unknown emails take as long as wrong passwords
+    const passwordOk = await verifyPassword(password, user ? user.passwordHash : await getDummyPasswordHash());
+    const totpStep = user && passwordOk ? findTotpStep(user.totpSecret, totp) : null;
+
+    if (totpStep === null || !(await recordLogin(user, totpStep))) {
+        if (totpStep !== null) console.warn(`[LenderService] Replayed TOTP code refused for lender user ${user.userId}.`);
+        const { locked } = await store.incrementFailed(attemptsKey);
+        if (locked) console.warn('[LenderService] Lender login locked after repeated failures.');
+        return invalid;
+    }
+    await store.resetAttempts(attemptsKey);
+
+    console.log(`[LenderService] Lender user ${user.userId} logged in.`);
+
+    return {
+        success: true,
+        token: generateLenderToken({ userId: user.userId, orgId: user.orgId, role: user.role }),
+        message: 'Lender authentication successful.',
+        data: toPublicUser(user),
+    };
+}
+
+module.exports = {
+    init,
+    registerOrganisation,
+    createUser,
+    listUsers,
+    login,
+    validateUserPayload,
+};
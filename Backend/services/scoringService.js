@@ -0,0 +1,238 @@
+/**
+ * Scoring Service
+ *
+ * Business logic for computing a borrower's NovaScore from the outputs
+ * of the GST, FI cash-flow, UPI, BBPS, behaviour and social modules.
+ * Every score is appended to a hash chain of proofs (see utils/scoreProof)
+ * committing to its inputs, the scoring model and the result.
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { calculateNovaScore, SIGNAL_NAMES } = require('../utils/novaScoreCalculator');
+const { explainScore } = require('../utils/scoreExplainer');
+const { buildScoreProof, verifyProofChain } = require('../utils/scoreProof');
+const scoreModel = require('../models/scoreModel');
+const auditService = require('./auditService');
+
+// ─── Storage ───────────────────────────────────────────────────────
+
+let useMemory = false;
+
+// In-memory fallback (when PostgreSQL is unavailable): scoreId → score,
+// scoreId → { signals, model, proof }, and the proof chain in seq order
+const scoreResults = new Map();
+const scoreInputs = new Map();
+const proofChain = [];
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Initializes score storage (uses PostgreSQL when the score tables have
+ * been migrated, otherwise memory) and loads the head of the proof chain.
+ */
+async function init() {
+    const dbReady = await scoreModel.checkTable();
+    if (!dbReady) {
+        useMemory = true;
+        console.warn('[ScoringService] PostgreSQL unavailable — using in-memory score store (dev mode).');
+        return;
+    }
+
+    const head = await scoreModel.getChainHead();
+    console.log(head
+        ? `[ScoringService] Proof chain head: seq ${head.seq} (${head.proofHash.slice(0, 12)}…)`
+        : '[ScoringService] Proof chain is empty.');
+}
+
+// ─── Validation ───────────────────────────────────────────────────
+
+/**
+ * Validates the score computation request payload.
+ *
+ * @param {Object} payload
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+function validateScorePayload(payload) {
+    const errors = [];
+
+    if (payload.userReferenceId !== undefined && typeof payload.userReferenceId !== 'string') {
+        errors.push('userReferenceId must be a string.');
+    }
+
+    if (!payload.signals || typeof payload.signals !== 'object' || Array.isArray(payload.signals)) {
+        errors.push(`signals is required and must be an object keyed by: [${SIGNAL_NAMES.join(', ')}]`);
+        return { valid: false, errors };
+    }
+
+    const unknown = Object.keys(payload.signals).filter((k) => !SIGNAL_NAMES.includes(k));
+    if (unknown.length > 0) {
+        errors.push(`Unknown signals: [${unknown.join(', ')}]. Valid: [${SIGNAL_NAMES.join(', ')}]`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+// ─── Compute Score ────────────────────────────────────────────────
+
+/**
+ * Computes and stores a NovaScore for a borrower, with per-factor
+ * contributions and adverse-action reason codes.
+ *
+ * @param {Object} payload
+ * @param {string} [payload.userReferenceId] - Borrower reference.
+ * @param {Object} payload.signals           - Module outputs keyed by signal name.
+ * @returns {Promise<Object>}
+ */
+async function computeScore(payload) {
+    const validation = validateScorePayload(payload || {});
+    if (!validation.valid) {
+        return {
+            success: false,
+            message: 'Validation failed.',
+            errors: validation.errors,
+        };
+    }
+
+    // Snapshot the inputs and model so the proof covers exactly what was scored
+    const signals = JSON.parse(JSON.stringify(payload.signals));
+    const model = {
+        weights: { ...config.scoring.weights },
+        minScore: config.scoring.minScore,
+        maxScore: config.scoring.maxScore,
+    };
+
+    const result = calculateNovaScore(signals, model);
+    if (!result) {
+        return {
+            success: false,
+            message: 'No usable signals provided — at least one module output is required.',
+        };
+    }
+
+    const scoreId = uuidv4();
+    const record = {
+        scoreId,
+        userReferenceId: payload.userReferenceId || null,
+        ...result,
+        explanation: explainScore(result, model),
+        computedAt: new Date().toISOString(),
+    };
+
+    const buildProof = (prevProof) => buildScoreProof({ score: record, signals, model, prevProof });
+
+    let proof;
+    if (useMemory) {
+        proof = buildProof(proofChain[proofChain.length - 1] || null);
+        scoreResults.set(scoreId, record);
+        scoreInputs.set(scoreId, { signals, model, proof });
+        proofChain.push(proof);
+    } else {
+        proof = await scoreModel.appendScore(record, { signals, model }, buildProof);
+    }
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.SCORE_COMPUTED,
+        actor: { type: 'msme', id: record.userReferenceId },
+        userReferenceId: record.userReferenceId,
+        resourceType: 'score',
+        resourceId: scoreId,
+        details: {
+            signalsUsed: SIGNAL_NAMES.filter((name) => !result.missingSignals.includes(name)),
+            proofHash: proof.proofHash,
+        },
+    });
+
+    console.log(`[ScoringService] NovaScore ${record.novaScore} (${record.riskBand.band}) | scoreId: ${scoreId}`);
+
+    return {
+        success: true,
+        message: `NovaScore computed from ${SIGNAL_NAMES.length - result.missingSignals.length} of ${SIGNAL_NAMES.length} signals.`,
+        data: { ...record, proof: { seq: proof.seq, proofHash: proof.proofHash } },
+    };
+}
+
+// ─── Get Score ────────────────────────────────────────────────────
+
+/**
+ * Retrieves a previously computed score by ID.
+ *
+ * @param {string} scoreId
+ * @returns {Promise<Object|null>}
+ */
+async function getScore(scoreId) {
+    if (useMemory) return scoreResults.get(scoreId) || null;
+    return scoreModel.getScoreById(scoreId);
+}
+
+/**
+ * Lists all scores computed for a borrower, newest first.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object[]>}
+ */
+async function listScoresByUser(userReferenceId) {
+    if (!useMemory) return scoreModel.getScoresByUser(userReferenceId);
+    return Array.from(scoreResults.values())
+        .filter((s) => s.userReferenceId === userReferenceId)
+        .sort((a, b) => b.computedAt.localeCompare(a.computedAt));
+}
+
+/**
+ * Deletes every score of a borrower and its stored inputs. The proofs stay
+ * in the chain: they hold only hashes, and removing them would break it.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of scores deleted.
+ */
+async function deleteScoresByUser(userReferenceId) {
+    if (!useMemory) return scoreModel.deleteScoresByUser(userReferenceId);
+
+    const scores = await listScoresByUser(userReferenceId);
+    for (const score of scores) {
+        scoreResults.delete(score.scoreId);
+        scoreInputs.delete(score.scoreId);
+    }
+    return scores.length;
+}
+
+// ─── Score Proof ──────────────────────────────────────────────────
+
+/**
+ * Everything needed to verify a score offline (utils/scoreProof.js):
+ * the stored result, its input signals, the scoring model, its proof, the
+ * seq and hash of the previous proof in the chain (not the proof itself,
+ * which describes another borrower's score) and the state of the whole
+ * chain.
+ *
+ * @param {string} scoreId
+ * @returns {Promise<Object|null>}
+ */
+async function getScoreProof(scoreId) {
+    const score = await getScore(scoreId);
+    if (!score) return null;
+
+    const inputs = useMemory ? scoreInputs.get(scoreId) : await scoreModel.getInputs(scoreId);
+    if (!inputs) return null;
+
+    const { signals, model, proof } = inputs;
+    const previous = useMemory ? proofChain[proof.seq - 2] : await scoreModel.getProofBySeq(proof.seq - 1);
+    const chain = useMemory ? proofChain : await scoreModel.getAllProofs();
+    return {
+        score,
+        signals,
+        model,
+        proof,
+        previousProof: previous ? { seq: previous.seq, proofHash: previous.proofHash } : null,
+        chain: verifyProofChain(chain),
+    };
+}
+
+module.exports = {
+    init,
+    computeScore,
+    getScore,
+    getScoreProof,
+    listScoresByUser,
+    deleteScoresByUser,
+    validateScorePayload,
+};
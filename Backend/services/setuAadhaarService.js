@@ -6,7 +6,7 @@
  */
 const axios = require('axios');
 const config = require('../config');
-const store = require('../store/memoryStore');
+const store = require('../store');
 const { hashAadhaar } = require('../utils/encryption');
 const { generateToken } = require('../utils/jwtGenerator');
 
@@ -20,8 +20,8 @@ async function initiateOtp(aadhaarNumber) {
     const hashed = hashAadhaar(aadhaarNumber);
 
     // Rate-limit check
-    if (store.isLocked(hashed)) {
-        const remaining = store.getLockoutRemaining(hashed);
+    if (await store.isLocked(hashed)) {
+        const remaining = await store.getLockoutRemaining(hashed);
         return {
             success: false,
             message: `Too many attempts. Locked for ${remaining}s.`,
@@ -52,7 +52,7 @@ async function initiateOtp(aadhaarNumber) {
         }
 
         // Store Setu's requestId as the txnId in our session
-        store.createSession(hashed, requestId);
+        await store.createSession(hashed, requestId);
 
         return {
             success: true,
@@ -82,7 +82,7 @@ async function initiateOtp(aadhaarNumber) {
 async function verifyOtp(aadhaarNumber, otp, txnId) {
     const hashed = hashAadhaar(aadhaarNumber);
 
-    const session = store.getSession(hashed);
+    const session = await store.getSession(hashed);
     if (!session || session.txnId !== txnId) {
         return { success: false, message: 'Invalid or expired session.' };
     }
@@ -107,8 +107,8 @@ async function verifyOtp(aadhaarNumber, otp, txnId) {
         if (isSuccess) {
             // Generate our own JWT for the platform session
             const token = generateToken({ hashedAadhaar: hashed, txnId });
-            store.clearSession(hashed);
-            store.resetAttempts(hashed);
+            await store.clearSession(hashed);
+            await store.resetAttempts(hashed);
 
             return {
                 success: true,
@@ -125,8 +125,8 @@ async function verifyOtp(aadhaarNumber, otp, txnId) {
     }
 }
 
-function handleFailure(hashed, error) {
-    const { locked, attemptsLeft } = store.incrementFailed(hashed);
+async function handleFailure(hashed, error) {
+    const { locked, attemptsLeft } = await store.incrementFailed(hashed);
     return {
         success: false,
         message: error || `Invalid OTP. ${attemptsLeft} attempts remaining.`,
@@ -5,8 +5,10 @@
  * across LinkedIn, X (Twitter), Instagram, and YouTube.
  *
  * Privacy-first: No personal content, captions, comments, messages,
- * or raw usernames/handles are stored. Only anonymized sessionId,
- * calculated socialScore, and timestamp are persisted.
+ * or raw usernames/handles are stored. Only sessionId, calculated
+ * socialScore, platforms used and timestamp are persisted — plus the
+ * user reference when the request was authenticated, so the user can
+ * export or erase it.
  */
 const { v4: uuidv4 } = require('uuid');
 const socialScoreModel = require('../models/socialScoreModel');
@@ -34,9 +36,8 @@ let initialized = false;
  */
 async function init() {
     try {
-        await socialScoreModel.initTable();
-        initialized = true;
-        console.log('[SocialService] Initialized successfully.');
+        initialized = await socialScoreModel.checkTable();
+        console.log(`[SocialService] Initialized ${initialized ? 'with' : 'without'} score persistence.`);
     } catch (err) {
         console.warn('[SocialService] Init warning (DB may be offline):', err.message);
         initialized = false;
@@ -78,12 +79,13 @@ function getOAuthUrls(platforms, sessionId) {
 /**
  * Main orchestration function.
  * Validates URLs, fetches metadata from each platform (dev mode if no real OAuth),
- * computes social score, and persists anonymized result.
+ * computes social score, and persists the result (no PII).
  *
  * @param {Object} profileUrls - Map of platform → profile URL.
+ * @param {string|null} [userReferenceId] - Owner, when the request was authenticated.
  * @returns {Promise<Object>} Result with socialScore.
  */
-async function connectAndScore(profileUrls) {
+async function connectAndScore(profileUrls, userReferenceId = null) {
     // 1. Validate all URLs
     const validation = validateAllUrls(profileUrls);
 
@@ -157,6 +159,7 @@ async function connectAndScore(profileUrls) {
             sessionId,
             scoreResult.socialScore,
             platformsWithData,
+            userReferenceId,
         );
     } catch (err) {
         console.warn('[SocialService] DB insert failed (continuing without persistence):', err.message);
@@ -220,9 +223,42 @@ async function handleOAuthCallback(platform, code, codeVerifier) {
     return metadata;
 }
 
+// ─── Data Principal Rights ─────────────────────────────────────────
+
+/**
+ * Stored social scores linked to a user (none when persistence is off).
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<Object[]>}
+ */
+async function listUserScores(userReferenceId) {
+    if (!initialized) return [];
+
+    const rows = await socialScoreModel.getScoresByUser(userReferenceId);
+    return rows.map((row) => ({
+        sessionId: row.session_id,
+        socialScore: Number(row.social_score),
+        platformsUsed: row.platforms_used,
+        createdAt: row.created_at,
+    }));
+}
+
+/**
+ * Deletes every social score linked to a user.
+ *
+ * @param {string} userReferenceId
+ * @returns {Promise<number>} Number of scores deleted.
+ */
+async function deleteUserScores(userReferenceId) {
+    if (!initialized) return 0;
+    return socialScoreModel.deleteScoresByUser(userReferenceId);
+}
+
 module.exports = {
     init,
     connectAndScore,
+    listUserScores,
+    deleteUserScores,
     getOAuthUrls,
     handleOAuthCallback,
 };
@@ -0,0 +1,74 @@
+/**
+ * Statement Service
+ *
+ * Alternative FI source for MSMEs that can't link an account through an
+ * Account Aggregator: an uploaded bank statement (CSV or text-based PDF)
+ * is parsed by the per-bank parser registry, normalized like AA
+ * transactions and run through the same cash-flow and UPI analytics.
+ *
+ * Statements are analysed in the request and not stored.
+ */
+const { parseStatement } = require('../utils/statementParsers');
+const { analyzeTransactions, normalizeTransaction } = require('../utils/transactionParser');
+const { analyzeUpi } = require('../utils/upiAnalytics');
+const auditService = require('./auditService');
+
+/**
+ * Parses and analyses an uploaded bank statement.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} options
+ * @param {string} options.userReferenceId
+ * @param {Object} options.actor       - Audit actor.
+ * @param {string} [options.bank]      - Bank id; detected from the statement if omitted.
+ * @param {string} [options.format]    - 'csv' or 'pdf'; detected if omitted.
+ * @returns {Promise<Object>}
+ */
+async function analyzeStatement(buffer, options) {
+    const parsed = await parseStatement(buffer, { bank: options.bank, format: options.format });
+    if (!parsed.success) {
+        console.warn(`[StatementService] Statement rejected | user: ${options.userReferenceId} | ${parsed.message}`);
+        return parsed;
+    }
+
+    const transactions = parsed.records.map((record) => normalizeTransaction(record)).filter(Boolean);
+    const dates = transactions.map((t) => t.date).sort();
+    const period = { from: dates[0], to: dates[dates.length - 1] };
+
+    const analysis = analyzeTransactions(transactions);
+    const upi = analyzeUpi(transactions);
+
+    console.log(`[StatementService] Parsed ${parsed.bank} ${parsed.format} statement | ${transactions.length} transactions | ${period.from} → ${period.to}`);
+
+    await auditService.record({
+        eventType: auditService.EVENT_TYPES.STATEMENT_UPLOADED,
+        actor: options.actor,
+        userReferenceId: options.userReferenceId,
+        resourceType: 'bank_statement',
+        details: {
+            bank: parsed.bank,
+            format: parsed.format,
+            transactionCount: transactions.length,
+            skippedRows: parsed.skippedRows,
+            period,
+        },
+    });
+
+    return {
+        success: true,
+        message: 'Bank statement parsed and analyzed successfully.',
+        data: {
+            bank: parsed.bank,
+            format: parsed.format,
+            transactionCount: transactions.length,
+            skippedRows: parsed.skippedRows,
+            period,
+            analysis,
+            upi,
+        },
+    };
+}
+
+module.exports = {
+    analyzeStatement,
+};
@@ -0,0 +1,145 @@
+/**
+ * Token Service
+ *
+ * Issues access + refresh token pairs for Aadhaar sessions, rotates
+ * refresh tokens with reuse detection, and revokes sessions.
+ *
+ * Every login starts a token family. Each refresh consumes the presented
+ * refresh token and issues a new one in the same family. Presenting an
+ * already-consumed refresh token means it was stolen or replayed, so the
+ * whole family is revoked. Revoked families and access-token IDs (jti)
+ * are kept in the store's denylist, which requireAuth checks.
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { generateToken } = require('../utils/jwtGenerator');
+const store = require('../store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SHA-256 of a refresh token — only hashes are stored.
+ *
+ * @param {string} refreshToken
+ * @returns {string}
+ */
+function hashRefreshToken(refreshToken) {
+    return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Issues an access token and a refresh token for a family.
+ *
+ * @param {{ sub: string, txnId: string, familyId: string, expiresAt: number }} session
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+async function issuePair({ sub, txnId, familyId, expiresAt }) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    await store.saveRefreshToken(hashRefreshToken(refreshToken), {
+        familyId,
+        sub,
+        txnId,
+        expiresAt,
+    });
+
+    return {
+        token: generateToken({ hashedAadhaar: sub, txnId, familyId }),
+        refreshToken,
+    };
+}
+
+// ─── Issue ─────────────────────────────────────────────────────────
+
+/**
+ * Starts a new token family after a successful Aadhaar OTP verification.
+ *
+ * @param {string} hashedAadhaar
+ * @param {string} txnId
+ * @returns {Promise<{ token: string, refreshToken: string }>}
+ */
+async function issueSession(hashedAadhaar, txnId) {
+    return issuePair({
+        sub: hashedAadhaar,
+        txnId,
+        familyId: uuidv4(),
+        expiresAt: Date.now() + config.jwt.refreshExpiryDays * DAY_MS,
+    });
+}
+
+// ─── Rotate ────────────────────────────────────────────────────────
+
+/**
+ * Exchanges a refresh token for a new access + refresh token pair.
+ * The family keeps its original expiry; rotation does not extend it.
+ *
+ * @param {string} refreshToken
+ * @returns {Promise<{ success: boolean, token?: string, refreshToken?: string, message: string }>}
+ */
+async function rotateRefreshToken(refreshToken) {
+    const invalid = { success: false, message: 'Invalid or expired refresh token. Please authenticate again.' };
+
+    const tokenHash = hashRefreshToken(String(refreshToken));
+    const record = await store.getRefreshToken(tokenHash);
+    if (!record) return invalid;
+
+    if (await store.isDenylisted(record.familyId)) return invalid;
+
+    const firstUse = await store.markRefreshTokenUsed(tokenHash);
+    if (!firstUse) {
+        await store.addToDenylist(record.familyId, record.expiresAt);
+        console.warn(`[TokenService] Refresh token reuse detected — family ${record.familyId} revoked.`);
+        return {
+            success: false,
+            message: 'Refresh token has already been used. All sessions from this login have been revoked.',
+        };
+    }
+
+    const pair = await issuePair(record);
+
+    return {
+        success: true,
+        ...pair,
+        message: 'Session refreshed.',
+    };
+}
+
+// ─── Revoke ────────────────────────────────────────────────────────
+
+/**
+ * Revokes the session behind an access token: the token itself and, for
+ * Aadhaar sessions, its whole refresh-token family.
+ *
+ * @param {{ jti?: string, fam?: string, exp?: number }} decoded - Verified JWT claims.
+ * @returns {Promise<void>}
+ */
+async function revokeSession(decoded) {
+    if (decoded.jti) {
+        await store.addToDenylist(decoded.jti, decoded.exp * 1000);
+    }
+
+    if (decoded.fam) {
+        await store.addToDenylist(decoded.fam, Date.now() + config.jwt.refreshExpiryDays * DAY_MS);
+        console.log(`[TokenService] Token family ${decoded.fam} revoked.`);
+    }
+}
+
+/**
+ * Whether an access token has been revoked (its jti or its family).
+ *
+ * @param {{ jti?: string, fam?: string }} decoded - Verified JWT claims.
+ * @returns {Promise<boolean>}
+ */
+async function isRevoked(decoded) {
+    if (decoded.jti && await store.isDenylisted(decoded.jti)) return true;
+    if (decoded.fam && await store.isDenylisted(decoded.fam)) return true;
+    return false;
+}
+
+module.exports = {
+    issueSession,
+    rotateRefreshToken,
+    revokeSession,
+    isRevoked,
+};
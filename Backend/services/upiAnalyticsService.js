@@ -36,14 +36,15 @@ function analyzeFromTransactions(transactions) {
  * Fetches FI data by sessionId, then runs UPI analytics on the result.
  *
  * @param {string} sessionId
+ * @param {Object} [actor] - Audit actor for the FI fetch.
  * @returns {Promise<Object>}
  */
-async function analyzeFromSession(sessionId) {
+async function analyzeFromSession(sessionId, actor) {
     if (!sessionId) {
         return { success: false, message: 'sessionId is required.' };
     }
 
-    const fetchResult = await fiFetchService.fetchFiData(sessionId);
+    const fetchResult = await fiFetchService.fetchFiData(sessionId, { actor });
     if (!fetchResult.success) return fetchResult;
 
     // Extract the parsed transactions from the fetch result
@@ -57,7 +58,7 @@ async function analyzeFromSession(sessionId) {
         return {
             success: true,
             message: 'No transactions found in session data.',
-            data: analyzeUpi([]),
+            data: { ...analyzeUpi([]), mocked: fetchResult.data.mocked },
         };
     }
 
@@ -66,7 +67,7 @@ async function analyzeFromSession(sessionId) {
     return {
         success: true,
         message: `UPI analytics for session ${sessionId}: ${upiAnalytics.transactionCount} UPI transactions.`,
-        data: upiAnalytics,
+        data: { ...upiAnalytics, mocked: fetchResult.data.mocked },
     };
 }
 
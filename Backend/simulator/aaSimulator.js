@@ -0,0 +1,393 @@
+/**
+ * Local Account Aggregator / FIP Simulator
+ *
+ * Standalone Express app implementing the AA endpoints the FIU calls
+ * (ReBIT AA API v2.0), for end-to-end testing without a sandbox:
+ *
+ *   POST /Consent                  → create (auto-approved) consent
+ *   GET  /Consent/handle/:handle   → consent handle status
+ *   GET  /Consent/:id              → signed consent artefact
+ *   POST /FI/request               → open an FI session (stores FIU KeyMaterial)
+ *   POST /FI/fetch                 → encrypted FI for the session
+ *   GET  /FI/fetch/:sessionId      → same, for the status-check route
+ *
+ * Every POST must carry a detached JWS (x-jws-signature) over the raw
+ * body. Statements are generated per account and encrypted with a key
+ * negotiated against the FIU's KeyMaterial (utils/fipHarness.js).
+ *
+ * Scripting (for tests), under /__simulator:
+ *   POST   /scenarios                 { endpoint, status?, errorCode?, errorMsg?, delayMs?, times? }
+ *   DELETE /scenarios                 clear scripted behaviour
+ *   POST   /consents/:id/revoke       revoke a consent (notifies the FIU if configured)
+ *   GET    /state                     consents, sessions, pending scenarios
+ *
+ * Run standalone:
+ *   AA_BASE_URL=http://localhost:4100 AA_DEV_FALLBACK=false npm start   (FIU)
+ *   npm run simulator                                                   (AA)
+ */
+const express = require('express');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const { createDetachedJws, verifyDetachedJws } = require('../utils/jwsSigner');
+const { buildAaError } = require('../middleware/aaSignatureMiddleware');
+const { buildEncryptedFiResponse } = require('../utils/fipHarness');
+const { generateStatement } = require('./statementGenerator');
+
+const SIMULATED_ENDPOINTS = ['Consent', 'Consent/handle', 'Consent/fetch', 'FI/request', 'FI/fetch'];
+
+/**
+ * Creates a simulator instance.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.fiuPublicKeyPath]   - Verifies inbound detached JWS.
+ * @param {string} [options.aaPrivateKeyPath]   - Signs consent artefacts and notifications.
+ * @param {string} [options.notificationUrl]    - FIU base URL for outbound notifications.
+ * @param {string} [options.fiFormat='json']  - FI document format in encryptedFI: 'json' or 'xml'.
+ * @param {number} [options.notificationDelayMs=1000] - Delay before the FI READY notification.
+ * @param {boolean} [options.strictConsents=false] - Reject FI requests for consents not created here.
+ * @param {boolean} [options.verifySignatures=true]
+ * @returns {{ app: express.Application, script: Function, revokeConsent: Function, reset: Function, state: Object }}
+ */
+function createSimulator(options = {}) {
+    const settings = {
+        fiuPublicKeyPath: config.simulator.fiuPublicKeyPath,
+        aaPrivateKeyPath: config.simulator.aaPrivateKeyPath,
+        notificationUrl: config.simulator.notificationUrl,
+        fiFormat: config.simulator.fiFormat,
+        notificationDelayMs: 1000,
+        strictConsents: false,
+        verifySignatures: true,
+        ...options,
+    };
+
+    const state = {
+        consents: new Map(),   // consentId → consent
+        handles: new Map(),    // consentHandle → consentId
+        sessions: new Map(),   // sessionId → FI session
+        scenarios: [],
+    };
+
+    // ─── Helpers ──────────────────────────────────────────────────
+
+    const envelope = (txnid, body) => ({
+        ver: '2.0.0',
+        timestamp: new Date().toISOString(),
+        txnid: txnid || uuidv4(),
+        ...body,
+    });
+
+    const sign = (payload) => createDetachedJws(payload, {
+        keyId: 'aa-simulator',
+        privateKeyPath: settings.aaPrivateKeyPath,
+    });
+
+    function registerConsent(consentId, detail = {}) {
+        const consent = {
+            id: consentId,
+            handle: uuidv4(),
+            status: 'ACTIVE',
+            detail,
+            createdAt: new Date().toISOString(),
+        };
+        state.consents.set(consentId, consent);
+        state.handles.set(consent.handle, consentId);
+        return consent;
+    }
+
+    /**
+     * Sends a signed notification to the FIU. Failures are logged only —
+     * the FIU can always poll.
+     */
+    async function notify(path, body) {
+        if (!settings.notificationUrl) return;
+
+        const payload = JSON.stringify(body);
+        try {
+            await axios.post(`${settings.notificationUrl}${path}`, payload, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-jws-signature': sign(payload).detachedJws,
+                },
+                timeout: 10000,
+            });
+        } catch (err) {
+            console.warn(`[AASimulator] Notification ${path} failed: ${err.message}`);
+        }
+    }
+
+    function buildFiResponse(session, txnid) {
+        const FI = session.fi.flatMap((fip) => (fip.data || []).flatMap((account) => buildEncryptedFiResponse({
+            fiuKeyMaterial: session.keyMaterial,
+            transactions: generateStatement({
+                from: session.dataRange.from,
+                to: session.dataRange.to,
+                seed: account.linkRefNumber || account.maskedAccNumber,
+            }),
+            sessionId: session.sessionId,
+            fipId: fip.fipId,
+            linkRefNumber: account.linkRefNumber,
+            maskedAccNumber: account.maskedAccNumber,
+            format: settings.fiFormat,
+        }).FI));
+
+        return envelope(txnid, { sessionId: session.sessionId, status: 'READY', FI });
+    }
+
+    // ─── Middleware ───────────────────────────────────────────────
+
+    /**
+     * Applies the first scripted scenario for an endpoint: an optional
+     * delay, then an optional ReBIT error response.
+     */
+    function applyScenario(endpoint) {
+        return async (req, res, next) => {
+            const scenario = state.scenarios.find((s) => s.endpoint === endpoint);
+            if (!scenario) return next();
+
+            if (scenario.times > 0) scenario.times -= 1;
+            if (scenario.times === 0) state.scenarios.splice(state.scenarios.indexOf(scenario), 1);
+
+            if (scenario.delayMs) {
+                await new Promise((resolve) => setTimeout(resolve, scenario.delayMs));
+            }
+            if (scenario.status) {
+                return res.status(scenario.status).json(buildAaError(
+                    req.body,
+                    scenario.errorCode || 'InternalError',
+                    scenario.errorMsg || 'Scripted simulator error.',
+                ));
+            }
+            return next();
+        };
+    }
+
+    function requireSignature(req, res, next) {
+        if (!settings.verifySignatures) return next();
+
+        const detachedJws = req.headers['x-jws-signature'];
+        if (!detachedJws || !verifyDetachedJws(detachedJws, req.rawBody || '', settings.fiuPublicKeyPath)) {
+            console.warn(`[AASimulator] Rejected ${req.method} ${req.originalUrl}: invalid signature.`);
+            return res.status(401).json(buildAaError(req.body, 'SignatureDoesNotMatch', 'Detached JWS verification failed.'));
+        }
+        return next();
+    }
+
+    // ─── App ──────────────────────────────────────────────────────
+
+    const app = express();
+    app.use(express.json({
+        limit: '1mb',
+        verify: (req, res, buf) => {
+            req.rawBody = buf.toString('utf8');
+        },
+    }));
+
+    // ── Consent ──
+
+    app.post('/Consent', applyScenario('Consent'), requireSignature, (req, res) => {
+        const { txnid, ConsentDetail } = req.body || {};
+        if (!txnid || !ConsentDetail) {
+            return res.status(400).json(buildAaError(req.body, 'InvalidRequest', 'txnid and ConsentDetail are required.'));
+        }
+
+        const consent = registerConsent(uuidv4(), ConsentDetail);
+        console.log(`[AASimulator] Consent ${consent.id} created (handle ${consent.handle}).`);
+
+        return res.status(200).json(envelope(txnid, {
+            Customer: { id: ConsentDetail.Customer?.id || null },
+            ConsentHandle: consent.handle,
+        }));
+    });
+
+    app.get('/Consent/handle/:handle', applyScenario('Consent/handle'), (req, res) => {
+        const consent = state.consents.get(state.handles.get(req.params.handle));
+        if (!consent) {
+            return res.status(404).json(buildAaError(null, 'InvalidConsentHandle', 'Consent handle not found.'));
+        }
+
+        return res.status(200).json(envelope(null, {
+            ConsentHandle: consent.handle,
+            ConsentStatus: { id: consent.id, status: consent.status },
+        }));
+    });
+
+    app.get('/Consent/:id', applyScenario('Consent/fetch'), (req, res) => {
+        const consent = state.consents.get(req.params.id);
+        if (!consent) {
+            return res.status(404).json(buildAaError(null, 'InvalidConsentId', 'Consent not found.'));
+        }
+
+        return res.status(200).json(envelope(null, {
+            consentId: consent.id,
+            status: consent.status,
+            createTimestamp: consent.createdAt,
+            signedConsent: sign({ ...consent.detail, consentId: consent.id }).fullJws,
+            ConsentUse: { logUri: '', count: 0, lastUseDateTime: null },
+        }));
+    });
+
+    // ── FI ──
+
+    app.post('/FI/request', applyScenario('FI/request'), requireSignature, (req, res) => {
+        const { txnid, Consent, FIDataRange, KeyMaterial, FI } = req.body || {};
+
+        if (!txnid || !Consent?.id || !FIDataRange || !KeyMaterial?.DHPublicKey?.KeyValue || !KeyMaterial.Nonce) {
+            return res.status(400).json(buildAaError(req.body, 'InvalidRequest',
+                'txnid, Consent.id, FIDataRange and KeyMaterial (DHPublicKey.KeyValue, Nonce) are required.'));
+        }
+
+        let consent = state.consents.get(Consent.id);
+        if (!consent) {
+            if (settings.strictConsents) {
+                return res.status(404).json(buildAaError(req.body, 'InvalidConsentId', 'Consent not found.'));
+            }
+            consent = registerConsent(Consent.id);
+        }
+        if (consent.status !== 'ACTIVE') {
+            return res.status(403).json(buildAaError(req.body, 'InvalidConsentStatus', `Consent is ${consent.status}.`));
+        }
+
+        const session = {
+            sessionId: uuidv4(),
+            consentId: consent.id,
+            dataRange: FIDataRange,
+            keyMaterial: KeyMaterial,
+            fi: Array.isArray(FI) ? FI : [],
+            createdAt: new Date().toISOString(),
+        };
+        state.sessions.set(session.sessionId, session);
+        console.log(`[AASimulator] FI session ${session.sessionId} opened for consent ${consent.id}.`);
+
+        // Give the FIU time to persist the session before announcing READY.
+        setTimeout(() => notify('/FI/Notification', envelope(null, {
+            Notifier: { type: 'AA', id: 'aa-simulator' },
+            FIStatusNotification: {
+                sessionId: session.sessionId,
+                sessionStatus: 'COMPLETED',
+                FIStatusResponse: session.fi.map((fip) => ({
+                    fipID: fip.fipId,
+                    Accounts: (fip.data || []).map((a) => ({ linkRefNumber: a.linkRefNumber, FIStatus: 'READY' })),
+                })),
+            },
+        })), settings.notificationDelayMs).unref();
+
+        return res.status(200).json(envelope(txnid, {
+            consentId: consent.id,
+            sessionId: session.sessionId,
+        }));
+    });
+
+    const handleFetch = (sessionId, txnid, body, res) => {
+        const session = state.sessions.get(sessionId);
+        if (!session) {
+            return res.status(404).json(buildAaError(body, 'InvalidSessionId', 'FI session not found.'));
+        }
+
+        const consent = state.consents.get(session.consentId);
+        if (consent?.status !== 'ACTIVE') {
+            return res.status(403).json(buildAaError(body, 'InvalidConsentStatus', `Consent is ${consent?.status}.`));
+        }
+
+        return res.status(200).json(buildFiResponse(session, txnid));
+    };
+
+    app.post('/FI/fetch', applyScenario('FI/fetch'), requireSignature, (req, res) => {
+        if (!req.body?.sessionId) {
+            return res.status(400).json(buildAaError(req.body, 'InvalidRequest', 'sessionId is required.'));
+        }
+        return handleFetch(req.body.sessionId, req.body.txnid, req.body, res);
+    });
+
+    app.get('/FI/fetch/:sessionId', applyScenario('FI/fetch'), (req, res) => handleFetch(req.params.sessionId, null, null, res));
+
+    // ── Scripting ──
+
+    app.post('/__simulator/scenarios', (req, res) => {
+        const { endpoint, status, errorCode, errorMsg, delayMs = 0, times = 1 } = req.body || {};
+        if (!SIMULATED_ENDPOINTS.includes(endpoint)) {
+            return res.status(400).json({ success: false, message: `endpoint must be one of: [${SIMULATED_ENDPOINTS.join(', ')}]` });
+        }
+        script(endpoint, { status, errorCode, errorMsg, delayMs, times });
+        return res.status(201).json({ success: true, data: state.scenarios });
+    });
+
+    app.delete('/__simulator/scenarios', (req, res) => {
+        state.scenarios.length = 0;
+        return res.status(200).json({ success: true });
+    });
+
+    app.post('/__simulator/consents/:id/revoke', async (req, res) => {
+        const consent = await revokeConsent(req.params.id);
+        if (!consent) return res.status(404).json({ success: false, message: 'Consent not found.' });
+        return res.status(200).json({ success: true, data: consent });
+    });
+
+    app.get('/__simulator/state', (req, res) => res.status(200).json({
+        success: true,
+        data: {
+            consents: Array.from(state.consents.values()),
+            sessions: Array.from(state.sessions.values()).map(({ keyMaterial, ...session }) => session),
+            scenarios: state.scenarios,
+        },
+    }));
+
+    // ─── Programmatic Control ─────────────────────────────────────
+
+    /**
+     * Scripts the next `times` calls to an endpoint (times = -1: until reset).
+     *
+     * @param {string} endpoint - One of SIMULATED_ENDPOINTS.
+     * @param {{ status?: number, errorCode?: string, errorMsg?: string, delayMs?: number, times?: number }} behaviour
+     */
+    function script(endpoint, behaviour) {
+        state.scenarios.push({ endpoint, times: 1, ...behaviour });
+    }
+
+    /**
+     * Revokes a consent (registering it first if unknown) and notifies the FIU.
+     *
+     * @param {string} consentId
+     * @returns {Promise<Object|null>}
+     */
+    async function revokeConsent(consentId) {
+        const consent = state.consents.get(consentId)
+            || (settings.strictConsents ? null : registerConsent(consentId));
+        if (!consent) return null;
+
+        consent.status = 'REVOKED';
+        console.log(`[AASimulator] Consent ${consentId} revoked.`);
+
+        await notify('/Consent/Notification', envelope(null, {
+            Notifier: { type: 'AA', id: 'aa-simulator' },
+            ConsentStatusNotification: { consentId, consentHandle: consent.handle, consentStatus: 'REVOKED' },
+        }));
+        return consent;
+    }
+
+    function reset() {
+        state.consents.clear();
+        state.handles.clear();
+        state.sessions.clear();
+        state.scenarios.length = 0;
+    }
+
+    return { app, script, revokeConsent, reset, state };
+}
+
+// ─── Standalone ────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const { app } = createSimulator();
+    app.listen(config.simulator.port, () => {
+        console.log(`[AASimulator] Listening on http://localhost:${config.simulator.port}`);
+        if (config.simulator.notificationUrl) {
+            console.log(`[AASimulator] Notifications → ${config.simulator.notificationUrl}`);
+        }
+    });
+}
+
+module.exports = {
+    createSimulator,
+    SIMULATED_ENDPOINTS,
+};
@@ -0,0 +1,135 @@
+/**
+ * Statement Generator (AA Simulator)
+ *
+ * Produces realistic, deterministic multi-month deposit account
+ * statements for the local FIP: business receipts, salaries, rent,
+ * utilities, loan EMIs, GST payments and everyday UPI spends, with a
+ * running balance. The same seed always yields the same statement.
+ */
+
+const MAX_MONTHS = 24;
+
+// ─── Seeded PRNG ──────────────────────────────────────────────────
+
+/**
+ * mulberry32 — small deterministic PRNG.
+ *
+ * @param {number} seed
+ * @returns {() => number} Returns floats in [0, 1).
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Hashes a string (e.g. a linkRefNumber) into a 32-bit seed.
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+function seedFromString(value) {
+    let hash = 2166136261;
+    for (const char of String(value)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+// ─── Monthly Template ─────────────────────────────────────────────
+
+/**
+ * Recurring monthly entries: [day, type, mode, base amount, jitter, narration].
+ */
+const MONTHLY_ENTRIES = [
+    [1, 'DEBIT', 'NEFT', 18000, 0, 'Shop rent'],
+    [3, 'CREDIT', 'NEFT', 65000, 0.35, 'Payment from Sharma Traders'],
+    [5, 'DEBIT', 'NACH', 12450, 0, 'Term loan EMI'],
+    [7, 'DEBIT', 'UPI', 2800, 0.3, 'Electricity bill'],
+    [10, 'DEBIT', 'NEFT', 24000, 0, 'Staff salary'],
+    [14, 'CREDIT', 'IMPS', 38000, 0.5, 'Payment from Gupta Enterprises'],
+    [18, 'DEBIT', 'NEFT', 6500, 0.4, 'GST payment'],
+    [20, 'DEBIT', 'UPI', 999, 0, 'Internet and mobile bill'],
+    [25, 'CREDIT', 'UPI', 22000, 0.6, 'Counter sales settlement'],
+];
+
+const UPI_SPENDS = ['Wholesale supplies', 'Fuel', 'Packaging material', 'Groceries', 'Courier charges', 'Repairs'];
+
+// ─── Generator ────────────────────────────────────────────────────
+
+/**
+ * Generates a statement between two dates (capped at MAX_MONTHS).
+ *
+ * @param {Object} params
+ * @param {string|Date} params.from
+ * @param {string|Date} params.to
+ * @param {string|number} [params.seed=0]   - Seed (a linkRefNumber works well).
+ * @param {number} [params.openingBalance=150000]
+ * @returns {Object[]} Transactions, oldest first.
+ */
+function generateStatement({ from, to, seed = 0, openingBalance = 150000 }) {
+    const random = createRandom(typeof seed === 'number' ? seed : seedFromString(seed));
+    const end = new Date(to);
+    const start = new Date(Math.max(
+        new Date(from).getTime(),
+        Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - MAX_MONTHS + 1, 1),
+    ));
+
+    const entries = [];
+    const cursor = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), 1));
+
+    while (cursor <= end) {
+        const year = cursor.getUTCFullYear();
+        const month = cursor.getUTCMonth();
+
+        for (const [day, type, mode, base, jitter, narration] of MONTHLY_ENTRIES) {
+            const amount = Math.round(base * (1 + (random() * 2 - 1) * jitter));
+            entries.push({ date: new Date(Date.UTC(year, month, day, 10)), type, mode, amount, narration });
+        }
+
+        const spends = 4 + Math.floor(random() * 5);
+        for (let i = 0; i < spends; i++) {
+            entries.push({
+                date: new Date(Date.UTC(year, month, 1 + Math.floor(random() * 28), 9 + Math.floor(random() * 10))),
+                type: 'DEBIT',
+                mode: 'UPI',
+                amount: 200 + Math.round(random() * 4800),
+                narration: UPI_SPENDS[Math.floor(random() * UPI_SPENDS.length)],
+            });
+        }
+
+        cursor.setUTCMonth(month + 1);
+    }
+
+    let balance = openingBalance;
+    return entries
+        .filter((entry) => entry.date >= start && entry.date <= end)
+        .sort((a, b) => a.date - b.date)
+        .map((entry, index) => {
+            balance += entry.type === 'CREDIT' ? entry.amount : -entry.amount;
+            const timestamp = entry.date.toISOString();
+            return {
+                txnId: `SIM${String(index + 1).padStart(6, '0')}`,
+                type: entry.type,
+                mode: entry.mode,
+                amount: entry.amount,
+                currentBalance: balance,
+                transactionTimestamp: timestamp,
+                valueDate: timestamp.slice(0, 10),
+                narration: entry.narration,
+                reference: `${entry.mode}/${timestamp.slice(0, 10).replace(/-/g, '')}/${index + 1}`,
+            };
+        });
+}
+
+module.exports = {
+    generateStatement,
+    seedFromString,
+};
@@ -0,0 +1,97 @@
+/**
+ * Auth State Store
+ *
+ * Single entry point for OTP sessions, failed-attempt lockouts, refresh
+ * tokens and the revocation denylist. Delegates to the backend selected by
+ * STORE_DRIVER (memory | postgres | redis) and falls back to memory when
+ * that backend is unreachable.
+ *
+ * Every function returns a Promise regardless of backend.
+ */
+const config = require('../config');
+const memoryStore = require('./memoryStore');
+
+const BACKENDS = {
+    memory: () => memoryStore,
+    postgres: () => require('./postgresStore'),
+    redis: () => require('./redisStore'),
+};
+
+let backend = memoryStore;
+let driver = 'memory';
+let sweepTimer = null;
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Selects and initializes the configured backend, then starts the
+ * periodic sweep of expired entries.
+ */
+async function init() {
+    const requested = config.store.driver;
+    const loadBackend = BACKENDS[requested];
+
+    if (!loadBackend) {
+        console.warn(`[Store] Unknown STORE_DRIVER "${requested}" — using in-memory store.`);
+    } else if (requested !== 'memory') {
+        const candidate = loadBackend();
+        if (await candidate.init()) {
+            backend = candidate;
+            driver = requested;
+        } else {
+            console.warn(`[Store] ${requested} unavailable — using in-memory store (dev mode).`);
+        }
+    }
+
+    console.log(`[Store] Using ${driver} backend.`);
+
+    if (!sweepTimer) {
+        sweepTimer = setInterval(sweep, config.store.sweepIntervalMs);
+        sweepTimer.unref();
+    }
+}
+
+/**
+ * Removes expired entries from the active backend.
+ */
+async function sweep() {
+    try {
+        const removed = await backend.sweepExpired();
+        if (removed > 0) {
+            console.log(`[Store] Swept ${removed} expired entr${removed === 1 ? 'y' : 'ies'}.`);
+        }
+    } catch (err) {
+        console.error('[Store] Sweep failed:', err.message);
+    }
+}
+
+/**
+ * Name of the active backend.
+ *
+ * @returns {string}
+ */
+function getDriver() {
+    return driver;
+}
+
+// ─── Delegation ───────────────────────────────────────────────────
+
+const delegate = (name) => async (...args) => backend[name](...args);
+
+module.exports = {
+    init,
+    sweep,
+    getDriver,
+    createSession: delegate('createSession'),
+    getSession: delegate('getSession'),
+    clearSession: delegate('clearSession'),
+    isLocked: delegate('isLocked'),
+    getLockoutRemaining: delegate('getLockoutRemaining'),
+    incrementFailed: delegate('incrementFailed'),
+    resetAttempts: delegate('resetAttempts'),
+    saveRefreshToken: delegate('saveRefreshToken'),
+    getRefreshToken: delegate('getRefreshToken'),
+    markRefreshTokenUsed: delegate('markRefreshTokenUsed'),
+    addToDenylist: delegate('addToDenylist'),
+    isDenylisted: delegate('isDenylisted'),
+};
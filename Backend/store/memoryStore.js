@@ -1,16 +1,24 @@
 /**
  * In-Memory Store
  *
- * Manages OTP sessions and failed-attempt tracking for rate limiting.
- * In production, replace this with Redis or a database-backed store.
+ * Manages OTP sessions, failed-attempt tracking for rate limiting,
+ * refresh tokens and the access-token revocation denylist.
+ * Process-local — state is lost on restart and not shared across
+ * instances. Used in dev and as the fallback backend (see store/index.js).
  */
 
-/** @type {Map<string, { txnId: string, createdAt: number }>} */
+/** @type {Map<string, { txnId: string, createdAt: number, expiresAt: number }>} */
 const sessions = new Map();
 
-/** @type {Map<string, { count: number, lockedUntil: number | null }>} */
+/** @type {Map<string, { count: number, lockedUntil: number | null, expiresAt: number }>} */
 const attempts = new Map();
 
+/** @type {Map<string, { familyId: string, sub: string, txnId: string, expiresAt: number, usedAt: number | null }>} */
+const refreshTokens = new Map();
+
+/** @type {Map<string, number>} Revoked token / family ID → expiry (ms epoch) */
+const denylist = new Map();
+
 const config = require('../config');
 
 // ─── Session Management ────────────────────────────────────────────
@@ -22,20 +30,30 @@ const config = require('../config');
  * @param {string} txnId        - UIDAI transaction ID.
  */
 function createSession(hashedAadhaar, txnId) {
+    const now = Date.now();
     sessions.set(hashedAadhaar, {
         txnId,
-        createdAt: Date.now(),
+        createdAt: now,
+        expiresAt: now + config.store.sessionTtlMs,
     });
 }
 
 /**
- * Retrieves an existing OTP session.
+ * Retrieves an existing OTP session (null if unknown or expired).
  *
  * @param {string} hashedAadhaar
  * @returns {{ txnId: string, createdAt: number } | null}
  */
 function getSession(hashedAadhaar) {
-    return sessions.get(hashedAadhaar) || null;
+    const session = sessions.get(hashedAadhaar);
+    if (!session) return null;
+
+    if (Date.now() >= session.expiresAt) {
+        sessions.delete(hashedAadhaar);
+        return null;
+    }
+
+    return { txnId: session.txnId, createdAt: session.createdAt };
 }
 
 /**
@@ -84,14 +102,19 @@ function getLockoutRemaining(hashedAadhaar) {
 
 /**
  * Increments the failed-attempt counter.
- * Locks the account after reaching maxAttempts.
+ * Locks the account after reaching maxAttempts. The counter is forgotten
+ * lockoutDurationMs after the last failure.
  *
  * @param {string} hashedAadhaar
  * @returns {{ locked: boolean, attemptsLeft: number }}
  */
 function incrementFailed(hashedAadhaar) {
-    let record = attempts.get(hashedAadhaar) || { count: 0, lockedUntil: null };
+    const existing = attempts.get(hashedAadhaar);
+    const record = existing && Date.now() < existing.expiresAt
+        ? existing
+        : { count: 0, lockedUntil: null };
     record.count += 1;
+    record.expiresAt = Date.now() + config.rateLimit.lockoutDurationMs;
 
     if (record.count >= config.rateLimit.maxAttempts) {
         record.lockedUntil = Date.now() + config.rateLimit.lockoutDurationMs;
@@ -115,6 +138,110 @@ function resetAttempts(hashedAadhaar) {
     attempts.delete(hashedAadhaar);
 }
 
+// ─── Refresh Tokens ────────────────────────────────────────────────
+
+/**
+ * Stores a refresh token record keyed by the token's SHA-256 hash.
+ *
+ * @param {string} tokenHash
+ * @param {{ familyId: string, sub: string, txnId: string, expiresAt: number }} record
+ */
+function saveRefreshToken(tokenHash, record) {
+    refreshTokens.set(tokenHash, { ...record, usedAt: null });
+}
+
+/**
+ * Retrieves a refresh token record (null if unknown or expired).
+ *
+ * @param {string} tokenHash
+ * @returns {{ familyId: string, sub: string, txnId: string, expiresAt: number, usedAt: number | null } | null}
+ */
+function getRefreshToken(tokenHash) {
+    const record = refreshTokens.get(tokenHash);
+    if (!record) return null;
+
+    if (Date.now() >= record.expiresAt) {
+        refreshTokens.delete(tokenHash);
+        return null;
+    }
+
+    return record;
+}
+
+/**
+ * Marks a refresh token as used (rotated).
+ *
+ * @param {string} tokenHash
+ * @returns {boolean} false if the token was already used — i.e. a replay.
+ */
+function markRefreshTokenUsed(tokenHash) {
+    const record = refreshTokens.get(tokenHash);
+    if (!record || record.usedAt) return false;
+
+    record.usedAt = Date.now();
+    return true;
+}
+
+// ─── Revocation Denylist ───────────────────────────────────────────
+
+/**
+ * Adds a token ID (jti) or token family ID to the denylist.
+ *
+ * @param {string} id
+ * @param {number} expiresAt - When the entry may be forgotten (ms epoch).
+ */
+function addToDenylist(id, expiresAt) {
+    denylist.set(id, expiresAt);
+}
+
+/**
+ * Checks whether a token ID or family ID has been revoked.
+ *
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isDenylisted(id) {
+    const expiresAt = denylist.get(id);
+    if (!expiresAt) return false;
+
+    if (Date.now() < expiresAt) {
+        return true;
+    }
+
+    denylist.delete(id);
+    return false;
+}
+
+// ─── Expiry ────────────────────────────────────────────────────────
+
+/**
+ * Removes expired sessions, counters, refresh tokens and denylist entries.
+ *
+ * @returns {number} Number of entries removed.
+ */
+function sweepExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const map of [sessions, attempts, refreshTokens]) {
+        for (const [key, record] of map) {
+            if (now >= record.expiresAt) {
+                map.delete(key);
+                removed += 1;
+            }
+        }
+    }
+
+    for (const [id, expiresAt] of denylist) {
+        if (now >= expiresAt) {
+            denylist.delete(id);
+            removed += 1;
+        }
+    }
+
+    return removed;
+}
+
 module.exports = {
     createSession,
     getSession,
@@ -123,4 +250,10 @@ module.exports = {
     getLockoutRemaining,
     incrementFailed,
     resetAttempts,
+    saveRefreshToken,
+    getRefreshToken,
+    markRefreshTokenUsed,
+    addToDenylist,
+    isDenylisted,
+    sweepExpired,
 };
@@ -0,0 +1,192 @@
+/**
+ * PostgreSQL Store
+ *
+ * Persists OTP sessions, failed-attempt counters, refresh tokens and the
+ * revocation denylist in PostgreSQL so they survive restarts and are
+ * shared across instances. Uses the shared connection pool (db/pool).
+ *
+ * Same interface as memoryStore, but every function is async.
+ */
+const config = require('../config');
+const { getPool, checkTables } = require('../db/pool');
+
+// ─── Initialization ───────────────────────────────────────────────
+
+/**
+ * Checks that the store tables exist (created by db/migrations).
+ *
+ * @returns {Promise<boolean>} false if PostgreSQL is unreachable or the migration has not run.
+ */
+async function init() {
+    return checkTables('PostgresStore', ['auth_otp_sessions', 'auth_failed_attempts', 'auth_refresh_tokens', 'auth_denylist']);
+}
+
+// ─── Session Management ────────────────────────────────────────────
+
+async function createSession(hashedAadhaar, txnId) {
+    await getPool().query(
+        `INSERT INTO auth_otp_sessions (hashed_aadhaar, txn_id, created_at, expires_at)
+         VALUES ($1, $2, NOW(), NOW() + $3 * INTERVAL '1 millisecond')
+         ON CONFLICT (hashed_aadhaar) DO UPDATE
+           SET txn_id = EXCLUDED.txn_id, created_at = EXCLUDED.created_at, expires_at = EXCLUDED.expires_at`,
+        [hashedAadhaar, txnId, config.store.sessionTtlMs],
+    );
+}
+
+async function getSession(hashedAadhaar) {
+    const { rows } = await getPool().query(
+        `SELECT txn_id, created_at FROM auth_otp_sessions
+         WHERE hashed_aadhaar = $1 AND expires_at > NOW()`,
+        [hashedAadhaar],
+    );
+    if (!rows[0]) return null;
+    return { txnId: rows[0].txn_id, createdAt: new Date(rows[0].created_at).getTime() };
+}
+
+async function clearSession(hashedAadhaar) {
+    await getPool().query('DELETE FROM auth_otp_sessions WHERE hashed_aadhaar = $1', [hashedAadhaar]);
+}
+
+// ─── Rate Limiting ─────────────────────────────────────────────────
+
+async function getLockedUntil(hashedAadhaar) {
+    const { rows } = await getPool().query(
+        `SELECT locked_until FROM auth_failed_attempts
+         WHERE hashed_aadhaar = $1 AND locked_until > NOW()`,
+        [hashedAadhaar],
+    );
+    return rows[0] ? new Date(rows[0].locked_until).getTime() : null;
+}
+
+async function isLocked(hashedAadhaar) {
+    return (await getLockedUntil(hashedAadhaar)) !== null;
+}
+
+async function getLockoutRemaining(hashedAadhaar) {
+    const lockedUntil = await getLockedUntil(hashedAadhaar);
+    if (!lockedUntil) return 0;
+
+    const remaining = lockedUntil - Date.now();
+    return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+async function incrementFailed(hashedAadhaar) {
+    const { maxAttempts, lockoutDurationMs } = config.rateLimit;
+
+    // Upsert atomically; a stale (expired) counter restarts at 1.
+    const { rows } = await getPool().query(
+        `INSERT INTO auth_failed_attempts (hashed_aadhaar, count, expires_at)
+         VALUES ($1, 1, NOW() + $2 * INTERVAL '1 millisecond')
+         ON CONFLICT (hashed_aadhaar) DO UPDATE
+           SET count = CASE WHEN auth_failed_attempts.expires_at > NOW()
+                            THEN auth_failed_attempts.count + 1 ELSE 1 END,
+               locked_until = CASE WHEN auth_failed_attempts.expires_at > NOW()
+                                   THEN auth_failed_attempts.locked_until ELSE NULL END,
+               expires_at = EXCLUDED.expires_at
+         RETURNING count`,
+        [hashedAadhaar, lockoutDurationMs],
+    );
+    const { count } = rows[0];
+
+    if (count >= maxAttempts) {
+        await getPool().query(
+            `UPDATE auth_failed_attempts SET locked_until = expires_at WHERE hashed_aadhaar = $1`,
+            [hashedAadhaar],
+        );
+        return { locked: true, attemptsLeft: 0 };
+    }
+
+    return { locked: false, attemptsLeft: maxAttempts - count };
+}
+
+async function resetAttempts(hashedAadhaar) {
+    await getPool().query('DELETE FROM auth_failed_attempts WHERE hashed_aadhaar = $1', [hashedAadhaar]);
+}
+
+// ─── Refresh Tokens ────────────────────────────────────────────────
+
+async function saveRefreshToken(tokenHash, record) {
+    await getPool().query(
+        `INSERT INTO auth_refresh_tokens (token_hash, family_id, sub, txn_id, expires_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [tokenHash, record.familyId, record.sub, record.txnId, new Date(record.expiresAt)],
+    );
+}
+
+async function getRefreshToken(tokenHash) {
+    const { rows } = await getPool().query(
+        `SELECT family_id, sub, txn_id, expires_at, used_at FROM auth_refresh_tokens
+         WHERE token_hash = $1 AND expires_at > NOW()`,
+        [tokenHash],
+    );
+    if (!rows[0]) return null;
+
+    const row = rows[0];
+    return {
+        familyId: row.family_id,
+        sub: row.sub,
+        txnId: row.txn_id,
+        expiresAt: new Date(row.expires_at).getTime(),
+        usedAt: row.used_at ? new Date(row.used_at).getTime() : null,
+    };
+}
+
+async function markRefreshTokenUsed(tokenHash) {
+    const { rowCount } = await getPool().query(
+        `UPDATE auth_refresh_tokens SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL`,
+        [tokenHash],
+    );
+    return rowCount === 1;
+}
+
+// ─── Revocation Denylist ───────────────────────────────────────────
+
+async function addToDenylist(id, expiresAt) {
+    await getPool().query(
+        `INSERT INTO auth_denylist (id, expires_at) VALUES ($1, $2)
+         ON CONFLICT (id) DO UPDATE SET expires_at = GREATEST(auth_denylist.expires_at, EXCLUDED.expires_at)`,
+        [id, new Date(expiresAt)],
+    );
+}
+
+async function isDenylisted(id) {
+    const { rowCount } = await getPool().query(
+        'SELECT 1 FROM auth_denylist WHERE id = $1 AND expires_at > NOW()',
+        [id],
+    );
+    return rowCount > 0;
+}
+
+// ─── Expiry ────────────────────────────────────────────────────────
+
+/**
+ * Deletes expired rows from all store tables.
+ *
+ * @returns {Promise<number>} Number of rows removed.
+ */
+async function sweepExpired() {
+    let removed = 0;
+    for (const table of ['auth_otp_sessions', 'auth_failed_attempts', 'auth_refresh_tokens', 'auth_denylist']) {
+        const { rowCount } = await getPool().query(`DELETE FROM ${table} WHERE expires_at <= NOW()`);
+        removed += rowCount;
+    }
+    return removed;
+}
+
+module.exports = {
+    init,
+    createSession,
+    getSession,
+    clearSession,
+    isLocked,
+    getLockoutRemaining,
+    incrementFailed,
+    resetAttempts,
+    saveRefreshToken,
+    getRefreshToken,
+    markRefreshTokenUsed,
+    addToDenylist,
+    isDenylisted,
+    sweepExpired,
+};
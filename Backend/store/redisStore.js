@@ -0,0 +1,189 @@
+/**
+ * Redis Store
+ *
+ * Keeps OTP sessions, failed-attempt counters, refresh tokens and the
+ * revocation denylist in a Redis-protocol server. Expiry is delegated to
+ * key TTLs, so no sweeper is needed.
+ *
+ * Same interface as memoryStore, but every function is async.
+ *
+ * Uses the `redis` client. A connection that drops after startup is
+ * re-opened with exponential backoff; commands sent meanwhile fail instead
+ * of being queued.
+ *
+ * Keys (prefixed with config.store.keyPrefix):
+ *   otp:<hash>          OTP session JSON
+ *   attempts:<hash>     Failed-attempt counter
+ *   lock:<hash>         Present while the account is locked
+ *   refresh:<hash>      Refresh token record JSON
+ *   refresh-used:<hash> Present once the refresh token has been rotated
+ *   deny:<id>           Revoked token / family ID
+ */
+const config = require('../config');
+const { createClient } = require('redis');
+
+const CONNECT_TIMEOUT_MS = 5000;
+const MIN_RECONNECT_DELAY_MS = 100;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+let client = null;
+
+const key = (...parts) => config.store.keyPrefix + parts.join(':');
+
+/**
+ * Connects to the Redis-protocol server.
+ *
+ * @returns {Promise<boolean>} false if the server is unreachable.
+ */
+async function init() {
+    let connected = false;
+    const candidate = createClient({
+        url: config.store.redisUrl,
+        disableOfflineQueue: true,
+        socket: {
+            connectTimeout: CONNECT_TIMEOUT_MS,
+            // Give up on the first connection; back off on later reconnects
+            reconnectStrategy: (retries, cause) => (connected
+                ? Math.min(MIN_RECONNECT_DELAY_MS * 2 ** retries, MAX_RECONNECT_DELAY_MS)
+                : cause),
+        },
+    });
+    candidate.on('error', (err) => {
+        if (connected) console.warn('[RedisStore] Connection lost; reconnecting:', err.message);
+    });
+
+    try {
+        await candidate.connect();
+        connected = true;
+        client = candidate;
+        console.log('[RedisStore] Connected to Redis-protocol server.');
+        return true;
+    } catch (err) {
+        console.warn('[RedisStore] Could not connect (server may be offline):', err.message);
+        client = null;
+        return false;
+    }
+}
+
+function redis() {
+    if (!client) throw new Error('RedisStore not initialized.');
+    return client;
+}
+
+// ─── Session Management ────────────────────────────────────────────
+
+async function createSession(hashedAadhaar, txnId) {
+    const session = JSON.stringify({ txnId, createdAt: Date.now() });
+    await redis().set(key('otp', hashedAadhaar), session, { expiration: { type: 'PX', value: config.store.sessionTtlMs } });
+}
+
+async function getSession(hashedAadhaar) {
+    const raw = await redis().get(key('otp', hashedAadhaar));
+    return raw ? JSON.parse(raw) : null;
+}
+
+async function clearSession(hashedAadhaar) {
+    await redis().del(key('otp', hashedAadhaar));
+}
+
+// ─── Rate Limiting ─────────────────────────────────────────────────
+
+async function isLocked(hashedAadhaar) {
+    return (await redis().exists(key('lock', hashedAadhaar))) === 1;
+}
+
+async function getLockoutRemaining(hashedAadhaar) {
+    const ttl = await redis().pTTL(key('lock', hashedAadhaar));
+    return ttl > 0 ? Math.ceil(ttl / 1000) : 0;
+}
+
+async function incrementFailed(hashedAadhaar) {
+    const { maxAttempts, lockoutDurationMs } = config.rateLimit;
+    const attemptsKey = key('attempts', hashedAadhaar);
+
+    // MULTI/EXEC: the counter never exists without its expiry
+    const [count] = await redis().multi()
+        .incr(attemptsKey)
+        .pExpire(attemptsKey, lockoutDurationMs)
+        .exec();
+
+    if (count >= maxAttempts) {
+        await redis().multi()
+            .set(key('lock', hashedAadhaar), '1', { expiration: { type: 'PX', value: lockoutDurationMs } })
+            .del(attemptsKey)
+            .exec();
+        return { locked: true, attemptsLeft: 0 };
+    }
+
+    return { locked: false, attemptsLeft: maxAttempts - count };
+}
+
+async function resetAttempts(hashedAadhaar) {
+    await redis().del([key('attempts', hashedAadhaar), key('lock', hashedAadhaar)]);
+}
+
+// ─── Refresh Tokens ────────────────────────────────────────────────
+
+async function saveRefreshToken(tokenHash, record) {
+    const ttl = record.expiresAt - Date.now();
+    if (ttl <= 0) return;
+    await redis().set(key('refresh', tokenHash), JSON.stringify(record), { expiration: { type: 'PX', value: ttl } });
+}
+
+async function getRefreshToken(tokenHash) {
+    const [raw, usedAt] = await redis().mGet([key('refresh', tokenHash), key('refresh-used', tokenHash)]);
+    if (!raw) return null;
+    return { ...JSON.parse(raw), usedAt: usedAt ? parseInt(usedAt, 10) : null };
+}
+
+async function markRefreshTokenUsed(tokenHash) {
+    const ttl = await redis().pTTL(key('refresh', tokenHash));
+    if (ttl <= 0) return false;
+
+    // SET NX makes the first rotation win; any later attempt is a replay.
+    const result = await redis().set(key('refresh-used', tokenHash), String(Date.now()), {
+        expiration: { type: 'PX', value: ttl },
+        condition: 'NX',
+    });
+    return result === 'OK';
+}
+
+// ─── Revocation Denylist ───────────────────────────────────────────
+
+async function addToDenylist(id, expiresAt) {
+    const ttl = expiresAt - Date.now();
+    if (ttl <= 0) return;
+    await redis().set(key('deny', id), '1', { expiration: { type: 'PX', value: ttl } });
+}
+
+async function isDenylisted(id) {
+    return (await redis().exists(key('deny', id))) === 1;
+}
+
+// ─── Expiry ────────────────────────────────────────────────────────
+
+/**
+ * No-op: Redis expires keys itself.
+ *
+ * @returns {Promise<number>}
+ */
+async function sweepExpired() {
+    return 0;
+}
+
+module.exports = {
+    init,
+    createSession,
+    getSession,
+    clearSession,
+    isLocked,
+    getLockoutRemaining,
+    incrementFailed,
+    resetAttempts,
+    saveRefreshToken,
+    getRefreshToken,
+    markRefreshTokenUsed,
+    addToDenylist,
+    isDenylisted,
+    sweepExpired,
+};
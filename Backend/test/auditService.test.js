@@ -0,0 +1,141 @@
+/**
+ * Tests for the audit trail (services/auditService): the hash chain,
+ * tamper detection in verifyChain, and the AUDIT_GAP entry written ahead
+ * of events held while PostgreSQL appends were failing.
+ *
+ * auditLogModel is replaced by an in-memory table whose appends can be
+ * made to fail.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { canonicalJson } = require('../utils/canonicalJson');
+
+const table = { rows: [], down: false };
+
+require.cache[require.resolve('../models/auditLogModel')] = {
+    loaded: true,
+    exports: {
+        checkTable: async () => true,
+        appendEntry: async (buildEntry) => {
+            if (table.down) throw new Error('connect ECONNREFUSED 127.0.0.1:5432');
+            const tail = table.rows[table.rows.length - 1];
+            const entry = buildEntry(tail ? { seq: tail.seq, hash: tail.hash } : null);
+            table.rows.push(entry);
+            return entry;
+        },
+        getAllEntries: async () => table.rows,
+    },
+};
+
+const auditService = require('../services/auditService');
+
+const { EVENT_TYPES, SYSTEM_ACTOR } = auditService;
+
+const event = (n) => ({
+    eventType: EVENT_TYPES.FI_REQUESTED,
+    actor: { type: 'msme', id: 'user-1' },
+    userReferenceId: 'user-1',
+    resourceType: 'fi_session',
+    resourceId: `session-${n}`,
+    details: { n },
+});
+
+/** An entry with its hash recomputed, as someone rewriting the table would. */
+function rehash(entry) {
+    const { hash, ...fields } = entry;
+    return { ...fields, hash: crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex') };
+}
+
+/** Records `count` events on an empty table. */
+async function freshChain(count) {
+    table.rows = [];
+    table.down = false;
+    for (let n = 1; n <= count; n++) await auditService.record(event(n));
+    return table.rows;
+}
+
+test.before(() => auditService.init());
+
+// ─── Hash Chain ───────────────────────────────────────────────────
+
+test('entries are numbered from 1 and each links to the hash of the one before', async () => {
+    const rows = await freshChain(3);
+
+    assert.deepEqual(rows.map((e) => e.seq), [1, 2, 3]);
+    assert.equal(rows[0].prevHash, '0'.repeat(64));
+    assert.equal(rows[1].prevHash, rows[0].hash);
+    assert.equal(rows[2].prevHash, rows[1].hash);
+    assert.deepEqual(await auditService.verifyChain(), { valid: true, checked: 3, headHash: rows[2].hash });
+});
+
+test('record never throws, and refuses events without a type or actor', async () => {
+    await freshChain(0);
+
+    assert.equal(await auditService.record({ eventType: EVENT_TYPES.FI_REQUESTED }), null);
+    assert.equal(table.rows.length, 0);
+});
+
+// ─── Tamper Detection ─────────────────────────────────────────────
+
+test('an edited entry breaks the chain at that entry', async () => {
+    const rows = await freshChain(3);
+    rows[1] = { ...rows[1], details: { n: 20 } };
+
+    assert.deepEqual(await auditService.verifyChain(), {
+        valid: false,
+        checked: 1,
+        headHash: rows[0].hash,
+        brokenAt: 2,
+        reason: 'entry contents do not match its hash',
+    });
+});
+
+test('an edited entry with a recomputed hash breaks the link from the next one', async () => {
+    const rows = await freshChain(3);
+    rows[1] = rehash({ ...rows[1], actorId: 'someone-else' });
+
+    const result = await auditService.verifyChain();
+    assert.equal(result.brokenAt, 3);
+    assert.equal(result.reason, 'prevHash does not match the previous entry');
+});
+
+test('a deleted entry is reported as a gap in seq', async () => {
+    const rows = await freshChain(3);
+    rows.splice(1, 1);
+
+    const result = await auditService.verifyChain();
+    assert.equal(result.valid, false);
+    assert.equal(result.reason, 'expected seq 2, found 3');
+});
+
+// ─── Outages ──────────────────────────────────────────────────────
+
+test('events recorded while appends fail are written later, after an AUDIT_GAP entry', async () => {
+    await freshChain(1);
+
+    table.down = true;
+    assert.equal(await auditService.record(event(2)), null);
+    assert.equal(await auditService.record(event(3)), null);
+    assert.equal(table.rows.length, 1);
+
+    table.down = false;
+    const written = await auditService.record(event(4));
+
+    assert.equal(written.seq, 5);
+    assert.deepEqual(table.rows.map((e) => e.eventType), [
+        EVENT_TYPES.FI_REQUESTED, EVENT_TYPES.AUDIT_GAP, EVENT_TYPES.FI_REQUESTED, EVENT_TYPES.FI_REQUESTED, EVENT_TYPES.FI_REQUESTED,
+    ]);
+    assert.deepEqual(table.rows.map((e) => e.details.n), [1, undefined, 2, 3, 4]);
+
+    const gap = table.rows[1];
+    assert.equal(gap.actorType, SYSTEM_ACTOR.type);
+    assert.equal(gap.details.heldEvents, 2);
+    assert.equal(gap.details.droppedEvents, 0);
+    assert.equal(gap.details.error, 'connect ECONNREFUSED 127.0.0.1:5432');
+    assert.ok(gap.details.since <= gap.details.until);
+    // Held events keep the time they happened, not the time they were written
+    assert.ok(table.rows[2].createdAt <= gap.details.until);
+
+    assert.equal((await auditService.verifyChain()).valid, true);
+});
@@ -0,0 +1,147 @@
+/**
+ * Tests for the cash-flow forecast (utils/cashFlowForecast): partial-month
+ * exclusion, seasonality, prediction intervals and shortfall risk.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { forecastCashFlow } = require('../utils/cashFlowForecast');
+
+function addMonths(month, count) {
+    const date = new Date(`${month}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + count);
+    return date.toISOString().slice(0, 7);
+}
+
+/**
+ * A credit on the 1st and a debit on the 25th of each month from `start`.
+ * With an opening balance, each transaction carries the running balance.
+ */
+function history(start, inflows, outflows, openingBalance = null) {
+    let balance = openingBalance;
+    return inflows.flatMap((inflow, i) => {
+        const month = addMonths(start, i);
+        const credit = { date: `${month}-01`, type: 'CREDIT', mode: 'NEFT', amount: inflow, narration: 'NEFT CR-ACME CORP' };
+        const debit = { date: `${month}-25`, type: 'DEBIT', mode: 'UPI', amount: outflows[i], narration: 'UPI/1/SHREE SUPPLIERS' };
+        if (balance !== null) {
+            balance += inflow;
+            credit.balance = balance;
+            balance -= outflows[i];
+            debit.balance = balance;
+        }
+        return [credit, debit];
+    });
+}
+
+/** Inflow doubles every December; outflow is flat. */
+function seasonalHistory(start, months) {
+    const inflows = Array.from({ length: months }, (_, i) => (addMonths(start, i).endsWith('-12') ? 200000 : 100000));
+    return history(start, inflows, inflows.map(() => 80000));
+}
+
+// Inflow alternates around a rising line, so the fit has residuals
+const NOISY_INFLOWS = [50000, 70000, 50000, 70000, 50000, 70000];
+const FLAT_OUTFLOWS = NOISY_INFLOWS.map(() => 55000);
+
+const width = ({ lower, upper }) => Math.round((upper - lower) * 100) / 100;
+
+// ─── History ──────────────────────────────────────────────────────
+
+test('partial first and last months are left out, and forecasts follow the last observed month', () => {
+    // Feb–Jun rise by 10,000 a month; 15 Jan and 10 Jul are partial
+    const transactions = [
+        { date: '2025-01-15', type: 'CREDIT', mode: 'NEFT', amount: 5000, narration: 'NEFT CR-ACME CORP' },
+        ...history('2025-02', [100000, 110000, 120000, 130000, 140000], [50000, 50000, 50000, 50000, 50000]),
+        { date: '2025-07-10', type: 'CREDIT', mode: 'NEFT', amount: 5000, narration: 'NEFT CR-ACME CORP' },
+    ];
+    const { data } = forecastCashFlow(transactions);
+
+    assert.deepEqual(data.method.excludedPartialMonths, ['2025-01', '2025-07']);
+    assert.deepEqual(data.history.map((m) => m.month), ['2025-02', '2025-03', '2025-04', '2025-05', '2025-06']);
+    // July is skipped on the trend line, not forecast
+    assert.deepEqual(data.forecast.map((m) => [m.month, m.inflow.expected]), [
+        ['2025-08', 160000], ['2025-09', 170000], ['2025-10', 180000],
+    ]);
+});
+
+test('without a partial last month, the forecast starts the month after the history', () => {
+    const { data } = forecastCashFlow(history('2025-02', [100000, 110000, 120000, 130000, 140000], [50000, 50000, 50000, 50000, 50000]));
+
+    assert.deepEqual(data.method.excludedPartialMonths, []);
+    assert.deepEqual(data.forecast[0].inflow, { expected: 150000, lower: 150000, upper: 150000 });
+    assert.equal(data.forecast[0].month, '2025-07');
+});
+
+test('rejects too short a history and an out-of-range horizon', () => {
+    const transactions = history('2025-01', [100000, 100000], [50000, 50000]);
+
+    assert.deepEqual(forecastCashFlow(transactions), {
+        success: false,
+        message: 'At least 3 full months of transaction history are needed (found 2).',
+    });
+    assert.equal(forecastCashFlow(transactions, { horizon: 7 }).message, 'horizon must be an integer from 3 to 6.');
+});
+
+// ─── Seasonality ──────────────────────────────────────────────────
+
+test('24 months of history give seasonal indices', () => {
+    const { data } = forecastCashFlow(seasonalHistory('2023-07', 24), { horizon: 6 });
+
+    assert.equal(data.method.seasonal, true);
+    assert.equal(data.method.model, 'seasonal-decomposition+linear-trend');
+    assert.deepEqual(data.forecast.map((m) => m.inflow.expected), [100000, 100000, 100000, 100000, 100000, 200000]);
+});
+
+test('23 months of history are treated as non-seasonal', () => {
+    const { data } = forecastCashFlow(seasonalHistory('2023-08', 23), { horizon: 6 });
+
+    assert.equal(data.method.seasonal, false);
+    assert.equal(data.method.model, 'linear-trend');
+    assert.ok(data.forecast[5].inflow.expected < data.forecast[4].inflow.expected);
+});
+
+// ─── Intervals ────────────────────────────────────────────────────
+
+test('intervals widen with the horizon, and the closing balance accumulates the variance', () => {
+    const { data } = forecastCashFlow(history('2025-01', NOISY_INFLOWS, FLAT_OUTFLOWS, 20000), { horizon: 6 });
+    const inflowWidths = data.forecast.map((m) => width(m.inflow));
+    const balanceWidths = data.forecast.map((m) => width(m.closingBalance));
+
+    for (let h = 1; h < 6; h++) {
+        assert.ok(inflowWidths[h] > inflowWidths[h - 1], `inflow interval at month ${h + 1}`);
+        assert.ok(balanceWidths[h] > balanceWidths[h - 1], `balance interval at month ${h + 1}`);
+    }
+    // The first month's balance interval is that month's net-flow interval
+    assert.equal(balanceWidths[0], width(data.forecast[0].netFlow));
+    assert.equal(data.openingBalance, 50000);
+});
+
+// ─── Shortfall Risk ───────────────────────────────────────────────
+
+test('closing balance: below zero is HIGH, and exactly zero with no spread is LOW', () => {
+    const { data } = forecastCashFlow(history('2025-01', [50000, 50000, 50000, 50000], [60000, 60000, 60000, 60000], 70000), { horizon: 4 });
+
+    assert.deepEqual(data.forecast.map((m) => [m.closingBalance.expected, m.shortfallRisk]), [
+        [20000, 'LOW'], [10000, 'LOW'], [0, 'LOW'], [-10000, 'HIGH'],
+    ]);
+    assert.deepEqual(data.shortfallMonths, ['2025-08']);
+});
+
+test('closing balance: a positive expectation with a lower bound below zero is ELEVATED', () => {
+    const { data } = forecastCashFlow(history('2025-01', NOISY_INFLOWS, FLAT_OUTFLOWS, -35000));
+    const [first] = data.forecast;
+
+    assert.equal(first.closingBalance.expected, 6000);
+    assert.ok(first.closingBalance.lower < 0);
+    assert.equal(first.shortfallRisk, 'ELEVATED');
+});
+
+test('without balances, the risk comes from the net flow', () => {
+    const noisy = forecastCashFlow(history('2025-01', NOISY_INFLOWS, FLAT_OUTFLOWS)).data.forecast[0];
+    const negative = forecastCashFlow(history('2025-01', [50000, 50000, 50000], [60000, 60000, 60000])).data.forecast[0];
+
+    assert.equal(noisy.closingBalance, null);
+    assert.ok(noisy.netFlow.expected > 0 && noisy.netFlow.lower < 0);
+    assert.equal(noisy.shortfallRisk, 'ELEVATED');
+    assert.equal(negative.netFlow.expected, -10000);
+    assert.equal(negative.shortfallRisk, 'HIGH');
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for the cash-flow health metrics (utils/cashFlowHealth):
+ * bounce detection from narrations, and end-of-day balances.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateCashFlowHealth } = require('../utils/cashFlowHealth');
+
+/** The single bounce event for one transaction, or null. */
+function bounceOf(type, mode, narration) {
+    const { bounces } = calculateCashFlowHealth([{ date: '2025-10-01', type, mode, amount: 100, balance: 1000, narration }]);
+    return bounces.events[0] ? { kind: bounces.events[0].kind, charge: bounces.events[0].charge } : null;
+}
+
+// Two accounts; B's 04 Oct debit has no balance
+const TWO_ACCOUNTS = [
+    { date: '2025-10-01', type: 'CREDIT', amount: 1000, balance: 5000, account: 'A', narration: 'NEFT CR' },
+    { date: '2025-10-02', type: 'CREDIT', amount: 200, balance: 200, account: 'B', narration: 'UPI CR' },
+    { date: '2025-10-03', type: 'DEBIT', amount: 500, balance: 4500, account: 'A', narration: 'ATM WDL' },
+    { date: '2025-10-04', type: 'DEBIT', amount: 100, balance: null, account: 'B', narration: 'UPI DR' },
+    { date: '2025-10-04', type: 'DEBIT', amount: 200, balance: 0, account: 'B', narration: 'UPI DR' },
+];
+
+// ─── Bounces ──────────────────────────────────────────────────────
+
+test('return wording without a cheque or NACH marker is not a bounce', () => {
+    assert.equal(bounceOf('DEBIT', 'NEFT', 'NEFT/SHARMA ASSOCIATES/GST RETURN FILING FEE'), null);
+    assert.equal(bounceOf('CREDIT', 'NEFT', 'NEFT/INCOME TAX RETURN REFUND'), null);
+    assert.equal(bounceOf('DEBIT', 'UPI', 'UPI/1234/BOUNCE/bounce@ybl/scooter'), null);
+});
+
+test('cheque and NACH returns, and their charges', () => {
+    assert.deepEqual(bounceOf('DEBIT', 'OTHERS', 'CHQ RET CHG 123456'), { kind: 'CHEQUE', charge: true });
+    assert.deepEqual(bounceOf('CREDIT', 'OTHERS', 'I/W CHQ RETURN 000123 INSUFFICIENT FUNDS'), { kind: 'CHEQUE', charge: false });
+    assert.deepEqual(bounceOf('DEBIT', 'OTHERS', 'ACH RTN CHGS'), { kind: 'NACH', charge: true });
+    assert.deepEqual(bounceOf('DEBIT', 'OTHERS', 'ECS RETURN CHARGES'), { kind: 'NACH', charge: true });
+    assert.deepEqual(bounceOf('CREDIT', 'NACH', 'RETURN HDFC LOAN'), { kind: 'NACH', charge: false });
+});
+
+test('insufficient-funds wording counts on its own, as OTHER', () => {
+    assert.deepEqual(bounceOf('CREDIT', 'OTHERS', 'RETURNED FUNDS INSUFF'), { kind: 'OTHER', charge: false });
+});
+
+test('bounce counts keep charges apart from returns', () => {
+    const { bounces } = calculateCashFlowHealth([
+        { date: '2025-10-01', type: 'CREDIT', mode: 'OTHERS', amount: 8250, narration: 'ACH RTN BAJAJ FINANCE' },
+        { date: '2025-10-01', type: 'DEBIT', mode: 'OTHERS', amount: 590, narration: 'ACH RTN CHGS' },
+        { date: '2025-10-05', type: 'CREDIT', mode: 'OTHERS', amount: 4000, narration: 'CHQ RET 000123' },
+    ]);
+
+    assert.equal(bounces.count, 2);
+    assert.equal(bounces.nachReturns, 1);
+    assert.equal(bounces.chequeReturns, 1);
+    assert.equal(bounces.returnCharges, 1);
+    assert.equal(bounces.totalCharges, 590);
+});
+
+// ─── Balances ─────────────────────────────────────────────────────
+
+test('sums end-of-day balances across accounts and skips missing balances', () => {
+    const { balances } = calculateCashFlowHealth(TWO_ACCOUNTS);
+
+    // 01: 5000 + 0, 02: 5000 + 200, 03: 4500 + 200, 04: 4500 + 0
+    assert.equal(balances.daysObserved, 4);
+    assert.equal(balances.averageDailyBalance, 4850);
+    assert.equal(balances.minimumBalance, 4500);
+    assert.equal(balances.maximumBalance, 5200);
+    assert.deepEqual(balances.monthEndBalances, [{ month: '2025-10', balance: 4500 }]);
+});
+
+test('an account is counted at its opening balance before its first entry', () => {
+    const { balances } = calculateCashFlowHealth([
+        { date: '2025-10-01', type: 'CREDIT', amount: 1000, balance: 5000, account: 'A' },
+        { date: '2025-10-02', type: 'DEBIT', amount: 300, balance: 2700, account: 'B' },
+    ]);
+
+    // B opened at 3000 on the 1st
+    assert.equal(balances.maximumBalance, 8000);
+    assert.equal(balances.minimumBalance, 7700);
+});
+
+test('balances are null when no transaction reports one', () => {
+    const health = calculateCashFlowHealth([{ date: '2025-10-01', type: 'DEBIT', amount: 5, balance: null }]);
+
+    assert.equal(health.balances, null);
+    assert.equal(health.period.days, 1);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for the category ruleset (utils/categoryEngine): validation of
+ * ruleset documents, rule priority and tenant overrides.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateRuleset, loadRuleset, categorise, describeRuleset } = require('../utils/categoryEngine');
+
+const SHIPPED_RULES = path.join(__dirname, '..', 'data', 'categoryRules.json');
+
+const RULESET = {
+    version: 'test-1',
+    default: { category: 'Misc', mcc: '0000' },
+    rules: [
+        { id: 'food', priority: 100, category: 'Food', mcc: '5812', when: { narration: ['swiggy', 'zomato'] } },
+        { id: 'food-refund', priority: 200, category: 'Refund', mcc: '5812', when: { narration: ['swiggy'], direction: 'CREDIT' } },
+        { id: 'large-upi', priority: 100, category: 'Transfer', mcc: '4829', when: { mode: 'UPI', minAmount: 50000 } },
+        { id: 'fuel', priority: 50, category: 'Fuel', mcc: '5541', when: { narration: ['petrol', '\\bhpcl\\b'] } },
+    ],
+    tenants: {
+        'org-1': {
+            rules: [{ id: 'food', priority: 100, category: 'Staff Welfare', mcc: '5812', when: { narration: ['swiggy'] } }],
+            disable: ['fuel'],
+        },
+    },
+};
+
+// ─── Validation ───────────────────────────────────────────────────
+
+test('the shipped ruleset is valid', () => {
+    const { version, ruleCount } = loadRuleset(SHIPPED_RULES);
+
+    assert.equal(typeof version, 'string');
+    assert.ok(ruleCount > 0);
+});
+
+test('validateRuleset reports each problem with its path', () => {
+    const errors = validateRuleset({
+        version: '',
+        default: { category: 'Misc', mcc: '12' },
+        rules: [
+            { id: 'a', priority: 1, category: 'A', mcc: '1111', when: { narration: ['(unclosed'] } },
+            { id: 'a', priority: 'high', category: 'B', mcc: '2222', when: { merchant: 'x', minAmount: 10, maxAmount: 5 } },
+            { id: 'c', priority: 1, category: 'C', mcc: '3333', when: {} },
+        ],
+        tenants: { 'org-1': { disable: ['missing'] } },
+    });
+
+    assert.equal(errors[0], 'version: must be a non-empty string.');
+    assert.equal(errors[1], 'default.mcc: must be a 4-digit code.');
+    assert.match(errors[2], /^rules\[0\]\.when\.narration\[0\]: invalid regular expression \(/);
+    assert.deepEqual(errors.slice(3), [
+        'rules[1].priority: must be a number.',
+        'rules[1].when.merchant: unknown condition (expected one of narration, direction, mode, minAmount, maxAmount).',
+        'rules[1].when: minAmount is greater than maxAmount.',
+        'rules[1].id: duplicate rule id "a".',
+        'rules[2].when: must be an object with at least one condition.',
+        'tenants.org-1.disable[0]: no base rule "missing".',
+    ]);
+});
+
+test('loadRuleset refuses an invalid ruleset and keeps the active one', () => {
+    loadRuleset(RULESET);
+
+    assert.throws(() => loadRuleset({ ...RULESET, version: 2 }), (err) => {
+        assert.deepEqual(err.errors, ['version: must be a non-empty string.']);
+        return true;
+    });
+    assert.equal(describeRuleset().version, 'test-1');
+});
+
+// ─── Categorisation ───────────────────────────────────────────────
+
+test('the highest-priority matching rule wins; ties go to the one listed first', () => {
+    loadRuleset(RULESET);
+
+    assert.equal(categorise({ narration: 'UPI/SWIGGY/order', type: 'DEBIT', mode: 'UPI', amount: 450 }).ruleId, 'food');
+    assert.equal(categorise({ narration: 'UPI/SWIGGY/refund', type: 'CREDIT', mode: 'UPI', amount: 450 }).ruleId, 'food-refund');
+    assert.equal(categorise({ narration: 'UPI/SWIGGY/party', type: 'DEBIT', mode: 'UPI', amount: 60000 }).ruleId, 'food');
+    assert.deepEqual(categorise({ narration: 'UPI/RAMESH', type: 'DEBIT', mode: 'UPI', amount: 49999 }), {
+        category: 'Misc', mcc: '0000', ruleId: null, ruleSource: null, rulesetVersion: 'test-1',
+    });
+});
+
+test('tenant rules replace base rules with the same id and disable others', () => {
+    loadRuleset(RULESET);
+    const food = { narration: 'SWIGGY', type: 'DEBIT', mode: 'UPI', amount: 450 };
+    const fuel = { narration: 'POS HPCL PETROL', type: 'DEBIT', mode: 'POS', amount: 2000 };
+
+    assert.deepEqual(categorise(food, { tenantId: 'org-1' }), {
+        category: 'Staff Welfare', mcc: '5812', ruleId: 'food', ruleSource: 'tenant', rulesetVersion: 'test-1',
+    });
+    assert.equal(categorise(fuel, { tenantId: 'org-1' }).ruleId, null);
+    assert.equal(categorise(fuel).ruleId, 'fuel');
+    assert.equal(categorise(food, { tenantId: 'org-2' }).category, 'Food');
+    assert.deepEqual(describeRuleset('org-1'), { version: 'test-1', tenantId: 'org-1', tenantOverrides: true });
+});
+
+test.after(() => {
+    loadRuleset();
+});
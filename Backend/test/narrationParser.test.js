@@ -0,0 +1,86 @@
+/**
+ * Tests for counterparty extraction from bank narrations
+ * (utils/narrationParser), on narrations in the banks' own formats.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNarration, normalizeName, createKeyResolver } = require('../utils/narrationParser');
+
+/** The fields a case checks; the rest of parseNarration's result is ignored. */
+function parsed(narration, mode) {
+    const { key, name, vpa, channel, reference, remark } = parseNarration(narration, mode);
+    return { key, name, vpa, channel, reference, remark };
+}
+
+// ─── Delimited Narrations ─────────────────────────────────────────
+
+test('UPI narrations: name, VPA, reference and remark', () => {
+    assert.deepEqual(parsed('UPI/412345678901/RAMESH KUMAR/ramesh@okaxis/Payment'), {
+        key: 'RAMESH KUMAR', name: 'RAMESH KUMAR', vpa: 'ramesh@okaxis', channel: 'UPI', reference: '412345678901', remark: null,
+    });
+    assert.deepEqual(parsed('UPI/DR/412345678901/RAMESH K/YESB/ramesh@ybl/rent'), {
+        key: 'RAMESH K', name: 'RAMESH K', vpa: 'ramesh@ybl', channel: 'UPI', reference: '412345678901', remark: 'RENT',
+    });
+    assert.deepEqual(parsed('UPI-SHARMA TRADERS-sharma@okhdfcbank-HDFC0001234-412345678901-INVOICE'), {
+        key: 'SHARMA TRADERS', name: 'SHARMA TRADERS', vpa: 'sharma@okhdfcbank', channel: 'UPI', reference: '412345678901', remark: 'INVOICE',
+    });
+});
+
+test('UPI narrations with only a VPA are keyed by the VPA', () => {
+    assert.deepEqual(parsed('UPI/123456789012/swiggy@icici/PAYMENT'), {
+        key: 'swiggy@icici', name: null, vpa: 'swiggy@icici', channel: 'UPI', reference: '123456789012', remark: null,
+    });
+});
+
+test('NEFT and IMPS narrations, including MMT with the remark first', () => {
+    assert.equal(parsed('BY TRANSFER-NEFT*HDFC0000001*N123456*SHARMA TRADERS').key, 'SHARMA TRADERS');
+    assert.deepEqual(parsed('IMPS/P2A/412345678901/GUPTA ENT/HDFC BANK/invoice 42'), parsed('MMT/IMPS/412345678901/invoice 42/GUPTA ENT/HDFC Bank'));
+    assert.equal(parsed('MMT/IMPS/412345678901/invoice 42/GUPTA ENT/HDFC Bank').remark, 'INVOICE 42');
+});
+
+test('hyphenated names stay whole', () => {
+    const result = parsed('NEFT/N052250012345/SHARMA-GUPTA TRADERS PVT LTD');
+
+    assert.equal(result.name, 'SHARMA-GUPTA TRADERS PVT LTD');
+    assert.equal(result.key, 'SHARMA GUPTA TRADERS');
+    assert.equal(result.reference, 'N052250012345');
+});
+
+test('EMIs collected by a bank are named after the bank', () => {
+    assert.equal(parsed('ACH/HDFC BANK LTD/LOAN1005/EMI').key, 'HDFC BANK');
+    assert.equal(parsed('NACH/ICICI BANK LTD/LOAN 123456').key, 'ICICI BANK');
+    assert.equal(parsed('ACH/HDFC BANK LTD/LOAN1005/EMI').channel, 'NACH');
+});
+
+test('NACH debits name the lender', () => {
+    assert.deepEqual(parsed('ACH D- BAJAJ FINANCE LTD-400000'), {
+        key: 'BAJAJ FINANCE', name: 'BAJAJ FINANCE LTD', vpa: null, channel: 'NACH', reference: '400000', remark: null,
+    });
+});
+
+// ─── Free Text ────────────────────────────────────────────────────
+
+test('free-text narrations fall back to their significant words', () => {
+    assert.equal(parsed('Payment from Sharma Traders').key, 'SHARMA TRADERS');
+    assert.equal(parsed('M/S SHARMA TRADERS').key, 'SHARMA TRADERS');
+});
+
+test('a VPA in free text is the counterparty, and the mode supplies the channel', () => {
+    assert.deepEqual(parsed('paid to swiggy@icici for food', 'UPI'), {
+        key: 'swiggy@icici', name: null, vpa: 'swiggy@icici', channel: 'UPI', reference: null, remark: null,
+    });
+});
+
+// ─── Grouping Keys ────────────────────────────────────────────────
+
+test('normalizeName drops punctuation, M/S and legal forms', () => {
+    assert.equal(normalizeName('Sharma Traders Pvt. Ltd.'), 'SHARMA TRADERS');
+    assert.equal(normalizeName('M/S Gupta Enterprises LLP'), 'GUPTA ENTERPRISES');
+});
+
+test('createKeyResolver groups a VPA under the name it was first seen with', () => {
+    const resolve = createKeyResolver();
+
+    assert.equal(resolve(parseNarration('UPI/1/SWIGGY/swiggy@icici/food')), 'SWIGGY');
+    assert.equal(resolve(parseNarration('UPI/123456789012/swiggy@icici/PAYMENT')), 'SWIGGY');
+});
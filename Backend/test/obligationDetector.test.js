@@ -0,0 +1,87 @@
+/**
+ * Tests for recurring obligation detection (utils/obligationDetector):
+ * cadence, missed and late payments, and obligations that have ended.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectObligations } = require('../utils/obligationDetector');
+
+const debit = (date, amount, narration, mode = 'UPI') => ({ date, type: 'DEBIT', mode, amount, narration });
+
+// Monthly EMI on the 5th: August missed, September paid a week late
+const EMI = [
+    ['2025-05-05', 8250], ['2025-06-05', 8250], ['2025-07-05', 8250], ['2025-09-12', 8250], ['2025-10-05', 8310],
+].map(([date, amount]) => debit(date, amount, 'ACH D- BAJAJ FINANCE LTD-P400PBL1234', 'NACH'));
+
+// Rent paid May to July, nothing after
+const RENT = ['2025-05-01', '2025-06-01', '2025-07-02']
+    .map((date, i) => debit(date, 25000, `UPI/52740000000${i}/SURESH MEHTA/suresh.mehta@okhdfc/rent`));
+
+// Weekly wages from 01 Oct
+const WAGES = ['2025-10-01', '2025-10-08', '2025-10-15', '2025-10-22', '2025-10-29', '2025-11-05']
+    .map((date) => debit(date, 2000, 'UPI/999/RAJU/raju@ybl/WAGES'));
+
+const STATEMENT_END = { date: '2025-10-20', type: 'CREDIT', mode: 'NEFT', amount: 100000, narration: 'NEFT CR-ACME CORP' };
+
+const byType = (obligations) => Object.fromEntries(obligations.map((o) => [o.type, o]));
+
+// ─── Cadence ──────────────────────────────────────────────────────
+
+test('monthly EMI: cadence, amounts and the next expected date', () => {
+    const { EMI: emi } = byType(detectObligations([...EMI, STATEMENT_END]));
+
+    assert.equal(emi.cadence, 'MONTHLY');
+    assert.equal(emi.counterparty, 'BAJAJ FINANCE');
+    assert.equal(emi.occurrences, 5);
+    assert.deepEqual(emi.amount, { expected: 8250, average: 8262, min: 8250, max: 8310 });
+    assert.equal(emi.status, 'ACTIVE');
+    assert.equal(emi.expectedNextDate, '2025-11-05');
+});
+
+test('weekly payments are detected with a weekly cadence', () => {
+    const obligations = detectObligations(WAGES);
+
+    assert.equal(obligations.length, 1);
+    assert.equal(obligations[0].type, 'SALARY');
+    assert.equal(obligations[0].cadence, 'WEEKLY');
+    assert.equal(obligations[0].expectedNextDate, '2025-11-12');
+});
+
+test('irregular and infrequent payments are not obligations', () => {
+    const obligations = detectObligations([
+        debit('2025-06-10', 450, 'UPI/1/SWIGGY/swiggy@icici/food'),
+        debit('2025-08-19', 300, 'UPI/2/SWIGGY/swiggy@icici/food'),
+        debit('2025-08-20', 500, 'UPI/3/SWIGGY/swiggy@icici/food'),
+        debit('2025-09-01', 25000, 'NEFT/N052250012345/SHREE SUPPLIERS'),
+        debit('2025-10-01', 25000, 'NEFT/N052250012399/SHREE SUPPLIERS'),
+    ]);
+
+    assert.deepEqual(obligations, []);
+});
+
+// ─── Missed and Late Payments ─────────────────────────────────────
+
+test('EMI: a skipped month is missed and a payment a week after the date is late', () => {
+    const { EMI: emi } = byType(detectObligations([...EMI, STATEMENT_END]));
+
+    assert.deepEqual(emi.missed, ['2025-08-05']);
+    assert.deepEqual(emi.late, [{ expectedDate: '2025-09-05', paidDate: '2025-09-12', daysLate: 7 }]);
+});
+
+test('an obligation unpaid for three cycles has ended and its gaps are not missed', () => {
+    const { RENT: rent } = byType(detectObligations([...RENT, STATEMENT_END]));
+
+    assert.equal(rent.cadence, 'MONTHLY');
+    assert.equal(rent.counterparty, 'SURESH MEHTA');
+    assert.equal(rent.status, 'ENDED');
+    assert.equal(rent.expectedNextDate, null);
+    assert.deepEqual(rent.missed, []);
+});
+
+test('one unpaid cycle after the last payment is overdue', () => {
+    const { RENT: rent } = byType(detectObligations([...RENT, debit('2025-08-10', 150, 'ATM WDL-ATM CASH 1234')]));
+
+    assert.equal(rent.status, 'OVERDUE');
+    assert.deepEqual(rent.missed, ['2025-08-01']);
+    assert.equal(rent.expectedNextDate, '2025-08-01');
+});
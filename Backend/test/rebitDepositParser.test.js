@@ -0,0 +1,135 @@
+/**
+ * Tests for the ReBIT Deposit FI document parser (utils/rebitDepositParser):
+ * XML and JSON documents, and the errors returned for invalid ones.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDepositAccount, isRebitDocument } = require('../utils/rebitDepositParser');
+const { buildDepositAccount } = require('../utils/fipHarness');
+
+const TRANSACTIONS = [
+    { txnId: 'T1', type: 'CREDIT', mode: 'UPI', amount: 25000, balance: 125000, date: '2025-12-01T10:30:00+05:30', narration: 'Salary' },
+    { txnId: 'T2', type: 'DEBIT', mode: 'NEFT', amount: 8500, balance: 116500, date: '2025-12-02T14:15:00+05:30', narration: 'Rent' },
+];
+
+const ACCOUNT = { maskedAccNumber: 'XXXX1234', linkedAccRef: 'REF-1' };
+const JSON_DOCUMENT = buildDepositAccount(TRANSACTIONS, { ...ACCOUNT, format: 'json' });
+const XML_DOCUMENT = buildDepositAccount(TRANSACTIONS, { ...ACCOUNT, format: 'xml' });
+
+/** A parsed copy of the JSON document, edited by `edit`. */
+function jsonDocument(edit) {
+    const document = JSON.parse(JSON_DOCUMENT);
+    edit(document.Account);
+    return document;
+}
+
+// ─── Valid Documents ──────────────────────────────────────────────
+
+test('XML and JSON forms of the same account parse to the same result', () => {
+    const fromJson = parseDepositAccount(JSON_DOCUMENT);
+    const fromXml = parseDepositAccount(XML_DOCUMENT);
+
+    assert.equal(fromJson.success, true);
+    assert.equal(fromXml.success, true);
+    assert.deepEqual(fromXml.transactions, fromJson.transactions);
+    assert.equal(fromXml.account.type, 'deposit');
+    assert.equal(fromXml.account.maskedAccNumber, 'XXXX1234');
+    assert.deepEqual(fromXml.transactions[1], {
+        txnId: 'T2',
+        type: 'DEBIT',
+        mode: 'NEFT',
+        amount: 8500,
+        currentBalance: 116500,
+        transactionTimestamp: '2025-12-02T14:15:00+05:30',
+        valueDate: '2025-12-02',
+        narration: 'Rent',
+        reference: '',
+    });
+});
+
+test('isRebitDocument recognises ReBIT documents only', () => {
+    assert.equal(isRebitDocument(XML_DOCUMENT), true);
+    assert.equal(isRebitDocument(JSON_DOCUMENT), true);
+    assert.equal(isRebitDocument('[1]'), false);
+    assert.equal(isRebitDocument({ transactions: [] }), false);
+});
+
+// ─── Unreadable Documents ─────────────────────────────────────────
+
+test('rejects empty documents', () => {
+    assert.deepEqual(parseDepositAccount(''), {
+        success: false,
+        error: 'FI document is empty.',
+        errors: ['FI document is empty.'],
+    });
+});
+
+test('malformed XML reports the line and column', () => {
+    const result = parseDepositAccount('<Account type="deposit"><Summary></Account>');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Malformed XML at line 1, column 34: /);
+});
+
+test('malformed JSON is reported as such', () => {
+    const result = parseDepositAccount('{"Account": {');
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /^Malformed JSON: /);
+});
+
+test('rejects documents without an Account root', () => {
+    assert.equal(parseDepositAccount({ Foo: 1 }).error, 'FI document has no Account root element.');
+    assert.equal(parseDepositAccount('<Foo/>').error, 'FI document has no Account root element.');
+});
+
+// ─── Field Violations ─────────────────────────────────────────────
+
+test('rejects non-deposit accounts and accounts without data blocks', () => {
+    const result = parseDepositAccount({ Account: { type: 'loan' } });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.errors, [
+        'Account.type: must be "deposit" (got "loan"); only Deposit accounts are supported',
+        'Account: must contain at least one of Profile, Summary or Transactions',
+    ]);
+    assert.equal(result.error, `Invalid ReBIT Deposit document: ${result.errors.join('; ')}`);
+});
+
+test('transaction violations name the offending field', () => {
+    const result = parseDepositAccount(jsonDocument((account) => {
+        account.Transactions.Transaction[0].type = 'REFUND';
+        account.Transactions.Transaction[1].amount = 'abc';
+        account.Transactions.Transaction[1].valueDate = '02/12/2025';
+    }));
+
+    assert.equal(result.success, false);
+    assert.match(result.errors[0], /^Account\.Transactions\.Transaction\[0\]\.type: must be one of CREDIT, DEBIT, /);
+    assert.deepEqual(result.errors.slice(1), [
+        'Account.Transactions.Transaction[1].amount: must be a decimal number (got "abc")',
+        'Account.Transactions.Transaction[1].valueDate: must be a date as YYYY-MM-DD (got "02/12/2025")',
+    ]);
+});
+
+test('XML attributes are checked like JSON fields', () => {
+    const result = parseDepositAccount(XML_DOCUMENT.replace('amount="8500"', 'amount="8,500"'));
+
+    assert.deepEqual(result.errors, ['Account.Transactions.Transaction[1].amount: must be a decimal number (got "8,500")']);
+});
+
+test('required Summary fields are reported when missing', () => {
+    const result = parseDepositAccount(jsonDocument((account) => {
+        delete account.Summary.currentBalance;
+    }));
+
+    assert.deepEqual(result.errors, ['Account.Summary.currentBalance: is required']);
+});
+
+test('the error message lists three violations and counts the rest', () => {
+    const result = parseDepositAccount(jsonDocument((account) => {
+        account.Transactions.Transaction = Array.from({ length: 30 }, () => ({ txnId: 'X' }));
+    }));
+
+    assert.equal(result.errors.length, 20);
+    assert.equal(result.error, `Invalid ReBIT Deposit document: ${result.errors.slice(0, 3).join('; ')} (+17 more)`);
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for NovaScore proofs (utils/scoreProof): a proof verifies against
+ * its score, inputs and model, and any edit to the proof, the score, the
+ * inputs or the chain is detected.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildScoreProof, verifyScoreProof, verifyProofChain, GENESIS_HASH } = require('../utils/scoreProof');
+const { calculateNovaScore } = require('../utils/novaScoreCalculator');
+const { explainScore } = require('../utils/scoreExplainer');
+
+const MODEL = {
+    weights: { gst: 0.25, fi: 0.25, upi: 0.15, bbps: 0.15, behaviour: 0.1, social: 0.1 },
+    minScore: 300,
+    maxScore: 900,
+};
+
+const SIGNALS = {
+    gst: { totalFilings: 12, complianceScore: 0.9 },
+    social: { socialScore: 0.4 },
+};
+
+/** A score computed the way scoringService does, with its proof. */
+function scoreBundle(n, signals = SIGNALS, prevProof = null) {
+    const result = calculateNovaScore(signals, MODEL);
+    const score = {
+        scoreId: `00000000-0000-4000-8000-00000000000${n}`,
+        userReferenceId: 'user-1',
+        ...result,
+        explanation: explainScore(result, MODEL),
+        computedAt: `2025-10-0${n}T10:00:00.000Z`,
+    };
+    const proof = buildScoreProof({ score, signals, model: MODEL, prevProof });
+    return { score, signals, model: MODEL, proof };
+}
+
+const failedChecks = (report) => Object.keys(report.checks).filter((name) => !report.checks[name]);
+
+// ─── Valid Proofs ─────────────────────────────────────────────────
+
+test('a fresh proof verifies, and the first proof links to the genesis hash', () => {
+    const bundle = scoreBundle(1);
+    const report = verifyScoreProof(bundle);
+
+    assert.equal(report.valid, true);
+    assert.deepEqual(Object.keys(report.checks).sort(), ['chain', 'inputs', 'model', 'proofHash', 'recomputed', 'result', 'scoreId']);
+    assert.equal(bundle.proof.seq, 1);
+    assert.equal(bundle.proof.prevProofHash, GENESIS_HASH);
+    assert.equal(bundle.proof.inputHashes.upi, null);
+});
+
+test('proofs survive a JSON round trip with reordered keys', () => {
+    const bundle = JSON.parse(JSON.stringify(scoreBundle(1)));
+    bundle.signals = { social: bundle.signals.social, gst: { complianceScore: 0.9, totalFilings: 12 } };
+
+    assert.equal(verifyScoreProof(bundle).valid, true);
+});
+
+// ─── Tampering ────────────────────────────────────────────────────
+
+test('an edited proof no longer matches its proofHash', () => {
+    const bundle = scoreBundle(1);
+    const tampered = { ...bundle, proof: { ...bundle.proof, resultHash: 'f'.repeat(64) } };
+
+    const report = verifyScoreProof(tampered);
+    assert.equal(report.valid, false);
+    assert.deepEqual(failedChecks(report), ['proofHash', 'result']);
+});
+
+test('a raised score fails the result and recomputation checks', () => {
+    const bundle = scoreBundle(1);
+    const tampered = { ...bundle, score: { ...bundle.score, novaScore: bundle.score.novaScore + 50 } };
+
+    const report = verifyScoreProof(tampered);
+    assert.deepEqual(failedChecks(report), ['result', 'recomputed']);
+    assert.match(report.errors[1], /^Recomputing from the inputs gives a different result: novaScore/);
+});
+
+test('edited inputs or model are detected', () => {
+    const bundle = scoreBundle(1);
+
+    const inputs = verifyScoreProof({ ...bundle, signals: { ...SIGNALS, social: { socialScore: 0.9 } } });
+    assert.deepEqual(failedChecks(inputs), ['inputs', 'recomputed']);
+
+    const model = verifyScoreProof({ ...bundle, model: { ...MODEL, maxScore: 950 } });
+    assert.deepEqual(failedChecks(model), ['model', 'recomputed']);
+});
+
+test('a proof presented with another score is refused', () => {
+    const first = scoreBundle(1);
+    const second = scoreBundle(2);
+
+    assert.ok(failedChecks(verifyScoreProof({ ...second, proof: first.proof })).includes('scoreId'));
+});
+
+// ─── Chain ────────────────────────────────────────────────────────
+
+test('each proof links to the previous one', () => {
+    const first = scoreBundle(1);
+    const second = scoreBundle(2, SIGNALS, first.proof);
+    const previousProof = { seq: first.proof.seq, proofHash: first.proof.proofHash };
+
+    assert.equal(verifyScoreProof({ ...second, previousProof }).valid, true);
+    assert.deepEqual(
+        failedChecks(verifyScoreProof({ ...second, previousProof: { ...previousProof, proofHash: 'a'.repeat(64) } })),
+        ['chain'],
+    );
+});
+
+test('verifyProofChain finds an edited, removed or reordered proof', () => {
+    const first = scoreBundle(1).proof;
+    const second = scoreBundle(2, SIGNALS, first).proof;
+    const third = scoreBundle(3, SIGNALS, second).proof;
+
+    assert.deepEqual(verifyProofChain([first, second, third]), { valid: true, checked: 3, headHash: third.proofHash });
+    assert.equal(verifyProofChain([first, { ...second, computedAt: '2025-09-30T10:00:00.000Z' }, third]).brokenAt, 2);
+    assert.equal(verifyProofChain([first, third]).brokenAt, 3);
+    assert.equal(verifyProofChain([second, first, third]).brokenAt, 2);
+    assert.deepEqual(verifyProofChain([]), { valid: true, checked: 0, headHash: null });
+});
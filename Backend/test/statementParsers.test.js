@@ -0,0 +1,136 @@
+/**
+ * Tests for the bank statement parsers (utils/statementParsers):
+ * CSV and TSV layouts, and the text rows of PDF statements.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseStatement, getParser } = require('../utils/statementParsers');
+const { parseCsv } = require('../utils/statementParsers/common');
+
+const SBI_CSV = [
+    'Account Name :,ACME TRADERS',
+    'IFS Code :,SBIN0001234',
+    'Txn Date,Value Date,Description,Ref No./Cheque No.,Debit,Credit,Balance',
+    '01 Oct 2025,01 Oct 2025,BY TRANSFER-UPI/CR/527412345678/RAMESH/YESB/ramesh@ybl,TRANSFER FROM 123,,"12,500.00","1,12,500.00"',
+    '03 Oct 2025,03 Oct 2025,TO TRANSFER-NEFT*HDFC0000001*N2761234*SHREE SUPPLIERS,TRANSFER TO 456,"40,000.00",,"72,500.00"',
+    '05 Oct 2025,05 Oct 2025,ATM WDL-ATM CASH 1234 MUMBAI,,"5,000.00",,"67,500.00"',
+    ',,,,,,',
+    'Closing balance,,,,,,"67,500.00"',
+].join('\n');
+
+// Tab-separated, with commas in the preamble, narrations and amounts
+const SBI_TSV = [
+    'Account Name :\tACME TRADERS, MUMBAI',
+    'IFS Code :\tSBIN0001234',
+    'Txn Date\tValue Date\tDescription\tRef No./Cheque No.\tDebit\tCredit\tBalance',
+    '01 Oct 2025\t01 Oct 2025\tBY TRANSFER-NEFT, ACME CORP\tREF1\t\t12,500.00\t1,12,500.00',
+    '03 Oct 2025\t03 Oct 2025\tATM WDL-ATM CASH 1234 MUMBAI, MH\t\t5,000.00\t\t1,07,500.00',
+].join('\n');
+
+const HDFC_CSV = [
+    'Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+    '01/10/25,UPI-SWIGGY-swiggy@icici-ICIC0000001-527412345678-PAYMENT,0000527412345678,01/10/25,450.00,,"24,550.00"',
+    '02/10/25,NEFT CR-SBIN0001234-ACME CORP-INVOICE 42,N275123456,02/10/25,,"75,000.00","99,550.00"',
+    '04/10/25,ACH D- BAJAJ FINANCE LTD-P400PBL1234,0000000000000000,04/10/25,"8,250.00",,"91,300.00"',
+].join('\n');
+
+// Text of an HDFC PDF statement as extractPdfText returns it
+const HDFC_PDF_LINES = [
+    'HDFC BANK LIMITED',
+    'Statement of account',
+    'Opening Balance : 25,000.00',
+    'Date Narration Chq./Ref.No. Value Dt Withdrawal Amt. Deposit Amt. Closing Balance',
+    '01/10/25 UPI-SWIGGY-swiggy@icici-PAYMENT 0000527412345678 01/10/25 450.00 24,550.00',
+    '02/10/25 NEFT CR-SBIN0001234-ACME CORP 02/10/25 75,000.00 99,550.00',
+    'INVOICE 42 OCT',
+    '04/10/25 ACH D- BAJAJ FINANCE LTD 04/10/25 8,250.00 91,300.00',
+    'Page 1 of 1',
+];
+
+const summarise = (records) => records.map(({ date, type, mode, amount, balance }) => ({ date, type, mode, amount, balance }));
+
+// ─── parseCsv ─────────────────────────────────────────────────────
+
+test('parseCsv keeps quoted commas inside a cell', () => {
+    assert.deepEqual(parseCsv('Date,Narration,Amount\n01/10/2025,"NEFT, ACME",100\n'), [
+        ['Date', 'Narration', 'Amount'],
+        ['01/10/2025', 'NEFT, ACME', '100'],
+    ]);
+});
+
+test('parseCsv detects tab and semicolon delimiters from the header', () => {
+    assert.deepEqual(parseCsv('Date\tNarration\tAmount\n01/10/2025\tNEFT, ACME CORP\t100\n')[1],
+        ['01/10/2025', 'NEFT, ACME CORP', '100']);
+    assert.deepEqual(parseCsv('Date;Narration;Amount\n01/10/2025;"A;B", x;100\n')[1],
+        ['01/10/2025', 'A;B, x', '100']);
+});
+
+// ─── CSV statements ───────────────────────────────────────────────
+
+test('SBI CSV: detects the bank and reads debits, credits and balances', async () => {
+    const result = await parseStatement(Buffer.from(SBI_CSV));
+
+    assert.equal(result.success, true);
+    assert.equal(result.bank, 'SBI');
+    assert.equal(result.format, 'csv');
+    assert.equal(result.skippedRows, 1);
+    assert.deepEqual(summarise(result.records), [
+        { date: '2025-10-01', type: 'CREDIT', mode: 'UPI', amount: 12500, balance: 112500 },
+        { date: '2025-10-03', type: 'DEBIT', mode: 'NEFT', amount: 40000, balance: 72500 },
+        { date: '2025-10-05', type: 'DEBIT', mode: 'ATM', amount: 5000, balance: 67500 },
+    ]);
+    assert.equal(result.records[0].reference, 'TRANSFER FROM 123');
+});
+
+test('SBI TSV: commas in narrations and amounts do not break the layout', async () => {
+    const result = await parseStatement(Buffer.from(SBI_TSV));
+
+    assert.equal(result.success, true);
+    assert.equal(result.bank, 'SBI');
+    assert.deepEqual(result.records.map((r) => r.narration), [
+        'BY TRANSFER-NEFT, ACME CORP',
+        'ATM WDL-ATM CASH 1234 MUMBAI, MH',
+    ]);
+    assert.deepEqual(result.records.map((r) => r.balance), [112500, 107500]);
+});
+
+test('HDFC CSV: withdrawal and deposit columns', async () => {
+    const result = await parseStatement(Buffer.from(HDFC_CSV));
+
+    assert.equal(result.bank, 'HDFC');
+    assert.deepEqual(summarise(result.records), [
+        { date: '2025-10-01', type: 'DEBIT', mode: 'UPI', amount: 450, balance: 24550 },
+        { date: '2025-10-02', type: 'CREDIT', mode: 'NEFT', amount: 75000, balance: 99550 },
+        { date: '2025-10-04', type: 'DEBIT', mode: 'NACH', amount: 8250, balance: 91300 },
+    ]);
+});
+
+// ─── PDF text rows ────────────────────────────────────────────────
+
+test('PDF text rows: continuation lines join the narration, direction from the balance', () => {
+    const { records, skippedRows } = getParser('HDFC').parseText(HDFC_PDF_LINES);
+
+    assert.equal(skippedRows, 0);
+    assert.deepEqual(summarise(records), [
+        { date: '2025-10-01', type: 'DEBIT', mode: 'UPI', amount: 450, balance: 24550 },
+        { date: '2025-10-02', type: 'CREDIT', mode: 'NEFT', amount: 75000, balance: 99550 },
+        { date: '2025-10-04', type: 'DEBIT', mode: 'NACH', amount: 8250, balance: 91300 },
+    ]);
+    assert.equal(records[1].narration, 'NEFT CR-SBIN0001234-ACME CORP INVOICE 42 OCT');
+    assert.equal(records[0].reference, '0000527412345678');
+});
+
+// ─── Errors ───────────────────────────────────────────────────────
+
+test('rejects empty files, unknown banks and files without a transaction header', async () => {
+    assert.equal((await parseStatement(Buffer.alloc(0))).errorCode, 'EmptyStatement');
+    assert.equal((await parseStatement(Buffer.from(HDFC_CSV), { bank: 'kotak' })).errorCode, 'UnknownBank');
+    assert.equal((await parseStatement(Buffer.from('Foo Bank\nDate,Details,Amount\n01/10/2025,x,1\n'))).errorCode, 'UnknownBank');
+    assert.equal((await parseStatement(Buffer.from('Some text\nno table here\n'), { bank: 'SBI' })).errorCode, 'UnrecognisedLayout');
+});
+
+test('rejects a file that is not a readable PDF', async () => {
+    const result = await parseStatement(Buffer.from('%PDF-1.4 garbage'));
+    assert.equal(result.success, false);
+    assert.equal(result.errorCode, 'UnreadableStatement');
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for refresh-token rotation (services/tokenService): each refresh
+ * consumes its token, and presenting a consumed token revokes the whole
+ * token family. Runs on the in-memory auth store.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const tokenService = require('../services/tokenService');
+
+const INVALID = 'Invalid or expired refresh token. Please authenticate again.';
+
+const claims = (token) => jwt.decode(token);
+
+// ─── Rotation ─────────────────────────────────────────────────────
+
+test('a refresh issues a new pair in the same family', async () => {
+    const login = await tokenService.issueSession('hashed-aadhaar-1', 'txn-1');
+    const refreshed = await tokenService.rotateRefreshToken(login.refreshToken);
+
+    assert.equal(refreshed.success, true);
+    assert.notEqual(refreshed.refreshToken, login.refreshToken);
+    assert.equal(claims(refreshed.token).fam, claims(login.token).fam);
+    assert.notEqual(claims(refreshed.token).jti, claims(login.token).jti);
+    assert.equal((await tokenService.rotateRefreshToken(refreshed.refreshToken)).success, true);
+});
+
+test('an unknown refresh token is refused', async () => {
+    assert.deepEqual(await tokenService.rotateRefreshToken('not-a-token'), { success: false, message: INVALID });
+});
+
+// ─── Reuse Detection ──────────────────────────────────────────────
+
+test('reusing a consumed refresh token revokes every token of the family', async () => {
+    const login = await tokenService.issueSession('hashed-aadhaar-2', 'txn-2');
+    const refreshed = await tokenService.rotateRefreshToken(login.refreshToken);
+
+    const replay = await tokenService.rotateRefreshToken(login.refreshToken);
+    assert.deepEqual(replay, {
+        success: false,
+        message: 'Refresh token has already been used. All sessions from this login have been revoked.',
+    });
+
+    // The legitimate holder's newer tokens are revoked too
+    assert.deepEqual(await tokenService.rotateRefreshToken(refreshed.refreshToken), { success: false, message: INVALID });
+    assert.equal(await tokenService.isRevoked(claims(refreshed.token)), true);
+    assert.equal(await tokenService.isRevoked(claims(login.token)), true);
+});
+
+test('reuse in one family leaves other logins alone', async () => {
+    const stolen = await tokenService.issueSession('hashed-aadhaar-3', 'txn-3');
+    const other = await tokenService.issueSession('hashed-aadhaar-3', 'txn-4');
+
+    await tokenService.rotateRefreshToken(stolen.refreshToken);
+    await tokenService.rotateRefreshToken(stolen.refreshToken);
+
+    assert.equal(await tokenService.isRevoked(claims(other.token)), false);
+    assert.equal((await tokenService.rotateRefreshToken(other.refreshToken)).success, true);
+});
+
+test('two concurrent refreshes with the same token: one wins, the family is revoked', async () => {
+    const login = await tokenService.issueSession('hashed-aadhaar-4', 'txn-5');
+
+    const results = await Promise.all([
+        tokenService.rotateRefreshToken(login.refreshToken),
+        tokenService.rotateRefreshToken(login.refreshToken),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.success).sort(), [false, true]);
+    assert.equal(await tokenService.isRevoked(claims(login.token)), true);
+});
+
+// ─── Logout ───────────────────────────────────────────────────────
+
+test('revoking a session revokes its access token and its refresh token', async () => {
+    const login = await tokenService.issueSession('hashed-aadhaar-5', 'txn-6');
+
+    await tokenService.revokeSession(claims(login.token));
+
+    assert.equal(await tokenService.isRevoked(claims(login.token)), true);
+    assert.deepEqual(await tokenService.rotateRefreshToken(login.refreshToken), { success: false, message: INVALID });
+});
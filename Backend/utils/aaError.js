@@ -0,0 +1,53 @@
+/**
+ * AA Error Utility
+ *
+ * Classifies failed Account Aggregator calls so callers only fall back to
+ * dev-mode mocks when the AA is unreachable — never when it answered
+ * with a ReBIT error response. Mock results carry `mocked: true`.
+ */
+const config = require('../config');
+
+/**
+ * Whether a failed axios call should be answered with a dev-mode mock:
+ * the AA did not respond at all and AA_DEV_FALLBACK is enabled.
+ *
+ * @param {Error} err - axios error.
+ * @returns {boolean}
+ */
+function shouldUseDevFallback(err) {
+    return !err.response && config.aa.devFallback;
+}
+
+/**
+ * Refuses to run with the dev fallback enabled outside development, where
+ * mock FI data would pass for a real customer's transactions.
+ *
+ * @throws {Error} When AA_DEV_FALLBACK is enabled and NODE_ENV is not development.
+ */
+function assertDevFallbackAllowed() {
+    if (config.aa.devFallback && process.env.NODE_ENV !== 'development') {
+        throw new Error('AA_DEV_FALLBACK is enabled but NODE_ENV is not "development". Mock AA responses are only allowed in development.');
+    }
+}
+
+/**
+ * Describes a failed AA call, using the ReBIT error envelope
+ * ({ errorCode, errorMsg }) when the AA returned one.
+ *
+ * @param {Error} err - axios error.
+ * @returns {string}
+ */
+function describeAaError(err) {
+    if (!err.response) return `AA unreachable: ${err.message}`;
+
+    const { status, data } = err.response;
+    const code = data?.errorCode || 'Error';
+    const detail = data?.errorMsg || err.message;
+    return `AA returned ${status} ${code}: ${detail}`;
+}
+
+module.exports = {
+    shouldUseDevFallback,
+    assertDevFallbackAllowed,
+    describeAaError,
+};
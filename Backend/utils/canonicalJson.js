@@ -0,0 +1,26 @@
+/**
+ * Canonical JSON Utility
+ *
+ * Serialises values with object keys sorted, so data read back from
+ * JSONB (which reorders keys) hashes and compares the same as what was
+ * originally written.
+ */
+
+/**
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+module.exports = {
+    canonicalJson,
+};
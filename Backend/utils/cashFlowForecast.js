@@ -0,0 +1,252 @@
+/**
+ * Cash-Flow Forecast
+ *
+ * Projects monthly inflow, outflow and closing balance for the next
+ * 3–6 months from normalized transaction history:
+ *
+ *  1. Monthly inflow and outflow series (cashFlowHealth). A leading or
+ *     trailing month the data only partly covers is left out.
+ *  2. Seasonality: classical multiplicative decomposition. A centred
+ *     12-month moving average is taken, each month is divided by it, and
+ *     the ratios are averaged per calendar month. This needs two full years;
+ *     with less history the series is treated as non-seasonal.
+ *  3. Trend: least-squares line through the deseasonalized series.
+ *  4. Forecast = trend × seasonal index, with a regression prediction
+ *     interval from the residual standard error.
+ *
+ * Closing balance starts from the last known balance and accumulates the
+ * forecast net flow; its interval widens with the accumulated variance.
+ */
+const { calculateCashFlowHealth } = require('./cashFlowHealth');
+
+const MIN_HISTORY_MONTHS = 3;
+const SEASONAL_PERIOD = 12;
+const MIN_HORIZON = 3;
+const MAX_HORIZON = 6;
+
+/** Two-sided z-score for the reported interval. */
+const CONFIDENCE_LEVEL = 0.8;
+const Z_SCORE = 1.2816;
+
+/** A first month starting after this day, or a last month ending before it, is partial. */
+const PARTIAL_FIRST_DAY = 10;
+const PARTIAL_LAST_DAY = 20;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function nextMonth(month, count = 1) {
+    const date = new Date(`${month}-01T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + count);
+    return date.toISOString().slice(0, 7);
+}
+
+// ─── Decomposition ────────────────────────────────────────────────
+
+/**
+ * Seasonal index per calendar month (1–12 → factor, mean 1), or null when
+ * the series is shorter than two full periods.
+ *
+ * @param {number[]} values
+ * @param {string[]} months - 'YYYY-MM' for each value.
+ * @returns {Object<number, number>|null}
+ */
+function seasonalIndices(values, months) {
+    if (values.length < SEASONAL_PERIOD * 2) return null;
+
+    const half = SEASONAL_PERIOD / 2;
+    const ratios = {};
+    for (let i = half; i < values.length - half; i++) {
+        // Centred 2×12 moving average
+        let sum = (values[i - half] + values[i + half]) / 2;
+        for (let j = i - half + 1; j < i + half; j++) sum += values[j];
+        const average = sum / SEASONAL_PERIOD;
+        if (average <= 0) continue;
+
+        const calendarMonth = Number(months[i].slice(5, 7));
+        (ratios[calendarMonth] = ratios[calendarMonth] || []).push(values[i] / average);
+    }
+
+    const indices = {};
+    for (let m = 1; m <= SEASONAL_PERIOD; m++) {
+        const list = ratios[m] || [];
+        indices[m] = list.length > 0 ? list.reduce((s, r) => s + r, 0) / list.length : 1;
+    }
+    const mean = Object.values(indices).reduce((s, v) => s + v, 0) / SEASONAL_PERIOD;
+    for (let m = 1; m <= SEASONAL_PERIOD; m++) indices[m] = mean > 0 ? indices[m] / mean : 1;
+    return indices;
+}
+
+/**
+ * Least-squares line y = intercept + slope·x over x = 0..n-1, with what the
+ * prediction interval needs.
+ */
+function fitTrend(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((s, v) => s + v, 0) / n;
+
+    let sxx = 0;
+    let sxy = 0;
+    values.forEach((y, x) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (y - meanY);
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    const intercept = meanY - slope * meanX;
+
+    const sse = values.reduce((s, y, x) => s + (y - (intercept + slope * x)) ** 2, 0);
+    const standardError = n > 2 ? Math.sqrt(sse / (n - 2)) : 0;
+
+    return { slope, intercept, meanX, sxx, n, standardError };
+}
+
+/**
+ * Projects one series (inflow or outflow) for the `horizon` months that
+ * follow the last value by `skip` months (an excluded partial month).
+ *
+ * @returns {{ seasonal: boolean, slope: number, points: { mean: number, sd: number }[] }}
+ */
+function projectSeries(values, months, horizon, skip) {
+    const indices = seasonalIndices(values, months);
+    const indexFor = (month) => (indices ? indices[Number(month.slice(5, 7))] || 1 : 1);
+
+    const adjusted = values.map((v, i) => v / indexFor(months[i]));
+    const trend = fitTrend(adjusted);
+    const lastMonth = months[months.length - 1];
+
+    const points = [];
+    for (let h = skip + 1; h <= skip + horizon; h++) {
+        const x = trend.n - 1 + h;
+        const index = indexFor(nextMonth(lastMonth, h));
+        const mean = Math.max(0, (trend.intercept + trend.slope * x) * index);
+        const leverage = 1 + 1 / trend.n + (trend.sxx > 0 ? (x - trend.meanX) ** 2 / trend.sxx : 0);
+        points.push({ mean, sd: trend.standardError * Math.sqrt(leverage) * index });
+    }
+
+    return { seasonal: Boolean(indices), slope: trend.slope, points };
+}
+
+// ─── Forecast ─────────────────────────────────────────────────────
+
+/**
+ * Drops a first or last month the transactions only partly cover.
+ */
+function fullMonths(monthly, period) {
+    let series = monthly;
+    const excluded = [];
+    if (series.length > 0 && Number(period.from.slice(8, 10)) > PARTIAL_FIRST_DAY) {
+        excluded.push(series[0].month);
+        series = series.slice(1);
+    }
+    if (series.length > 0 && Number(period.to.slice(8, 10)) < PARTIAL_LAST_DAY) {
+        excluded.push(series[series.length - 1].month);
+        series = series.slice(0, -1);
+    }
+    return { series, excluded };
+}
+
+/**
+ * Forecasts monthly cash flow.
+ *
+ * @param {Object[]} transactions - Normalized transactions.
+ * @param {Object} [options]
+ * @param {number} [options.horizon=3] - Months to forecast (3–6).
+ * @returns {{ success: boolean, message?: string, data?: Object }}
+ */
+function forecastCashFlow(transactions, options = {}) {
+    const horizon = options.horizon === undefined ? MIN_HORIZON : options.horizon;
+    if (!Number.isInteger(horizon) || horizon < MIN_HORIZON || horizon > MAX_HORIZON) {
+        return { success: false, message: `horizon must be an integer from ${MIN_HORIZON} to ${MAX_HORIZON}.` };
+    }
+
+    const health = calculateCashFlowHealth(transactions);
+    if (!health.period) {
+        return { success: false, message: 'No dated transactions to forecast from.' };
+    }
+
+    const { series, excluded } = fullMonths(health.monthly, health.period);
+    if (series.length < MIN_HISTORY_MONTHS) {
+        return {
+            success: false,
+            message: `At least ${MIN_HISTORY_MONTHS} full months of transaction history are needed (found ${series.length}).`,
+        };
+    }
+
+    // Forecast months follow the last observed month, partial or not
+    const lastObserved = health.monthly[health.monthly.length - 1].month;
+    const skip = health.monthly.length - health.monthly.findIndex((m) => m.month === series[series.length - 1].month) - 1;
+
+    const months = series.map((m) => m.month);
+    const inflow = projectSeries(series.map((m) => m.inflow), months, horizon, skip);
+    const outflow = projectSeries(series.map((m) => m.outflow), months, horizon, skip);
+    const openingBalance = health.balances ? health.balances.monthEndBalances.slice(-1)[0].balance : null;
+
+    let balance = openingBalance;
+    let balanceVariance = 0;
+    const forecast = [];
+    for (let h = 0; h < horizon; h++) {
+        const inflowPoint = inflow.points[h];
+        const outflowPoint = outflow.points[h];
+        const net = inflowPoint.mean - outflowPoint.mean;
+        const netVariance = inflowPoint.sd ** 2 + outflowPoint.sd ** 2;
+        const interval = (mean, sd) => ({ lower: round2(Math.max(0, mean - Z_SCORE * sd)), upper: round2(mean + Z_SCORE * sd) });
+
+        const month = {
+            month: nextMonth(lastObserved, h + 1),
+            inflow: { expected: round2(inflowPoint.mean), ...interval(inflowPoint.mean, inflowPoint.sd) },
+            outflow: { expected: round2(outflowPoint.mean), ...interval(outflowPoint.mean, outflowPoint.sd) },
+            netFlow: {
+                expected: round2(net),
+                lower: round2(net - Z_SCORE * Math.sqrt(netVariance)),
+                upper: round2(net + Z_SCORE * Math.sqrt(netVariance)),
+            },
+            closingBalance: null,
+            shortfallRisk: 'LOW',
+        };
+
+        // Shortfall from the closing balance; without a running balance, from the net flow
+        let expected = net;
+        let lower = month.netFlow.lower;
+        if (balance !== null) {
+            balance += net;
+            balanceVariance += netVariance;
+            const spread = Z_SCORE * Math.sqrt(balanceVariance);
+            month.closingBalance = { expected: round2(balance), lower: round2(balance - spread), upper: round2(balance + spread) };
+            expected = balance;
+            lower = balance - spread;
+        }
+        if (expected < 0) month.shortfallRisk = 'HIGH';
+        else if (lower < 0) month.shortfallRisk = 'ELEVATED';
+
+        forecast.push(month);
+    }
+
+    return {
+        success: true,
+        data: {
+            method: {
+                model: inflow.seasonal || outflow.seasonal ? 'seasonal-decomposition+linear-trend' : 'linear-trend',
+                seasonal: inflow.seasonal || outflow.seasonal,
+                confidenceLevel: CONFIDENCE_LEVEL,
+                historyMonths: series.length,
+                excludedPartialMonths: excluded,
+            },
+            history: series.map(({ month, inflow: i, outflow: o, netFlow }) => ({ month, inflow: i, outflow: o, netFlow })),
+            trend: {
+                monthlyInflowChange: round2(inflow.slope),
+                monthlyOutflowChange: round2(outflow.slope),
+            },
+            openingBalance,
+            forecast,
+            shortfallMonths: forecast.filter((m) => m.shortfallRisk !== 'LOW').map((m) => m.month),
+        },
+    };
+}
+
+module.exports = {
+    MIN_HORIZON,
+    MAX_HORIZON,
+    forecastCashFlow,
+};
@@ -0,0 +1,278 @@
+/**
+ * Cash-Flow Health
+ *
+ * Underwriting metrics over normalized transactions (transactionParser):
+ *  - Monthly inflow / outflow series
+ *  - Average daily and month-end balances from the running `balance`
+ *    (summed across accounts), balance volatility, and days spent
+ *    negative or near zero
+ *  - Bounced / returned cheques and NACH mandates, from narrations
+ *  - Estimated debt-service-coverage ratio (DSCR) from EMI outflows
+ */
+
+/** End-of-day balances below this (₹) count as near zero. */
+const NEAR_ZERO_BALANCE = 1000;
+
+/** Bounce events returned in full; the counts cover all of them. */
+const MAX_BOUNCE_EVENTS = 20;
+
+// Return wording only counts next to a cheque or NACH/ECS marker (or in a
+// CHEQUE/NACH-mode entry), so "GST RETURN FILING FEE" is not a bounce.
+// Insufficient-funds wording is specific enough on its own.
+const RETURN_PATTERN = /\b(RETURN(ED)?|RTN|RET|BOUNCE[DS]?|DISHONOU?RED|UNPAID|REJECT(ED)?)\b/i;
+const INSUFFICIENT_FUNDS_PATTERN = /\bINSUFF(ICIENT)?\b|FUNDS\s*INSUFF/i;
+const CHARGE_PATTERN = /\b(CHG|CHGS|CHRG|CHARGES?|PENALTY|FEE)\b/i;
+const NACH_PATTERN = /\b(NACH|ACH|ECS|MANDATE)\b/i;
+const CHEQUE_PATTERN = /\b(CHQ|CHEQUE|CLG|CLEARING|I\/W|O\/W|INWARD|OUTWARD)\b/i;
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * The statement-local calendar day of a transaction (YYYY-MM-DD), or null.
+ * ISO strings keep their own date part so +05:30 timestamps aren't shifted.
+ */
+function dayOf(date) {
+    const text = String(date || '');
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+function addDays(day, count) {
+    const date = new Date(`${day}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+// ─── Monthly Series ───────────────────────────────────────────────
+
+function buildMonthlySeries(dated) {
+    const months = new Map();
+    for (const { t, day } of dated) {
+        const key = day.slice(0, 7);
+        if (!months.has(key)) months.set(key, { month: key, inflow: 0, outflow: 0, netFlow: 0, creditCount: 0, debitCount: 0 });
+        const entry = months.get(key);
+        if (t.type === 'CREDIT') {
+            entry.inflow += t.amount;
+            entry.creditCount++;
+        } else {
+            entry.outflow += t.amount;
+            entry.debitCount++;
+        }
+    }
+
+    // Months without transactions still belong in the series
+    const keys = Array.from(months.keys()).sort();
+    const series = [];
+    if (keys.length === 0) return series;
+    const cursor = new Date(`${keys[0]}-01T00:00:00Z`);
+    const last = keys[keys.length - 1];
+    for (let key = keys[0]; key <= last; key = cursor.toISOString().slice(0, 7)) {
+        const entry = months.get(key) || { month: key, inflow: 0, outflow: 0, netFlow: 0, creditCount: 0, debitCount: 0 };
+        series.push({
+            ...entry,
+            inflow: round2(entry.inflow),
+            outflow: round2(entry.outflow),
+            netFlow: round2(entry.inflow - entry.outflow),
+        });
+        cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return series;
+}
+
+// ─── Balances ─────────────────────────────────────────────────────
+
+/**
+ * End-of-day balances from the first to the last transaction day, carrying
+ * the last known balance over days without transactions. Transactions
+ * without a balance are skipped. Each account (t.account) is tracked on
+ * its own and the day's figure is the sum over accounts; before an
+ * account's first balance, its balance before that transaction is used.
+ * Returns null when no transaction reports a balance.
+ */
+function buildDailyBalances(dated) {
+    const accounts = new Map();
+    for (const { t, day } of dated) {
+        if (typeof t.balance !== 'number' || !Number.isFinite(t.balance)) continue;
+        const key = t.account || null;
+        if (!accounts.has(key)) {
+            const opening = t.type === 'CREDIT' ? t.balance - t.amount : t.balance + t.amount;
+            accounts.set(key, { balance: opening, endOfDay: new Map() });
+        }
+        accounts.get(key).endOfDay.set(day, t.balance); // chronological: last entry wins
+    }
+    if (accounts.size === 0) return null;
+
+    const days = [];
+    const first = dated[0].day;
+    const last = dated[dated.length - 1].day;
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+        let balance = 0;
+        for (const account of accounts.values()) {
+            if (account.endOfDay.has(day)) account.balance = account.endOfDay.get(day);
+            balance += account.balance;
+        }
+        days.push({ day, balance });
+    }
+    return days;
+}
+
+function summarizeBalances(daily) {
+    if (!daily) return null;
+
+    const values = daily.map((d) => d.balance);
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    const variance = values.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / values.length;
+    const standardDeviation = Math.sqrt(variance);
+
+    const monthEnd = new Map();
+    for (const { day, balance } of daily) monthEnd.set(day.slice(0, 7), balance);
+
+    return {
+        averageDailyBalance: round2(mean),
+        minimumBalance: round2(Math.min(...values)),
+        maximumBalance: round2(Math.max(...values)),
+        monthEndBalances: Array.from(monthEnd, ([month, balance]) => ({ month, balance: round2(balance) })),
+        volatility: {
+            standardDeviation: round2(standardDeviation),
+            // Relative to the average balance; null when that is not positive
+            coefficientOfVariation: mean > 0 ? Math.round((standardDeviation / mean) * 10000) / 10000 : null,
+        },
+        negativeBalanceDays: values.filter((v) => v < 0).length,
+        nearZeroBalanceDays: values.filter((v) => v >= 0 && v < NEAR_ZERO_BALANCE).length,
+        nearZeroThreshold: NEAR_ZERO_BALANCE,
+        daysObserved: values.length,
+    };
+}
+
+// ─── Bounces ──────────────────────────────────────────────────────
+
+/**
+ * Classifies a transaction as a cheque or NACH return (or the bank's
+ * return charge), from its narration and mode. Insufficient-funds entries
+ * with neither marker are OTHER.
+ *
+ * @returns {{ kind: 'CHEQUE'|'NACH'|'OTHER', charge: boolean }|null}
+ */
+function classifyReturn(t) {
+    const narration = t.narration || '';
+    const mode = String(t.mode || '').toUpperCase();
+    let kind = 'OTHER';
+    if (NACH_PATTERN.test(narration) || mode === 'NACH') kind = 'NACH';
+    else if (CHEQUE_PATTERN.test(narration) || mode === 'CHEQUE') kind = 'CHEQUE';
+
+    const returned = kind !== 'OTHER' && RETURN_PATTERN.test(narration);
+    if (!returned && !INSUFFICIENT_FUNDS_PATTERN.test(narration)) return null;
+
+    return { kind, charge: t.type === 'DEBIT' && CHARGE_PATTERN.test(narration) };
+}
+
+function detectBounces(dated) {
+    const summary = { count: 0, chequeReturns: 0, nachReturns: 0, otherReturns: 0, returnCharges: 0, totalCharges: 0, events: [] };
+
+    for (const { t, day } of dated) {
+        const result = classifyReturn(t);
+        if (!result) continue;
+
+        if (result.charge) {
+            summary.returnCharges++;
+            summary.totalCharges += t.amount;
+        } else {
+            summary.count++;
+            if (result.kind === 'CHEQUE') summary.chequeReturns++;
+            else if (result.kind === 'NACH') summary.nachReturns++;
+            else summary.otherReturns++;
+        }
+        if (summary.events.length < MAX_BOUNCE_EVENTS) {
+            summary.events.push({ date: day, kind: result.kind, charge: result.charge, amount: t.amount, narration: t.narration });
+        }
+    }
+
+    summary.totalCharges = round2(summary.totalCharges);
+    return summary;
+}
+
+// ─── Debt Service ─────────────────────────────────────────────────
+
+/**
+ * DSCR estimate: cash left after non-debt outflows, divided by EMI
+ * outflows over the same period. Bounce entries don't count as EMIs.
+ */
+function estimateDebtService(dated, monthCount) {
+    let inflow = 0;
+    let outflow = 0;
+    let emiOutflow = 0;
+    let emiCount = 0;
+
+    for (const { t } of dated) {
+        if (t.type === 'CREDIT') {
+            inflow += t.amount;
+            continue;
+        }
+        outflow += t.amount;
+        if (t.category === 'EMI' && !classifyReturn(t)) {
+            emiOutflow += t.amount;
+            emiCount++;
+        }
+    }
+
+    const netOperatingCashFlow = inflow - (outflow - emiOutflow);
+    const months = Math.max(monthCount, 1);
+    return {
+        emiTransactionCount: emiCount,
+        monthlyEmiOutflow: round2(emiOutflow / months),
+        monthlyNetOperatingCashFlow: round2(netOperatingCashFlow / months),
+        dscr: emiOutflow > 0 ? round2(netOperatingCashFlow / emiOutflow) : null,
+    };
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Computes cash-flow health metrics.
+ *
+ * @param {Object[]} transactions - Normalized transactions (any order).
+ * @returns {Object} { period, monthly, balances, bounces, debtService };
+ *   balances is null when no transaction reports a balance.
+ */
+function calculateCashFlowHealth(transactions) {
+    const dated = (Array.isArray(transactions) ? transactions : [])
+        .map((t, index) => ({ t, day: dayOf(t.date), index }))
+        .filter(({ day }) => day)
+        .sort((a, b) => (a.day === b.day ? a.index - b.index : a.day < b.day ? -1 : 1));
+
+    if (dated.length === 0) {
+        return {
+            period: null,
+            monthly: [],
+            balances: null,
+            bounces: detectBounces([]),
+            debtService: estimateDebtService([], 0),
+        };
+    }
+
+    const monthly = buildMonthlySeries(dated);
+    const from = dated[0].day;
+    const to = dated[dated.length - 1].day;
+
+    return {
+        period: {
+            from,
+            to,
+            days: Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1,
+            months: monthly.length,
+        },
+        monthly,
+        balances: summarizeBalances(buildDailyBalances(dated)),
+        bounces: detectBounces(dated),
+        debtService: estimateDebtService(dated, monthly.length),
+    };
+}
+
+module.exports = {
+    NEAR_ZERO_BALANCE,
+    dayOf,
+    calculateCashFlowHealth,
+};
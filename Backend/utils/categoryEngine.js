@@ -0,0 +1,292 @@
+/**
+ * Category Engine
+ *
+ * Assigns every transaction a category and a merchant category code (MCC)
+ * from a versioned ruleset (data/categoryRules.json, or the file at
+ * CATEGORY_RULES_PATH). transactionParser and upiAnalytics both use it.
+ *
+ * A rule has an id, a priority, the category and MCC it assigns, and
+ * conditions that must all hold:
+ *   { "narration": [regex, ...],          // any matches (case-insensitive)
+ *     "direction": "CREDIT" | "DEBIT",
+ *     "mode": ["UPI", "NEFT", ...],        // any matches
+ *     "minAmount": 0, "maxAmount": 50000 } // inclusive
+ *
+ * The matching rule with the highest priority wins; on a tie, the one
+ * listed first. Unmatched transactions get the ruleset's default.
+ *
+ * Tenants (lender organisations, by orgId) can override the ruleset under
+ * `tenants`: their `rules` are added, replacing base rules with the same
+ * id, and base rules listed in `disable` are dropped.
+ */
+const fs = require('fs');
+const config = require('../config');
+
+const DIRECTIONS = ['CREDIT', 'DEBIT'];
+const CONDITION_KEYS = ['narration', 'direction', 'mode', 'minAmount', 'maxAmount'];
+const MCC_REGEX = /^\d{4}$/;
+
+let active = null;
+
+// ─── Validation ───────────────────────────────────────────────────
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function validateRule(rule, path, errors) {
+    if (!isPlainObject(rule)) {
+        errors.push(`${path}: must be an object.`);
+        return;
+    }
+    if (!isNonEmptyString(rule.id)) errors.push(`${path}.id: must be a non-empty string.`);
+    if (typeof rule.priority !== 'number' || !Number.isFinite(rule.priority)) errors.push(`${path}.priority: must be a number.`);
+    if (!isNonEmptyString(rule.category)) errors.push(`${path}.category: must be a non-empty string.`);
+    if (!MCC_REGEX.test(rule.mcc || '')) errors.push(`${path}.mcc: must be a 4-digit code.`);
+
+    const when = rule.when;
+    if (!isPlainObject(when) || Object.keys(when).length === 0) {
+        errors.push(`${path}.when: must be an object with at least one condition.`);
+        return;
+    }
+    for (const key of Object.keys(when)) {
+        if (!CONDITION_KEYS.includes(key)) errors.push(`${path}.when.${key}: unknown condition (expected one of ${CONDITION_KEYS.join(', ')}).`);
+    }
+
+    if (when.narration !== undefined) {
+        const patterns = [].concat(when.narration);
+        if (patterns.length === 0) errors.push(`${path}.when.narration: must list at least one pattern.`);
+        patterns.forEach((pattern, i) => {
+            if (!isNonEmptyString(pattern)) {
+                errors.push(`${path}.when.narration[${i}]: must be a non-empty string.`);
+                return;
+            }
+            try {
+                new RegExp(pattern, 'i');
+            } catch (err) {
+                errors.push(`${path}.when.narration[${i}]: invalid regular expression (${err.message}).`);
+            }
+        });
+    }
+    if (when.direction !== undefined && !DIRECTIONS.includes(when.direction)) {
+        errors.push(`${path}.when.direction: must be ${DIRECTIONS.join(' or ')}.`);
+    }
+    if (when.mode !== undefined) {
+        const modes = [].concat(when.mode);
+        if (modes.length === 0 || !modes.every(isNonEmptyString)) errors.push(`${path}.when.mode: must list one or more modes.`);
+    }
+    for (const key of ['minAmount', 'maxAmount']) {
+        if (when[key] !== undefined && (typeof when[key] !== 'number' || !Number.isFinite(when[key]))) {
+            errors.push(`${path}.when.${key}: must be a number.`);
+        }
+    }
+    if (typeof when.minAmount === 'number' && typeof when.maxAmount === 'number' && when.minAmount > when.maxAmount) {
+        errors.push(`${path}.when: minAmount is greater than maxAmount.`);
+    }
+}
+
+function validateRules(rules, path, errors) {
+    if (!Array.isArray(rules)) {
+        errors.push(`${path}: must be an array.`);
+        return;
+    }
+    const seen = new Set();
+    rules.forEach((rule, i) => {
+        validateRule(rule, `${path}[${i}]`, errors);
+        if (rule && isNonEmptyString(rule.id)) {
+            if (seen.has(rule.id)) errors.push(`${path}[${i}].id: duplicate rule id "${rule.id}".`);
+            seen.add(rule.id);
+        }
+    });
+}
+
+/**
+ * Validates a ruleset document.
+ *
+ * @param {Object} ruleset
+ * @returns {string[]} Errors, each prefixed with the path of the offending field.
+ */
+function validateRuleset(ruleset) {
+    const errors = [];
+    if (!isPlainObject(ruleset)) return ['ruleset: must be a JSON object.'];
+
+    if (!isNonEmptyString(ruleset.version)) errors.push('version: must be a non-empty string.');
+    if (!isPlainObject(ruleset.default)) {
+        errors.push('default: must be an object with category and mcc.');
+    } else {
+        if (!isNonEmptyString(ruleset.default.category)) errors.push('default.category: must be a non-empty string.');
+        if (!MCC_REGEX.test(ruleset.default.mcc || '')) errors.push('default.mcc: must be a 4-digit code.');
+    }
+    validateRules(ruleset.rules, 'rules', errors);
+
+    if (ruleset.tenants !== undefined) {
+        if (!isPlainObject(ruleset.tenants)) {
+            errors.push('tenants: must be an object keyed by tenant id.');
+        } else {
+            const baseIds = new Set((Array.isArray(ruleset.rules) ? ruleset.rules : []).map((r) => r && r.id));
+            for (const [tenantId, tenant] of Object.entries(ruleset.tenants)) {
+                const path = `tenants.${tenantId}`;
+                if (!isPlainObject(tenant)) {
+                    errors.push(`${path}: must be an object.`);
+                    continue;
+                }
+                if (tenant.rules !== undefined) validateRules(tenant.rules, `${path}.rules`, errors);
+                if (tenant.disable !== undefined) {
+                    if (!Array.isArray(tenant.disable)) {
+                        errors.push(`${path}.disable: must be an array of rule ids.`);
+                    } else {
+                        tenant.disable.forEach((id, i) => {
+                            if (!baseIds.has(id)) errors.push(`${path}.disable[${i}]: no base rule "${id}".`);
+                        });
+                    }
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+// ─── Compilation ──────────────────────────────────────────────────
+
+function compileRule(rule, order, source) {
+    const when = rule.when;
+    return {
+        id: rule.id,
+        priority: rule.priority,
+        category: rule.category,
+        mcc: rule.mcc,
+        source,
+        order,
+        narration: when.narration === undefined ? null : [].concat(when.narration).map((p) => new RegExp(p, 'i')),
+        direction: when.direction || null,
+        modes: when.mode === undefined ? null : [].concat(when.mode).map((m) => m.toUpperCase()),
+        minAmount: when.minAmount === undefined ? null : when.minAmount,
+        maxAmount: when.maxAmount === undefined ? null : when.maxAmount,
+    };
+}
+
+function byPriority(a, b) {
+    return b.priority - a.priority || a.order - b.order;
+}
+
+/**
+ * The ordered rules for a tenant: its own rules (listed ahead of base rules
+ * of equal priority) replace base rules with the same id.
+ */
+function rulesFor(ruleset, tenantId) {
+    const tenant = tenantId ? ruleset.tenants[tenantId] : null;
+    if (!tenant) return ruleset.rules;
+
+    if (!ruleset.tenantRules.has(tenantId)) {
+        const own = (tenant.rules || []).map((rule, i) => compileRule(rule, i - tenant.rules.length, 'tenant'));
+        const replaced = new Set([...own.map((r) => r.id), ...(tenant.disable || [])]);
+        const merged = [...own, ...ruleset.rules.filter((r) => !replaced.has(r.id))].sort(byPriority);
+        ruleset.tenantRules.set(tenantId, merged);
+    }
+    return ruleset.tenantRules.get(tenantId);
+}
+
+function matches(rule, t) {
+    const amount = Number(t.amount) || 0;
+    if (rule.direction && String(t.type || '').toUpperCase() !== rule.direction) return false;
+    if (rule.modes && !rule.modes.includes(String(t.mode || '').toUpperCase())) return false;
+    if (rule.minAmount !== null && amount < rule.minAmount) return false;
+    if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+    if (rule.narration && !rule.narration.some((pattern) => pattern.test(t.narration || ''))) return false;
+    return true;
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Loads, validates and activates a ruleset.
+ *
+ * @param {string|Object} [source] - A file path or a ruleset object
+ *   (default: config.categories.rulesPath).
+ * @returns {{ version: string, ruleCount: number, tenants: string[] }}
+ * @throws {Error} When the file can't be read or the ruleset is invalid
+ *   (err.errors lists every problem).
+ */
+function loadRuleset(source = config.categories.rulesPath) {
+    let document = source;
+    if (typeof source === 'string') {
+        try {
+            document = JSON.parse(fs.readFileSync(source, 'utf8'));
+        } catch (err) {
+            throw new Error(`Could not read the category ruleset at ${source}: ${err.message}`);
+        }
+    }
+
+    const errors = validateRuleset(document);
+    if (errors.length > 0) {
+        const err = new Error(`Invalid category ruleset: ${errors.join(' ')}`);
+        err.errors = errors;
+        throw err;
+    }
+
+    active = {
+        version: document.version,
+        default: { category: document.default.category, mcc: document.default.mcc },
+        rules: document.rules.map((rule, i) => compileRule(rule, i, 'base')).sort(byPriority),
+        tenants: document.tenants || {},
+        tenantRules: new Map(),
+    };
+    console.log(`[CategoryEngine] Ruleset ${active.version} loaded: ${active.rules.length} rules, ${Object.keys(active.tenants).length} tenant override(s).`);
+
+    return { version: active.version, ruleCount: active.rules.length, tenants: Object.keys(active.tenants) };
+}
+
+function getRuleset() {
+    if (!active) loadRuleset();
+    return active;
+}
+
+/**
+ * Categorises a transaction.
+ *
+ * @param {Object} transaction - { narration, type, mode, amount }.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose overrides apply.
+ * @returns {{ category: string, mcc: string, ruleId: string|null,
+ *   ruleSource: 'base'|'tenant'|null, rulesetVersion: string }}
+ */
+function categorise(transaction, options = {}) {
+    const ruleset = getRuleset();
+    const rule = rulesFor(ruleset, options.tenantId).find((r) => matches(r, transaction || {}));
+
+    return {
+        category: rule ? rule.category : ruleset.default.category,
+        mcc: rule ? rule.mcc : ruleset.default.mcc,
+        ruleId: rule ? rule.id : null,
+        ruleSource: rule ? rule.source : null,
+        rulesetVersion: ruleset.version,
+    };
+}
+
+/**
+ * Identifies the ruleset that categorises a tenant's transactions, so an
+ * analysis records which rules produced its categories.
+ *
+ * @param {string} [tenantId]
+ * @returns {{ version: string, tenantId: string|null, tenantOverrides: boolean }}
+ */
+function describeRuleset(tenantId) {
+    const ruleset = getRuleset();
+    return {
+        version: ruleset.version,
+        tenantId: tenantId || null,
+        tenantOverrides: Boolean(tenantId && ruleset.tenants[tenantId]),
+    };
+}
+
+module.exports = {
+    validateRuleset,
+    loadRuleset,
+    categorise,
+    describeRuleset,
+};
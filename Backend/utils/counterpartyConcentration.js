@@ -0,0 +1,116 @@
+/**
+ * Counterparty Concentration
+ *
+ * How dependent a business is on a few customers (who it receives from)
+ * and suppliers (who it pays), from the counterparties narrationParser
+ * extracts:
+ *  - Herfindahl–Hirschman Index (HHI): Σ share², with shares in percent,
+ *    so 10,000 is a single counterparty
+ *  - Share of volume from the largest and the five largest counterparties
+ *
+ * Flows that aren't trade are left out: interest, refunds, reversals and
+ * loan disbursals on the customer side; taxes, salaries, EMIs, rent,
+ * utility bills, cash withdrawals and bank charges on the supplier side.
+ */
+const { counterpartyOf, createKeyResolver } = require('./narrationParser');
+
+/** HHI bands, as in merger guidelines: below 1,500 unconcentrated, above 2,500 highly concentrated. */
+const HHI_MODERATE = 1500;
+const HHI_HIGH = 2500;
+
+/** Counterparties listed per side. */
+const MAX_LISTED = 10;
+
+const NON_TRADE_CREDIT = /INTEREST|\bINT\.?\s*(PD|PAID|CR)\b|REFUND|REVERSAL|\bREV\b|RETURN|CASHBACK|DISBURS|LOAN/i;
+const NON_TRADE_DEBIT = /\bGST\b|GSTN|\bTDS\b|\bTAX\b|SALARY|PAYROLL|WAGES|\bEMI\b|LOAN|\bATM\b|CASH\s*(WDL|WITHDRAWAL)|CHARGES?\b|\bCHGS?\b|INTEREST/i;
+const NON_TRADE_CATEGORIES = new Set(['Salary', 'EMI', 'Rent', 'Utilities']);
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function round4(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function isTrade(t) {
+    if (NON_TRADE_CATEGORIES.has(t.category)) return false;
+    return !(t.type === 'CREDIT' ? NON_TRADE_CREDIT : NON_TRADE_DEBIT).test(t.narration || '');
+}
+
+/**
+ * Concentration of one side (customers or suppliers).
+ *
+ * @param {Object[]} transactions - That side's trade transactions.
+ * @returns {Object}
+ */
+function measure(transactions) {
+    const counterparties = new Map();
+    const resolveKey = createKeyResolver();
+    let unidentifiedVolume = 0;
+
+    for (const t of transactions) {
+        const counterparty = counterpartyOf(t);
+        const key = resolveKey(counterparty);
+        if (!key) {
+            unidentifiedVolume += t.amount;
+            continue;
+        }
+        if (!counterparties.has(key)) {
+            counterparties.set(key, { name: null, vpa: null, ifsc: null, transactionCount: 0, volume: 0 });
+        }
+        const entry = counterparties.get(key);
+        entry.name = entry.name || counterparty.name;
+        entry.vpa = entry.vpa || counterparty.vpa;
+        entry.ifsc = entry.ifsc || counterparty.ifsc;
+        entry.transactionCount++;
+        entry.volume += t.amount;
+    }
+
+    const ranked = Array.from(counterparties.values()).sort((a, b) => b.volume - a.volume);
+    const volume = ranked.reduce((sum, c) => sum + c.volume, 0);
+    const shares = ranked.map((c) => (volume > 0 ? c.volume / volume : 0));
+
+    let level = null;
+    const hhi = volume > 0 ? Math.round(shares.reduce((sum, s) => sum + Math.pow(s * 100, 2), 0)) : null;
+    if (hhi !== null) level = hhi > HHI_HIGH ? 'HIGH' : hhi >= HHI_MODERATE ? 'MODERATE' : 'LOW';
+
+    return {
+        counterpartyCount: ranked.length,
+        volume: round2(volume),
+        unidentifiedVolume: round2(unidentifiedVolume),
+        hhi,
+        level,
+        top1Share: volume > 0 ? round4(shares[0]) : null,
+        top5Share: volume > 0 ? round4(shares.slice(0, 5).reduce((sum, s) => sum + s, 0)) : null,
+        top: ranked.slice(0, MAX_LISTED).map((c, i) => ({
+            ...c,
+            name: c.name || c.vpa,
+            volume: round2(c.volume),
+            share: round4(shares[i]),
+        })),
+    };
+}
+
+/**
+ * Customer and supplier concentration.
+ *
+ * @param {Object[]} transactions - Normalized transactions.
+ * @returns {{ customers: Object, suppliers: Object }} Each side:
+ *   { counterpartyCount, volume, unidentifiedVolume, hhi (0–10,000),
+ *     level: 'LOW'|'MODERATE'|'HIGH', top1Share, top5Share, top[] };
+ *   hhi, level and the shares are null when the side has no volume.
+ */
+function analyzeConcentration(transactions) {
+    const trade = (Array.isArray(transactions) ? transactions : []).filter(isTrade);
+    return {
+        customers: measure(trade.filter((t) => t.type === 'CREDIT')),
+        suppliers: measure(trade.filter((t) => t.type === 'DEBIT')),
+    };
+}
+
+module.exports = {
+    HHI_MODERATE,
+    HHI_HIGH,
+    analyzeConcentration,
+};
@@ -0,0 +1,58 @@
+/**
+ * DataLife Utility
+ *
+ * Computes expiry timestamps from a ReBIT consent DataLife
+ * ({ unit: DAY | MONTH | YEAR | INF, value }) and windows from a consent
+ * Frequency ({ unit: HOUR | DAY | MONTH | YEAR | INF, value }).
+ */
+
+/**
+ * Adds (or, with a negative value, subtracts) a number of units to a date.
+ *
+ * @param {Date|string} from
+ * @param {string} unit - HOUR | DAY | MONTH | YEAR
+ * @param {number} value
+ * @returns {Date|null} null for INF or an unknown unit.
+ */
+function addDuration(from, unit, value) {
+    const result = new Date(from);
+    const amount = Number(value) || 0;
+
+    switch (unit) {
+        case 'HOUR':
+            result.setUTCHours(result.getUTCHours() + amount);
+            break;
+        case 'DAY':
+            result.setUTCDate(result.getUTCDate() + amount);
+            break;
+        case 'MONTH':
+            result.setUTCMonth(result.getUTCMonth() + amount);
+            break;
+        case 'YEAR':
+            result.setUTCFullYear(result.getUTCFullYear() + amount);
+            break;
+        default:
+            return null;
+    }
+
+    return result;
+}
+
+/**
+ * Adds a DataLife duration to a start date.
+ *
+ * @param {Date|string} from - Start of the retention period.
+ * @param {{ unit: string, value: number }} dataLife
+ * @returns {string|null} ISO timestamp, or null for INF / missing DataLife.
+ */
+function computeDataLifeExpiry(from, dataLife) {
+    if (!dataLife || dataLife.unit === 'INF') return null;
+
+    const expiry = addDuration(from, dataLife.unit, dataLife.value);
+    return expiry ? expiry.toISOString() : null;
+}
+
+module.exports = {
+    addDuration,
+    computeDataLifeExpiry,
+};
@@ -0,0 +1,119 @@
+/**
+ * ECDH (Curve25519) Key Exchange Utility
+ *
+ * FIU side of the Account Aggregator data-encryption scheme:
+ *
+ *  1. FIU generates an ephemeral X25519 key pair + 32-byte nonce per FI
+ *     request and sends the public half as KeyMaterial in /FI/request.
+ *  2. FIP does the same and returns its KeyMaterial with the encrypted FI.
+ *  3. Both sides compute the X25519 shared secret, XOR the two nonces,
+ *     and take salt = first 20 bytes, IV = last 12 bytes of the XOR.
+ *  4. Session key = HKDF-SHA256(sharedSecret, salt), 32 bytes.
+ *  5. FI data is AES-256-GCM encrypted with that key and IV
+ *     (ciphertext || 16-byte auth tag, Base64).
+ */
+const crypto = require('crypto');
+
+const NONCE_LENGTH = 32;
+const SALT_LENGTH = 20;
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+const KEY_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+// ─── Key Generation ────────────────────────────────────────────────
+
+/**
+ * Generates an ephemeral X25519 key pair and nonce, with the public
+ * half formatted as ReBIT KeyMaterial.
+ *
+ * @returns {{ privateKey: string, keyMaterial: Object }}
+ *   privateKey  — PKCS#8 PEM, to be stored with the FI session (never sent).
+ *   keyMaterial — { cryptoAlg, curve, params, DHPublicKey, Nonce } for the request body.
+ */
+function generateKeyMaterial() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+
+    return {
+        privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        keyMaterial: {
+            cryptoAlg: 'ECDH',
+            curve: 'Curve25519',
+            params: 'cipher=AES/GCM/NoPadding;KeyPairGenerator=ECDH',
+            DHPublicKey: {
+                expiry: new Date(Date.now() + KEY_EXPIRY_MS).toISOString(),
+                Parameters: '',
+                KeyValue: publicKey.export({ type: 'spki', format: 'pem' }),
+            },
+            Nonce: crypto.randomBytes(NONCE_LENGTH).toString('base64'),
+        },
+    };
+}
+
+// ─── Key Parsing ───────────────────────────────────────────────────
+
+/**
+ * Parses a peer's X25519 public key. Accepts SPKI PEM, Base64 SPKI DER,
+ * or a Base64 raw 32-byte key.
+ *
+ * @param {string} keyValue - DHPublicKey.KeyValue from the peer's KeyMaterial.
+ * @returns {crypto.KeyObject}
+ */
+function parsePublicKey(keyValue) {
+    if (keyValue.includes('BEGIN PUBLIC KEY')) {
+        return crypto.createPublicKey(keyValue);
+    }
+
+    const der = Buffer.from(keyValue, 'base64');
+    if (der.length === KEY_LENGTH) {
+        // Raw key — wrap in the fixed X25519 SPKI prefix.
+        const spkiPrefix = Buffer.from('302a300506032b656e032100', 'hex');
+        return crypto.createPublicKey({ key: Buffer.concat([spkiPrefix, der]), format: 'der', type: 'spki' });
+    }
+    return crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+}
+
+// ─── Session Key Derivation ───────────────────────────────────────
+
+/**
+ * Derives the AES-256-GCM session key and IV from our private key and
+ * the peer's KeyMaterial.
+ *
+ * @param {Object} params
+ * @param {string} params.privateKey       - Our PKCS#8 PEM private key.
+ * @param {string} params.ourNonce         - Our Base64 nonce.
+ * @param {Object} params.peerKeyMaterial  - Peer KeyMaterial ({ DHPublicKey.KeyValue, Nonce }).
+ * @returns {{ key: Buffer, iv: Buffer }}
+ */
+function deriveSessionKey({ privateKey, ourNonce, peerKeyMaterial }) {
+    const peerKeyValue = peerKeyMaterial?.DHPublicKey?.KeyValue;
+    if (!peerKeyValue || !peerKeyMaterial.Nonce) {
+        throw new Error('Peer KeyMaterial must include DHPublicKey.KeyValue and Nonce.');
+    }
+
+    const sharedSecret = crypto.diffieHellman({
+        privateKey: crypto.createPrivateKey(privateKey),
+        publicKey: parsePublicKey(peerKeyValue),
+    });
+
+    const ours = Buffer.from(ourNonce, 'base64');
+    const theirs = Buffer.from(peerKeyMaterial.Nonce, 'base64');
+    if (ours.length !== NONCE_LENGTH || theirs.length !== NONCE_LENGTH) {
+        throw new Error(`Nonces must be ${NONCE_LENGTH} bytes.`);
+    }
+
+    const xored = Buffer.alloc(NONCE_LENGTH);
+    for (let i = 0; i < NONCE_LENGTH; i++) xored[i] = ours[i] ^ theirs[i];
+
+    const salt = xored.subarray(0, SALT_LENGTH);
+    const iv = xored.subarray(NONCE_LENGTH - IV_LENGTH);
+    const key = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, salt, Buffer.alloc(0), KEY_LENGTH));
+
+    return { key, iv };
+}
+
+module.exports = {
+    generateKeyMaterial,
+    parsePublicKey,
+    deriveSessionKey,
+    NONCE_LENGTH,
+};
@@ -2,7 +2,8 @@
  * AES-256 Encryption Utility
  *
  * Handles encryption of PID blocks and session keys
- * for secure UIDAI Auth API communication.
+ * for secure UIDAI Auth API communication, and provides the generic
+ * AES-256-GCM primitives used for field encryption at rest.
  */
 const crypto = require('crypto');
 const fs = require('fs');
@@ -22,29 +23,62 @@ function generateSessionKey() {
 }
 
 /**
- * Encrypts the PID XML block using AES-256-GCM.
+ * Encrypts data with AES-256-GCM under a fresh random IV.
  *
- * @param {string} pidXml     - Plain-text PID XML to encrypt.
- * @param {Buffer} sessionKey - 32-byte AES session key.
- * @returns {{ encryptedPid: string, iv: string, authTag: string }}
+ * @param {string|Buffer} plaintext - Strings are encoded as UTF-8.
+ * @param {Buffer} key              - 32-byte AES key.
+ * @param {string} [aad]            - Additional authenticated data bound to the ciphertext.
+ * @returns {{ ciphertext: string, iv: string, authTag: string }}
  *   All values are Base64-encoded strings.
  */
-function encryptPidBlock(pidXml, sessionKey) {
+function encryptAesGcm(plaintext, key, aad) {
     const iv = crypto.randomBytes(IV_LENGTH);
-    const cipher = crypto.createCipheriv(ALGORITHM, sessionKey, iv);
-
-    let encrypted = cipher.update(pidXml, 'utf8');
-    encrypted = Buffer.concat([encrypted, cipher.final()]);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    if (aad) cipher.setAAD(Buffer.from(aad, 'utf8'));
 
-    const authTag = cipher.getAuthTag();
+    const input = Buffer.isBuffer(plaintext) ? plaintext : Buffer.from(plaintext, 'utf8');
+    const encrypted = Buffer.concat([cipher.update(input), cipher.final()]);
 
     return {
-        encryptedPid: encrypted.toString('base64'),
+        ciphertext: encrypted.toString('base64'),
         iv: iv.toString('base64'),
-        authTag: authTag.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64'),
     };
 }
 
+/**
+ * Decrypts an AES-256-GCM payload. Throws if the key, IV, auth tag or AAD
+ * do not match.
+ *
+ * @param {string} ciphertextBase64 - Base64-encoded ciphertext.
+ * @param {Buffer} key              - 32-byte AES key.
+ * @param {string} ivBase64         - Base64-encoded IV.
+ * @param {string} authTagBase64    - Base64-encoded auth tag.
+ * @param {string} [aad]            - AAD the payload was encrypted with.
+ * @returns {Buffer} Decrypted bytes.
+ */
+function decryptAesGcm(ciphertextBase64, key, ivBase64, authTagBase64, aad) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivBase64, 'base64'));
+    decipher.setAuthTag(Buffer.from(authTagBase64, 'base64'));
+    if (aad) decipher.setAAD(Buffer.from(aad, 'utf8'));
+
+    const encrypted = Buffer.from(ciphertextBase64, 'base64');
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+}
+
+/**
+ * Encrypts the PID XML block using AES-256-GCM.
+ *
+ * @param {string} pidXml     - Plain-text PID XML to encrypt.
+ * @param {Buffer} sessionKey - 32-byte AES session key.
+ * @returns {{ encryptedPid: string, iv: string, authTag: string }}
+ *   All values are Base64-encoded strings.
+ */
+function encryptPidBlock(pidXml, sessionKey) {
+    const { ciphertext, iv, authTag } = encryptAesGcm(pidXml, sessionKey);
+    return { encryptedPid: ciphertext, iv, authTag };
+}
+
 /**
  * Decrypts an AES-256-GCM encrypted payload (for local testing only).
  *
@@ -55,17 +89,7 @@ function encryptPidBlock(pidXml, sessionKey) {
  * @returns {string} Decrypted plain text.
  */
 function decryptPidBlock(encryptedBase64, sessionKey, ivBase64, authTagBase64) {
-    const iv = Buffer.from(ivBase64, 'base64');
-    const authTag = Buffer.from(authTagBase64, 'base64');
-    const encrypted = Buffer.from(encryptedBase64, 'base64');
-
-    const decipher = crypto.createDecipheriv(ALGORITHM, sessionKey, iv);
-    decipher.setAuthTag(authTag);
-
-    let decrypted = decipher.update(encrypted);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-    return decrypted.toString('utf8');
+    return decryptAesGcm(encryptedBase64, sessionKey, ivBase64, authTagBase64).toString('utf8');
 }
 
 /**
@@ -117,7 +141,10 @@ function hashAadhaar(aadhaarNumber) {
 }
 
 module.exports = {
+    KEY_LENGTH,
     generateSessionKey,
+    encryptAesGcm,
+    decryptAesGcm,
     encryptPidBlock,
     decryptPidBlock,
     encryptSessionKey,
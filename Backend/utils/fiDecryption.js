@@ -4,8 +4,8 @@
  * Decrypts AES-256-GCM encrypted financial information payloads
  * received from Account Aggregator FI/fetch responses.
  *
- * The AA encrypts FI data using AES-256-GCM with a shared session key
- * derived via ECDH key exchange during the FI/request phase.
+ * The FIP encrypts FI data using AES-256-GCM with a shared session key
+ * derived via ECDH key exchange (see utils/ecdhKeyExchange.js).
  */
 const crypto = require('crypto');
 
@@ -16,14 +16,18 @@ const TAG_LENGTH = 16;   // 128-bit auth tag
 /**
  * Decrypts AES-256-GCM encrypted Base64 data.
  *
- * The encrypted payload format (Base64-decoded):
- *   [IV (12 bytes)] + [ciphertext] + [auth tag (16 bytes)]
+ * Two payload formats are accepted (Base64-decoded):
+ *   - with `iv` (AA spec, IV derived from the ECDH nonces):
+ *       [ciphertext] + [auth tag (16 bytes)]
+ *   - without `iv` (legacy / test data):
+ *       [IV (12 bytes)] + [ciphertext] + [auth tag (16 bytes)]
  *
  * @param {string} encryptedBase64 - Base64-encoded encrypted data.
  * @param {Buffer|string} sessionKey - 32-byte AES session key (Buffer or hex string).
+ * @param {Buffer} [iv] - 12-byte IV from utils/ecdhKeyExchange.deriveSessionKey.
  * @returns {{ success: boolean, data?: string, error?: string }}
  */
-function decryptFiData(encryptedBase64, sessionKey) {
+function decryptFiData(encryptedBase64, sessionKey, iv) {
     try {
         const key = typeof sessionKey === 'string'
             ? Buffer.from(sessionKey, 'hex')
@@ -34,18 +38,19 @@ function decryptFiData(encryptedBase64, sessionKey) {
         }
 
         const encrypted = Buffer.from(encryptedBase64, 'base64');
+        const ivLength = iv ? 0 : IV_LENGTH;
 
-        if (encrypted.length < IV_LENGTH + TAG_LENGTH + 1) {
+        if (encrypted.length < ivLength + TAG_LENGTH + 1) {
             return { success: false, error: 'Encrypted data too short to contain IV + tag + ciphertext.' };
         }
 
         // Extract components
-        const iv = encrypted.subarray(0, IV_LENGTH);
+        const nonce = iv || encrypted.subarray(0, IV_LENGTH);
         const authTag = encrypted.subarray(encrypted.length - TAG_LENGTH);
-        const ciphertext = encrypted.subarray(IV_LENGTH, encrypted.length - TAG_LENGTH);
+        const ciphertext = encrypted.subarray(ivLength, encrypted.length - TAG_LENGTH);
 
         // Decrypt
-        const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, nonce);
         decipher.setAuthTag(authTag);
 
         let decrypted = decipher.update(ciphertext);
@@ -110,8 +115,26 @@ function encryptTestData(plaintext, sessionKey) {
     return combined.toString('base64');
 }
 
+/**
+ * Encrypts FI data the way an FIP does, with the ECDH-derived key and IV.
+ *
+ * @param {string} plaintext - Data to encrypt.
+ * @param {Buffer} sessionKey - 32-byte AES key.
+ * @param {Buffer} iv - 12-byte IV.
+ * @returns {string} Base64-encoded [ciphertext + auth tag].
+ */
+function encryptFiData(plaintext, sessionKey, iv) {
+    const cipher = crypto.createCipheriv(ALGORITHM, sessionKey, iv);
+
+    let encrypted = cipher.update(plaintext, 'utf8');
+    encrypted = Buffer.concat([encrypted, cipher.final()]);
+
+    return Buffer.concat([encrypted, cipher.getAuthTag()]).toString('base64');
+}
+
 module.exports = {
     decryptFiData,
     decryptFiDataSeparate,
     encryptTestData,
+    encryptFiData,
 };
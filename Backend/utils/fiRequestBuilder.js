@@ -18,6 +18,7 @@ const { v4: uuidv4 } = require('uuid');
  * @param {string} [params.linkRefNumber] - Link reference number.
  * @param {string} [params.from]        - Data range start (ISO 8601).
  * @param {string} [params.to]          - Data range end (ISO 8601).
+ * @param {Object} params.keyMaterial   - FIU ECDH KeyMaterial (see utils/ecdhKeyExchange).
  * @returns {{ payload: Object, txnid: string }}
  */
 function buildFiRequestPayload({
@@ -29,6 +30,7 @@ function buildFiRequestPayload({
     linkRefNumber,
     from,
     to,
+    keyMaterial,
 }) {
     const txnid = uuidv4();
     const timestamp = new Date().toISOString();
@@ -46,19 +48,7 @@ function buildFiRequestPayload({
             from: from || new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString(),
             to: to || timestamp,
         },
-        KeyMaterial: {
-            cryptoAlg: 'ECDH',
-            curve: 'Curve25519',
-            params: {
-                KeyPairGenerator: 'ECDH',
-            },
-            DHPublicKey: {
-                expiry: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
-                Parameters: '',
-                KeyValue: '', // Would be populated with actual ECDH key in production
-            },
-            Nonce: uuidv4().replace(/-/g, ''),
-        },
+        KeyMaterial: keyMaterial,
         FI: [
             {
                 fipId,
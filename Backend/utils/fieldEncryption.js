@@ -0,0 +1,218 @@
+/**
+ * Field Encryption Utility
+ *
+ * Envelope encryption for sensitive columns at rest. Each value is
+ * encrypted with its own random AES-256-GCM data key; the data key is
+ * wrapped (encrypted) by the master key from config and stored next to the
+ * ciphertext:
+ *
+ *   { enc, v, kid, dek, dekIv, dekTag, iv, tag, data }
+ *
+ * The `context` string (table, column and record id) is bound to the
+ * ciphertext as AAD, so an envelope copied onto another row fails to
+ * decrypt. Rotating the master key only re-wraps `dek`; the data itself is
+ * never re-encrypted.
+ *
+ * Values that are not envelopes (rows written before encryption was
+ * enabled) are passed through on read and encrypted by the rotation
+ * command.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { KEY_LENGTH, encryptAesGcm, decryptAesGcm } = require('./encryption');
+
+const ENVELOPE_TYPE = 'aes-256-gcm/envelope';
+const ENVELOPE_VERSION = 1;
+
+/** Used when DATA_MASTER_KEY is unset with NODE_ENV=development, so local development works out of the box. */
+const DEV_MASTER_KEY = crypto.createHash('sha256').update('default_data_master_key_change_me').digest();
+
+// ─── Keyring ──────────────────────────────────────────────────────
+
+let keyring = null;
+
+function parseMasterKey(keyId, base64) {
+    const key = Buffer.from(base64, 'base64');
+    if (key.length !== KEY_LENGTH) {
+        throw new Error(`Master key "${keyId}" must be ${KEY_LENGTH} bytes (base64-encoded).`);
+    }
+    return key;
+}
+
+/**
+ * Loads the active and retired master keys from config (once).
+ *
+ * @returns {{ activeKeyId: string, keys: Map<string, Buffer> }}
+ * @throws {Error} When a key is malformed, or DATA_MASTER_KEY is unset
+ *   outside development (the development key is public).
+ */
+function getKeyring() {
+    if (keyring) return keyring;
+
+    const { masterKeyId, masterKey, previousMasterKeys } = config.encryption;
+    const keys = new Map();
+
+    for (const entry of previousMasterKeys.split(',').map((e) => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator < 1) {
+            throw new Error('DATA_PREVIOUS_MASTER_KEYS entries must be "id:base64".');
+        }
+        const keyId = entry.slice(0, separator);
+        keys.set(keyId, parseMasterKey(keyId, entry.slice(separator + 1)));
+    }
+
+    if (masterKey) {
+        keys.set(masterKeyId, parseMasterKey(masterKeyId, masterKey));
+    } else if (process.env.NODE_ENV !== 'development') {
+        throw new Error('DATA_MASTER_KEY is not set. The development master key is only allowed with NODE_ENV=development.');
+    } else {
+        console.warn('[FieldEncryption] DATA_MASTER_KEY not set — using the development master key.');
+        keys.set(masterKeyId, DEV_MASTER_KEY);
+    }
+
+    keyring = { activeKeyId: masterKeyId, keys };
+    return keyring;
+}
+
+function getMasterKey(keyId) {
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Master key "${keyId}" is not configured (DATA_MASTER_KEY / DATA_PREVIOUS_MASTER_KEYS).`);
+    }
+    return key;
+}
+
+// ─── Envelopes ────────────────────────────────────────────────────
+
+/**
+ * Whether a stored value is an encryption envelope.
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEnvelope(value) {
+    return Boolean(value) && typeof value === 'object' && value.enc === ENVELOPE_TYPE;
+}
+
+/**
+ * Wraps a data key under the active master key.
+ */
+function wrapDataKey(dataKey) {
+    const { activeKeyId } = getKeyring();
+    const wrapped = encryptAesGcm(dataKey, getMasterKey(activeKeyId), activeKeyId);
+    return { kid: activeKeyId, dek: wrapped.ciphertext, dekIv: wrapped.iv, dekTag: wrapped.authTag };
+}
+
+function unwrapDataKey(envelope) {
+    return decryptAesGcm(envelope.dek, getMasterKey(envelope.kid), envelope.dekIv, envelope.dekTag, envelope.kid);
+}
+
+/**
+ * Encrypts any JSON-serialisable value into an envelope.
+ *
+ * @param {*} value
+ * @param {string} context - e.g. "consent_log.consent_artefact:<consentId>".
+ * @returns {Object} Envelope.
+ */
+function encryptField(value, context) {
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const { ciphertext, iv, authTag } = encryptAesGcm(JSON.stringify(value), dataKey, context);
+
+    return {
+        enc: ENVELOPE_TYPE,
+        v: ENVELOPE_VERSION,
+        ...wrapDataKey(dataKey),
+        iv,
+        tag: authTag,
+        data: ciphertext,
+    };
+}
+
+/**
+ * Decrypts an envelope back to its value. Non-envelope values are returned
+ * unchanged.
+ *
+ * @param {*} stored
+ * @param {string} context - Must match the context used to encrypt.
+ * @returns {*}
+ */
+function decryptField(stored, context) {
+    if (!isEnvelope(stored)) return stored;
+
+    const dataKey = unwrapDataKey(stored);
+    const plaintext = decryptAesGcm(stored.data, dataKey, stored.iv, stored.tag, context);
+    return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Encrypts a value for a TEXT column (envelope serialised as JSON).
+ *
+ * @param {string|null} value
+ * @param {string} context
+ * @returns {string|null}
+ */
+function encryptText(value, context) {
+    if (value === null || value === undefined) return null;
+    return JSON.stringify(encryptField(value, context));
+}
+
+/**
+ * Reverses encryptText. Plain text (not a serialised envelope) is returned
+ * unchanged.
+ *
+ * @param {string|null} stored
+ * @param {string} context
+ * @returns {string|null}
+ */
+function decryptText(stored, context) {
+    return decryptField(parseTextEnvelope(stored) || stored, context);
+}
+
+function parseTextEnvelope(stored) {
+    if (typeof stored !== 'string' || !stored.startsWith('{')) return null;
+    try {
+        const parsed = JSON.parse(stored);
+        return isEnvelope(parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+// ─── Rotation ─────────────────────────────────────────────────────
+
+/**
+ * Brings a stored value up to the active master key: envelopes under a
+ * retired key have their data key re-wrapped, plaintext values are
+ * encrypted, and envelopes already under the active key are left alone.
+ *
+ * @param {*} stored
+ * @param {string} context
+ * @param {{ text?: boolean }} [options] - text: the value lives in a TEXT column.
+ * @returns {{ action: 'current'|'rewrapped'|'encrypted', value: * }}
+ */
+function rewrapField(stored, context, { text = false } = {}) {
+    const envelope = text ? parseTextEnvelope(stored) : (isEnvelope(stored) ? stored : null);
+    const serialise = (value) => (text ? JSON.stringify(value) : value);
+
+    if (!envelope) {
+        if (stored === null || stored === undefined) return { action: 'current', value: stored };
+        return { action: 'encrypted', value: serialise(encryptField(stored, context)) };
+    }
+
+    if (envelope.kid === getKeyring().activeKeyId) {
+        return { action: 'current', value: stored };
+    }
+
+    const rewrapped = { ...envelope, ...wrapDataKey(unwrapDataKey(envelope)) };
+    return { action: 'rewrapped', value: serialise(rewrapped) };
+}
+
+module.exports = {
+    getKeyring,
+    isEnvelope,
+    encryptField,
+    decryptField,
+    encryptText,
+    decryptText,
+    rewrapField,
+};
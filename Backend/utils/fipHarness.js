@@ -0,0 +1,172 @@
+/**
+ * FIP Test Harness
+ *
+ * Plays the Financial Information Provider side of the AA data flow for
+ * local development: given the FIU's KeyMaterial from an FI/request, it
+ * generates its own X25519 key pair and nonce, derives the shared session
+ * key, and returns a ReBIT FI/fetch response with encrypted FI data: a
+ * Deposit `Account` document (Summary + Transactions) in JSON or XML.
+ *
+ * Run directly for a round-trip self-check:
+ *   node utils/fipHarness.js
+ */
+const { v4: uuidv4 } = require('uuid');
+const { XMLBuilder } = require('fast-xml-parser');
+const { generateKeyMaterial, deriveSessionKey } = require('./ecdhKeyExchange');
+const { encryptFiData, decryptFiData } = require('./fiDecryption');
+const { parseDepositAccount } = require('./rebitDepositParser');
+
+const REBIT_DEPOSIT_NAMESPACE = 'http://api.rebit.org.in/FISchema/deposit';
+
+/**
+ * Builds a ReBIT Deposit `Account` document for a statement.
+ *
+ * Transactions may use the ReBIT field names (currentBalance,
+ * transactionTimestamp, valueDate) or the normalized ones (balance, date).
+ *
+ * @param {Object[]} transactions
+ * @param {Object} params
+ * @param {string} params.maskedAccNumber
+ * @param {string} params.linkedAccRef
+ * @param {string} [params.format='json'] - 'json' or 'xml'.
+ * @returns {string}
+ */
+function buildDepositAccount(transactions, { maskedAccNumber, linkedAccRef, format = 'json' }) {
+    const entries = transactions.map((txn) => {
+        const timestamp = txn.transactionTimestamp || txn.date;
+        return {
+            txnId: txn.txnId,
+            type: txn.type,
+            mode: txn.mode,
+            amount: txn.amount,
+            currentBalance: txn.currentBalance ?? txn.balance,
+            transactionTimestamp: timestamp,
+            valueDate: txn.valueDate || (timestamp ? String(timestamp).slice(0, 10) : undefined),
+            narration: txn.narration || '',
+            reference: txn.reference || '',
+        };
+    });
+    const last = entries[entries.length - 1];
+
+    const account = {
+        type: 'deposit',
+        version: '1.1.3',
+        maskedAccNumber,
+        linkedAccRef,
+        Summary: {
+            currentBalance: last && last.currentBalance !== undefined ? last.currentBalance : 0,
+            currency: 'INR',
+            balanceDateTime: last ? last.transactionTimestamp : new Date().toISOString(),
+            type: 'CURRENT',
+            branch: 'Simulated Branch',
+            ifscCode: 'SIMB0000001',
+            openingDate: '2020-04-01',
+            status: 'ACTIVE',
+        },
+        Transactions: {
+            startDate: entries.length > 0 ? entries[0].valueDate : undefined,
+            endDate: last ? last.valueDate : undefined,
+            Transaction: entries,
+        },
+    };
+
+    if (format !== 'xml') return JSON.stringify({ Account: account });
+
+    // XML form: every scalar is an attribute
+    const toAttributes = (obj) => Object.fromEntries(Object.entries(obj)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => (value && typeof value === 'object'
+            ? [key, Array.isArray(value) ? value.map(toAttributes) : toAttributes(value)]
+            : [`@_${key}`, String(value)])));
+
+    const builder = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: '@_', suppressEmptyNode: true });
+    return builder.build({ Account: { '@_xmlns': REBIT_DEPOSIT_NAMESPACE, ...toAttributes(account) } });
+}
+
+/**
+ * Builds an encrypted FI/fetch response as an FIP would.
+ *
+ * @param {Object} params
+ * @param {Object} params.fiuKeyMaterial   - KeyMaterial from the FI/request payload.
+ * @param {Object[]} params.transactions   - Transactions to encrypt.
+ * @param {string} [params.sessionId]
+ * @param {string} [params.fipId='FIP-001']
+ * @param {string} [params.linkRefNumber]
+ * @param {string} [params.maskedAccNumber='XXXX-XXXX-1234']
+ * @param {string} [params.format='json']  - FI document format: 'json' or 'xml'.
+ * @returns {Object} { ver, timestamp, txnid, FI: [{ fipID, data: [{ linkRefNumber, maskedAccNumber, encryptedFI }], KeyMaterial }] }
+ */
+function buildEncryptedFiResponse({
+    fiuKeyMaterial,
+    transactions,
+    sessionId,
+    fipId = 'FIP-001',
+    linkRefNumber,
+    maskedAccNumber = 'XXXX-XXXX-1234',
+    format = 'json',
+}) {
+    const linkRef = linkRefNumber || uuidv4();
+    const { privateKey, keyMaterial } = generateKeyMaterial();
+    const { key, iv } = deriveSessionKey({
+        privateKey,
+        ourNonce: keyMaterial.Nonce,
+        peerKeyMaterial: fiuKeyMaterial,
+    });
+
+    const plaintext = buildDepositAccount(transactions, { maskedAccNumber, linkedAccRef: linkRef, format });
+
+    return {
+        ver: '2.0.0',
+        timestamp: new Date().toISOString(),
+        txnid: uuidv4(),
+        sessionId,
+        FI: [
+            {
+                fipID: fipId,
+                data: [
+                    {
+                        linkRefNumber: linkRef,
+                        maskedAccNumber,
+                        encryptedFI: encryptFiData(plaintext, key, iv),
+                    },
+                ],
+                KeyMaterial: keyMaterial,
+            },
+        ],
+    };
+}
+
+// ─── Self-check ────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const fiu = generateKeyMaterial();
+    const transactions = [
+        { txnId: 'TXN001', date: '2025-12-01T10:30:00Z', type: 'CREDIT', mode: 'UPI', amount: 25000, balance: 125000, narration: 'Salary' },
+    ];
+
+    const response = buildEncryptedFiResponse({ fiuKeyMaterial: fiu.keyMaterial, transactions, format: 'xml' });
+    const fi = response.FI[0];
+    const { key, iv } = deriveSessionKey({
+        privateKey: fiu.privateKey,
+        ourNonce: fiu.keyMaterial.Nonce,
+        peerKeyMaterial: fi.KeyMaterial,
+    });
+    const result = decryptFiData(fi.data[0].encryptedFI, key, iv);
+
+    if (!result.success) {
+        console.error(`[FIPHarness] Round trip failed: ${result.error}`);
+        process.exit(1);
+    }
+
+    const parsed = parseDepositAccount(result.data);
+    if (!parsed.success) {
+        console.error(`[FIPHarness] Decrypted document is invalid: ${parsed.error}`);
+        process.exit(1);
+    }
+    console.log(`[FIPHarness] Round trip OK — decrypted ${parsed.transactions.length} transaction(s) from a ReBIT XML document.`);
+}
+
+module.exports = {
+    buildDepositAccount,
+    buildEncryptedFiResponse,
+};
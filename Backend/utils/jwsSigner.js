@@ -38,6 +38,7 @@ function base64urlEncode(data) {
  * @param {Object} [options]
  * @param {string} [options.algorithm='RS256'] - Signing algorithm.
  * @param {string} [options.keyId] - Key ID for the JWS header.
+ * @param {string} [options.privateKeyPath] - Signing key (default: config.aa.privateKeyPath).
  * @returns {{ detachedJws: string, fullJws: string }}
  *   detachedJws — for X-JWS-Signature header (header..signature)
  *   fullJws     — full JWS with payload (for debugging)
@@ -66,7 +67,7 @@ function createDetachedJws(payload, options = {}) {
     // 4. Sign with private key
     let signature;
     try {
-        const privateKeyPath = path.resolve(config.aa.privateKeyPath);
+        const privateKeyPath = path.resolve(options.privateKeyPath || config.aa.privateKeyPath);
         const privateKey = fs.readFileSync(privateKeyPath, 'utf8');
 
         const nodeAlgorithm = algorithm === 'RS256' ? 'RSA-SHA256' : 'RSA-SHA256';
@@ -94,10 +95,15 @@ function createDetachedJws(payload, options = {}) {
 }
 
 /**
- * Verifies a Detached JWS signature (for testing purposes).
+ * Verifies a Detached JWS signature.
+ *
+ * Fails closed when the public key file is not available. Only with
+ * AA_ALLOW_HMAC_SIGNATURES=true (dev) does it fall back to the HMAC scheme
+ * createDetachedJws uses without a private key; that scheme is keyed on the
+ * JWT secret, so anyone who knows it can forge signatures.
  *
  * @param {string} detachedJws - The detached JWS (header..signature).
- * @param {Object|string} payload - The original payload.
+ * @param {Object|string} payload - The original payload (pass the raw body string for inbound requests).
  * @param {string} publicKeyPath - Path to the public key PEM file.
  * @returns {boolean} Whether the signature is valid.
  */
@@ -113,7 +119,19 @@ function verifyDetachedJws(detachedJws, payload, publicKeyPath) {
             'base64',
         );
 
-        const publicKey = fs.readFileSync(path.resolve(publicKeyPath), 'utf8');
+        let publicKey;
+        try {
+            publicKey = fs.readFileSync(path.resolve(publicKeyPath), 'utf8');
+        } catch (err) {
+            if (!config.aa.allowHmacSignatures) {
+                console.error('[JWS] Public key not available, rejecting signature:', err.message);
+                return false;
+            }
+            console.warn('[JWS] Public key not available, using dev-mode HMAC verification:', err.message);
+            const expected = crypto.createHmac('sha256', config.jwt.secret).update(signingInput).digest();
+            return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+        }
+
         const verifier = crypto.createVerify('RSA-SHA256');
         verifier.update(signingInput);
         return verifier.verify(publicKey, signature);
@@ -123,8 +141,38 @@ function verifyDetachedJws(detachedJws, payload, publicKeyPath) {
     }
 }
 
+/**
+ * Verifies a compact (attached) JWS such as a signed consent artefact.
+ *
+ * @param {string} jws - header.payload.signature
+ * @param {string} publicKeyPath - Path to the signer's public key PEM file.
+ * @returns {{ valid: boolean, header?: Object, payload?: Object, error?: string }}
+ */
+function verifyJws(jws, publicKeyPath) {
+    const parts = typeof jws === 'string' ? jws.split('.') : [];
+    if (parts.length !== 3 || !parts[1]) {
+        return { valid: false, error: 'Malformed JWS: expected header.payload.signature.' };
+    }
+
+    const [encodedHeader, encodedPayload, encodedSignature] = parts;
+    let header;
+    let payloadStr;
+    let payload;
+    try {
+        header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+        payloadStr = Buffer.from(encodedPayload, 'base64url').toString('utf8');
+        payload = JSON.parse(payloadStr);
+    } catch (err) {
+        return { valid: false, error: `Malformed JWS: ${err.message}` };
+    }
+
+    const valid = verifyDetachedJws(`${encodedHeader}..${encodedSignature}`, payloadStr, publicKeyPath);
+    return { valid, header, payload };
+}
+
 module.exports = {
     createDetachedJws,
     verifyDetachedJws,
+    verifyJws,
     base64urlEncode,
 };
@@ -2,9 +2,11 @@
  * JWT Generator Utility
  *
  * Creates and verifies JSON Web Tokens for session management
- * after successful Aadhaar OTP authentication.
+ * after successful Aadhaar OTP or lender (email + password + TOTP)
+ * authentication.
  */
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 
 /**
@@ -13,6 +15,7 @@ const config = require('../config');
  * @param {Object} payload - Data to encode in the token.
  * @param {string} payload.hashedAadhaar - SHA-256 hash of the Aadhaar number.
  * @param {string} payload.txnId         - UIDAI transaction ID.
+ * @param {string} [payload.familyId]    - Refresh-token family the session belongs to.
  * @returns {string} Signed JWT string.
  */
 function generateToken(payload) {
@@ -20,6 +23,9 @@ function generateToken(payload) {
         {
             sub: payload.hashedAadhaar,
             txn: payload.txnId,
+            role: 'msme',
+            jti: uuidv4(),
+            fam: payload.familyId,
             iat: Math.floor(Date.now() / 1000),
         },
         config.jwt.secret,
@@ -27,6 +33,29 @@ function generateToken(payload) {
     );
 }
 
+/**
+ * Generates a signed JWT for a lender staff user.
+ *
+ * @param {Object} payload
+ * @param {string} payload.userId - Lender user ID.
+ * @param {string} payload.orgId  - Lender organisation ID.
+ * @param {string} payload.role   - analyst | credit-officer | admin.
+ * @returns {string} Signed JWT string.
+ */
+function generateLenderToken(payload) {
+    return jwt.sign(
+        {
+            sub: payload.userId,
+            org: payload.orgId,
+            role: payload.role,
+            jti: uuidv4(),
+            iat: Math.floor(Date.now() / 1000),
+        },
+        config.jwt.secret,
+        { expiresIn: config.lender.tokenExpiry },
+    );
+}
+
 /**
  * Verifies and decodes a JWT.
  *
@@ -44,5 +73,6 @@ function verifyToken(token) {
 
 module.exports = {
     generateToken,
+    generateLenderToken,
     verifyToken,
 };
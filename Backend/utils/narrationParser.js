@@ -0,0 +1,237 @@
+/**
+ * Narration Parser
+ *
+ * Extracts the counterparty from a bank transaction narration. Banks write
+ * UPI, NEFT, IMPS and RTGS narrations as delimited fields, for example:
+ *
+ *   UPI/412345678901/RAMESH KUMAR/ramesh@okaxis/Payment
+ *   UPI/DR/412345678901/RAMESH K/YESB/ramesh@ybl/rent
+ *   UPI-SHARMA TRADERS-sharma@okhdfcbank-HDFC0001234-412345678901-INVOICE
+ *   NEFT/N052250012345/SHARMA TRADERS PVT LTD
+ *   BY TRANSFER-NEFT*HDFC0000001*N123456*SHARMA TRADERS
+ *   IMPS/P2A/412345678901/GUPTA ENT/HDFC BANK/invoice 42
+ *   MMT/IMPS/412345678901/invoice 42/GUPTA ENT/HDFC Bank
+ *   ACH D- BAJAJ FINANCE LTD-400000
+ *
+ * Each field is classified by its shape: channel marker, VPA, IFSC,
+ * reference number or bank. The first field left is the counterparty name
+ * and the rest is the remark; without one, a bank field is the name (a
+ * bank collecting its own loan). Free-text narrations ("Payment from
+ * Sharma Traders") fall back to their first few significant words.
+ */
+
+/** Words that only say how the money moved. A field made of them is a channel marker. */
+const CHANNEL_WORDS = new Set([
+    'UPI', 'NEFT', 'IMPS', 'RTGS', 'NACH', 'ACH', 'ECS', 'MMT', 'DR', 'CR', 'D', 'C', 'P2A', 'P2M', 'P2P',
+    'BY', 'TO', 'TRANSFER', 'TRF', 'FT', 'INB', 'MB', 'IB', 'IN', 'OUT', 'UPIIN', 'UPIOUT', 'REV',
+]);
+
+/** Channel markers, by the payment channel they name. */
+const CHANNELS = { UPI: 'UPI', NEFT: 'NEFT', IMPS: 'IMPS', MMT: 'IMPS', RTGS: 'RTGS', NACH: 'NACH', ACH: 'NACH', ECS: 'NACH' };
+
+/** IFSC bank codes and short bank names that appear as their own field. */
+const BANK_CODES = new Set([
+    'HDFC', 'SBIN', 'ICIC', 'UTIB', 'YESB', 'KKBK', 'PUNB', 'BARB', 'CNRB', 'UBIN', 'IDIB', 'IDFB', 'INDB',
+    'FDRL', 'PYTM', 'AIRP', 'KARB', 'RATN', 'AUBL', 'IOBA', 'MAHB', 'CBIN', 'UCBA', 'BKID', 'SIBL', 'KVBL',
+    'CIUB', 'DBSS', 'HSBC', 'SCBL', 'CITI', 'JAKA', 'TMBL', 'ESFB', 'UJVN', 'ICICI', 'SBI', 'AXIS', 'KOTAK',
+]);
+
+/** Words that make a field a remark rather than a name when they're all it has (besides numbers). */
+const REMARK_WORDS = new Set([
+    'PAYMENT', 'PAY', 'PAID', 'SENT', 'USING', 'VIA', 'FROM', 'TO', 'FOR', 'NA', 'NULL', 'NO', 'REMARKS',
+    'REMARK', 'COLLECT', 'REQUEST', 'UPI', 'TRANSFER', 'FUND', 'FUNDS', 'PAYTM', 'PHONEPE', 'GPAY',
+    'EMI', 'LOAN', 'INSTALLMENT', 'INSTALMENT', 'REPAYMENT',
+]);
+
+/** Free-text words that don't identify anyone: channels, filler and month names. */
+const FREE_TEXT_NOISE = new Set([
+    ...CHANNEL_WORDS, 'POS', 'ATM', 'DEBIT', 'CREDIT', 'FOR', 'FROM', 'THE', 'OF', 'AND', 'REF', 'TXN',
+    'PAYMENT', 'PMT', 'PAID', 'RECEIVED', 'WDL',
+    'JAN', 'JANUARY', 'FEB', 'FEBRUARY', 'MAR', 'MARCH', 'APR', 'APRIL', 'MAY', 'JUN', 'JUNE', 'JUL', 'JULY',
+    'AUG', 'AUGUST', 'SEP', 'SEPT', 'SEPTEMBER', 'OCT', 'OCTOBER', 'NOV', 'NOVEMBER', 'DEC', 'DECEMBER',
+]);
+
+/** Significant words kept from a free-text narration. */
+const FREE_TEXT_WORDS = 3;
+
+/** Legal-form words dropped from the grouping key, so "X PVT LTD" and "X" match. */
+const LEGAL_SUFFIXES = /(\s+(PVT|PRIVATE|LTD|LIMITED|LLP|CO|COMPANY|CORP|CORPORATION|INC|OPC))+$/;
+
+const VPA_PATTERN = /[A-Za-z0-9._]+@[A-Za-z][A-Za-z0-9]+/g;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const REFERENCE_PATTERN = /^([A-Z]{0,6}\d[A-Z0-9]*|X+\d+)$/;
+
+// ─── Fields ───────────────────────────────────────────────────────
+
+function words(field) {
+    return field.split(/\s+/).filter(Boolean);
+}
+
+function isChannelMarker(field) {
+    return words(field).every((word) => CHANNEL_WORDS.has(word));
+}
+
+function isBank(field) {
+    return /\bBANK\b/.test(field) || BANK_CODES.has(field);
+}
+
+function isNameLike(field) {
+    return /[A-Z].*[A-Z]/.test(field)
+        && words(field).some((word) => !/^\d+$/.test(word) && !REMARK_WORDS.has(word));
+}
+
+/** Whether the text is delimited by hyphens, e.g. "UPI-NAME-VPA-…" or "ACH D- NAME-…". */
+function isHyphenDelimited(text) {
+    const first = text.indexOf('-');
+    return first > 0 && isChannelMarker(text.slice(0, first).trim());
+}
+
+/**
+ * Splits a narration into fields on "/", "*" and "|". Hyphens only
+ * delimit fields in hyphen-delimited narrations, or when spaced, so
+ * hyphenated names ("SHARMA-GUPTA TRADERS") stay whole.
+ */
+function splitFields(text) {
+    const parts = text.split(/\s*[/*|]\s*/);
+    return parts
+        .flatMap((part, i) => (i === 0 && isHyphenDelimited(part)
+            ? part.split(/\s*-\s*/)
+            : part.split(/\s+-\s*|\s*-\s+/)))
+        .map((f) => f.trim())
+        .filter(Boolean);
+}
+
+/**
+ * The grouping key for a counterparty name: upper case, without "M/S",
+ * punctuation or a trailing legal form.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+    return String(name || '')
+        .toUpperCase()
+        .replace(/^(M\s*\/\s*S|MS)\b\.?\s*/, '')
+        .replace(/[^A-Z0-9&]+/g, ' ')
+        .trim()
+        .replace(LEGAL_SUFFIXES, '')
+        .trim();
+}
+
+/**
+ * The counterparty of a free-text narration: its first few words after
+ * dropping channels, references, numbers and month names.
+ */
+function freeTextName(text) {
+    return text
+        .split(/[^A-Z0-9]+/)
+        .filter((word) => word.length > 1 && !/\d/.test(word) && !FREE_TEXT_NOISE.has(word))
+        .slice(0, FREE_TEXT_WORDS)
+        .join(' ');
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Parses a narration into its counterparty and payment details.
+ *
+ * @param {string} narration
+ * @param {string} [mode] - The transaction mode, used when the narration doesn't name its channel.
+ * @returns {{ key: string|null, name: string|null, vpa: string|null, ifsc: string|null,
+ *   bank: string|null, channel: string|null, reference: string|null, remark: string|null }}
+ *   `key` groups the same counterparty across narrations: the normalised
+ *   name, else the VPA; null when the narration identifies no one.
+ */
+function parseNarration(narration, mode) {
+    const original = String(narration || '').trim();
+    const vpas = original.match(VPA_PATTERN) || [];
+    const text = original
+        .replace(VPA_PATTERN, ' @VPA ')
+        .toUpperCase()
+        .replace(/\bM\s*\/\s*S\b\.?/g, ' '); // "M/S" (messrs) isn't a field separator
+
+    const result = {
+        key: null,
+        name: null,
+        vpa: vpas.length > 0 ? vpas[0].toLowerCase() : null,
+        ifsc: null,
+        bank: null,
+        channel: null,
+        reference: null,
+        remark: null,
+    };
+
+    const fields = splitFields(text);
+    const structured = fields.length > 1 && (isChannelMarker(fields[0])
+        || fields.some((f) => f === '@VPA' || IFSC_PATTERN.test(f) || REFERENCE_PATTERN.test(f)));
+
+    if (structured) {
+        const named = [];
+        for (const field of fields) {
+            if (field === '@VPA') continue;
+            if (isChannelMarker(field)) {
+                const channel = words(field).map((word) => CHANNELS[word]).find(Boolean);
+                if (channel && !result.channel) result.channel = channel;
+            } else if (IFSC_PATTERN.test(field)) {
+                result.ifsc = result.ifsc || field;
+            } else if (REFERENCE_PATTERN.test(field)) {
+                result.reference = result.reference || field;
+            } else if (isBank(field)) {
+                result.bank = result.bank || field;
+            } else if (isNameLike(field)) {
+                named.push(field);
+            }
+        }
+
+        // MMT/IMPS narrations put the remark before the name
+        if (/^MMT\b/.test(fields[0]) && named.length > 1) named.push(named.shift());
+
+        result.name = named.length > 0 ? words(named[0]).join(' ') : null;
+        result.remark = named.length > 1 ? named.slice(1).join(' / ') : null;
+
+        // Loan EMIs collected by a bank name only the bank ("ACH/HDFC BANK LTD/LOAN1005/EMI")
+        if (!result.name && !result.vpa && result.bank) result.name = result.bank;
+    } else if (!result.vpa) {
+        // In free text a VPA says more about the counterparty than the words around it
+        result.name = freeTextName(text) || null;
+    }
+
+    if (!result.channel) result.channel = CHANNELS[String(mode || '').toUpperCase()] || null;
+
+    result.key = (result.name && normalizeName(result.name)) || result.vpa;
+    return result;
+}
+
+/**
+ * The counterparty of a normalized transaction, parsing the narration if
+ * the transaction doesn't carry it.
+ *
+ * @param {Object} transaction
+ * @returns {Object} See parseNarration.
+ */
+function counterpartyOf(transaction) {
+    return transaction.counterparty || parseNarration(transaction.narration, transaction.mode);
+}
+
+/**
+ * A key function for grouping counterparties within one statement. A VPA
+ * keeps the key it was first seen with, so "SWIGGY" and a narration that
+ * only has swiggy@icici group together.
+ *
+ * @returns {(counterparty: Object) => string|null}
+ */
+function createKeyResolver() {
+    const byVpa = new Map();
+    return ({ key, vpa }) => {
+        if (!vpa) return key;
+        if (!byVpa.has(vpa)) byVpa.set(vpa, key);
+        return byVpa.get(vpa);
+    };
+}
+
+module.exports = {
+    normalizeName,
+    parseNarration,
+    counterpartyOf,
+    createKeyResolver,
+};
@@ -0,0 +1,304 @@
+/**
+ * NovaScore Calculator
+ *
+ * Combines the outputs of the individual signal modules into a single
+ * 300–900 NovaScore with a risk band:
+ *  - gst       → gstComplianceCalculator.calculateCompliance
+ *  - fi        → transactionParser.analyzeTransactions (cash flow)
+ *  - upi       → upiAnalytics.analyzeUpi
+ *  - bbps      → reliabilityCalculator.calculateReliability
+ *  - behaviour → behaviourService.submitQuiz
+ *  - social    → socialScoreCalculator.calculateSocialScore
+ *
+ * Each signal is broken into 0–1 factors (see FACTOR_EXTRACTORS). Missing
+ * signals (e.g. no GSTIN) are dropped and the remaining weights are
+ * re-scaled to sum to 1, so the score is always computed from whatever
+ * evidence is available.
+ *
+ *   s_i             = weighted mean of signal i's factors
+ *   normalizedScore = Σ(w_i × s_i) / Σ(w_i)   over available signals
+ *   NovaScore       = 300 + normalizedScore × 600
+ */
+
+const { SCORE_WEIGHTS } = require('./socialScoreCalculator');
+
+const SIGNAL_NAMES = ['gst', 'fi', 'upi', 'bbps', 'behaviour', 'social'];
+
+// Bands follow NovaScoreEnsemble.get_rbi_band in ML-Training/ensemble_model.py
+const RISK_BANDS = [
+    { min: 750, band: 'PRIME', label: 'Excellent' },
+    { min: 650, band: 'GOOD', label: 'Reliable' },
+    { min: 550, band: 'FAIR', label: 'Moderate Risk' },
+    { min: 0, band: 'SUBPRIME', label: 'High Risk' },
+];
+
+// ─── Helpers ───────────────────────────────────────────────────────
+
+function clamp01(value) {
+    if (typeof value !== 'number' || isNaN(value)) return 0;
+    return Math.min(Math.max(value, 0), 1);
+}
+
+function round(value, places) {
+    const f = Math.pow(10, places);
+    return Math.round(value * f) / f;
+}
+
+/**
+ * Accepts either a raw calculator output or the `data` block of the
+ * corresponding API response (where metrics live under `summary`).
+ */
+function unwrap(input) {
+    if (!input || typeof input !== 'object') return null;
+    const data = input.data && typeof input.data === 'object' ? input.data : input;
+    return data.summary ? { ...data, ...data.summary } : data;
+}
+
+// ─── Signal Factors ────────────────────────────────────────────────
+// Each extractor returns the signal's factors as [{ key, label, value, weight }]
+// with values in 0–1, or null when the signal carries no evidence. The
+// signal score is the weighted mean of its factors, which keeps the
+// NovaScore linear in the factors so contributions can be attributed exactly.
+
+function factor(key, label, value, weight) {
+    return { key, label, value: round(clamp01(value), 4), weight };
+}
+
+/**
+ * GST: share of returns filed on or before the statutory due date.
+ */
+function extractGstFactors(input) {
+    const gst = unwrap(input);
+    if (!gst || !gst.totalFilings) return null;
+    return [factor('gstOnTimeRate', 'GST on-time filing rate', gst.complianceScore, 1)];
+}
+
+/**
+ * Monthly inflow totals of an FI analysis. The cashFlowHealth series covers
+ * every transaction; `credits` is only a sample of 50, so it is used only
+ * when it holds every credit (analyses made before cashFlowHealth).
+ */
+function monthlyInflows(fi) {
+    if (Array.isArray(fi.cashFlowHealth?.monthly)) {
+        return fi.cashFlowHealth.monthly.map((m) => m.inflow || 0);
+    }
+    if (!Array.isArray(fi.credits) || fi.credits.length !== fi.creditCount) return [];
+
+    const months = {};
+    for (const t of fi.credits) {
+        const d = new Date(t.date);
+        if (isNaN(d.getTime())) continue;
+        const key = `${d.getFullYear()}-${d.getMonth()}`;
+        months[key] = (months[key] || 0) + (t.amount || 0);
+    }
+    return Object.values(months);
+}
+
+/**
+ * Coefficient of variation of monthly inflow.
+ * Returns null when fewer than two months of inflow are present.
+ */
+function monthlyInflowVolatility(fi) {
+    const values = monthlyInflows(fi);
+    if (values.length < 2) return null;
+
+    const mean = values.reduce((s, v) => s + v, 0) / values.length;
+    if (mean <= 0) return null;
+    const variance = values.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / values.length;
+    return Math.sqrt(variance) / mean;
+}
+
+/**
+ * FI cash flow: savings rate mapped from [-1, 1] onto [0, 1] (a business
+ * that spends everything it earns scores 0.5), plus month-to-month inflow
+ * stability when at least two months of data are present.
+ */
+function extractFiFactors(input) {
+    const fi = unwrap(input);
+    if (!fi || !fi.totalTransactions) return null;
+
+    const factors = [factor('savingsRate', 'Savings rate', (fi.savingsRate + 1) / 2, 0.6)];
+
+    const volatility = monthlyInflowVolatility(fi);
+    if (volatility !== null) {
+        factors.push(factor('cashFlowVolatility', 'Cash-flow volatility', 1 - Math.min(volatility, 1), 0.4));
+    }
+
+    return factors;
+}
+
+/**
+ * UPI: merchant diversity and the share of UPI volume that is inflow.
+ */
+function extractUpiFactors(input) {
+    const upi = unwrap(input);
+    if (!upi || !upi.transactionCount) return null;
+
+    const inflow = upi.creditDebit?.inflowVolume || 0;
+    const outflow = upi.creditDebit?.outflowVolume || 0;
+    const inflowShare = inflow + outflow > 0 ? inflow / (inflow + outflow) : 0;
+
+    return [
+        factor('upiMerchantDiversity', 'UPI merchant diversity', upi.merchantDiversityScore, 0.6),
+        factor('upiInflowShare', 'UPI inflow share', inflowShare, 0.4),
+    ];
+}
+
+/**
+ * BBPS: weighted utility payment reliability (0–100), which penalises
+ * minor delays, major delays and unpaid bills.
+ */
+function extractBbpsFactors(input) {
+    const bbps = unwrap(input);
+    if (!bbps || !bbps.totalBills) return null;
+    return [factor('utilityDelays', 'Utility payment delays', bbps.reliabilityScore / 100, 1)];
+}
+
+/**
+ * Behaviour quiz: one factor per question category, weighted by the
+ * number of questions answered in it. Falls back to the overall score.
+ */
+function extractBehaviourFactors(input) {
+    const behaviour = unwrap(input);
+    if (!behaviour) return null;
+
+    const categories = Object.entries(behaviour.categoryBreakdown || {});
+    if (categories.length > 0) {
+        return categories.map(([cat, c]) => factor(
+            `behaviour.${cat}`,
+            `Behaviour: ${cat.replace(/_/g, ' ')}`,
+            c.maxScore > 0 ? c.score / c.maxScore : c.percentage / 100,
+            c.maxScore || 1,
+        ));
+    }
+
+    if (typeof behaviour.normalizedScore === 'number') {
+        return [factor('behaviourOverall', 'Behavioural assessment', behaviour.normalizedScore, 1)];
+    }
+    if (typeof behaviour.riskScore === 'number') {
+        return [factor('behaviourOverall', 'Behavioural assessment', behaviour.riskScore / 100, 1)];
+    }
+    return null;
+}
+
+/**
+ * Social: the four normalised social metrics when present, otherwise
+ * the aggregate social trust score.
+ */
+function extractSocialFactors(input) {
+    const social = unwrap(input);
+    if (!social || typeof social.socialScore !== 'number') return null;
+
+    const n = social.normalized;
+    if (n && typeof n === 'object') {
+        return [
+            factor('socialNetworkSize', 'Social network size', n.networkSize, SCORE_WEIGHTS.networkSize),
+            factor('socialPostFrequency', 'Social posting frequency', n.postFrequency, SCORE_WEIGHTS.postFrequency),
+            factor('socialAccountAge', 'Social account age', n.accountAge, SCORE_WEIGHTS.accountAge),
+            factor('socialInteractionRate', 'Social interaction rate', n.interactionRate, SCORE_WEIGHTS.interactionRate),
+        ];
+    }
+
+    return [factor('socialScore', 'Social trust score', social.socialScore, 1)];
+}
+
+const FACTOR_EXTRACTORS = {
+    gst: extractGstFactors,
+    fi: extractFiFactors,
+    upi: extractUpiFactors,
+    bbps: extractBbpsFactors,
+    behaviour: extractBehaviourFactors,
+    social: extractSocialFactors,
+};
+
+/**
+ * Weighted mean of a signal's factors (0–1).
+ *
+ * @param {Object[]} factors
+ * @returns {number}
+ */
+function scoreFactors(factors) {
+    const totalWeight = factors.reduce((s, f) => s + f.weight, 0);
+    if (totalWeight <= 0) return 0;
+    return factors.reduce((s, f) => s + f.weight * f.value, 0) / totalWeight;
+}
+
+// ─── Core Calculator ───────────────────────────────────────────────
+
+/**
+ * Maps a 300–900 score to its risk band.
+ *
+ * @param {number} score
+ * @returns {{ band: string, label: string }}
+ */
+function getRiskBand(score) {
+    const entry = RISK_BANDS.find((b) => score >= b.min);
+    return { band: entry.band, label: entry.label };
+}
+
+/**
+ * Calculates the composite NovaScore.
+ *
+ * @param {Object} signals - Module outputs keyed by signal name (any may be omitted).
+ * @param {Object} options
+ * @param {Object} options.weights  - Base weight per signal name.
+ * @param {number} options.minScore - Bottom of the score range (300).
+ * @param {number} options.maxScore - Top of the score range (900).
+ * @returns {Object|null} Score breakdown, or null when no signal is usable.
+ */
+function calculateNovaScore(signals, { weights, minScore, maxScore }) {
+    const breakdown = {};
+    const missingSignals = [];
+    let availableWeight = 0;
+    let configuredWeight = 0;
+
+    for (const name of SIGNAL_NAMES) {
+        const weight = Math.max(0, weights[name] || 0);
+        const factors = FACTOR_EXTRACTORS[name](signals?.[name]);
+        configuredWeight += weight;
+
+        breakdown[name] = {
+            available: factors !== null && weight > 0,
+            score: factors === null ? null : round(scoreFactors(factors), 4),
+            baseWeight: weight,
+            effectiveWeight: 0,
+            factors: factors || [],
+        };
+
+        if (breakdown[name].available) availableWeight += weight;
+        else missingSignals.push(name);
+    }
+
+    if (availableWeight === 0) return null;
+
+    // Re-weight across the signals that are present
+    let normalizedScore = 0;
+    for (const name of SIGNAL_NAMES) {
+        const entry = breakdown[name];
+        if (!entry.available) continue;
+        entry.effectiveWeight = round(entry.baseWeight / availableWeight, 4);
+        normalizedScore += (entry.baseWeight / availableWeight) * scoreFactors(entry.factors);
+    }
+
+    const rawScore = minScore + clamp01(normalizedScore) * (maxScore - minScore);
+    const novaScore = Math.round(rawScore);
+
+    return {
+        novaScore,
+        rawScore: round(rawScore, 2),
+        normalizedScore: round(normalizedScore, 4),
+        riskBand: getRiskBand(novaScore),
+        signals: breakdown,
+        missingSignals,
+        coverage: configuredWeight > 0 ? round(availableWeight / configuredWeight, 4) : 0,
+    };
+}
+
+module.exports = {
+    calculateNovaScore,
+    getRiskBand,
+    scoreFactors,
+    FACTOR_EXTRACTORS,
+    SIGNAL_NAMES,
+    RISK_BANDS,
+};
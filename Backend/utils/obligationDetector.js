@@ -0,0 +1,305 @@
+/**
+ * Obligation Detector
+ *
+ * Finds recurring outflows (EMIs, rent, salaries, subscriptions, SIPs,
+ * insurance, taxes, utilities) in normalized transactions:
+ *
+ *  1. Debits are grouped by counterparty (narrationParser), so changing
+ *     references, dates and remarks don't split a payee.
+ *  2. Each counterparty's payments are split into amount bands, so an EMI
+ *     whose interest varies stays together while unrelated payments to the
+ *     same payee don't. Utility bills and taxes vary too much to band.
+ *  3. The cadence comes from the median interval between payments. A band
+ *     is an obligation when most payments fall near one point in the cycle.
+ *  4. Payments are matched to the expected schedule to find missed and late
+ *     occurrences and the next expected date.
+ */
+const { dayOf } = require('./cashFlowHealth');
+const { counterpartyOf, createKeyResolver } = require('./narrationParser');
+
+/** Payments needed before a band counts as recurring. */
+const MIN_OCCURRENCES = 3;
+
+/** Share of payments that must fall on the cadence's schedule. */
+const MIN_REGULARITY = 0.75;
+
+/** Days after the expected date before a payment counts as late. */
+const LATE_GRACE_DAYS = 3;
+
+/** Consecutive unpaid slots after which an obligation is treated as ended. */
+const MAX_TRAILING_MISSES = 3;
+
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Cadences by median interval. `days` is the nominal length; month-based
+ * cadences step by calendar month. `tolerance` is how far (days) an
+ * interval may be from a whole number of cadences.
+ */
+const CADENCES = [
+    { cadence: 'WEEKLY', days: 7, min: 6, max: 8, tolerance: 2 },
+    { cadence: 'BIWEEKLY', days: 14, min: 12, max: 16, tolerance: 3 },
+    { cadence: 'MONTHLY', days: DAYS_PER_MONTH, months: 1, min: 26, max: 35, tolerance: 6 },
+    { cadence: 'QUARTERLY', days: DAYS_PER_MONTH * 3, months: 3, min: 84, max: 98, tolerance: 12 },
+];
+
+/**
+ * Obligation types, first match wins. `tolerance` is the amount band
+ * (± share of the band centre); null means any amount.
+ */
+const OBLIGATION_TYPES = [
+    { type: 'SIP', tolerance: 0.2, pattern: /\bSIP\b|SYSTEMATIC|MUTUAL\s*FUND|\bMF\b|BSE\s*STAR|\bCAMS\b|KFIN/i },
+    { type: 'INSURANCE', tolerance: 0.2, pattern: /INSURANCE|\bLIC\b|PREMIUM|POLICY/i },
+    { type: 'TAX', tolerance: null, pattern: /\bGST\b|GSTN|\bTDS\b|ADVANCE\s*TAX|INCOME\s*TAX|CBDT|PROFESSION(AL)?\s*TAX/i },
+    { type: 'EMI', tolerance: 0.2, category: 'EMI', pattern: /\bEMI\b|LOAN|MORTGAGE|INSTAL+MENT|FINANCE/i },
+    { type: 'RENT', tolerance: 0.2, category: 'Rent', pattern: /\bRENT(AL)?\b|LANDLORD|LEASE/i },
+    { type: 'SALARY', tolerance: 0.2, category: 'Salary', pattern: /SALARY|PAYROLL|WAGES|STIPEND/i },
+    { type: 'SUBSCRIPTION', tolerance: 0.2, pattern: /SUBSCRIPTION|MEMBERSHIP|NETFLIX|SPOTIFY|HOTSTAR|PRIME\s*VIDEO|YOUTUBE|GOOGLE\s*(PLAY|WORKSPACE|ONE)|APPLE\.COM|MICROSOFT|ADOBE|ZOHO|TALLY/i },
+    { type: 'UTILITY', tolerance: null, category: 'Utilities', pattern: /ELECTRICITY|BESCOM|WATER|BROADBAND|INTERNET|MOBILE|POSTPAID|\bGAS\b|\bDTH\b/i },
+];
+const DEFAULT_TYPE = { type: 'OTHER', tolerance: 0.2 };
+
+function round2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+/**
+ * The `index`-th expected date of a schedule starting at `anchor`, at
+ * `phase` in the cycle (see phaseOf). Month cadences fall on that day of
+ * the month, clamped to short months.
+ */
+function scheduleDate(anchor, spec, index, phase) {
+    const date = new Date(`${anchor}T00:00:00Z`);
+    if (spec.months) {
+        date.setUTCDate(1);
+        date.setUTCMonth(date.getUTCMonth() + spec.months * index);
+        const monthLength = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        date.setUTCDate(Math.min(phase, monthLength));
+    } else {
+        date.setUTCDate(date.getUTCDate() + phase + spec.days * index);
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+// ─── Grouping ─────────────────────────────────────────────────────
+
+function classifyObligation(payments) {
+    const latest = payments[payments.length - 1].t;
+    return OBLIGATION_TYPES.find(({ pattern }) => pattern.test(latest.narration || ''))
+        || OBLIGATION_TYPES.find(({ category }) => category && category === latest.category)
+        || DEFAULT_TYPE;
+}
+
+/**
+ * Splits payments into amount bands: each band spans ±tolerance around its
+ * centre. Bands come back in date order.
+ */
+function amountBands(payments, tolerance) {
+    if (tolerance === null) return [payments];
+
+    const bands = [];
+    let band = [];
+    for (const payment of [...payments].sort((a, b) => a.t.amount - b.t.amount)) {
+        if (band.length > 0 && payment.t.amount > band[0].t.amount * (1 + tolerance) / (1 - tolerance)) {
+            bands.push(band);
+            band = [];
+        }
+        band.push(payment);
+    }
+    if (band.length > 0) bands.push(band);
+
+    return bands.map((list) => list.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0)));
+}
+
+// ─── Cadence and Schedule ─────────────────────────────────────────
+
+/**
+ * Where in the cycle a payment falls: the day of the month for month-based
+ * cadences, else days since the first payment modulo the cadence.
+ */
+function phaseOf(payment, spec, anchor) {
+    if (spec.months) return Number(payment.day.slice(8, 10));
+    return ((daysBetween(anchor, payment.day) % spec.days) + spec.days) % spec.days;
+}
+
+/**
+ * The cadence the payments follow, or null when they're irregular. The
+ * median interval picks the cadence; most payments must then fall within
+ * its tolerance of one phase (a late payment is one outlier, not two bad
+ * intervals, and a missed one doesn't count against it).
+ *
+ * @returns {{ spec: Object, intervalDays: number, phase: number }|null}
+ */
+function detectCadence(payments) {
+    const intervals = [];
+    for (let i = 1; i < payments.length; i++) intervals.push(daysBetween(payments[i - 1].day, payments[i].day));
+
+    const typical = median(intervals);
+    const spec = CADENCES.find(({ min, max }) => typical >= min && typical <= max);
+    if (!spec) return null;
+
+    const phases = payments.map((payment) => phaseOf(payment, spec, payments[0].day));
+    const cycle = spec.months ? DAYS_PER_MONTH : spec.days;
+    const distance = (a, b) => {
+        const d = Math.abs(a - b) % cycle;
+        return Math.min(d, cycle - d);
+    };
+
+    // The phase closest to most payments; distances are capped so outliers don't pull it
+    const cost = (phase) => phases.reduce((sum, other) => sum + Math.min(distance(phase, other), spec.tolerance), 0);
+    const phase = phases.reduce((best, candidate) => (cost(candidate) < cost(best) ? candidate : best));
+
+    const onSchedule = phases.filter((other) => distance(phase, other) <= spec.tolerance).length;
+    if (onSchedule / payments.length < MIN_REGULARITY) return null;
+
+    return { spec, intervalDays: typical, phase };
+}
+
+/**
+ * Expected dates from the one the first payment belongs to through the end
+ * of the statement, each with the payment made for it. A payment belongs to
+ * the expected date whose window contains it; windows open a third of a
+ * cycle early, so a payment made a little ahead of time still counts.
+ *
+ * @returns {{ slots: { expected: string, payment: Object|null, due: boolean }[],
+ *   following: string }} `following` is the first expected date after them.
+ */
+function matchSchedule(payments, { spec, phase }, periodEnd) {
+    const anchor = payments[0].day;
+    const early = Math.floor(spec.days / 3);
+    const opens = (expected) => daysBetween(expected, periodEnd) >= -early;
+
+    const slots = [];
+    let index = -1;
+    for (; opens(scheduleDate(anchor, spec, index, phase)); index++) {
+        const expected = scheduleDate(anchor, spec, index, phase);
+        const next = scheduleDate(anchor, spec, index + 1, phase);
+        // Skip expected dates whose window closed before the first payment
+        if (daysBetween(anchor, next) <= early) continue;
+        slots.push({ expected, windowEnd: next, payment: null });
+    }
+
+    for (const payment of payments) {
+        const slot = slots.find((s) => daysBetween(payment.day, s.windowEnd) > early);
+        if (slot && !slot.payment) slot.payment = payment; // a second payment in one window is extra
+    }
+
+    return {
+        slots: slots.map(({ expected, payment }) => ({
+            expected,
+            payment,
+            due: daysBetween(expected, periodEnd) > LATE_GRACE_DAYS,
+        })),
+        following: scheduleDate(anchor, spec, index, phase),
+    };
+}
+
+function buildObligation(payments, kind, cadence, periodEnd) {
+    const { spec, intervalDays } = cadence;
+    const { slots, following } = matchSchedule(payments, cadence, periodEnd);
+
+    const late = [];
+    for (const { expected, payment } of slots) {
+        const daysLate = payment ? daysBetween(expected, payment.day) : 0;
+        if (daysLate > LATE_GRACE_DAYS) late.push({ expectedDate: expected, paidDate: payment.day, daysLate });
+    }
+
+    // Unpaid dates after the last payment: a few are missed, more mean it ended
+    const lastPaid = slots.map((slot) => Boolean(slot.payment)).lastIndexOf(true);
+    const trailing = slots.slice(lastPaid + 1).filter((slot) => slot.due).length;
+    let status = 'ACTIVE';
+    if (trailing >= MAX_TRAILING_MISSES) status = 'ENDED';
+    else if (trailing > 0) status = 'OVERDUE';
+
+    const missed = slots
+        .filter((slot, i) => !slot.payment && slot.due && (status !== 'ENDED' || i < lastPaid))
+        .map((slot) => slot.expected);
+
+    let expectedNextDate = null;
+    if (status !== 'ENDED') expectedNextDate = lastPaid + 1 < slots.length ? slots[lastPaid + 1].expected : following;
+
+    const amounts = payments.map((p) => p.t.amount);
+    const expectedAmount = median(amounts.slice(-3));
+    const latest = payments[payments.length - 1];
+
+    return {
+        type: kind.type,
+        counterparty: payments[0].counterparty,
+        narration: latest.t.narration,
+        cadence: spec.cadence,
+        intervalDays,
+        amount: {
+            expected: round2(expectedAmount),
+            average: round2(amounts.reduce((s, a) => s + a, 0) / amounts.length),
+            min: round2(Math.min(...amounts)),
+            max: round2(Math.max(...amounts)),
+        },
+        monthlyEquivalent: round2(expectedAmount * (DAYS_PER_MONTH / spec.days)),
+        occurrences: payments.length,
+        firstDate: payments[0].day,
+        lastDate: latest.day,
+        expectedNextDate,
+        status,
+        missed,
+        late,
+    };
+}
+
+// ─── Public API ───────────────────────────────────────────────────
+
+/**
+ * Detects recurring obligations among the debits.
+ *
+ * @param {Object[]} transactions - Normalized transactions (any order).
+ * @returns {Object[]} Obligations, largest monthly equivalent first:
+ *   { type, counterparty, narration, cadence, intervalDays, amount,
+ *     monthlyEquivalent, occurrences, firstDate, lastDate,
+ *     expectedNextDate, status: 'ACTIVE'|'OVERDUE'|'ENDED', missed, late }.
+ */
+function detectObligations(transactions) {
+    const dated = (Array.isArray(transactions) ? transactions : [])
+        .map((t) => ({ t, day: dayOf(t.date) }))
+        .filter(({ day }) => day);
+    if (dated.length === 0) return [];
+
+    const periodEnd = dated.reduce((last, { day }) => (day > last ? day : last), dated[0].day);
+
+    const groups = new Map();
+    const resolveKey = createKeyResolver();
+    for (const payment of dated) {
+        if (payment.t.type !== 'DEBIT') continue;
+        const counterparty = resolveKey(counterpartyOf(payment.t));
+        if (!counterparty) continue;
+        if (!groups.has(counterparty)) groups.set(counterparty, []);
+        groups.get(counterparty).push({ ...payment, counterparty });
+    }
+
+    const obligations = [];
+    for (const payments of groups.values()) {
+        if (payments.length < MIN_OCCURRENCES) continue;
+        payments.sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+        const kind = classifyObligation(payments);
+
+        for (const band of amountBands(payments, kind.tolerance)) {
+            if (band.length < MIN_OCCURRENCES) continue;
+            const cadence = detectCadence(band);
+            if (cadence) obligations.push(buildObligation(band, kind, cadence, periodEnd));
+        }
+    }
+
+    return obligations.sort((a, b) => b.monthlyEquivalent - a.monthlyEquivalent);
+}
+
+module.exports = {
+    detectObligations,
+};
@@ -0,0 +1,52 @@
+/**
+ * Password Hashing Utility
+ *
+ * Hashes lender passwords with scrypt (memory-hard KDF built into Node).
+ *
+ * Stored format: scrypt$<saltHex>$<hashHex>
+ */
+const crypto = require('crypto');
+
+const SALT_LENGTH = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a random salt.
+ *
+ * @param {string} password
+ * @returns {Promise<string>} Encoded hash.
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, salt, KEY_LENGTH, (err, derived) => {
+            if (err) return reject(err);
+            resolve(`scrypt$${salt.toString('hex')}$${derived.toString('hex')}`);
+        });
+    });
+}
+
+/**
+ * Verifies a password against an encoded hash in constant time.
+ *
+ * @param {string} password
+ * @param {string} encoded - Output of hashPassword.
+ * @returns {Promise<boolean>}
+ */
+function verifyPassword(password, encoded) {
+    const [scheme, saltHex, hashHex] = (encoded || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return Promise.resolve(false);
+
+    const expected = Buffer.from(hashHex, 'hex');
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(password, Buffer.from(saltHex, 'hex'), expected.length, (err, derived) => {
+            if (err) return reject(err);
+            resolve(crypto.timingSafeEqual(derived, expected));
+        });
+    });
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+};
@@ -0,0 +1,63 @@
+/**
+ * Roles & Permissions
+ *
+ * Role-based access control for MSME (Aadhaar-authenticated) users and
+ * lender staff. Lender roles are scoped to their organisation; access to
+ * an applicant's data additionally requires an ACTIVE consent naming the
+ * lender organisation as DataConsumer (see accessControlService).
+ */
+
+const ROLES = {
+    MSME: 'msme',
+    ANALYST: 'analyst',
+    CREDIT_OFFICER: 'credit-officer',
+    ADMIN: 'admin',
+};
+
+const LENDER_ROLES = [ROLES.ANALYST, ROLES.CREDIT_OFFICER, ROLES.ADMIN];
+
+const PERMISSIONS = {
+    // Consents, FI sessions, GST/BBPS/UPI fetches and score computation for oneself
+    'own-data:manage': [ROLES.MSME],
+    // View NovaScores (own for MSME; consented applicants for lenders)
+    'scores:read': [ROLES.MSME, ROLES.ANALYST, ROLES.CREDIT_OFFICER, ROLES.ADMIN],
+    // Re-verify a consent artefact's signature (own consents for MSME; consents naming the organisation for lenders)
+    'consents:verify': [ROLES.MSME, ROLES.ANALYST, ROLES.CREDIT_OFFICER, ROLES.ADMIN],
+    // List applicants who granted consent to the lender organisation
+    'applicants:read': [ROLES.ANALYST, ROLES.CREDIT_OFFICER, ROLES.ADMIN],
+    // Read the organisation's audit trail and verify the audit chain
+    'audit:read': [ROLES.ADMIN],
+    // Create and list staff accounts within the organisation
+    'lender-users:manage': [ROLES.ADMIN],
+    // Test narrations against the categorisation ruleset (with the organisation's overrides for lenders)
+    'category-rules:read': [ROLES.MSME, ROLES.ANALYST, ROLES.CREDIT_OFFICER, ROLES.ADMIN],
+};
+
+/**
+ * Whether a role holds a permission.
+ *
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Whether a role belongs to lender staff.
+ *
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isLenderRole(role) {
+    return LENDER_ROLES.includes(role);
+}
+
+module.exports = {
+    ROLES,
+    LENDER_ROLES,
+    PERMISSIONS,
+    hasPermission,
+    isLenderRole,
+};
@@ -0,0 +1,343 @@
+/**
+ * ReBIT Deposit FI Parser
+ *
+ * Parses and validates `Account` documents of the ReBIT FI schema for
+ * Deposit accounts (savings / current), as FIPs deliver them inside
+ * encryptedFI — either XML:
+ *
+ *   <Account xmlns="http://api.rebit.org.in/FISchema/deposit" type="deposit" maskedAccNumber="..." ...>
+ *     <Profile><Holders type="SINGLE"><Holder name="..." pan="..." .../></Holders></Profile>
+ *     <Summary currentBalance="..." currency="INR" type="SAVINGS" branch="..." openingDate="..." ...>
+ *       <Pending transactionType="DEBIT" amount="..."/>
+ *     </Summary>
+ *     <Transactions startDate="..." endDate="...">
+ *       <Transaction txnId="..." type="CREDIT" mode="UPI" amount="..." currentBalance="..."
+ *                    transactionTimestamp="..." valueDate="..." narration="..." reference="..."/>
+ *     </Transactions>
+ *   </Account>
+ *
+ * or the equivalent JSON ({ "Account": { "Profile": ..., "Summary": ...,
+ * "Transactions": { "Transaction": [...] } } }). XML attributes and JSON
+ * properties map to the same fields.
+ *
+ * Profile, Summary and Transactions are each optional (the consent's
+ * consentTypes decide which the FIP sends), but a present block must be
+ * well-formed. Every violation is reported with its path, e.g.
+ * `Account.Transactions.Transaction[3].amount: must be a decimal number`.
+ */
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+
+const TRANSACTION_TYPES = ['CREDIT', 'DEBIT', 'OPENING', 'INTEREST', 'TDS', 'INSTALLMENT', 'CLOSING', 'OTHERS'];
+const ACCOUNT_TYPES = ['SAVINGS', 'CURRENT'];
+const ACCOUNT_STATUSES = ['ACTIVE', 'INACTIVE'];
+const HOLDER_TYPES = ['SINGLE', 'JOINT'];
+const PENDING_TYPES = ['CREDIT', 'DEBIT'];
+
+/** Stop collecting after this many violations; the first ones matter. */
+const MAX_ERRORS = 20;
+
+const DECIMAL_REGEX = /^-?\d+(\.\d+)?$/;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    removeNSPrefix: true,
+    parseAttributeValue: false,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['Holder', 'Pending', 'Transaction'].includes(name),
+});
+
+// ─── Input ────────────────────────────────────────────────────────
+
+/**
+ * Whether a decrypted FI payload is a ReBIT Account document (XML, or
+ * JSON with an `Account` root).
+ *
+ * @param {string|Object} input
+ * @returns {boolean}
+ */
+function isRebitDocument(input) {
+    if (typeof input === 'string') {
+        const text = input.trim();
+        return text.startsWith('<') || /^\{\s*"Account"\s*:/.test(text);
+    }
+    return Boolean(input && typeof input === 'object' && !Array.isArray(input) && input.Account);
+}
+
+function readDocument(input) {
+    if (input && typeof input === 'object') return { document: input };
+    if (typeof input !== 'string' || !input.trim()) return { error: 'FI document is empty.' };
+
+    const text = input.trim().replace(/^﻿/, '');
+    if (text.startsWith('<')) {
+        const validation = XMLValidator.validate(text);
+        if (validation !== true) {
+            const { msg, line, col } = validation.err;
+            return { error: `Malformed XML at line ${line}, column ${col}: ${msg}` };
+        }
+        return { document: xmlParser.parse(text) };
+    }
+
+    try {
+        return { document: JSON.parse(text) };
+    } catch (err) {
+        return { error: `Malformed JSON: ${err.message}` };
+    }
+}
+
+// ─── Field Checks ─────────────────────────────────────────────────
+
+/**
+ * Collects violations and converts field values. Each reader returns the
+ * converted value, or undefined when the field is absent or invalid.
+ */
+function createValidator() {
+    const errors = [];
+    const fail = (path, message) => {
+        if (errors.length < MAX_ERRORS) errors.push(`${path}: ${message}`);
+        return undefined;
+    };
+    const isMissing = (value) => value === undefined || value === null || value === '';
+
+    return {
+        errors,
+        fail,
+
+        string(obj, key, path, { required = false } = {}) {
+            const value = obj[key];
+            if (isMissing(value)) return required ? fail(`${path}.${key}`, 'is required') : undefined;
+            if (typeof value === 'object') return fail(`${path}.${key}`, 'must be a string');
+            return String(value);
+        },
+
+        decimal(obj, key, path, { required = false, min } = {}) {
+            const value = obj[key];
+            if (isMissing(value)) return required ? fail(`${path}.${key}`, 'is required') : undefined;
+            if (typeof value === 'number' ? !Number.isFinite(value) : !DECIMAL_REGEX.test(String(value).trim())) {
+                return fail(`${path}.${key}`, `must be a decimal number (got "${value}")`);
+            }
+            const number = Number(value);
+            if (min !== undefined && number < min) return fail(`${path}.${key}`, `must be at least ${min}`);
+            return number;
+        },
+
+        enumeration(obj, key, path, allowed, { required = false } = {}) {
+            const value = obj[key];
+            if (isMissing(value)) return required ? fail(`${path}.${key}`, 'is required') : undefined;
+            const normalized = String(value).toUpperCase();
+            if (!allowed.includes(normalized)) {
+                return fail(`${path}.${key}`, `must be one of ${allowed.join(', ')} (got "${value}")`);
+            }
+            return normalized;
+        },
+
+        date(obj, key, path, { required = false } = {}) {
+            const value = obj[key];
+            if (isMissing(value)) return required ? fail(`${path}.${key}`, 'is required') : undefined;
+            const text = String(value);
+            if (!DATE_REGEX.test(text) || Number.isNaN(Date.parse(text))) {
+                return fail(`${path}.${key}`, `must be a date as YYYY-MM-DD (got "${value}")`);
+            }
+            return text;
+        },
+
+        dateTime(obj, key, path, { required = false } = {}) {
+            const value = obj[key];
+            if (isMissing(value)) return required ? fail(`${path}.${key}`, 'is required') : undefined;
+            const text = String(value);
+            if (!DATE_TIME_REGEX.test(text) || Number.isNaN(Date.parse(text))) {
+                return fail(`${path}.${key}`, `must be an ISO 8601 date-time (got "${value}")`);
+            }
+            return text;
+        },
+
+        /** A child element: an object (or absent). */
+        block(obj, key, path) {
+            const value = obj[key];
+            if (value === undefined) return undefined;
+            if (value === '') return {}; // empty element: its required children are reported
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return fail(`${path}.${key}`, 'must be an element/object');
+            }
+            return value;
+        },
+
+        /** A repeated child element: always an array (JSON may give one object). */
+        list(obj, key) {
+            const value = obj[key];
+            if (value === undefined || value === null || value === '') return [];
+            return Array.isArray(value) ? value : [value];
+        },
+    };
+}
+
+// ─── Blocks ───────────────────────────────────────────────────────
+
+function parseProfile(v, profile, path) {
+    const holders = v.block(profile, 'Holders', path);
+    if (!holders) {
+        v.fail(`${path}.Holders`, 'is required');
+        return null;
+    }
+
+    const holdersPath = `${path}.Holders`;
+    const entries = v.list(holders, 'Holder');
+    if (entries.length === 0) v.fail(`${holdersPath}.Holder`, 'at least one Holder is required');
+
+    return {
+        holdersType: v.enumeration(holders, 'type', holdersPath, HOLDER_TYPES),
+        holders: entries.map((holder, index) => {
+            const holderPath = `${holdersPath}.Holder[${index}]`;
+            if (!holder || typeof holder !== 'object') {
+                v.fail(holderPath, 'must be an element/object');
+                return null;
+            }
+            return {
+                name: v.string(holder, 'name', holderPath, { required: true }),
+                dob: v.date(holder, 'dob', holderPath),
+                mobile: v.string(holder, 'mobile', holderPath),
+                email: v.string(holder, 'email', holderPath),
+                pan: v.string(holder, 'pan', holderPath),
+                address: v.string(holder, 'address', holderPath),
+                nominee: v.string(holder, 'nominee', holderPath),
+                ckycCompliance: holder.ckycCompliance === undefined
+                    ? undefined
+                    : String(holder.ckycCompliance).toLowerCase() === 'true',
+            };
+        }).filter(Boolean),
+    };
+}
+
+function parseSummary(v, summary, path) {
+    return {
+        currentBalance: v.decimal(summary, 'currentBalance', path, { required: true }),
+        currency: v.string(summary, 'currency', path) || 'INR',
+        balanceDateTime: v.dateTime(summary, 'balanceDateTime', path),
+        type: v.enumeration(summary, 'type', path, ACCOUNT_TYPES),
+        branch: v.string(summary, 'branch', path),
+        ifscCode: v.string(summary, 'ifscCode', path),
+        micrCode: v.string(summary, 'micrCode', path),
+        openingDate: v.date(summary, 'openingDate', path),
+        facility: v.string(summary, 'facility', path),
+        currentODLimit: v.decimal(summary, 'currentODLimit', path),
+        drawingLimit: v.decimal(summary, 'drawingLimit', path),
+        status: v.enumeration(summary, 'status', path, ACCOUNT_STATUSES),
+        pending: v.list(summary, 'Pending').map((pending, index) => {
+            const pendingPath = `${path}.Pending[${index}]`;
+            return {
+                transactionType: v.enumeration(pending, 'transactionType', pendingPath, PENDING_TYPES, { required: true }),
+                amount: v.decimal(pending, 'amount', pendingPath, { required: true, min: 0 }),
+            };
+        }),
+    };
+}
+
+function parseTransactionBlock(v, block, path) {
+    const startDate = v.date(block, 'startDate', path);
+    const endDate = v.date(block, 'endDate', path);
+    if (startDate && endDate && startDate > endDate) v.fail(`${path}.endDate`, 'is before startDate');
+
+    const seen = new Set();
+    const transactions = v.list(block, 'Transaction').map((txn, index) => {
+        const txnPath = `${path}.Transaction[${index}]`;
+        if (!txn || typeof txn !== 'object') {
+            v.fail(txnPath, 'must be an element/object');
+            return null;
+        }
+
+        const txnId = v.string(txn, 'txnId', txnPath, { required: true });
+        if (txnId !== undefined) {
+            if (seen.has(txnId)) v.fail(`${txnPath}.txnId`, `duplicates an earlier transaction ("${txnId}")`);
+            seen.add(txnId);
+        }
+
+        return {
+            txnId,
+            type: v.enumeration(txn, 'type', txnPath, TRANSACTION_TYPES, { required: true }),
+            mode: v.string(txn, 'mode', txnPath, { required: true }),
+            amount: v.decimal(txn, 'amount', txnPath, { required: true, min: 0 }),
+            currentBalance: v.decimal(txn, 'currentBalance', txnPath, { required: true }),
+            transactionTimestamp: v.dateTime(txn, 'transactionTimestamp', txnPath, { required: true }),
+            valueDate: v.date(txn, 'valueDate', txnPath, { required: true }),
+            narration: v.string(txn, 'narration', txnPath) || '',
+            reference: v.string(txn, 'reference', txnPath) || '',
+        };
+    }).filter(Boolean);
+
+    return { startDate, endDate, transactions };
+}
+
+// ─── Parse ────────────────────────────────────────────────────────
+
+/**
+ * Parses a ReBIT Deposit `Account` document.
+ *
+ * @param {string|Object} input - XML string, JSON string or parsed JSON.
+ * @returns {{ success: boolean, error?: string, errors?: string[],
+ *   account?: { type: string, maskedAccNumber?: string, linkedAccRef?: string, version?: string },
+ *   profile?: Object|null, summary?: Object|null,
+ *   transactionRange?: { startDate?: string, endDate?: string }|null,
+ *   transactions?: Object[] }}
+ */
+function parseDepositAccount(input) {
+    const { document, error } = readDocument(input);
+    if (error) return { success: false, error, errors: [error] };
+
+    const v = createValidator();
+    const account = document && typeof document === 'object' ? document.Account : undefined;
+    if (!account || typeof account !== 'object' || Array.isArray(account)) {
+        const message = 'FI document has no Account root element.';
+        return { success: false, error: message, errors: [message] };
+    }
+
+    const accountType = v.string(account, 'type', 'Account', { required: true });
+    if (accountType !== undefined && accountType.toLowerCase() !== 'deposit') {
+        v.fail('Account.type', `must be "deposit" (got "${accountType}"); only Deposit accounts are supported`);
+    }
+
+    const profile = v.block(account, 'Profile', 'Account');
+    const summary = v.block(account, 'Summary', 'Account');
+    const transactionBlock = v.block(account, 'Transactions', 'Account');
+    if (account.Profile === undefined && account.Summary === undefined && account.Transactions === undefined) {
+        v.fail('Account', 'must contain at least one of Profile, Summary or Transactions');
+    }
+
+    const result = {
+        account: {
+            type: 'deposit',
+            maskedAccNumber: v.string(account, 'maskedAccNumber', 'Account'),
+            linkedAccRef: v.string(account, 'linkedAccRef', 'Account'),
+            version: v.string(account, 'version', 'Account'),
+        },
+        profile: profile ? parseProfile(v, profile, 'Account.Profile') : null,
+        summary: summary ? parseSummary(v, summary, 'Account.Summary') : null,
+        transactionRange: null,
+        transactions: [],
+    };
+
+    if (transactionBlock) {
+        const { startDate, endDate, transactions } = parseTransactionBlock(v, transactionBlock, 'Account.Transactions');
+        result.transactionRange = { startDate, endDate };
+        result.transactions = transactions;
+    }
+
+    if (v.errors.length > 0) {
+        const more = v.errors.length > 3 ? ` (+${v.errors.length - 3} more)` : '';
+        return {
+            success: false,
+            error: `Invalid ReBIT Deposit document: ${v.errors.slice(0, 3).join('; ')}${more}`,
+            errors: v.errors,
+        };
+    }
+
+    return { success: true, ...result };
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    isRebitDocument,
+    parseDepositAccount,
+};
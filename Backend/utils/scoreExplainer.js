@@ -0,0 +1,160 @@
+/**
+ * NovaScore Explainer
+ *
+ * Produces SHAP-style signed factor contributions for a NovaScore result.
+ *
+ * The NovaScore is linear in its factors, so the exact Shapley value of
+ * each factor relative to a reference applicant is:
+ *
+ *   contribution_f = (maxScore − minScore) × W_signal × w_f × (x_f − b_f)
+ *
+ * where W_signal is the signal's effective weight, w_f the factor's share
+ * of that signal, x_f the applicant's value and b_f the reference value.
+ * The contributions therefore sum to (rawScore − baselineScore), where
+ * baselineScore is the score the reference applicant would receive under
+ * the same signal weights.
+ */
+
+// ─── Reference Applicant ───────────────────────────────────────────
+// Typical values for a performing MSME. Factors without an entry use
+// DEFAULT_BASELINE.
+
+const DEFAULT_BASELINE = 0.6;
+
+const BASELINE_VALUES = {
+    gstOnTimeRate: 0.7,
+    savingsRate: 0.55,
+    cashFlowVolatility: 0.7,
+    upiMerchantDiversity: 0.6,
+    upiInflowShare: 0.5,
+    utilityDelays: 0.75,
+    behaviourOverall: 0.6,
+    socialScore: 0.4,
+    socialNetworkSize: 0.3,
+    socialPostFrequency: 0.4,
+    socialAccountAge: 0.5,
+    socialInteractionRate: 0.3,
+};
+
+// ─── Reason Codes ──────────────────────────────────────────────────
+// Adverse-action reasons, reported for factors that pull the score below
+// the reference applicant.
+
+const REASON_CODES = {
+    gstOnTimeRate: { code: 'G01', text: 'GST returns were filed after the statutory due date.' },
+    savingsRate: { code: 'F01', text: 'Outflows are high relative to inflows in the bank account.' },
+    cashFlowVolatility: { code: 'F02', text: 'Monthly business inflows vary significantly.' },
+    upiMerchantDiversity: { code: 'U01', text: 'UPI activity is concentrated in few merchant categories.' },
+    upiInflowShare: { code: 'U02', text: 'UPI receipts are low relative to UPI payments.' },
+    utilityDelays: { code: 'B01', text: 'Utility bills were paid late or remain unpaid.' },
+    behaviourOverall: { code: 'Q01', text: 'Behavioural assessment indicates weak financial practices.' },
+    socialScore: { code: 'S01', text: 'Limited verifiable public business presence.' },
+    socialNetworkSize: { code: 'S02', text: 'Small professional network on linked social platforms.' },
+    socialPostFrequency: { code: 'S03', text: 'Low recent activity on linked social platforms.' },
+    socialAccountAge: { code: 'S04', text: 'Linked social accounts are recently created.' },
+    socialInteractionRate: { code: 'S05', text: 'Low engagement on linked social platforms.' },
+};
+
+const BEHAVIOUR_REASON = { code: 'Q02', text: 'Behavioural assessment indicates weakness in' };
+
+const MISSING_SIGNAL_REASONS = {
+    gst: { code: 'M01', text: 'Insufficient GST filing history.' },
+    fi: { code: 'M02', text: 'Insufficient bank account transaction history.' },
+    upi: { code: 'M03', text: 'Insufficient UPI transaction history.' },
+    bbps: { code: 'M04', text: 'Insufficient utility payment history.' },
+    behaviour: { code: 'M05', text: 'Behavioural assessment not completed.' },
+    social: { code: 'M06', text: 'No social profiles linked.' },
+};
+
+const MAX_REASON_CODES = 4;
+
+// ─── Helpers ───────────────────────────────────────────────────────
+
+function round(value, places) {
+    const f = Math.pow(10, places);
+    return Math.round(value * f) / f;
+}
+
+function baselineFor(key) {
+    return BASELINE_VALUES[key] !== undefined ? BASELINE_VALUES[key] : DEFAULT_BASELINE;
+}
+
+function reasonFor(contribution) {
+    if (REASON_CODES[contribution.factor]) {
+        return { ...REASON_CODES[contribution.factor], factor: contribution.factor };
+    }
+    if (contribution.factor.startsWith('behaviour.')) {
+        const area = contribution.factor.slice('behaviour.'.length).replace(/_/g, ' ');
+        return { code: BEHAVIOUR_REASON.code, factor: contribution.factor, text: `${BEHAVIOUR_REASON.text} ${area}.` };
+    }
+    return { code: 'X01', factor: contribution.factor, text: `${contribution.label} is below typical levels.` };
+}
+
+// ─── Explainer ─────────────────────────────────────────────────────
+
+/**
+ * Computes signed factor contributions and adverse-action reason codes.
+ *
+ * @param {Object} result - Output of novaScoreCalculator.calculateNovaScore.
+ * @param {Object} options
+ * @param {number} options.minScore
+ * @param {number} options.maxScore
+ * @returns {{ baselineScore: number, rawScore: number, contributions: Object[], reasonCodes: Object[] }}
+ */
+function explainScore(result, { minScore, maxScore }) {
+    const range = maxScore - minScore;
+    const contributions = [];
+    let baselineNormalized = 0;
+
+    const available = Object.entries(result.signals).filter(([, entry]) => entry.available);
+    const availableWeight = available.reduce((s, [, entry]) => s + entry.baseWeight, 0);
+
+    for (const [signal, entry] of available) {
+        const factorWeight = entry.factors.reduce((s, f) => s + f.weight, 0);
+        if (factorWeight <= 0) continue;
+
+        for (const f of entry.factors) {
+            const share = (entry.baseWeight / availableWeight) * (f.weight / factorWeight);
+            const baselineValue = baselineFor(f.key);
+            const contribution = range * share * (f.value - baselineValue);
+            baselineNormalized += share * baselineValue;
+
+            contributions.push({
+                factor: f.key,
+                label: f.label,
+                signal,
+                value: f.value,
+                baselineValue,
+                contribution: round(contribution, 2),
+                direction: contribution >= 0 ? 'positive' : 'negative',
+            });
+        }
+    }
+
+    contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+
+    const reasonCodes = contributions
+        .filter((c) => c.contribution < 0)
+        .slice(0, MAX_REASON_CODES)
+        .map(reasonFor);
+
+    for (const signal of result.missingSignals) {
+        if (reasonCodes.length >= MAX_REASON_CODES) break;
+        if (MISSING_SIGNAL_REASONS[signal]) {
+            reasonCodes.push({ ...MISSING_SIGNAL_REASONS[signal], factor: signal });
+        }
+    }
+
+    return {
+        baselineScore: round(minScore + baselineNormalized * range, 2),
+        rawScore: result.rawScore,
+        contributions,
+        reasonCodes,
+    };
+}
+
+module.exports = {
+    explainScore,
+    BASELINE_VALUES,
+    REASON_CODES,
+};
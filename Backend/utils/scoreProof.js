@@ -0,0 +1,191 @@
+/**
+ * Score Proof Utility
+ *
+ * Builds and verifies the cryptographic proof attached to every NovaScore.
+ * A proof commits to:
+ *  - the SHA-256 hash of each input signal (gst, fi, upi, bbps, behaviour, social),
+ *  - the hash of the scoring model (weights and score range),
+ *  - the hash of the stored score result,
+ *  - the hash of the previous proof, forming an append-only chain.
+ * All hashes are taken over canonical (key-sorted) JSON.
+ *
+ * Run offline against a GET /score/:scoreId/proof response:
+ *   node utils/scoreProof.js proof.json
+ * The verifier recomputes the score from the stated inputs and model and
+ * exits non-zero if anything does not match.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { canonicalJson } = require('./canonicalJson');
+const { calculateNovaScore, SIGNAL_NAMES } = require('./novaScoreCalculator');
+const { explainScore } = require('./scoreExplainer');
+
+const PROOF_VERSION = 1;
+
+/** prevProofHash of the first proof in the chain. */
+const GENESIS_HASH = '0'.repeat(64);
+
+/** Score fields that are recomputed from the inputs during verification. */
+const RECOMPUTED_FIELDS = [
+    'novaScore', 'rawScore', 'normalizedScore', 'riskBand', 'signals',
+    'missingSignals', 'coverage', 'explanation',
+];
+
+// ─── Hashing ──────────────────────────────────────────────────────
+
+/**
+ * SHA-256 of a value's canonical JSON.
+ *
+ * @param {*} value
+ * @returns {string} Hex digest.
+ */
+function hashValue(value) {
+    return crypto.createHash('sha256').update(canonicalJson(value)).digest('hex');
+}
+
+/**
+ * Hash of every input signal; null for signals that were not supplied.
+ *
+ * @param {Object} signals - Module outputs keyed by signal name.
+ * @returns {Object<string, string|null>}
+ */
+function hashSignals(signals) {
+    const hashes = {};
+    for (const name of SIGNAL_NAMES) {
+        hashes[name] = signals?.[name] === undefined ? null : hashValue(signals[name]);
+    }
+    return hashes;
+}
+
+function hashProof(proof) {
+    const { proofHash, ...fields } = proof;
+    return hashValue(fields);
+}
+
+// ─── Build ────────────────────────────────────────────────────────
+
+/**
+ * Builds the proof for a computed score on top of the previous proof.
+ *
+ * @param {Object} params
+ * @param {Object} params.score       - Stored score record.
+ * @param {Object} params.signals     - Input signals the score was computed from.
+ * @param {Object} params.model       - { weights, minScore, maxScore } used.
+ * @param {Object|null} params.prevProof - Current head of the chain.
+ * @returns {Object} Proof.
+ */
+function buildScoreProof({ score, signals, model, prevProof }) {
+    const proof = {
+        version: PROOF_VERSION,
+        algorithm: 'SHA-256',
+        seq: prevProof ? prevProof.seq + 1 : 1,
+        scoreId: score.scoreId,
+        computedAt: score.computedAt,
+        inputHashes: hashSignals(signals),
+        modelHash: hashValue(model),
+        resultHash: hashValue(score),
+        prevProofHash: prevProof ? prevProof.proofHash : GENESIS_HASH,
+    };
+    return { ...proof, proofHash: hashProof(proof) };
+}
+
+// ─── Verify ───────────────────────────────────────────────────────
+
+/**
+ * Verifies a score against its proof: the inputs and model hash to what the
+ * proof states, recomputing the score from them reproduces the stored
+ * result, the result hashes to resultHash, and the proof links to the
+ * previous proof (when given).
+ *
+ * @param {Object} bundle
+ * @param {Object} bundle.score
+ * @param {Object} bundle.signals
+ * @param {Object} bundle.model
+ * @param {Object} bundle.proof
+ * @param {{ seq: number, proofHash: string }|null} [bundle.previousProof]
+ * @returns {{ valid: boolean, checks: Object<string, boolean>, errors: string[] }}
+ */
+function verifyScoreProof({ score, signals, model, proof, previousProof = null }) {
+    const errors = [];
+    const checks = {};
+
+    const check = (name, passed, message) => {
+        checks[name] = passed;
+        if (!passed) errors.push(message);
+    };
+
+    check('proofHash', hashProof(proof) === proof.proofHash, 'Proof fields do not match proofHash.');
+    check('scoreId', score.scoreId === proof.scoreId, 'Proof belongs to a different score.');
+    check('inputs', canonicalJson(hashSignals(signals)) === canonicalJson(proof.inputHashes),
+        'Input signals do not match the proof\'s inputHashes.');
+    check('model', hashValue(model) === proof.modelHash, 'Scoring model does not match modelHash.');
+    check('result', hashValue(score) === proof.resultHash, 'Score result has been altered since the proof was made.');
+
+    const recomputed = calculateNovaScore(signals, model);
+    const expected = recomputed ? { ...recomputed, explanation: explainScore(recomputed, model) } : null;
+    const mismatched = expected
+        ? RECOMPUTED_FIELDS.filter((field) => canonicalJson(expected[field]) !== canonicalJson(score[field]))
+        : RECOMPUTED_FIELDS;
+    check('recomputed', mismatched.length === 0,
+        `Recomputing from the inputs gives a different result: ${mismatched.join(', ')}.`);
+
+    if (previousProof) {
+        check('chain', proof.prevProofHash === previousProof.proofHash
+            && proof.seq === previousProof.seq + 1,
+        'Proof does not link to the previous proof.');
+    } else if (proof.seq === 1) {
+        check('chain', proof.prevProofHash === GENESIS_HASH, 'First proof must link to the genesis hash.');
+    }
+
+    return { valid: errors.length === 0, checks, errors };
+}
+
+/**
+ * Verifies that a list of proofs, in seq order, forms an unbroken chain.
+ *
+ * @param {Object[]} proofs
+ * @returns {{ valid: boolean, checked: number, headHash: string|null, brokenAt?: number }}
+ */
+function verifyProofChain(proofs) {
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < proofs.length; i++) {
+        const proof = proofs[i];
+        if (proof.seq !== i + 1 || proof.prevProofHash !== prevHash || hashProof(proof) !== proof.proofHash) {
+            return { valid: false, checked: i, headHash: prevHash, brokenAt: proof.seq };
+        }
+        prevHash = proof.proofHash;
+    }
+
+    return { valid: true, checked: proofs.length, headHash: proofs.length > 0 ? prevHash : null };
+}
+
+// ─── Offline Verifier ─────────────────────────────────────────────
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error('Usage: node utils/scoreProof.js <proof.json>');
+        process.exit(2);
+    }
+
+    const document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const report = verifyScoreProof(document.data || document);
+
+    for (const [name, passed] of Object.entries(report.checks)) {
+        console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${name}`);
+    }
+    for (const error of report.errors) console.error(`  ${error}`);
+
+    console.log(report.valid ? '[ScoreProof] Score verified.' : '[ScoreProof] Verification FAILED.');
+    process.exit(report.valid ? 0 : 1);
+}
+
+module.exports = {
+    buildScoreProof,
+    verifyScoreProof,
+    verifyProofChain,
+    hashValue,
+    hashSignals,
+    GENESIS_HASH,
+};
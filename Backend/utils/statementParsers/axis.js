@@ -0,0 +1,22 @@
+/**
+ * Axis Bank statement layout
+ *
+ * Account statement download:
+ *   Tran Date | CHQNO | PARTICULARS | DR | CR | BAL | SOL
+ * Some exports give a single amount with a Dr/Cr column instead.
+ */
+module.exports = {
+    id: 'AXIS',
+    name: 'Axis Bank',
+    identifiers: [/axis bank/i, /\bUTIB0[A-Z0-9]{6}\b/],
+    columns: {
+        date: ['Tran Date', 'Transaction Date', 'Txn Date'],
+        narration: ['Particulars', 'Transaction Details', 'Description'],
+        reference: ['Chq No', 'Cheque No'],
+        debit: ['DR', 'Debit', 'Withdrawal Amt'],
+        credit: ['CR', 'Credit', 'Deposit Amt'],
+        amount: ['Amount'],
+        drCr: ['Dr Cr', 'Dr/Cr', 'Debit/Credit'],
+        balance: ['BAL', 'Balance'],
+    },
+};
@@ -0,0 +1,480 @@
+/**
+ * Statement Parsing Helpers
+ *
+ * Layout-driven parsing shared by every bank parser. A bank layout only
+ * declares how to recognise its statements and what its columns are
+ * called; the helpers here turn CSV rows or PDF text lines into raw
+ * transaction records that transactionParser.normalizeTransaction accepts:
+ *
+ *   { txnId, date, type, mode, amount, balance, narration, reference }
+ *
+ * Indian statements are day-first (DD/MM/YYYY, DD-MM-YY, DD MMM YYYY, ...)
+ * and use lakh digit grouping (1,23,456.78).
+ */
+
+const MONTHS = {
+    jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+    jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+/** A day-first date at the start of a string (numeric or with a month name). */
+const LEADING_DATE_REGEX = /^(\d{1,2})[/\-. ](\d{1,2}|[A-Za-z]{3,9})[/\-. ,]+(\d{4}|\d{2})\b/;
+
+/** A money amount with optional Cr/Dr suffix, e.g. 1,23,456.78 or 500.00 Cr. */
+const AMOUNT_TOKEN_REGEX = /^\(?-?\d{1,3}(?:,\d{2,3})*(?:\.\d{1,2})?\)?(?:\s*(?:CR|DR))?$/i;
+
+/** Narration patterns → payment mode (checked in order). */
+const MODE_PATTERNS = [
+    { pattern: /\bUPI\b|^UPI[/-]/i, mode: 'UPI' },
+    { pattern: /\bNEFT\b/i, mode: 'NEFT' },
+    { pattern: /\bRTGS\b/i, mode: 'RTGS' },
+    { pattern: /\bIMPS\b|\bMMT\b/i, mode: 'IMPS' },
+    { pattern: /\bNACH\b|\bACH\b|\bECS\b/i, mode: 'NACH' },
+    { pattern: /\bATM\b|\bATW\b|\bNWD\b|CASH WDL/i, mode: 'ATM' },
+    { pattern: /\bPOS\b|\bPCD\b|DEBIT CARD/i, mode: 'POS' },
+    { pattern: /\bCHQ\b|\bCHEQUE\b|\bCLG\b|CLEARING/i, mode: 'CHEQUE' },
+    { pattern: /\bCASH\b|\bCDM\b|BY CASH/i, mode: 'CASH' },
+    { pattern: /\bINT\.?\s*(?:PD|CREDIT)|INTEREST/i, mode: 'INTEREST' },
+];
+
+// ─── Values ───────────────────────────────────────────────────────
+
+/**
+ * Parses a day-first statement date.
+ *
+ * @param {string} value
+ * @returns {string|null} YYYY-MM-DD, or null if the value is not a date.
+ */
+function parseStatementDate(value) {
+    const match = LEADING_DATE_REGEX.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const day = Number(match[1]);
+    const month = /^\d+$/.test(match[2]) ? Number(match[2]) : MONTHS[match[2].slice(0, 3).toLowerCase()];
+    let year = Number(match[3]);
+    if (match[3].length === 2) year += 2000;
+
+    if (!month || month > 12 || day < 1 || day > 31) return null;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCDate() !== day) return null; // e.g. 31/02
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a statement amount. Blank cells, "-" and non-numbers give null.
+ *
+ * @param {string|number} value
+ * @returns {{ value: number, suffix: 'CR'|'DR'|null }|null}
+ */
+function parseAmount(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? { value, suffix: null } : null;
+
+    const text = String(value || '').trim();
+    if (!text || !AMOUNT_TOKEN_REGEX.test(text.replace(/\s+/g, ' '))) return null;
+
+    const suffixMatch = /(CR|DR)$/i.exec(text);
+    const negative = text.startsWith('(') || text.startsWith('-');
+    const amount = parseFloat(text.replace(/[^\d.]/g, ''));
+    if (Number.isNaN(amount)) return null;
+
+    return { value: negative ? -amount : amount, suffix: suffixMatch ? suffixMatch[1].toUpperCase() : null };
+}
+
+/**
+ * Infers the payment mode from a narration.
+ *
+ * @param {string} narration
+ * @returns {string} UPI, NEFT, RTGS, IMPS, NACH, ATM, POS, CHEQUE, CASH, INTEREST or OTHERS.
+ */
+function inferMode(narration) {
+    const entry = MODE_PATTERNS.find(({ pattern }) => pattern.test(narration || ''));
+    return entry ? entry.mode : 'OTHERS';
+}
+
+function normalizeHeader(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// ─── CSV ──────────────────────────────────────────────────────────
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+/** Lines read to detect the delimiter; the transaction header is among them. */
+const DELIMITER_SAMPLE_LINES = 20;
+
+/**
+ * The delimiter of CSV text: the one that occurs most often (outside
+ * quotes) on a single line among the first few — the transaction header,
+ * which has more cells than any preamble line. Commas inside narrations or
+ * amounts of a tab-separated file don't outnumber the header's tabs. Ties
+ * go to the earlier of comma, semicolon and tab.
+ */
+function detectDelimiter(source) {
+    const lines = source.split(/\r?\n|\r/).filter((line) => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES);
+    const most = new Map(CSV_DELIMITERS.map((d) => [d, 0]));
+    for (const line of lines) {
+        const counts = new Map(CSV_DELIMITERS.map((d) => [d, 0]));
+        let quoted = false;
+        for (const ch of line) {
+            if (ch === '"') quoted = !quoted;
+            else if (!quoted && counts.has(ch)) counts.set(ch, counts.get(ch) + 1);
+        }
+        for (const [d, count] of counts) most.set(d, Math.max(most.get(d), count));
+    }
+    return CSV_DELIMITERS.reduce((a, b) => (most.get(b) > most.get(a) ? b : a));
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180 quoting). The delimiter —
+ * comma, semicolon or tab — is detected from the header (detectDelimiter).
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const source = text.replace(/^﻿/, '');
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const ch = source[i];
+        if (quoted) {
+            if (ch === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i += 1;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && source[i + 1] === '\n') i += 1;
+            row.push(cell.trim());
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell.trim());
+        rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c !== ''));
+}
+
+/**
+ * Finds the header row of a layout and maps its columns.
+ *
+ * A header cell matches an alias when, ignoring case, spaces and
+ * punctuation, it equals or starts with the alias ("Withdrawal Amount (INR )"
+ * matches "withdrawal amount").
+ *
+ * @param {string[][]} rows
+ * @param {Object} layout
+ * @returns {{ headerIndex: number, columns: Object<string, number> }|null}
+ */
+function findHeader(rows, layout) {
+    const aliases = Object.fromEntries(Object.entries(layout.columns)
+        .map(([field, names]) => [field, names.map(normalizeHeader)]));
+
+    for (let index = 0; index < rows.length; index++) {
+        const cells = rows[index].map(normalizeHeader);
+        const columns = {};
+
+        for (const [field, names] of Object.entries(aliases)) {
+            const column = cells.findIndex((cell) => names.some((name) => cell === name || cell.startsWith(name)));
+            if (column !== -1) columns[field] = column;
+        }
+
+        const hasAmounts = (columns.debit !== undefined && columns.credit !== undefined)
+            || (columns.amount !== undefined && columns.drCr !== undefined);
+        if (columns.date !== undefined && columns.narration !== undefined && hasAmounts) {
+            return { headerIndex: index, columns };
+        }
+    }
+    return null;
+}
+
+/**
+ * Parses CSV rows with a layout. Rows whose date cell is not a date
+ * (separators, opening-balance lines, summaries) are skipped.
+ *
+ * @param {string[][]} rows
+ * @param {Object} layout
+ * @returns {{ records: Object[], skippedRows: number }|null} null if the header was not found.
+ */
+function parseTabular(rows, layout) {
+    const header = findHeader(rows, layout);
+    if (!header) return null;
+
+    const { columns } = header;
+    const splitColumns = columns.debit !== undefined && columns.credit !== undefined;
+    const cell = (row, field) => (columns[field] === undefined ? '' : row[columns[field]] || '');
+    const records = [];
+    let skippedRows = 0;
+
+    for (const row of rows.slice(header.headerIndex + 1)) {
+        const date = parseStatementDate(cell(row, 'date'));
+        if (!date) {
+            skippedRows += 1;
+            continue;
+        }
+
+        let type = null;
+        let amount = null;
+        if (splitColumns) {
+            const debit = parseAmount(cell(row, 'debit'));
+            const credit = parseAmount(cell(row, 'credit'));
+            if (credit && credit.value !== 0) {
+                type = 'CREDIT';
+                amount = Math.abs(credit.value);
+            } else if (debit && debit.value !== 0) {
+                type = 'DEBIT';
+                amount = Math.abs(debit.value);
+            }
+        } else {
+            const value = parseAmount(cell(row, 'amount'));
+            const drCr = normalizeHeader(cell(row, 'drCr'));
+            if (value && (drCr.startsWith('cr') || drCr.startsWith('dr'))) {
+                type = drCr.startsWith('cr') ? 'CREDIT' : 'DEBIT';
+                amount = Math.abs(value.value);
+            }
+        }
+        if (!type) {
+            skippedRows += 1;
+            continue;
+        }
+
+        const balance = parseAmount(cell(row, 'balance'));
+        records.push(buildRecord(layout, records.length, {
+            date,
+            type,
+            amount,
+            balance: balance ? signedBalance(balance) : null,
+            narration: cell(row, 'narration'),
+            reference: cell(row, 'reference'),
+        }));
+    }
+
+    return { records, skippedRows };
+}
+
+// ─── PDF Text ─────────────────────────────────────────────────────
+
+/** Lines that end a transaction table block (page furniture, summaries). */
+const TABLE_BREAK_REGEX = /^(page\s+\d+|statement\s+summary|opening\s+balance|closing\s+balance|total|\*+|-{3,}|this is a (computer|system)[- ]generated)/i;
+
+/**
+ * Parses the text lines of a PDF statement.
+ *
+ * Each transaction starts with a line beginning with a date (optionally
+ * followed by a value date) and ending with the amount and the running
+ * balance; lines in between that don't start with a date continue the
+ * previous narration. Credit or debit is read from the balance movement,
+ * falling back to a Cr/Dr marker or zero-filled debit/credit columns.
+ *
+ * @param {string[]} lines
+ * @param {Object} layout
+ * @returns {{ records: Object[], skippedRows: number }}
+ */
+function parseTextLines(lines, layout) {
+    const records = [];
+    let skippedRows = 0;
+    let previousBalance = findOpeningBalance(lines);
+    let current = null;
+
+    const headerWords = Object.values(layout.columns).flat().map(normalizeHeader);
+    const isHeaderLine = (line) => {
+        const compact = normalizeHeader(line);
+        return headerWords.filter((word) => word.length > 3 && compact.includes(word)).length >= 3;
+    };
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/\s+/g, ' ').trim();
+        if (!line) continue;
+
+        const date = parseStatementDate(line);
+        if (!date) {
+            if (TABLE_BREAK_REGEX.test(line) || isHeaderLine(line)) {
+                current = null;
+            } else if (current) {
+                current.narration = `${current.narration} ${line}`.trim();
+            }
+            continue;
+        }
+
+        const row = splitTextRow(line);
+        if (!row) {
+            skippedRows += 1;
+            current = null;
+            continue;
+        }
+
+        let { type, amount } = row;
+        if (!type && previousBalance !== null && row.balance !== null) {
+            type = row.balance >= previousBalance ? 'CREDIT' : 'DEBIT';
+        }
+        if (!type) type = /\b(CR|CREDIT|DEPOSIT|RECEIVED)\b/i.test(row.narration) ? 'CREDIT' : 'DEBIT';
+
+        current = buildRecord(layout, records.length, {
+            date,
+            type,
+            amount,
+            balance: row.balance,
+            narration: row.narration,
+            reference: row.reference,
+        });
+        records.push(current);
+        if (row.balance !== null) previousBalance = row.balance;
+    }
+
+    // Narrations are final now; modes depend on them
+    for (const record of records) record.mode = inferMode(record.narration);
+    return { records, skippedRows };
+}
+
+function findOpeningBalance(lines) {
+    for (const line of lines) {
+        const match = /opening\s+balance\s*:?\s*(?:rs\.?|inr|₹)?\s*([\d,]+\.\d{1,2}(?:\s*(?:CR|DR))?)/i.exec(line);
+        if (match) return signedBalance(parseAmount(match[1]));
+    }
+    return null;
+}
+
+/**
+ * Splits a dated text row into narration, amount and balance.
+ *
+ * @param {string} line
+ * @returns {{ narration: string, reference: string, amount: number, balance: number|null, type: string|null }|null}
+ */
+function splitTextRow(line) {
+    const tokens = line.split(' ');
+
+    // Drop the leading transaction date and an optional value date
+    let start = 0;
+    for (let dates = 0; dates < 2; dates++) {
+        const rest = tokens.slice(start).join(' ');
+        const match = LEADING_DATE_REGEX.exec(rest);
+        if (!match) break;
+        start += match[0].split(' ').length;
+    }
+
+    // Collect trailing amounts (a Cr/Dr marker may be its own token)
+    const amounts = [];
+    let end = tokens.length;
+    while (end > start) {
+        let token = tokens[end - 1];
+        let consumed = 1;
+        if (/^(CR|DR)$/i.test(token) && end - 2 >= start) {
+            token = `${tokens[end - 2]} ${token}`;
+            consumed = 2;
+        }
+        const amount = parseAmount(token);
+        if (!amount || !/[.,]/.test(token)) break; // bare integers are usually references
+        amounts.unshift(amount);
+        end -= consumed;
+    }
+    if (amounts.length === 0) return null;
+
+    // A value date after the narration (HDFC, Axis), preceded by the reference
+    let reference = '';
+    if (end - start > 1 && parseStatementDate(tokens[end - 1]) && /^[\d/\-.]+$/.test(tokens[end - 1])) {
+        end -= 1;
+        if (end - start > 1 && /\d{6,}/.test(tokens[end - 1]) && !tokens[end - 1].includes('/')) {
+            reference = tokens[end - 1];
+            end -= 1;
+        }
+    }
+
+    const narration = tokens.slice(start, end).join(' ');
+    if (amounts.length === 1) {
+        const [only] = amounts;
+        return {
+            narration,
+            reference,
+            amount: Math.abs(only.value),
+            balance: null,
+            type: only.suffix === 'CR' ? 'CREDIT' : only.suffix === 'DR' ? 'DEBIT' : null,
+        };
+    }
+
+    const balance = signedBalance(amounts[amounts.length - 1]);
+    if (amounts.length >= 3) {
+        // Zero-filled debit and credit columns: "0.00 500.00 10,500.00"
+        const [debit, credit] = amounts.slice(-3, -1);
+        if (debit.value === 0 || credit.value === 0) {
+            return {
+                narration,
+                reference,
+                amount: Math.abs(credit.value || debit.value),
+                balance,
+                type: credit.value !== 0 ? 'CREDIT' : 'DEBIT',
+            };
+        }
+    }
+
+    const amount = amounts[amounts.length - 2];
+    return {
+        narration,
+        reference,
+        amount: Math.abs(amount.value),
+        balance,
+        type: amount.suffix === 'CR' ? 'CREDIT' : amount.suffix === 'DR' ? 'DEBIT' : null,
+    };
+}
+
+// ─── Records ──────────────────────────────────────────────────────
+
+/** Balances marked Dr are overdrawn. */
+function signedBalance(amount) {
+    if (!amount) return null;
+    return amount.suffix === 'DR' ? -Math.abs(amount.value) : amount.value;
+}
+
+function buildRecord(layout, index, { date, type, amount, balance, narration, reference }) {
+    const cleanNarration = String(narration || '').replace(/\s+/g, ' ').trim();
+    return {
+        txnId: `${layout.id}-${String(index + 1).padStart(5, '0')}`,
+        date,
+        type,
+        mode: inferMode(cleanNarration),
+        amount: Math.round(amount * 100) / 100,
+        balance,
+        narration: cleanNarration,
+        reference: String(reference || '').trim(),
+    };
+}
+
+/**
+ * Whether text (the first lines of a statement) carries one of the
+ * layout's identifiers (bank name, IFSC prefix).
+ *
+ * @param {string} text
+ * @param {Object} layout
+ * @returns {boolean}
+ */
+function matchesIdentifiers(text, layout) {
+    return layout.identifiers.some((pattern) => pattern.test(text));
+}
+
+module.exports = {
+    parseStatementDate,
+    parseAmount,
+    inferMode,
+    parseCsv,
+    findHeader,
+    parseTabular,
+    parseTextLines,
+    matchesIdentifiers,
+};
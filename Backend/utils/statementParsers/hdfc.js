@@ -0,0 +1,19 @@
+/**
+ * HDFC Bank statement layout
+ *
+ * NetBanking statement download:
+ *   Date | Narration | Chq./Ref.No. | Value Dt | Withdrawal Amt. | Deposit Amt. | Closing Balance
+ */
+module.exports = {
+    id: 'HDFC',
+    name: 'HDFC Bank',
+    identifiers: [/hdfc bank/i, /\bHDFC0[A-Z0-9]{6}\b/],
+    columns: {
+        date: ['Date', 'Txn Date'],
+        narration: ['Narration', 'Description'],
+        reference: ['Chq Ref No', 'Chq No', 'Ref No'],
+        debit: ['Withdrawal Amt', 'Withdrawal'],
+        credit: ['Deposit Amt', 'Deposit'],
+        balance: ['Closing Balance', 'Balance'],
+    },
+};
@@ -0,0 +1,20 @@
+/**
+ * ICICI Bank statement layout
+ *
+ * Detailed statement download (the value date comes first):
+ *   S No. | Value Date | Transaction Date | Cheque Number | Transaction Remarks |
+ *   Withdrawal Amount (INR ) | Deposit Amount (INR ) | Balance (INR )
+ */
+module.exports = {
+    id: 'ICICI',
+    name: 'ICICI Bank',
+    identifiers: [/icici bank/i, /\bICIC0[A-Z0-9]{6}\b/],
+    columns: {
+        date: ['Transaction Date', 'Txn Date'],
+        narration: ['Transaction Remarks', 'Remarks', 'Particulars'],
+        reference: ['Cheque Number', 'Cheque No'],
+        debit: ['Withdrawal Amount', 'Withdrawal'],
+        credit: ['Deposit Amount', 'Deposit'],
+        balance: ['Balance'],
+    },
+};
@@ -0,0 +1,255 @@
+/**
+ * Bank Statement Parser Registry
+ *
+ * Turns an uploaded bank statement (CSV or text-based PDF) into raw
+ * transaction records for transactionParser.normalizeTransaction.
+ *
+ * Each bank is a parser registered by id. A parser is a layout
+ * ({ id, name, identifiers, columns }, see sbi.js) and may override
+ * `parseCsv(text)` or `parseText(lines)` for formats the shared
+ * layout-driven parsing in common.js can't read. To support a new bank,
+ * add a layout file and register it below (or call registerParser).
+ */
+const path = require('path');
+const { Worker } = require('worker_threads');
+const common = require('./common');
+
+const parsers = new Map();
+
+/** Lines scanned for bank identifiers (name, IFSC) before the transactions. */
+const IDENTIFIER_SCAN_LINES = 40;
+
+/** Limits on reading a PDF; past them the worker reading it is stopped. */
+const PDF_MAX_PAGES = 200;
+const PDF_TIMEOUT_MS = 20 * 1000;
+const PDF_WORKER_MEMORY_MB = 256;
+
+/**
+ * Registers (or replaces) a bank parser.
+ *
+ * @param {Object} parser
+ * @param {string} parser.id             - Upper-case bank id, used as `?bank=`.
+ * @param {string} parser.name
+ * @param {RegExp[]} parser.identifiers  - Patterns found in the bank's statements.
+ * @param {Object<string, string[]>} parser.columns - Field → header aliases
+ *   (date, narration, reference, debit, credit | amount, drCr, balance).
+ * @param {Function} [parser.parseCsv]   - (text) → { records, skippedRows } | null
+ * @param {Function} [parser.parseText]  - (lines) → { records, skippedRows }
+ */
+function registerParser(parser) {
+    if (!parser || !parser.id || !parser.columns || !Array.isArray(parser.identifiers)) {
+        throw new Error('A statement parser needs an id, identifiers and columns.');
+    }
+    const id = parser.id.toUpperCase();
+    parsers.set(id, {
+        parseCsv: (text) => common.parseTabular(common.parseCsv(text), parser),
+        parseText: (lines) => common.parseTextLines(lines, parser),
+        ...parser,
+        id,
+    });
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getParser(id) {
+    return parsers.get(String(id || '').toUpperCase()) || null;
+}
+
+/**
+ * @returns {{ id: string, name: string }[]}
+ */
+function listParsers() {
+    return Array.from(parsers.values()).map(({ id, name }) => ({ id, name }));
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────
+
+/**
+ * Whether a buffer is a PDF (by its magic bytes).
+ *
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+function isPdf(buffer) {
+    return buffer.length >= 5 && buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+}
+
+function pdfLimitError(message) {
+    const err = new Error(message);
+    err.name = 'PdfLimitExceeded';
+    return err;
+}
+
+/**
+ * Extracts the text of a PDF, one line per row of text, with pdf.js in a
+ * worker thread (pdfTextWorker.js). PDFs with more than PDF_MAX_PAGES
+ * pages are refused, and the worker is terminated after PDF_TIMEOUT_MS or
+ * past PDF_WORKER_MEMORY_MB of heap.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ * @throws {Error} name PasswordException for encrypted PDFs, PdfLimitExceeded past a limit.
+ */
+function extractPdfText(buffer) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'pdfTextWorker.js'), {
+            // A copy: pdf.js reads the underlying ArrayBuffer from offset 0, which is
+            // wrong for Buffers sliced from Node's pool (small files, request bodies)
+            workerData: { data: new Uint8Array(buffer), maxPages: PDF_MAX_PAGES },
+            resourceLimits: { maxOldGenerationSizeMb: PDF_WORKER_MEMORY_MB },
+        });
+
+        let settled = false;
+        const settle = (err, text) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            if (err) reject(err);
+            else resolve(text);
+        };
+
+        const timer = setTimeout(() => {
+            settle(pdfLimitError(`The PDF took longer than ${PDF_TIMEOUT_MS / 1000} seconds to read.`));
+        }, PDF_TIMEOUT_MS);
+
+        worker.on('message', ({ text, error }) => {
+            if (!error) return settle(null, text);
+            const err = new Error(error.message);
+            err.name = error.name;
+            return settle(err);
+        });
+        worker.on('error', (err) => settle(err.code === 'ERR_WORKER_OUT_OF_MEMORY'
+            ? pdfLimitError('The PDF needs too much memory to read.')
+            : err));
+        worker.on('exit', () => settle(new Error('The PDF reader stopped unexpectedly.')));
+    });
+}
+
+/**
+ * Picks the parser for a statement: the requested bank; else (CSV) the
+ * bank whose column headers match, using identifiers above the header to
+ * choose between several; else the bank whose identifiers (name, IFSC)
+ * appear in the statement preamble. Transaction rows are never scanned for
+ * identifiers, since narrations name other banks and IFSCs.
+ */
+function detectParser(lines, { bank, rows }) {
+    if (bank) return getParser(bank);
+
+    let candidates = Array.from(parsers.values());
+    let preamble;
+    if (rows) {
+        const matches = candidates
+            .map((parser) => ({ parser, header: common.findHeader(rows, parser) }))
+            .filter(({ header }) => header);
+        if (matches.length === 1) return matches[0].parser;
+        if (matches.length > 1) candidates = matches.map(({ parser }) => parser);
+
+        const headerIndex = matches.length > 0 ? Math.min(...matches.map(({ header }) => header.headerIndex)) : IDENTIFIER_SCAN_LINES;
+        preamble = rows.slice(0, headerIndex).map((row) => row.join(' ')).join('\n');
+    } else {
+        preamble = lines.slice(0, IDENTIFIER_SCAN_LINES)
+            .filter((line) => !common.parseStatementDate(line.trim()))
+            .join('\n');
+    }
+
+    return candidates.find((parser) => common.matchesIdentifiers(preamble, parser))
+        || (rows && candidates.length < parsers.size ? candidates[0] : null);
+}
+
+/**
+ * Parses an uploaded bank statement.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} [options]
+ * @param {string} [options.bank]    - Bank id (SBI, HDFC, ICICI, AXIS); detected if omitted.
+ * @param {string} [options.format]  - 'csv' or 'pdf'; detected if omitted.
+ * @returns {Promise<{ success: boolean, errorCode?: string, message?: string,
+ *   bank?: string, format?: string, records?: Object[], skippedRows?: number }>}
+ */
+async function parseStatement(buffer, options = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        return { success: false, errorCode: 'EmptyStatement', message: 'The statement file is empty.' };
+    }
+    if (options.bank && !getParser(options.bank)) {
+        return {
+            success: false,
+            errorCode: 'UnknownBank',
+            message: `Unsupported bank "${options.bank}". Supported: ${listParsers().map((p) => p.id).join(', ')}.`,
+        };
+    }
+
+    const format = options.format || (isPdf(buffer) ? 'pdf' : 'csv');
+    let text;
+    if (format === 'pdf') {
+        try {
+            text = await extractPdfText(buffer);
+        } catch (err) {
+            let message = `The PDF could not be read: ${err.message}`;
+            if (err.name === 'PasswordException') {
+                message = 'The PDF is password-protected. Remove the password and upload it again.';
+            } else if (err.name === 'PdfLimitExceeded') {
+                message = err.message;
+            }
+            return { success: false, errorCode: 'UnreadableStatement', message };
+        }
+        if (!text.trim()) {
+            return {
+                success: false,
+                errorCode: 'UnreadableStatement',
+                message: 'The PDF has no text layer (scanned statements are not supported). Upload the CSV or the bank-generated PDF.',
+            };
+        }
+    } else {
+        text = buffer.toString('utf8');
+    }
+
+    const lines = text.split(/\r?\n/);
+    const rows = format === 'csv' ? common.parseCsv(text) : null;
+    const parser = detectParser(lines, { bank: options.bank, rows });
+    if (!parser) {
+        return {
+            success: false,
+            errorCode: 'UnknownBank',
+            message: `Could not recognise the bank. Pass ?bank= one of: ${listParsers().map((p) => p.id).join(', ')}.`,
+        };
+    }
+
+    const parsed = format === 'csv' ? parser.parseCsv(text) : parser.parseText(lines);
+    if (!parsed) {
+        return {
+            success: false,
+            errorCode: 'UnrecognisedLayout',
+            message: `The ${parser.name} statement has no recognisable transaction header.`,
+        };
+    }
+    if (parsed.records.length === 0) {
+        return {
+            success: false,
+            errorCode: 'NoTransactions',
+            message: `No transactions found in the ${parser.name} statement.`,
+        };
+    }
+
+    return {
+        success: true,
+        bank: parser.id,
+        format,
+        records: parsed.records,
+        skippedRows: parsed.skippedRows,
+    };
+}
+
+// ─── Built-in Banks ───────────────────────────────────────────────
+
+[require('./sbi'), require('./hdfc'), require('./icici'), require('./axis')].forEach(registerParser);
+
+module.exports = {
+    registerParser,
+    getParser,
+    listParsers,
+    isPdf,
+    parseStatement,
+};
@@ -0,0 +1,73 @@
+/**
+ * PDF Text Worker
+ *
+ * Extracts the text of an uploaded PDF with pdf.js for extractPdfText
+ * (index.js). It runs in a worker thread so that a PDF which takes too long
+ * or needs too much memory can be stopped by terminating the thread.
+ *
+ * workerData: { data: Uint8Array, maxPages: number }
+ * Posts { text } or { error: { name, message } }.
+ */
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Joins a page's text items into lines, one per baseline, top to bottom.
+ * Items on a line are joined with spaces in reading order so table cells
+ * stay separable.
+ *
+ * @param {Object[]} items - pdf.js TextItems.
+ * @returns {string}
+ */
+function joinLines(items) {
+    const lines = new Map();
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue;
+        const y = Math.round(item.transform[5]);
+        if (!lines.has(y)) lines.set(y, []);
+        lines.get(y).push(item);
+    }
+    return Array.from(lines.entries())
+        .sort(([a], [b]) => b - a)
+        .map(([, lineItems]) => lineItems
+            .sort((a, b) => a.transform[4] - b.transform[4])
+            .map((item) => item.str.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .join(' '))
+        .join('\n');
+}
+
+async function extract({ data, maxPages }) {
+    // pdf.js is published as an ES module only
+    const { getDocument } = await import('pdfjs-dist/legacy/build/pdf.mjs');
+
+    const pdf = await getDocument({
+        data,
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0,
+    }).promise;
+
+    try {
+        if (pdf.numPages > maxPages) {
+            const err = new Error(`The PDF has ${pdf.numPages} pages; statements of up to ${maxPages} pages are supported.`);
+            err.name = 'PdfLimitExceeded';
+            throw err;
+        }
+
+        const pages = [];
+        for (let n = 1; n <= pdf.numPages; n++) {
+            const page = await pdf.getPage(n);
+            pages.push(joinLines((await page.getTextContent()).items));
+            page.cleanup();
+        }
+        return pages.join('\n');
+    } finally {
+        await pdf.destroy();
+    }
+}
+
+extract(workerData)
+    .then((text) => parentPort.postMessage({ text }))
+    .catch((err) => parentPort.postMessage({
+        error: { name: (err && err.name) || 'Error', message: (err && err.message) || String(err) },
+    }));
@@ -0,0 +1,19 @@
+/**
+ * State Bank of India statement layout
+ *
+ * Account statement download (YONO / OnlineSBI):
+ *   Txn Date | Value Date | Description | Ref No./Cheque No. | Debit | Credit | Balance
+ */
+module.exports = {
+    id: 'SBI',
+    name: 'State Bank of India',
+    identifiers: [/state bank of india/i, /\bSBIN0[A-Z0-9]{6}\b/],
+    columns: {
+        date: ['Txn Date', 'Transaction Date'],
+        narration: ['Description', 'Narration'],
+        reference: ['Ref No', 'Cheque No'],
+        debit: ['Debit', 'Withdrawal'],
+        credit: ['Credit', 'Deposit'],
+        balance: ['Balance'],
+    },
+};
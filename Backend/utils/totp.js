@@ -0,0 +1,173 @@
+/**
+ * TOTP Utility (RFC 6238)
+ *
+ * Time-based one-time passwords for lender 2FA. Compatible with
+ * Google Authenticator, Microsoft Authenticator, Authy, etc.
+ *
+ *   counter = floor(unixTime / 30)
+ *   code    = HOTP(secret, counter) → 6 digits (HMAC-SHA1, RFC 4226)
+ */
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // accept ±1 step for clock drift
+
+// ─── Base32 (RFC 4648) ─────────────────────────────────────────────
+
+/**
+ * Base32-encodes a buffer (no padding), as used in otpauth:// URIs.
+ *
+ * @param {Buffer} buf
+ * @returns {string}
+ */
+function base32Encode(buf) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decodes a Base32 string (case-insensitive, padding and spaces ignored).
+ *
+ * @param {string} str
+ * @returns {Buffer}
+ */
+function base32Decode(str) {
+    const clean = str.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const idx = BASE32_ALPHABET.indexOf(char);
+        if (idx === -1) throw new Error(`Invalid base32 character: '${char}'`);
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// ─── TOTP ──────────────────────────────────────────────────────────
+
+/**
+ * Generates a random 160-bit TOTP secret.
+ *
+ * @returns {string} Base32-encoded secret.
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Computes the HOTP code for a counter value.
+ *
+ * @param {string} secret  - Base32 secret.
+ * @param {number} counter - Moving factor.
+ * @returns {string} Zero-padded 6-digit code.
+ */
+function hotp(secret, counter) {
+    const buf = Buffer.alloc(8);
+    buf.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Generates the current TOTP code.
+ *
+ * @param {string} secret - Base32 secret.
+ * @param {number} [timeMs=Date.now()]
+ * @returns {string}
+ */
+function generateTotp(secret, timeMs = Date.now()) {
+    return hotp(secret, Math.floor(timeMs / 1000 / STEP_SECONDS));
+}
+
+/**
+ * Finds the time step a TOTP code belongs to, allowing ±1 step of clock
+ * drift. Callers that must reject replays remember the last accepted step
+ * and refuse codes at or before it.
+ *
+ * @param {string} secret - Base32 secret.
+ * @param {string} code   - 6-digit code entered by the user.
+ * @param {number} [timeMs=Date.now()]
+ * @returns {number|null} The matching counter, or null if the code is wrong.
+ */
+function findTotpStep(secret, code, timeMs = Date.now()) {
+    if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const counter = Math.floor(timeMs / 1000 / STEP_SECONDS);
+    for (let drift = -WINDOW; drift <= WINDOW; drift++) {
+        const expected = Buffer.from(hotp(secret, counter + drift));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) return counter + drift;
+    }
+    return null;
+}
+
+/**
+ * Verifies a TOTP code, allowing ±1 time step of clock drift.
+ *
+ * @param {string} secret - Base32 secret.
+ * @param {string} code   - 6-digit code entered by the user.
+ * @param {number} [timeMs=Date.now()]
+ * @returns {boolean}
+ */
+function verifyTotp(secret, code, timeMs = Date.now()) {
+    return findTotpStep(secret, code, timeMs) !== null;
+}
+
+/**
+ * Builds an otpauth:// URI for authenticator app enrolment (QR code).
+ *
+ * @param {string} secret  - Base32 secret.
+ * @param {string} account - Account label (e.g. email).
+ * @param {string} [issuer='CredNova']
+ * @returns {string}
+ */
+function buildOtpAuthUri(secret, account, issuer = 'CredNova') {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateTotp,
+    findTotpStep,
+    verifyTotp,
+    buildOtpAuthUri,
+    base32Encode,
+    base32Decode,
+};
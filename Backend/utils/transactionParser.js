@@ -4,19 +4,16 @@
  * Parses decrypted financial information data from Account Aggregator
  * FI/fetch responses. Extracts transaction details, separates CREDIT
  * and DEBIT transactions, and calculates inflow/outflow summaries.
+ *
+ * ReBIT Deposit `Account` documents (XML or JSON) are validated by
+ * rebitDepositParser; other shapes are read leniently.
  */
-
-const CATEGORY_MAP = {
-    Salary: [/salary/i, /payrun/i, /direct dep/i, /payroll/i],
-    Rent: [/rent/i, /landlord/i, /housing/i],
-    Utilities: [/electricity/i, /water/i, /broadband/i, /bescom/i, /airtel/i, /jio/i, /recharge/i],
-    EMI: [/emi/i, /loan/i, /mortgage/i, /hdfc loan/i, /icici loan/i, /finance/i],
-    Investment: [/mutual fund/i, /stock/i, /zerodha/i, /groww/i, /investment/i, /fd/i, /rd/i],
-    Shopping: [/amazon/i, /flipkart/i, /myntra/i, /shopping/i, /pos/i],
-    Food: [/swiggy/i, /zomato/i, /restaurant/i, /groceries/i, /bigbasket/i],
-    Travel: [/uber/i, /ola/i, /fuel/i, /petrol/i, /irctc/i, /indigo/i],
-    UPI_Transfer: [/upi/i, /@/i],
-};
+const { isRebitDocument, parseDepositAccount } = require('./rebitDepositParser');
+const { calculateCashFlowHealth } = require('./cashFlowHealth');
+const { detectObligations } = require('./obligationDetector');
+const { analyzeConcentration } = require('./counterpartyConcentration');
+const { parseNarration } = require('./narrationParser');
+const { categorise, describeRuleset } = require('./categoryEngine');
 
 /**
  * @typedef {Object} Transaction
@@ -25,17 +22,27 @@ const CATEGORY_MAP = {
  * @property {string} type       - 'CREDIT' or 'DEBIT'.
  * @property {string} mode       - Transaction mode (UPI, NEFT, IMPS, etc.).
  * @property {number} amount     - Transaction amount.
- * @property {number} balance    - Account balance after transaction.
+ * @property {number|null} balance - Account balance after transaction; null when not reported.
+ * @property {string|null} account - Account the transaction belongs to (options.account), if known.
  * @property {string} narration  - Transaction description/narration.
  * @property {string} reference  - Reference number.
- * @property {string} category   - Inferred category.
+ * @property {string} category   - Category from the active ruleset (categoryEngine).
+ * @property {string} mcc        - Merchant category code: the FIP's, else the ruleset's.
+ * @property {Object} counterparty - Parsed from the narration (narrationParser.parseNarration).
  */
 
 /**
  * Parses raw FI data into structured transactions.
+ *
+ * @param {*} rawData
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
+ * @param {string} [options.account]  - Account the data belongs to (e.g. its linkRefNumber).
  */
-function parseTransactions(rawData) {
+function parseTransactions(rawData, options = {}) {
     try {
+        if (isRebitDocument(rawData)) return parseRebitTransactions(rawData, options);
+
         let data;
         if (typeof rawData === 'string') {
             try {
@@ -57,7 +64,7 @@ function parseTransactions(rawData) {
             };
         }
 
-        const transactions = rawTransactions.map(normalizeTransaction).filter(Boolean);
+        const transactions = rawTransactions.map((raw) => normalizeTransaction(raw, options)).filter(Boolean);
 
         return {
             success: true,
@@ -69,6 +76,34 @@ function parseTransactions(rawData) {
     }
 }
 
+/**
+ * Parses a ReBIT Deposit `Account` document. OPENING and CLOSING entries
+ * only restate the balance and are left out of the transactions.
+ */
+function parseRebitTransactions(rawData, options) {
+    const parsed = parseDepositAccount(rawData);
+    if (!parsed.success) {
+        return { success: false, error: parsed.error, errors: parsed.errors };
+    }
+
+    const transactions = parsed.transactions
+        .filter((t) => t.type !== 'OPENING' && t.type !== 'CLOSING')
+        .map((raw) => normalizeTransaction(raw, options))
+        .filter(Boolean);
+
+    return {
+        success: true,
+        transactions,
+        count: transactions.length,
+        account: {
+            ...parsed.account,
+            profile: parsed.profile,
+            summary: parsed.summary,
+            transactionRange: parsed.transactionRange,
+        },
+    };
+}
+
 /**
  * Extracts the transaction array from various AA response structures.
  */
@@ -88,41 +123,39 @@ function extractTransactionArray(data) {
 
 /**
  * Normalizes a transaction object and categorizes it.
+ *
+ * @param {Object} raw
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
+ * @param {string} [options.account]  - Account the transaction belongs to.
  */
-function normalizeTransaction(raw) {
+function normalizeTransaction(raw, options = {}) {
     if (!raw || typeof raw !== 'object') return null;
 
     const type = detectTransactionType(raw);
     const amount = parseFloat(raw.amount || raw.Amount || raw.txnAmount || 0);
-    const balance = parseFloat(raw.balance || raw.Balance || raw.currentBalance || raw.closingBalance || 0);
+    // A missing balance stays null: 0 is a real balance
+    const balance = parseFloat(raw.balance ?? raw.Balance ?? raw.currentBalance ?? raw.closingBalance);
     const narration = raw.narration || raw.Narration || raw.description || raw.remarks || '';
+    const mode = raw.mode || raw.Mode || raw.transactionMode || raw.channel || '';
+    const { category, mcc } = categorise({ narration, type, mode, amount }, options);
 
     return {
         txnId: raw.txnId || raw.transactionId || raw.TransactionId || raw.refNo || '',
-        date: raw.date || raw.Date || raw.transactionDateTime || raw.TransactionTimestamp || raw.valueDate || '',
+        date: raw.date || raw.Date || raw.transactionDateTime || raw.transactionTimestamp || raw.TransactionTimestamp || raw.valueDate || '',
         type,
-        mode: raw.mode || raw.Mode || raw.transactionMode || raw.channel || '',
+        mode,
         amount: isNaN(amount) ? 0 : amount,
-        balance: isNaN(balance) ? 0 : balance,
+        balance: isNaN(balance) ? null : balance,
+        account: options.account || raw.account || null,
         narration: narration,
         reference: raw.reference || raw.Reference || raw.refNo || raw.referenceNumber || '',
-        category: inferCategory(narration),
+        category,
+        mcc: raw.mcc || raw.merchantCategoryCode || mcc,
+        counterparty: parseNarration(narration, mode),
     };
 }
 
-/**
- * Infers category from narration.
- */
-function inferCategory(narration) {
-    const text = narration.toLowerCase();
-    for (const [category, patterns] of Object.entries(CATEGORY_MAP)) {
-        if (patterns.some((p) => p.test(text))) {
-            return category;
-        }
-    }
-    return 'Misc';
-}
-
 /**
  * Detects whether a transaction is CREDIT or DEBIT.
  */
@@ -130,13 +163,19 @@ function detectTransactionType(raw) {
     const type = (raw.type || raw.Type || raw.transactionType || raw.TransactionType || raw.txnType || '').toUpperCase();
     if (type.includes('CREDIT') || type === 'CR' || type === 'C') return 'CREDIT';
     if (type.includes('DEBIT') || type === 'DR' || type === 'D') return 'DEBIT';
+    // ReBIT Deposit transaction types
+    if (type === 'INTEREST') return 'CREDIT';
+    if (type === 'TDS' || type === 'INSTALLMENT') return 'DEBIT';
     const narration = (raw.narration || raw.description || '').toLowerCase();
     if (narration.includes('credit') || narration.includes('received') || narration.includes('deposit')) return 'CREDIT';
     return 'DEBIT';
 }
 
 /**
- * Calculates inflow, outflow, categorization, and savings rate.
+ * Calculates inflow, outflow, categorization, savings rate, recurring
+ * obligations (see obligationDetector.js), customer and supplier
+ * concentration (see counterpartyConcentration.js) and the cash-flow
+ * health metrics (see cashFlowHealth.js).
  */
 function calculateFlows(transactions) {
     const credits = transactions.filter((t) => t.type === 'CREDIT');
@@ -154,7 +193,7 @@ function calculateFlows(transactions) {
         categoryBreakdown[t.category].amount += t.amount;
     });
 
-    const recurringPayments = detectRecurring(debits);
+    const obligations = detectObligations(transactions);
 
     return {
         totalInflow: Math.round(totalInflow * 100) / 100,
@@ -165,54 +204,51 @@ function calculateFlows(transactions) {
         debitCount: debits.length,
         totalTransactions: transactions.length,
         categoryBreakdown,
-        recurringPayments,
+        obligations,
+        recurringPayments: summarizeRecurring(obligations),
+        concentration: analyzeConcentration(transactions),
+        cashFlowHealth: calculateCashFlowHealth(transactions),
         credits: credits.slice(0, 50), // Sample
         debits: debits.slice(0, 50),   // Sample
     };
 }
 
 /**
- * Heuristic to detect recurring payments (same amount/narration patterns).
+ * The five largest obligations still being paid, in the compact shape
+ * returned before obligation detection.
  */
-function detectRecurring(debits) {
-    const recurring = [];
-    const groups = {};
-
-    debits.forEach(t => {
-        const key = `${t.amount}-${t.narration.substring(0, 10)}`;
-        if (!groups[key]) groups[key] = [];
-        groups[key].push(t);
-    });
-
-    for (const [key, items] of Object.entries(groups)) {
-        if (items.length >= 2) {
-            recurring.push({
-                narration: items[0].narration,
-                amount: items[0].amount,
-                frequency: items.length > 5 ? 'Weekly/Biweekly' : 'Monthly',
-                count: items.length
-            });
-        }
-    }
-
-    return recurring.slice(0, 5);
+function summarizeRecurring(obligations) {
+    const frequency = { WEEKLY: 'Weekly', BIWEEKLY: 'Biweekly', MONTHLY: 'Monthly', QUARTERLY: 'Quarterly' };
+    return obligations
+        .filter((o) => o.status !== 'ENDED')
+        .slice(0, 5)
+        .map((o) => ({
+            narration: o.narration,
+            amount: o.amount.expected,
+            frequency: frequency[o.cadence],
+            count: o.occurrences,
+        }));
 }
 
 /**
  * Full analysis pipeline.
+ *
+ * @param {*} rawData
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
  */
-function analyzeTransactions(rawData) {
-    const parsed = parseTransactions(rawData);
+function analyzeTransactions(rawData, options = {}) {
+    const parsed = parseTransactions(rawData, options);
     if (!parsed.success) return parsed;
     const flows = calculateFlows(parsed.transactions);
-    return { success: true, ...flows };
+    return { success: true, ...flows, categoryRuleset: describeRuleset(options.tenantId) };
 }
 
 function createEmptySummary() {
     return {
         totalInflow: 0, totalOutflow: 0, netFlow: 0, savingsRate: 0,
         creditCount: 0, debitCount: 0, totalTransactions: 0,
-        categoryBreakdown: {}, recurringPayments: [],
+        categoryBreakdown: {}, obligations: [], recurringPayments: [],
         credits: [], debits: []
     };
 }
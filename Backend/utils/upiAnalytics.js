@@ -7,7 +7,10 @@
  *  - Computes monthly transaction frequency
  *  - Extracts unique merchant category codes (MCC)
  *  - Generates a merchant diversity score
+ *  - Ranks merchants by the counterparty in the narration (narrationParser)
  */
+const { counterpartyOf, createKeyResolver } = require('./narrationParser');
+const { categorise } = require('./categoryEngine');
 
 /**
  * @typedef {Object} UpiAnalytics
@@ -18,46 +21,25 @@
  * @property {string[]} uniqueMccs        - Distinct merchant category codes.
  * @property {number}   merchantDiversityScore - 0–1 normalised diversity score.
  * @property {Object}   creditDebit       - { credits, debits, inflowVolume, outflowVolume }.
- * @property {Object[]} topMerchants      - Top merchants by volume.
+ * @property {Object[]} topMerchants      - Top counterparties by volume ({ name, vpa, count, volume }).
  */
 
 // ─── MCC Inference ─────────────────────────────────────────────────
 // In production, MCCs come from the FIP. For analytics, we infer them
-// from narration keywords when the raw data doesn't include an MCC field.
-
-const MCC_MAP = [
-    { pattern: /salary|payroll|wages/i, mcc: '6012', category: 'Salary / Payroll' },
-    { pattern: /rent|housing|apartment/i, mcc: '6513', category: 'Rent / Housing' },
-    { pattern: /electric|power|utility|gas|water/i, mcc: '4900', category: 'Utilities' },
-    { pattern: /grocer|supermarket|bigbasket|blinkit/i, mcc: '5411', category: 'Groceries' },
-    { pattern: /fuel|petrol|diesel|iocl|bpcl|hpcl/i, mcc: '5541', category: 'Fuel' },
-    { pattern: /recharge|mobile|airtel|jio|vi\b/i, mcc: '4812', category: 'Telecom' },
-    { pattern: /insurance|lic\b|emi\b|premium/i, mcc: '6300', category: 'Insurance' },
-    { pattern: /hospital|medical|pharma|apollo/i, mcc: '8062', category: 'Healthcare' },
-    { pattern: /shop|amazon|flipkart|myntra|mall/i, mcc: '5311', category: 'Shopping' },
-    { pattern: /food|swiggy|zomato|restaurant|cafe/i, mcc: '5812', category: 'Food & Dining' },
-    { pattern: /uber|ola|cab|ride|metro|bus|train/i, mcc: '4121', category: 'Transport' },
-    { pattern: /freelance|client|consult|project/i, mcc: '7392', category: 'Professional Services' },
-    { pattern: /bonus|incentive|reward/i, mcc: '6012', category: 'Income / Bonus' },
-    { pattern: /loan|emi|repay/i, mcc: '6010', category: 'Loan / EMI' },
-    { pattern: /invest|mutual|sip|stock|demat/i, mcc: '6211', category: 'Investments' },
-];
+// from the narration with the categorisation ruleset (categoryEngine)
+// when the raw data doesn't include an MCC field.
 
 /**
- * Infers the MCC and category from a narration string.
+ * Infers the MCC and category of a transaction from the active ruleset.
  *
- * @param {string} narration
+ * @param {string|Object} transaction - A narration, or { narration, type, mode, amount }.
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
  * @returns {{ mcc: string, category: string }}
  */
-function inferMcc(narration) {
-    if (!narration) return { mcc: '0000', category: 'Uncategorised' };
-
-    for (const entry of MCC_MAP) {
-        if (entry.pattern.test(narration)) {
-            return { mcc: entry.mcc, category: entry.category };
-        }
-    }
-    return { mcc: '0000', category: 'Uncategorised' };
+function inferMcc(transaction, options = {}) {
+    const { mcc, category } = categorise(typeof transaction === 'string' ? { narration: transaction } : transaction, options);
+    return { mcc, category };
 }
 
 // ─── Core Analytics ────────────────────────────────────────────────
@@ -113,16 +95,17 @@ function calculateMonthlyFrequency(upiTxns) {
  * Infers MCC from narration when not explicitly provided.
  *
  * @param {Object[]} upiTxns
+ * @param {Object} [options] - Passed to inferMcc.
  * @returns {{ uniqueMccs: string[], mccDetails: Object[] }}
  */
-function extractUniqueMccs(upiTxns) {
+function extractUniqueMccs(upiTxns, options = {}) {
     const mccSet = new Map();
 
     for (const txn of upiTxns) {
         const rawMcc = txn.mcc || txn.merchantCategoryCode;
         const { mcc, category } = rawMcc
             ? { mcc: rawMcc, category: txn.category || 'Unknown' }
-            : inferMcc(txn.narration);
+            : inferMcc(txn, options);
 
         if (!mccSet.has(mcc)) {
             mccSet.set(mcc, { mcc, category, count: 0, volume: 0 });
@@ -176,9 +159,11 @@ function calculateMerchantDiversity(mccDetails, totalCount) {
  * Runs the full UPI analytics pipeline on a set of transactions.
  *
  * @param {Object[]} transactions - All transactions (any mode).
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Lender organisation whose category overrides apply.
  * @returns {UpiAnalytics}
  */
-function analyzeUpi(transactions) {
+function analyzeUpi(transactions, options = {}) {
     if (!Array.isArray(transactions) || transactions.length === 0) {
         return emptyAnalytics();
     }
@@ -197,7 +182,7 @@ function analyzeUpi(transactions) {
     const monthlyFrequency = calculateMonthlyFrequency(upiTxns);
 
     // 4. MCC extraction
-    const { uniqueMccs, mccDetails } = extractUniqueMccs(upiTxns);
+    const { uniqueMccs, mccDetails } = extractUniqueMccs(upiTxns, options);
 
     // 5. Merchant diversity score
     const merchantDiversityScore = calculateMerchantDiversity(mccDetails, upiTxns.length);
@@ -235,22 +220,27 @@ function analyzeUpi(transactions) {
 }
 
 /**
- * Groups UPI transactions by narration to find top merchants.
+ * Groups UPI transactions by counterparty (name or VPA) to find top
+ * merchants. Narrations that name no one are grouped as they are.
  */
 function buildTopMerchants(upiTxns) {
     const merchantMap = new Map();
+    const resolveKey = createKeyResolver();
 
     for (const txn of upiTxns) {
-        const key = (txn.narration || 'Unknown').trim();
+        const counterparty = counterpartyOf(txn);
+        const key = resolveKey(counterparty) || (txn.narration || 'Unknown').trim();
         if (!merchantMap.has(key)) {
-            merchantMap.set(key, { name: key, count: 0, volume: 0 });
+            merchantMap.set(key, { name: null, vpa: null, count: 0, volume: 0 });
         }
         const m = merchantMap.get(key);
+        m.name = m.name || counterparty.name;
+        m.vpa = m.vpa || counterparty.vpa;
         m.count += 1;
         m.volume = Math.round((m.volume + (txn.amount || 0)) * 100) / 100;
     }
 
-    return Array.from(merchantMap.values())
+    return Array.from(merchantMap, ([key, m]) => ({ ...m, name: m.name || m.vpa || key }))
         .sort((a, b) => b.volume - a.volume)
         .slice(0, 10);
 }